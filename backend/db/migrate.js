@@ -107,24 +107,43 @@ async function resetDatabase() {
     await client.query(`
       DROP VIEW IF EXISTS submissions_with_votes CASCADE;
       DROP VIEW IF EXISTS approved_content CASCADE;
+      DROP TABLE IF EXISTS push_alert_rules CASCADE;
+      DROP TABLE IF EXISTS push_subscriptions CASCADE;
+      DROP TABLE IF EXISTS admin_settings CASCADE;
+      DROP TABLE IF EXISTS spike_detections CASCADE;
+      DROP TABLE IF EXISTS holder_snapshots CASCADE;
+      DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+      DROP TABLE IF EXISTS webhooks CASCADE;
+      DROP TABLE IF EXISTS candle_sync_state CASCADE;
+      DROP TABLE IF EXISTS candles CASCADE;
       DROP TABLE IF EXISTS daily_brief_tokens CASCADE;
+      DROP TABLE IF EXISTS ai_usage_daily CASCADE;
+      DROP TABLE IF EXISTS token_ai_analyses CASCADE;
       DROP TABLE IF EXISTS folio_tokens CASCADE;
       DROP TABLE IF EXISTS folios CASCADE;
+      DROP TABLE IF EXISTS burn_credit_ledger CASCADE;
+      DROP SEQUENCE IF EXISTS burn_credit_ledger_txn_seq;
       DROP TABLE IF EXISTS burn_credit_spends CASCADE;
       DROP TABLE IF EXISTS burn_credits CASCADE;
       DROP TABLE IF EXISTS burn_config CASCADE;
       DROP TABLE IF EXISTS bug_reports CASCADE;
+      DROP TABLE IF EXISTS saved_screens CASCADE;
+      DROP TABLE IF EXISTS caller_follows CASCADE;
       DROP TABLE IF EXISTS token_calls CASCADE;
       DROP TABLE IF EXISTS vote_tallies CASCADE;
       DROP TABLE IF EXISTS votes CASCADE;
+      DROP TABLE IF EXISTS sentiment_events CASCADE;
       DROP TABLE IF EXISTS sentiment_votes CASCADE;
       DROP TABLE IF EXISTS sentiment_tallies CASCADE;
       DROP TABLE IF EXISTS token_views CASCADE;
       DROP TABLE IF EXISTS announcements CASCADE;
+      DROP TABLE IF EXISTS auth_nonces CASCADE;
+      DROP TABLE IF EXISTS wallet_sessions CASCADE;
       DROP TABLE IF EXISTS device_sessions CASCADE;
       DROP TABLE IF EXISTS admin_sessions CASCADE;
       DROP TABLE IF EXISTS api_keys CASCADE;
       DROP TABLE IF EXISTS watchlist CASCADE;
+      DROP TABLE IF EXISTS watchlist_groups CASCADE;
       DROP TABLE IF EXISTS submissions CASCADE;
       DROP TABLE IF EXISTS tokens CASCADE;
       DROP FUNCTION IF EXISTS update_updated_at_column CASCADE;
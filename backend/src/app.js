@@ -23,9 +23,14 @@ const hackathonRoutes = require('./routes/hackathon');
 const ogfinderRoutes = require('./routes/ogfinder');
 const burnCreditsRoutes = require('./routes/burnCredits');
 const deviceAuthRoutes = require('./routes/deviceAuth');
+const authRoutes = require('./routes/auth');
 const folioRoutes = require('./routes/folios');
 const dailyBriefRoutes = require('./routes/dailyBrief');
 const bagsRoutes = require('./routes/bags');
+const streamRoutes = require('./routes/stream');
+const walletRoutes = require('./routes/wallets');
+const screenerRoutes = require('./routes/screener');
+const pushRoutes = require('./routes/push');
 
 // Import middleware
 const { defaultLimiter } = require('./middleware/rateLimit');
@@ -48,6 +53,16 @@ async function initializeJobQueue() {
     await jobQueue.scheduleSessionCleanup();
     // Schedule recurring Daily Brief refresh (PumpSwap graduation discovery, every 3 min)
     await jobQueue.scheduleDailyBriefRefresh();
+    // Schedule recurring OHLCV candle sync + rollup (viewed/watchlisted tokens, every 5 min)
+    await jobQueue.scheduleCandleSync();
+    // Schedule recurring holder distribution snapshots (tracked tokens, hourly each)
+    await jobQueue.scheduleHolderSnapshots();
+    // Schedule recurring call performance sampling (peak market cap since each call, every 10 min)
+    await jobQueue.scheduleCallTracking();
+    // Schedule recurring spike detection price sampling (+1h / +24h outcomes for backtests, every 10 min)
+    await jobQueue.scheduleSpikeTracking();
+    // Schedule recurring browser push alert dispatch (watchlist price / banner alerts, every 2 min)
+    await jobQueue.schedulePushAlerts();
     console.log('[App] Job queue initialized - background jobs will be handled by worker');
   } else {
     // Fallback: Run cleanup in main process if Redis not available
@@ -80,6 +95,20 @@ function startFallbackCleanup() {
         }
       })
       .catch(err => console.error('[Cleanup] Failed to clean up device sessions:', err.message));
+    db.cleanupExpiredWalletSessions()
+      .then(count => {
+        if (count > 0) {
+          console.log(`[Cleanup] Removed ${count} expired wallet sessions on startup`);
+        }
+      })
+      .catch(err => console.error('[Cleanup] Failed to clean up wallet sessions:', err.message));
+    db.expireBurnCreditReservations()
+      .then(count => {
+        if (count > 0) {
+          console.log(`[Cleanup] Refunded ${count} expired Burn Credit reservations on startup`);
+        }
+      })
+      .catch(err => console.error('[Cleanup] Failed to expire Burn Credit reservations:', err.message));
   }
 
   // Schedule periodic cleanup with failure limit
@@ -97,6 +126,8 @@ function startFallbackCleanup() {
     try {
       const count = await db.cleanupExpiredAdminSessions();
       const deviceCount = await db.cleanupExpiredDeviceSessions();
+      const walletSessionCount = await db.cleanupExpiredWalletSessions();
+      const reservationCount = await db.expireBurnCreditReservations();
       cleanupFailureCount = 0; // Reset on success
       if (count > 0) {
         console.log(`[Cleanup] Removed ${count} expired admin sessions`);
@@ -104,6 +135,12 @@ function startFallbackCleanup() {
       if (deviceCount > 0) {
         console.log(`[Cleanup] Removed ${deviceCount} expired device sessions`);
       }
+      if (walletSessionCount > 0) {
+        console.log(`[Cleanup] Removed ${walletSessionCount} expired wallet sessions`);
+      }
+      if (reservationCount > 0) {
+        console.log(`[Cleanup] Refunded ${reservationCount} expired Burn Credit reservations`);
+      }
     } catch (err) {
       cleanupFailureCount++;
       console.error(`[Cleanup] Failed (${cleanupFailureCount}/${MAX_CLEANUP_FAILURES}):`, err.message);
@@ -144,11 +181,14 @@ app.use((req, res, next) => {
 
   // Widget embeds: allow any origin for public API requests (authenticated by API key)
   const isWidgetRequest = req.headers['x-api-key'] || (req.method === 'OPTIONS' && (req.headers['access-control-request-headers'] || '').toLowerCase().includes('x-api-key'));
+  // Widget embeds: EventSource can't send custom headers, so the public read-only price stream is open to any origin
+  const isPriceStream = req.method === 'GET' && req.path.startsWith('/api/stream/');
 
   const allowed = !normalizedOrigin                                  // non-browser / server-to-server
     || process.env.NODE_ENV !== 'production'                         // development: allow all
     || corsOrigins.includes(normalizedOrigin)                        // production: exact match
-    || isWidgetRequest;                                              // production: widget embeds with API key
+    || isWidgetRequest                                               // production: widget embeds with API key
+    || isPriceStream;                                                // production: public price stream
 
   if (allowed && normalizedOrigin) {
     res.setHeader('Access-Control-Allow-Origin', normalizedOrigin);
@@ -231,6 +271,8 @@ app.use(compression({
   filter: (req, res) => {
     // Don't compress for clients that don't accept it
     if (req.headers['x-no-compression']) return false;
+    // Never compress SSE — compression buffers writes and delays events
+    if ((res.getHeader('Content-Type') || '').toString().startsWith('text/event-stream')) return false;
     // Use compression's default filter
     return compression.filter(req, res);
   }
@@ -239,6 +281,8 @@ app.use(compression({
 // Request timeout middleware - prevent hung requests and abort in-flight work
 const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT_MS, 10) || 30000;
 app.use((req, res, next) => {
+  // SSE streams are long-lived by design and manage their own lifetime
+  if (req.path.startsWith('/api/stream/')) return next();
   req.setTimeout(REQUEST_TIMEOUT);
   res.setTimeout(REQUEST_TIMEOUT, () => {
     if (!res.headersSent) {
@@ -286,9 +330,9 @@ app.use((req, res, next) => {
 // Rate limiting for API routes
 app.use('/api/', defaultLimiter);
 
-// Device session middleware — resolves wallet from X-Device-Session header (non-blocking)
-const { validateDeviceSession } = require('./middleware/validation');
-app.use('/api/', validateDeviceSession);
+// Session middleware — resolves the wallet from a Bearer session or legacy X-Device-Session header (non-blocking)
+const { validateWalletSession } = require('./middleware/validation');
+app.use('/api/', validateWalletSession);
 
 // Health check routes (no rate limiting)
 app.use('/health', healthRoutes);
@@ -306,9 +350,14 @@ app.use('/api/hackathon', hackathonRoutes);
 app.use('/api/ogfinder', ogfinderRoutes);
 app.use('/api/burn-credits', burnCreditsRoutes);
 app.use('/api/auth/device-session', deviceAuthRoutes);
+app.use('/api/auth', authRoutes);
 app.use('/api/folios', folioRoutes);
 app.use('/api/daily-brief', dailyBriefRoutes);
 app.use('/api/bags', bagsRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api/screener', screenerRoutes);
+app.use('/api/push', pushRoutes);
 
 // Public API (v1) - requires API key for most endpoints
 app.use('/api/v1', publicApiRoutes);
@@ -343,7 +392,9 @@ app.get('/', (req, res) => {
       submissions: '/api/submissions',
       votes: '/api/votes',
       watchlist: '/api/watchlist',
+      portfolio: '/api/wallets/:address/portfolio',
       health: '/health',
+      priceStream: '/api/stream/prices?mints=',
       publicApi: '/api/v1 (requires API key)'
     }
   });
@@ -442,6 +493,13 @@ async function gracefulShutdown(signal) {
   const isError = signal === 'uncaughtException' || signal === 'unhandledRejection';
   const exitCode = isError ? 1 : 0;
 
+  // Close open price streams first — SSE connections would otherwise keep the server from draining
+  try {
+    await require('./services/priceFeed').shutdown();
+  } catch (err) {
+    console.error('[Shutdown] Price feed shutdown error:', err.message);
+  }
+
   // Stop accepting new connections and await in-flight request drain
   if (httpServer) {
     await new Promise(resolve => {
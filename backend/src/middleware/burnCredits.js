@@ -0,0 +1,123 @@
+/**
+ * Burn Credit charging middleware
+ * Reserves the cost of a registered paid feature (services/burnFeatures.js) before
+ * the route handler runs, then captures it when the handler responds successfully or
+ * refunds it when the handler fails, per the feature's refund policy.
+ */
+
+const db = require('../services/database');
+const { resolveFeature, REFUND_POLICIES } = require('../services/burnFeatures');
+const { SOLANA_ADDRESS_REGEX } = require('./validation');
+
+function shouldRefund(policy, statusCode) {
+  if (policy === REFUND_POLICIES.ANY_ERROR) return statusCode >= 300;
+  if (policy === REFUND_POLICIES.SERVER_ERROR) return statusCode >= 500;
+  return false;
+}
+
+/**
+ * Charge Burn Credits for a paid feature
+ * Place after everything that can short-circuit for free (validation, cache hits).
+ * The paying wallet is req.body.walletAddress. On success sets req.burnCharge, whose
+ * refund(reason) lets the handler waive the charge before it responds.
+ *
+ * @param {string} featureKey - A key registered in services/burnFeatures.js
+ * @param {Object} [options]
+ * @param {(req) => Object} [options.metadata] - Stored with the spend record
+ */
+function requireBurnCredits(featureKey, { metadata } = {}) {
+  return async (req, res, next) => {
+    try {
+      const feature = await resolveFeature(featureKey);
+      if (!feature) {
+        throw new Error(`Unknown burn feature: ${featureKey}`);
+      }
+
+      const walletAddress = req.body?.walletAddress;
+      if (!walletAddress || !SOLANA_ADDRESS_REGEX.test(walletAddress)) {
+        return res.status(400).json({
+          error: `Wallet connection required to use ${feature.label}`,
+          code: 'WALLET_REQUIRED'
+        });
+      }
+
+      if (!db.isReady()) {
+        return res.status(503).json({ error: 'Burn Credits temporarily unavailable' });
+      }
+
+      const result = await db.reserveBurnCredits(walletAddress, feature.cost, feature.key, {
+        dailyLimit: feature.dailyLimit,
+        metadata: metadata ? metadata(req) : {}
+      });
+
+      if (!result.reserved) {
+        // 403 rather than 429: clients treat 429 as a transient rate limit and retry
+        if (result.reason === 'daily_limit') {
+          return res.status(403).json({
+            error: `Daily limit reached. ${feature.label} can be used ${feature.dailyLimit} times per 24 hours.`,
+            code: 'DAILY_LIMIT',
+            limit: feature.dailyLimit,
+            used: result.used
+          });
+        }
+        return res.status(402).json({
+          error: `Insufficient Burn Credits. ${feature.label} costs ${feature.cost} BC.`,
+          code: 'INSUFFICIENT_BC',
+          required: feature.cost,
+          balance: result.balance
+        });
+      }
+
+      const refund = (reason) => {
+        db.refundBurnCredits(result.spendId, reason)
+          .then(refunded => {
+            if (refunded) {
+              console.log(`[BurnCredits] Refunded ${feature.cost} BC to ${walletAddress.slice(0, 8)}... for ${feature.key} (${reason})`);
+            }
+          })
+          .catch(err => console.error(`[BurnCredits] Refund failed for spend ${result.spendId}:`, err.message));
+      };
+
+      // Settle once the handler produces its response — even if the client has
+      // already gone, since the handler has done the work (and cached it) by then.
+      // Errors passed to next() also end here via the error handler's 5xx response.
+      // Anything left reserved (e.g. a crash mid-request) is refunded by cleanup.
+      let settled = false;
+
+      req.burnCharge = {
+        feature: feature.key,
+        spendId: result.spendId,
+        cost: feature.cost,
+        balance: result.balance,
+        // For handlers that answer successfully without doing the paid work
+        refund: (reason) => {
+          if (settled) return;
+          settled = true;
+          refund(reason);
+        }
+      };
+
+      const end = res.end;
+      res.end = function (...args) {
+        if (!settled) {
+          settled = true;
+          if (shouldRefund(feature.refund, res.statusCode)) {
+            refund(`HTTP ${res.statusCode}`);
+          } else {
+            db.captureBurnCredits(result.spendId)
+              .catch(err => console.error(`[BurnCredits] Capture failed for spend ${result.spendId}:`, err.message));
+          }
+        }
+        return end.apply(this, args);
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  requireBurnCredits
+};
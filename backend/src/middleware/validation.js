@@ -215,9 +215,9 @@ function validateSubmission(req, res, next) {
   const { tokenMint, submissionType, contentUrl } = req.body;
   const validTypes = ['banner', 'twitter', 'telegram', 'discord', 'tiktok', 'website'];
 
-  // Fall back to device session wallet if not provided in body
-  if (!req.body.submitterWallet && req.deviceWallet) {
-    req.body.submitterWallet = req.deviceWallet;
+  // Fall back to the session wallet if not provided in body
+  if (!req.body.submitterWallet && req.sessionWallet) {
+    req.body.submitterWallet = req.sessionWallet;
   }
 
   // Required fields
@@ -291,8 +291,8 @@ function validateSubmission(req, res, next) {
 // Validate vote input
 function validateVote(req, res, next) {
   const { submissionId, voteType } = req.body;
-  // Fall back to device session wallet if not provided in body
-  const voterWallet = req.body.voterWallet || req.deviceWallet;
+  // Fall back to the session wallet if not provided in body
+  const voterWallet = req.body.voterWallet || req.sessionWallet;
 
   if (!submissionId || !voterWallet || !voteType) {
     return res.status(400).json({
@@ -368,6 +368,178 @@ function validateSearch(req, res, next) {
   next();
 }
 
+// ==========================================
+// Screener filter DSL
+// ==========================================
+// A screen is a space-separated list of `field:condition` terms, all of which must match:
+//   mcap:100k-5m liq:>50k age:<7d holders:>500 top10:<30 banner:yes bullish:>60
+// Conditions are `>x`, `>=x`, `<x`, `<=x`, an inclusive range `a-b`, or a bare value (exact match).
+// Numbers take k/m/b suffixes and an optional trailing %; age takes m/h/d/w durations.
+
+const SCREENER_FIELDS = {
+  mcap: { type: 'number', label: 'Market cap' },
+  liquidity: { type: 'number', label: 'Liquidity' },
+  volume: { type: 'number', label: '24h volume' },
+  change: { type: 'number', label: '24h price change %' },
+  age: { type: 'duration', label: 'Pair age' },
+  holders: { type: 'number', label: 'Holder count' },
+  top10: { type: 'number', label: 'Top 10 holder share %' },
+  conviction: { type: 'number', label: 'Diamond hands (1m+) %' },
+  bullish: { type: 'number', label: 'Bullish sentiment %' },
+  sentiment: { type: 'number', label: 'Net sentiment score' },
+  votes: { type: 'number', label: 'Sentiment votes' },
+  calls: { type: 'number', label: 'Calls in the last 24h' },
+  banner: { type: 'boolean', label: 'Has an approved community banner' }
+};
+
+const SCREENER_ALIASES = {
+  mc: 'mcap',
+  marketcap: 'mcap',
+  liq: 'liquidity',
+  vol: 'volume',
+  chg: 'change',
+  top: 'top10',
+  diamond: 'conviction'
+};
+
+const SCREENER_SORTS = Object.keys(SCREENER_FIELDS).filter(f => SCREENER_FIELDS[f].type !== 'boolean');
+const MAX_SCREENER_QUERY_LENGTH = 300;
+const MAX_SCREENER_TERMS = 12;
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parse one screener value; returns NaN when it doesn't fit the field type
+function parseScreenerValue(raw, type) {
+  if (type === 'duration') {
+    const match = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(raw);
+    return match ? parseFloat(match[1]) * DURATION_UNITS[match[2]] : NaN;
+  }
+  const match = /^(-?\d+(?:\.\d+)?)([kmb])?%?$/.exec(raw);
+  return match ? parseFloat(match[1]) * (match[2] ? NUMBER_SUFFIXES[match[2]] : 1) : NaN;
+}
+
+/**
+ * Parse a screener query into normalized filters
+ * @param {string} query - e.g. "mcap:100k-5m liq:>50k banner:yes"
+ * @returns {{ filters: Array<{field: string, op: string, value?: number|boolean, min?: number, max?: number}>, error?: string }}
+ */
+function parseScreenerQuery(query) {
+  if (typeof query !== 'string' || !query.trim()) {
+    return { filters: [], error: 'Screener query is required' };
+  }
+  if (query.length > MAX_SCREENER_QUERY_LENGTH) {
+    return { filters: [], error: `Screener query must be ${MAX_SCREENER_QUERY_LENGTH} characters or less` };
+  }
+
+  const terms = query.trim().toLowerCase().split(/\s+/);
+  if (terms.length > MAX_SCREENER_TERMS) {
+    return { filters: [], error: `Screener query can have at most ${MAX_SCREENER_TERMS} filters` };
+  }
+
+  const filters = [];
+  for (const term of terms) {
+    const sep = term.indexOf(':');
+    if (sep <= 0 || sep === term.length - 1) {
+      return { filters: [], error: `Invalid filter "${term}" — use field:condition, e.g. mcap:>100k` };
+    }
+
+    const name = term.slice(0, sep);
+    const field = SCREENER_ALIASES[name] || name;
+    const spec = SCREENER_FIELDS[field];
+    if (!spec) {
+      return { filters: [], error: `Unknown screener field "${name}"` };
+    }
+
+    const condition = term.slice(sep + 1);
+
+    if (spec.type === 'boolean') {
+      if (['yes', 'true', '1'].includes(condition)) {
+        filters.push({ field, op: 'eq', value: true });
+      } else if (['no', 'false', '0'].includes(condition)) {
+        filters.push({ field, op: 'eq', value: false });
+      } else {
+        return { filters: [], error: `"${name}" must be yes or no` };
+      }
+      continue;
+    }
+
+    const opMatch = /^(>=|<=|>|<)(.+)$/.exec(condition);
+    if (opMatch) {
+      const value = parseScreenerValue(opMatch[2], spec.type);
+      if (!Number.isFinite(value)) {
+        return { filters: [], error: `Invalid value in "${term}"` };
+      }
+      const op = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' }[opMatch[1]];
+      filters.push({ field, op, value });
+      continue;
+    }
+
+    // Range a-b; the separator is the first '-' that isn't a leading minus sign
+    const dash = condition.indexOf('-', 1);
+    if (dash > 0) {
+      const min = parseScreenerValue(condition.slice(0, dash), spec.type);
+      const max = parseScreenerValue(condition.slice(dash + 1), spec.type);
+      if (!Number.isFinite(min) || !Number.isFinite(max)) {
+        return { filters: [], error: `Invalid range in "${term}"` };
+      }
+      if (min > max) {
+        return { filters: [], error: `Range in "${term}" must be low-high` };
+      }
+      filters.push({ field, op: 'between', min, max });
+      continue;
+    }
+
+    const value = parseScreenerValue(condition, spec.type);
+    if (!Number.isFinite(value)) {
+      return { filters: [], error: `Invalid value in "${term}"` };
+    }
+    filters.push({ field, op: 'eq', value });
+  }
+
+  return { filters };
+}
+
+// Validate a screener request: ?q= filters plus sort/order/limit/offset
+// Sets req.screener = { query, filters, sort, order, limit, offset }
+function validateScreenerQuery(req, res, next) {
+  const { q, sort, order, limit, offset } = req.query;
+
+  const { filters, error } = parseScreenerQuery(q);
+  if (error) {
+    return res.status(400).json({ error, code: 'INVALID_SCREENER_QUERY' });
+  }
+
+  const sortField = sort ? (SCREENER_ALIASES[sort] || sort) : 'mcap';
+  if (!SCREENER_SORTS.includes(sortField)) {
+    return res.status(400).json({ error: `Sort must be one of: ${SCREENER_SORTS.join(', ')}` });
+  }
+
+  if (order && !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ error: 'Order must be "asc" or "desc"' });
+  }
+
+  const limitNum = limit ? parseInt(limit) : 50;
+  if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+    return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+  }
+
+  const offsetNum = offset ? parseInt(offset) : 0;
+  if (isNaN(offsetNum) || offsetNum < 0) {
+    return res.status(400).json({ error: 'Offset must be 0 or greater' });
+  }
+
+  req.screener = {
+    query: q.trim().replace(/\s+/g, ' '),
+    filters,
+    sort: sortField,
+    order: order || 'desc',
+    limit: limitNum,
+    offset: offsetNum
+  };
+  next();
+}
+
 // Generic error handler wrapper
 // Handles both sync and async errors properly
 function asyncHandler(fn) {
@@ -754,8 +926,8 @@ async function validateVoteSignature(req, res, next) {
  */
 function validateBatchVotes(req, res, next) {
   const { votes } = req.body;
-  // Fall back to device session wallet if not provided in body
-  const voterWallet = req.body.voterWallet || req.deviceWallet;
+  // Fall back to the session wallet if not provided in body
+  const voterWallet = req.body.voterWallet || req.sessionWallet;
 
   // Validate required fields
   if (!votes || !voterWallet) {
@@ -980,8 +1152,8 @@ async function validateSubmissionSignature(req, res, next) {
  */
 function validateBatchSubmissions(req, res, next) {
   const { tokenMint, submissions, category } = req.body;
-  // Fall back to device session wallet if not provided in body
-  const submitterWallet = req.body.submitterWallet || req.deviceWallet;
+  // Fall back to the session wallet if not provided in body
+  const submitterWallet = req.body.submitterWallet || req.sessionWallet;
   const validTypes = ['banner', 'twitter', 'telegram', 'discord', 'tiktok', 'website'];
   const validCategories = ['tech', 'meme'];
 
@@ -1186,9 +1358,9 @@ async function validateBatchSubmissionSignature(req, res, next) {
 
 /**
  * Create signature message for watchlist operations
- * @param {string} action - 'add' or 'remove'
+ * @param {string} action - 'add', 'remove', 'update', 'create', 'rename', 'delete' or 'import'
  * @param {string} wallet - The wallet address
- * @param {string} tokenMint - The token mint address
+ * @param {string} tokenMint - The token mint address, or the subject from watchlistSignatureSubject
  * @param {number} timestamp - Unix timestamp in milliseconds
  * @returns {string} The message to sign
  */
@@ -1196,6 +1368,36 @@ function createWatchlistSignatureMessage(action, wallet, tokenMint, timestamp) {
   return `OpenDex Watchlist: ${action} ${tokenMint} for ${wallet} at ${timestamp}`;
 }
 
+/**
+ * Action and subject a watchlist request signs, by route:
+ *   POST|PATCH|DELETE /        add|update|remove <tokenMint>
+ *   POST /groups               create group "<name>"
+ *   PATCH /groups/:id          rename group <id> to "<name>"
+ *   DELETE /groups/:id         delete group <id>
+ *   POST /import               import <format>
+ * @param {Object} req - Express request (route-level, so req.route is set)
+ * @returns {{action: string, subject: string}}
+ */
+function watchlistSignatureSubject(req) {
+  const { name, format, tokenMint } = req.body;
+  const routePath = req.route?.path;
+
+  if (routePath === '/groups') {
+    return { action: 'create', subject: `group "${name || ''}"` };
+  }
+  if (routePath === '/groups/:id') {
+    return req.method === 'DELETE'
+      ? { action: 'delete', subject: `group ${req.params.id}` }
+      : { action: 'rename', subject: `group ${req.params.id} to "${name || ''}"` };
+  }
+  if (routePath === '/import') {
+    return { action: 'import', subject: format || '' };
+  }
+
+  const action = req.method === 'DELETE' ? 'remove' : req.method === 'PATCH' ? 'update' : 'add';
+  return { action, subject: tokenMint || '' };
+}
+
 /**
  * Create signature message for sentiment votes
  * @param {string} sentiment - 'bullish' or 'bearish'
@@ -1219,6 +1421,63 @@ function createCallSignatureMessage(mint, wallet, timestamp) {
   return `OpenDex Call: ${mint} by ${wallet} at ${timestamp}`;
 }
 
+/**
+ * Create signature message for following / unfollowing a caller
+ * @param {string} action - 'follow' or 'unfollow'
+ * @param {string} callerWallet - The wallet being followed
+ * @param {string} wallet - The follower wallet address
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} The message to sign
+ */
+function createFollowSignatureMessage(action, callerWallet, wallet, timestamp) {
+  return `OpenDex Follow: ${action} ${callerWallet} for ${wallet} at ${timestamp}`;
+}
+
+/**
+ * Create signature message for saving / deleting a screener preset
+ * @param {string} action - 'save' or 'delete'
+ * @param {string} name - The saved screen name
+ * @param {string} wallet - The owner wallet address
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} The message to sign
+ */
+function createScreenSignatureMessage(action, name, wallet, timestamp) {
+  return `OpenDex Screen: ${action} "${name}" for ${wallet} at ${timestamp}`;
+}
+
+/**
+ * Create signature message for push notification subscriptions and alert rules
+ * @param {string} action - 'subscribe', 'add' or 'delete'
+ * @param {string} subject - From pushSignatureSubject
+ * @param {string} wallet - The owner wallet address
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @returns {string} The message to sign
+ */
+function createPushSignatureMessage(action, subject, wallet, timestamp) {
+  return `OpenDex Push: ${action} ${subject} for ${wallet} at ${timestamp}`;
+}
+
+/**
+ * Action and subject a push request signs, by route:
+ *   POST /subscriptions        subscribe alerts
+ *   POST /rules                add <type> <tokenMint>
+ *   DELETE /rules/:id          delete rule <id>
+ * @param {Object} req - Express request (route-level, so req.route is set)
+ * @returns {{action: string, subject: string}}
+ */
+function pushSignatureSubject(req) {
+  const { type, tokenMint } = req.body;
+  const routePath = req.route?.path;
+
+  if (routePath === '/rules/:id') {
+    return { action: 'delete', subject: `rule ${req.params.id}` };
+  }
+  if (routePath === '/rules') {
+    return { action: 'add', subject: `${type || ''} ${tokenMint || ''}` };
+  }
+  return { action: 'subscribe', subject: 'alerts' };
+}
+
 /**
  * Create signature message for API key registration
  * @param {string} wallet - The wallet address
@@ -1264,9 +1523,8 @@ async function validateWatchlistSignature(req, res, next) {
     return res.status(400).json({ error: 'Invalid signature format', code: 'INVALID_SIGNATURE_FORMAT' });
   }
 
-  const tokenMint = req.body.tokenMint || '';
-  const action = req.method === 'DELETE' ? 'remove' : 'add';
-  const expectedMessage = createWatchlistSignatureMessage(action, wallet, tokenMint, timestamp);
+  const { action, subject } = watchlistSignatureSubject(req);
+  const expectedMessage = createWatchlistSignatureMessage(action, wallet, subject, timestamp);
 
   // Replay protection
   const sigKey = signature.join(',');
@@ -1284,6 +1542,36 @@ async function validateWatchlistSignature(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to require a wallet signature for watchlist edits (entry details,
+ * groups, import) — these write fields only the owner can read back, so they
+ * can't be made on behalf of an unproven wallet. A session for the same wallet
+ * (signed in, or a linked device) stands in for the signature.
+ */
+async function requireWatchlistSignature(req, res, next) {
+  const { wallet, signature, signatureTimestamp } = req.body;
+
+  if (!wallet || !SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!signature || !signatureTimestamp) {
+    if (req.sessionWallet && req.sessionWallet === wallet) {
+      return next();
+    }
+    if (req.sessionExpired) {
+      return res.status(401).json(SESSION_EXPIRED_RESPONSE);
+    }
+    return res.status(400).json({
+      error: 'Signature required',
+      message: 'Please sign the request with your wallet',
+      code: 'SIGNATURE_REQUIRED'
+    });
+  }
+
+  return validateWatchlistSignature(req, res, next);
+}
+
 /**
  * Middleware to validate wallet signature for sentiment votes
  * Signature is optional — if not provided, skip validation
@@ -1391,6 +1679,200 @@ async function validateCallSignature(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to validate wallet signature for caller follows
+ * Signature is required — a follow changes what another wallet's feed shows,
+ * so it can't be made on behalf of an unproven wallet. A session for the same
+ * wallet (signed in, or a linked device) stands in for the signature.
+ */
+async function validateFollowSignature(req, res, next) {
+  const { wallet, signature, signatureTimestamp } = req.body;
+
+  if (!wallet || !SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!signature || !signatureTimestamp) {
+    if (req.sessionWallet && req.sessionWallet === wallet) {
+      return next();
+    }
+    if (req.sessionExpired) {
+      return res.status(401).json(SESSION_EXPIRED_RESPONSE);
+    }
+    return res.status(400).json({
+      error: 'Signature required',
+      message: 'Please sign the request with your wallet',
+      code: 'SIGNATURE_REQUIRED'
+    });
+  }
+
+  const now = Date.now();
+  const timestamp = parseInt(signatureTimestamp);
+
+  if (isNaN(timestamp)) {
+    return res.status(400).json({ error: 'Invalid timestamp', code: 'INVALID_TIMESTAMP' });
+  }
+
+  if (now - timestamp > SIGNATURE_EXPIRY_MS) {
+    return res.status(400).json({ error: 'Signature expired', message: 'Please sign a fresh request', code: 'SIGNATURE_EXPIRED' });
+  }
+
+  if (timestamp > now + 10000) {
+    return res.status(400).json({ error: 'Invalid timestamp', message: 'Signature timestamp is in the future', code: 'INVALID_TIMESTAMP' });
+  }
+
+  if (!Array.isArray(signature) || signature.length !== 64) {
+    return res.status(400).json({ error: 'Invalid signature format', code: 'INVALID_SIGNATURE_FORMAT' });
+  }
+
+  const callerWallet = req.body.callerWallet || '';
+  const action = req.method === 'DELETE' ? 'unfollow' : 'follow';
+  const expectedMessage = createFollowSignatureMessage(action, callerWallet, wallet, timestamp);
+
+  // Replay protection
+  const sigKey = signature.join(',');
+  if (await isSignatureUsed(sigKey)) {
+    return res.status(400).json({ error: 'Signature already used', code: 'SIGNATURE_REPLAY' });
+  }
+
+  const isValid = verifyWalletSignature(expectedMessage, signature, wallet);
+
+  if (!isValid) {
+    return res.status(401).json({ error: 'Invalid signature', message: 'Wallet signature verification failed', code: 'INVALID_SIGNATURE' });
+  }
+
+  await markSignatureUsed(sigKey, SIGNATURE_EXPIRY_MS);
+  next();
+}
+
+/**
+ * Middleware to validate wallet signature for saved screens
+ * Signature is required — saved screens are listed publicly per wallet and run
+ * from the Telegram bot, so only the owner may change them. A session for the
+ * same wallet stands in for the signature.
+ */
+async function validateScreenSignature(req, res, next) {
+  const { wallet, name, signature, signatureTimestamp } = req.body;
+
+  if (!wallet || !SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!signature || !signatureTimestamp) {
+    if (req.sessionWallet && req.sessionWallet === wallet) {
+      return next();
+    }
+    if (req.sessionExpired) {
+      return res.status(401).json(SESSION_EXPIRED_RESPONSE);
+    }
+    return res.status(400).json({
+      error: 'Signature required',
+      message: 'Please sign the request with your wallet',
+      code: 'SIGNATURE_REQUIRED'
+    });
+  }
+
+  const now = Date.now();
+  const timestamp = parseInt(signatureTimestamp);
+
+  if (isNaN(timestamp)) {
+    return res.status(400).json({ error: 'Invalid timestamp', code: 'INVALID_TIMESTAMP' });
+  }
+
+  if (now - timestamp > SIGNATURE_EXPIRY_MS) {
+    return res.status(400).json({ error: 'Signature expired', message: 'Please sign a fresh request', code: 'SIGNATURE_EXPIRED' });
+  }
+
+  if (timestamp > now + 10000) {
+    return res.status(400).json({ error: 'Invalid timestamp', message: 'Signature timestamp is in the future', code: 'INVALID_TIMESTAMP' });
+  }
+
+  if (!Array.isArray(signature) || signature.length !== 64) {
+    return res.status(400).json({ error: 'Invalid signature format', code: 'INVALID_SIGNATURE_FORMAT' });
+  }
+
+  const action = req.method === 'DELETE' ? 'delete' : 'save';
+  const expectedMessage = createScreenSignatureMessage(action, typeof name === 'string' ? name : '', wallet, timestamp);
+
+  // Replay protection
+  const sigKey = signature.join(',');
+  if (await isSignatureUsed(sigKey)) {
+    return res.status(400).json({ error: 'Signature already used', code: 'SIGNATURE_REPLAY' });
+  }
+
+  const isValid = verifyWalletSignature(expectedMessage, signature, wallet);
+
+  if (!isValid) {
+    return res.status(401).json({ error: 'Invalid signature', message: 'Wallet signature verification failed', code: 'INVALID_SIGNATURE' });
+  }
+
+  await markSignatureUsed(sigKey, SIGNATURE_EXPIRY_MS);
+  next();
+}
+
+/**
+ * Middleware to validate wallet signature for push subscriptions and alert rules
+ * Required unless the request carries a session for the wallet
+ */
+async function validatePushSignature(req, res, next) {
+  const { wallet, signature, signatureTimestamp } = req.body;
+
+  if (!wallet || !SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!signature || !signatureTimestamp) {
+    if (req.sessionWallet && req.sessionWallet === wallet) {
+      return next();
+    }
+    if (req.sessionExpired) {
+      return res.status(401).json(SESSION_EXPIRED_RESPONSE);
+    }
+    return res.status(400).json({
+      error: 'Signature required',
+      message: 'Please sign the request with your wallet',
+      code: 'SIGNATURE_REQUIRED'
+    });
+  }
+
+  const now = Date.now();
+  const timestamp = parseInt(signatureTimestamp);
+
+  if (isNaN(timestamp)) {
+    return res.status(400).json({ error: 'Invalid timestamp', code: 'INVALID_TIMESTAMP' });
+  }
+
+  if (now - timestamp > SIGNATURE_EXPIRY_MS) {
+    return res.status(400).json({ error: 'Signature expired', message: 'Please sign a fresh request', code: 'SIGNATURE_EXPIRED' });
+  }
+
+  if (timestamp > now + 10000) {
+    return res.status(400).json({ error: 'Invalid timestamp', message: 'Signature timestamp is in the future', code: 'INVALID_TIMESTAMP' });
+  }
+
+  if (!Array.isArray(signature) || signature.length !== 64) {
+    return res.status(400).json({ error: 'Invalid signature format', code: 'INVALID_SIGNATURE_FORMAT' });
+  }
+
+  const { action, subject } = pushSignatureSubject(req);
+  const expectedMessage = createPushSignatureMessage(action, subject, wallet, timestamp);
+
+  // Replay protection
+  const sigKey = signature.join(',');
+  if (await isSignatureUsed(sigKey)) {
+    return res.status(400).json({ error: 'Signature already used', code: 'SIGNATURE_REPLAY' });
+  }
+
+  const isValid = verifyWalletSignature(expectedMessage, signature, wallet);
+
+  if (!isValid) {
+    return res.status(401).json({ error: 'Invalid signature', message: 'Wallet signature verification failed', code: 'INVALID_SIGNATURE' });
+  }
+
+  await markSignatureUsed(sigKey, SIGNATURE_EXPIRY_MS);
+  next();
+}
+
 /**
  * Middleware to validate wallet signature for API key registration
  * Signature is optional — if not provided, skip validation
@@ -1543,19 +2025,94 @@ function generateDeviceSessionToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-// Middleware to resolve wallet from device session (non-blocking)
-async function validateDeviceSession(req, res, next) {
+// ==========================================
+// Wallet Sessions (Sign-In-With-Solana)
+// ==========================================
+
+// Session tokens are stored hashed, like API keys
+function hashSessionToken(token) {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Login nonce (16 random bytes = 32 hex chars)
+function generateAuthNonce() {
+  const crypto = require('crypto');
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Create the Sign-In-With-Solana message
+ * Follows the SIWS/EIP-4361 layout so wallets can show it as a login request.
+ * The domain binds the signature to the site that asked for it.
+ *
+ * @param {Object} params
+ * @param {string} params.domain - Host of the requesting site (e.g. opendex.online)
+ * @param {string} params.wallet - The wallet address
+ * @param {string} params.nonce - Single-use nonce from /api/auth/nonce
+ * @param {Date|string} params.issuedAt - When the nonce was issued
+ * @param {Date|string} params.expiresAt - When the nonce expires
+ * @returns {string} The message to sign
+ */
+function createSignInMessage({ domain, wallet, nonce, issuedAt, expiresAt }) {
+  return `${domain} wants you to sign in with your Solana account:\n` +
+    `${wallet}\n\n` +
+    `Sign in to OpenDex. This request does not trigger a blockchain transaction or cost any fees.\n\n` +
+    `URI: https://${domain}\n` +
+    `Version: 1\n` +
+    `Chain ID: mainnet\n` +
+    `Nonce: ${nonce}\n` +
+    `Issued At: ${new Date(issuedAt).toISOString()}\n` +
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`;
+}
+
+// Sent when a route needs the session but the Bearer token is unknown or expired
+const SESSION_EXPIRED_RESPONSE = {
+  error: 'Session expired',
+  message: 'Please sign in again',
+  code: 'SESSION_EXPIRED'
+};
+
+/**
+ * Middleware to resolve the wallet behind a session (non-blocking)
+ * Accepts a Bearer access token (Sign-In-With-Solana or an activated device
+ * link) or a legacy X-Device-Session token from before device links issued
+ * wallet sessions. Sets req.sessionWallet, which signature middleware accepts
+ * in place of a per-request signature for the same wallet.
+ *
+ * An unknown or expired Bearer token is ignored here (the request carries on
+ * signed out) and flagged as req.sessionExpired; routes that need the session
+ * answer 401 SESSION_EXPIRED so the client knows to refresh.
+ */
+async function validateWalletSession(req, res, next) {
   const db = require('../services/database');
-  const sessionToken = req.header('X-Device-Session');
+  const bearer = (req.header('Authorization') || '').match(/^Bearer ([a-f0-9]{64})$/i);
+
+  if (bearer && db.isReady()) {
+    let session;
+    try {
+      session = await db.getWalletSessionByAccessToken(hashSessionToken(bearer[1]));
+    } catch (_) {
+      // Silent — session auth is supplementary
+      return next();
+    }
 
+    if (session) {
+      req.walletSession = session;
+      req.sessionWallet = session.wallet_address;
+      return next();
+    }
+    req.sessionExpired = true;
+  }
+
+  const sessionToken = req.header('X-Device-Session');
   if (!sessionToken) return next();
   if (!/^[a-f0-9]{64}$/i.test(sessionToken)) return next();
 
   try {
     const session = await db.getDeviceSession(sessionToken);
     if (session && session.activated) {
-      req.deviceSession = session;
-      req.deviceWallet = session.wallet_address;
+      req.sessionWallet = session.wallet_address;
     }
   } catch (_) {
     // Silent — device session is supplementary auth
@@ -1592,6 +2149,8 @@ module.exports = {
   validateVote,
   validatePagination,
   validateSearch,
+  validateScreenerQuery,
+  parseScreenerQuery,
   asyncHandler,
   requireDatabase,
   sanitizeString,
@@ -1618,10 +2177,17 @@ module.exports = {
   createWatchlistSignatureMessage,
   createSentimentSignatureMessage,
   createCallSignatureMessage,
+  createFollowSignatureMessage,
+  createScreenSignatureMessage,
+  createPushSignatureMessage,
   createApiKeySignatureMessage,
   validateWatchlistSignature,
+  requireWatchlistSignature,
   validateSentimentSignature,
   validateCallSignature,
+  validateFollowSignature,
+  validateScreenSignature,
+  validatePushSignature,
   validateApiKeySignature,
   SIGNATURE_EXPIRY_MS,
   // Admin functions
@@ -1629,9 +2195,13 @@ module.exports = {
   verifyAdminPassword,
   validateAdminSession,
   ADMIN_SESSION_DURATION_MS,
-  // Device session functions
+  // Session functions
   generateDeviceSessionToken,
-  validateDeviceSession,
+  hashSessionToken,
+  generateAuthNonce,
+  createSignInMessage,
+  validateWalletSession,
+  SESSION_EXPIRED_RESPONSE,
   // Cleanup
   stopSignatureCleanup,
   // Signature replay helpers (used by burn credits route)
@@ -1642,5 +2212,7 @@ module.exports = {
   BLOCKED_DOMAINS,
   SUSPICIOUS_PATTERNS,
   MAX_URL_LENGTH,
+  SCREENER_FIELDS,
+  SCREENER_SORTS,
   catchUnlessOverloaded
 };
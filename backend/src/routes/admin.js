@@ -6,6 +6,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
+const webhooks = require('../services/webhooks');
+const burnFeatures = require('../services/burnFeatures');
+const burnCreditsRoute = require('./burnCredits');
+const ai = require('../services/ai');
+const spikeService = require('../services/spikes');
+const sentimentSettings = require('../services/sentimentSettings');
 const jupiterService = require('../services/jupiter');
 const {
   asyncHandler,
@@ -301,6 +307,8 @@ router.patch('/submissions/:id/status',
       await cache.clearPattern(keys.submissions(updated.token_mint) + '*');
     }
 
+    webhooks.emitSubmissionStatus(updated);
+
     res.json({
       success: true,
       data: updated
@@ -531,6 +539,114 @@ router.delete('/api-keys/:id',
   })
 );
 
+// ==========================================
+// Webhooks
+// ==========================================
+
+/**
+ * GET /admin/webhooks
+ * List registered webhooks with 24h delivery stats
+ */
+router.get('/webhooks',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const result = await db.getAllWebhooks({
+      limit: Math.min(parseInt(limit) || 50, 100),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: result.webhooks,
+        total: result.total,
+        limit: parseInt(limit) || 50,
+        offset: parseInt(offset) || 0
+      }
+    });
+  })
+);
+
+/**
+ * GET /admin/webhooks/deliveries
+ * Webhook delivery log (newest first)
+ * Query: status? (pending|success|failed), webhookId?, limit?, offset?
+ */
+router.get('/webhooks/deliveries',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const { status, webhookId, limit = 50, offset = 0 } = req.query;
+
+    if (status && !['pending', 'success', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status filter'
+      });
+    }
+
+    const result = await db.getWebhookDeliveries({
+      status: status || null,
+      webhookId: parseInt(webhookId) || null,
+      limit: Math.min(parseInt(limit) || 50, 100),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: result.deliveries,
+        total: result.total,
+        limit: parseInt(limit) || 50,
+        offset: parseInt(offset) || 0
+      }
+    });
+  })
+);
+
+/**
+ * PATCH /admin/webhooks/:id
+ * Enable or disable a webhook. Body: { isActive: boolean }
+ */
+router.patch('/webhooks/:id',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const webhookId = parseInt(req.params.id);
+    if (isNaN(webhookId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook ID'
+      });
+    }
+
+    const { isActive } = req.body;
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive (boolean) required'
+      });
+    }
+
+    const updated = await db.setWebhookActive(webhookId, isActive);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  })
+);
+
 // ==========================================
 // Tokens Management
 // ==========================================
@@ -602,6 +718,8 @@ router.get('/tokens',
 // In production, you'd want to store this in database
 const adminSettings = {
   developmentMode: false
+  // Sentiment and spike detection settings are stored in the database
+  // (services/sentimentSettings.js, services/spikes.js)
 };
 
 /**
@@ -624,11 +742,10 @@ router.get('/settings/development-mode',
 router.get('/settings',
   validateAdminSession,
   asyncHandler(async (req, res) => {
-    // Load burn config from database
-    let burnConfig = { conversionRate: 1000, aiAnalysisCost: 25 };
+    // Load burn config from database (feature costs live under /admin/burn-features)
+    let burnConfig = { conversionRate: 1000 };
     try {
       burnConfig.conversionRate = await db.getBurnConversionRate();
-      burnConfig.aiAnalysisCost = await db.getAIAnalysisCost();
     } catch (e) {
       console.error('[Admin] Failed to load burn config:', e.message);
     }
@@ -637,6 +754,8 @@ router.get('/settings',
       success: true,
       data: {
         developmentMode: adminSettings.developmentMode,
+        sentiment: await sentimentSettings.loadSettings(),
+        spikes: await spikeService.loadSettings(),
         burnConfig
       }
     });
@@ -650,7 +769,7 @@ router.get('/settings',
 router.patch('/settings',
   validateAdminSession,
   asyncHandler(async (req, res) => {
-    const { developmentMode, burnConfig } = req.body;
+    const { developmentMode, sentiment, spikes, burnConfig } = req.body;
 
     if (typeof developmentMode === 'boolean') {
       const previous = adminSettings.developmentMode;
@@ -660,38 +779,47 @@ router.patch('/settings',
       }
     }
 
+    if (sentiment) {
+      const error = await sentimentSettings.updateSettings(sentiment);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const current = sentimentSettings.getSettings();
+      console.log(`[Admin] Sentiment settings: holder verification ${current.holderVerification ? 'on' : 'off'}, ranking ${current.ranking}`);
+    }
+
+    if (spikes) {
+      const error = await spikeService.updateSettings(spikes);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      // Scores and backtests are cached — drop them so the new weights apply immediately
+      await cache.clearPattern('spikes:*');
+      console.log('[Admin] Spike detection settings updated');
+    }
+
     // Update burn config if provided
     if (burnConfig) {
       if (typeof burnConfig.conversionRate === 'number' && burnConfig.conversionRate > 0) {
         await db.setBurnConversionRate(burnConfig.conversionRate);
         console.log(`[Admin] Burn conversion rate updated to ${burnConfig.conversionRate}`);
       }
-      if (typeof burnConfig.aiAnalysisCost === 'number' && burnConfig.aiAnalysisCost >= 0) {
-        await db.setAIAnalysisCost(burnConfig.aiAnalysisCost);
-        console.log(`[Admin] AI analysis cost updated to ${burnConfig.aiAnalysisCost}`);
-      }
-      if (typeof burnConfig.aiAdvancedAnalysisCost === 'number' && burnConfig.aiAdvancedAnalysisCost >= 0) {
-        await db.setAdvancedAIAnalysisCost(burnConfig.aiAdvancedAnalysisCost);
-        console.log(`[Admin] Advanced AI analysis cost updated to ${burnConfig.aiAdvancedAnalysisCost}`);
-      }
     }
 
     // Reload current values, falling back to the just-applied request values
     let currentBurnConfig = {
-      conversionRate: burnConfig?.conversionRate ?? 1000,
-      aiAnalysisCost: burnConfig?.aiAnalysisCost ?? 25,
-      aiAdvancedAnalysisCost: burnConfig?.aiAdvancedAnalysisCost ?? 75
+      conversionRate: burnConfig?.conversionRate ?? 1000
     };
     try {
       currentBurnConfig.conversionRate = await db.getBurnConversionRate();
-      currentBurnConfig.aiAnalysisCost = await db.getAIAnalysisCost();
-      currentBurnConfig.aiAdvancedAnalysisCost = await db.getAdvancedAIAnalysisCost();
     } catch (e) { /* use values from request body */ }
 
     res.json({
       success: true,
       data: {
         developmentMode: adminSettings.developmentMode,
+        sentiment: sentimentSettings.getSettings(),
+        spikes: spikeService.getSettings(),
         burnConfig: currentBurnConfig
       }
     });
@@ -1046,6 +1174,209 @@ router.get('/burn-credits/lookup/:wallet',
   })
 );
 
+/**
+ * GET /admin/burn-credits/reconciliation
+ * Check the Burn Credit ledger against burn and spend records (admin only).
+ * Query: onchain=true also re-verifies the newest `limit` burns (default 25, max 100) on-chain.
+ */
+router.get('/burn-credits/reconciliation',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const ledger = await db.getBurnLedgerReconciliation();
+
+    let onChain = null;
+    if (req.query.onchain === 'true') {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+      onChain = await burnCreditsRoute.reconcileOnChainBurns(limit);
+    }
+
+    const healthy = ledger.unbalancedTransactions.length === 0 &&
+      ledger.missingPostings.length === 0 &&
+      ledger.balanceDrift.length === 0 &&
+      ledger.holds.held === ledger.holds.reserved &&
+      (!onChain || onChain.issues.length === 0);
+
+    res.json({
+      success: true,
+      data: { healthy, ...ledger, onChain, checkedAt: new Date().toISOString() }
+    });
+  })
+);
+
+/**
+ * POST /admin/burn-credits/:id/revoke
+ * Revoke a credited burn or grant and take its credits back (admin only).
+ * Used for burns that reconciliation could not verify on-chain.
+ */
+router.post('/burn-credits/:id/revoke',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id || id < 1) {
+      return res.status(400).json({ success: false, error: 'Invalid burn credit id' });
+    }
+
+    const revoked = await db.revokeBurnCredit(id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Burn credit not found or already revoked' });
+    }
+
+    console.log(`[Admin] Revoked burn credit #${id}: ${revoked.credits_awarded} BC from ${revoked.wallet_address.slice(0, 8)}...`);
+    const balance = await db.getBurnCreditBalance(revoked.wallet_address);
+    res.json({
+      success: true,
+      data: { id, walletAddress: revoked.wallet_address, revoked: parseFloat(revoked.credits_awarded), newBalance: balance.balance }
+    });
+  })
+);
+
+/**
+ * POST /admin/burn-credits/spends/:id/refund
+ * Refund a spend to its wallet (admin only). Body: { reason?: string }
+ */
+router.post('/burn-credits/spends/:id/refund',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!id || id < 1) {
+      return res.status(400).json({ success: false, error: 'Invalid spend id' });
+    }
+
+    const reason = typeof req.body.reason === 'string'
+      ? req.body.reason.replace(/[\x00-\x1F\x7F]/g, '').trim().slice(0, 200)
+      : '';
+
+    const refunded = await db.refundBurnCredits(id, reason || 'admin refund');
+    if (!refunded) {
+      return res.status(404).json({ success: false, error: 'Spend not found or already refunded' });
+    }
+
+    console.log(`[Admin] Refunded burn credit spend #${id} | reason: ${reason || 'none'}`);
+    res.json({ success: true, data: { id, refunded: true } });
+  })
+);
+
+/**
+ * GET /admin/ai-usage
+ * AI provider status, prompt template versions and token usage per feature (admin only).
+ * Query: days (1-90, default 30)
+ */
+router.get('/ai-usage',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+    const rows = await db.getAiUsage(days);
+
+    res.json({
+      success: true,
+      data: {
+        ...ai.getStatus(),
+        days,
+        usage: rows.map(r => ({
+          feature: r.feature,
+          provider: r.provider,
+          model: r.model,
+          promptVersion: r.prompt_version,
+          requests: r.requests,
+          cacheHits: r.cache_hits,
+          failures: r.failures,
+          inputTokens: Number(r.input_tokens),
+          outputTokens: Number(r.output_tokens),
+          lastUsed: r.last_used
+        }))
+      }
+    });
+  })
+);
+
+/**
+ * GET /admin/burn-features
+ * List every paid feature with its current cost, daily limit and usage (admin only).
+ */
+router.get('/burn-features',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const [features, usage] = await Promise.all([
+      burnFeatures.resolveFeatures(),
+      db.getBurnFeatureUsage()
+    ]);
+    const usageByFeature = new Map(usage.map(u => [u.feature, u]));
+
+    res.json({
+      success: true,
+      data: features.map(f => {
+        const u = usageByFeature.get(f.key);
+        return {
+          key: f.key,
+          label: f.label,
+          description: f.description,
+          cost: f.cost,
+          defaultCost: f.defaultCost,
+          dailyLimit: f.dailyLimit,
+          refund: f.refund,
+          usage: {
+            uses: u ? parseInt(u.uses) : 0,
+            uses24h: u ? parseInt(u.uses_24h) : 0,
+            refunds: u ? parseInt(u.refunds) : 0,
+            creditsSpent: u ? parseFloat(u.credits_spent) : 0,
+            wallets: u ? parseInt(u.wallets) : 0,
+            lastUsedAt: u ? u.last_used_at : null
+          }
+        };
+      })
+    });
+  })
+);
+
+/**
+ * PATCH /admin/burn-features/:key
+ * Update a paid feature's cost and/or per-wallet daily limit (admin only).
+ * Body: { cost?: number, dailyLimit?: number|null } — dailyLimit null or 0 removes the limit
+ */
+router.patch('/burn-features/:key',
+  validateAdminSession,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    const { cost, dailyLimit } = req.body;
+
+    if (!burnFeatures.getFeature(key)) {
+      return res.status(404).json({ success: false, error: 'Unknown feature' });
+    }
+
+    const changes = {};
+    if (cost !== undefined) {
+      if (typeof cost !== 'number' || !isFinite(cost) || cost < 0 || cost > 100000) {
+        return res.status(400).json({ success: false, error: 'cost must be a number between 0 and 100,000' });
+      }
+      changes.cost = cost;
+    }
+    if (dailyLimit !== undefined) {
+      if (dailyLimit !== null && (!Number.isInteger(dailyLimit) || dailyLimit < 0 || dailyLimit > 10000)) {
+        return res.status(400).json({ success: false, error: 'dailyLimit must be an integer between 0 and 10,000, or null' });
+      }
+      changes.dailyLimit = dailyLimit;
+    }
+
+    const feature = await burnFeatures.updateFeature(key, changes);
+    console.log(`[Admin] Burn feature ${key} updated: cost ${feature.cost} BC, daily limit ${feature.dailyLimit ?? 'none'}`);
+
+    res.json({
+      success: true,
+      data: {
+        key: feature.key,
+        cost: feature.cost,
+        dailyLimit: feature.dailyLimit
+      }
+    });
+  })
+);
+
 // ==========================================
 // AI Cache Management
 // ==========================================
@@ -0,0 +1,257 @@
+/**
+ * Sign-In-With-Solana routes
+ * The wallet signs one domain-bound login message and gets a session that
+ * wallet-authenticated routes accept in place of per-request signatures.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../services/database');
+const sessions = require('../services/sessions');
+const {
+  asyncHandler,
+  requireDatabase,
+  verifyWalletSignature,
+  generateAuthNonce,
+  createSignInMessage,
+  SOLANA_ADDRESS_REGEX,
+  SESSION_EXPIRED_RESPONSE
+} = require('../middleware/validation');
+const { strictLimiter, walletLimiter } = require('../middleware/rateLimit');
+
+const NONCE_REGEX = /^[a-f0-9]{32}$/i;
+const TOKEN_REGEX = /^[a-f0-9]{64}$/i;
+
+// Hosts the login message may be bound to: SIWS_DOMAIN (comma-separated, first is the
+// default) plus the hosts of the CORS allowlist
+const SIWS_DOMAINS = [...new Set([
+  ...(process.env.SIWS_DOMAIN || 'opendex.online').split(','),
+  ...(process.env.CORS_ORIGIN || '').split(',').map(origin => {
+    try {
+      return new URL(origin.trim()).host;
+    } catch {
+      return '';
+    }
+  })
+].map(domain => domain.trim().toLowerCase()).filter(Boolean))];
+
+function isAllowedDomain(host) {
+  if (SIWS_DOMAINS.includes(host)) return true;
+  // Local frontends in development
+  return process.env.NODE_ENV !== 'production' && /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(host);
+}
+
+// Host of the site asking to sign in — the login message is bound to it.
+// Non-browser clients get the default domain; null for a site that isn't ours.
+function requestDomain(req) {
+  const origin = req.get('Origin') || req.get('Referer');
+  if (!origin) return SIWS_DOMAINS[0];
+
+  let host;
+  try {
+    host = new URL(origin).host.toLowerCase();
+  } catch {
+    return null;
+  }
+  return isAllowedDomain(host) ? host : null;
+}
+
+function formatSessionInfo(session) {
+  return {
+    walletAddress: session.wallet_address,
+    source: session.source,
+    createdAt: session.created_at,
+    accessExpiresAt: session.access_expires_at,
+    expiresAt: session.expires_at
+  };
+}
+
+router.use(requireDatabase);
+
+/**
+ * GET /nonce?wallet=<address> — Start a sign-in
+ * Returns a single-use nonce and the exact message the wallet should sign.
+ */
+router.get('/nonce', walletLimiter, asyncHandler(async (req, res) => {
+  const { wallet } = req.query;
+
+  if (!wallet || !SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const domain = requestDomain(req);
+  if (!domain) {
+    return res.status(403).json({ error: 'Sign-in is not available for this site', code: 'DOMAIN_NOT_ALLOWED' });
+  }
+
+  const nonce = generateAuthNonce();
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + db.AUTH_NONCE_TTL_MS);
+
+  await db.createAuthNonce(nonce, wallet, domain, issuedAt, expiresAt);
+
+  res.json({
+    success: true,
+    data: {
+      nonce,
+      message: createSignInMessage({ domain, wallet, nonce, issuedAt, expiresAt }),
+      expiresAt: expiresAt.toISOString()
+    }
+  });
+}));
+
+/**
+ * POST /session — Complete a sign-in
+ * Body: { walletAddress, nonce, signature }
+ * Verifies the signed login message and returns access + refresh tokens.
+ */
+router.post('/session', strictLimiter, asyncHandler(async (req, res) => {
+  const { walletAddress, nonce, signature } = req.body;
+
+  if (!walletAddress || !SOLANA_ADDRESS_REGEX.test(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!nonce || !NONCE_REGEX.test(nonce)) {
+    return res.status(400).json({ error: 'Invalid nonce', code: 'INVALID_NONCE' });
+  }
+
+  if (!Array.isArray(signature) || signature.length !== 64 || !signature.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+    return res.status(400).json({ error: 'Invalid signature format', code: 'INVALID_SIGNATURE_FORMAT' });
+  }
+
+  // Single-use — a failed attempt burns the nonce too
+  const issued = await db.consumeAuthNonce(nonce);
+  if (!issued || issued.wallet_address !== walletAddress) {
+    return res.status(400).json({
+      error: 'Sign-in expired',
+      message: 'Please try signing in again',
+      code: 'NONCE_EXPIRED'
+    });
+  }
+
+  // The message names the site that requested it; another site can't redeem it
+  const domain = requestDomain(req);
+  if (!domain || issued.domain !== domain) {
+    return res.status(401).json({ error: 'Domain mismatch', code: 'DOMAIN_MISMATCH' });
+  }
+
+  const message = createSignInMessage({
+    domain: issued.domain,
+    wallet: walletAddress,
+    nonce,
+    issuedAt: issued.issued_at,
+    expiresAt: issued.expires_at
+  });
+
+  if (!verifyWalletSignature(message, signature, walletAddress)) {
+    return res.status(401).json({
+      error: 'Invalid signature',
+      message: 'Wallet signature verification failed',
+      code: 'INVALID_SIGNATURE'
+    });
+  }
+
+  const session = await sessions.issueSession(walletAddress, 'siws', req);
+  if (!session) {
+    return res.status(503).json({ error: 'Could not create session', message: 'Please try signing in again' });
+  }
+  res.json({ success: true, data: session });
+}));
+
+/**
+ * POST /session/refresh — Rotate the session tokens
+ * Body: { refreshToken }
+ * The old refresh token stops working once used.
+ */
+router.post('/session/refresh', walletLimiter, asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || !TOKEN_REGEX.test(refreshToken)) {
+    return res.status(400).json({ error: 'Invalid refresh token' });
+  }
+
+  const session = await sessions.refreshSession(refreshToken);
+  if (!session) {
+    return res.status(401).json({
+      error: 'Session expired',
+      message: 'Please sign in again',
+      code: 'SESSION_EXPIRED'
+    });
+  }
+
+  res.json({ success: true, data: session });
+}));
+
+/**
+ * GET /session — Describe the current session (Authorization: Bearer)
+ */
+router.get('/session', (req, res) => {
+  if (!req.walletSession) {
+    return res.status(401).json(req.sessionExpired ? SESSION_EXPIRED_RESPONSE : { error: 'Not signed in', code: 'NOT_SIGNED_IN' });
+  }
+  res.json({ success: true, data: formatSessionInfo(req.walletSession) });
+});
+
+/**
+ * DELETE /session — Sign out
+ * Revokes the session named by { refreshToken } in the body, or the current
+ * Bearer session. Works with an expired access token via the refresh token.
+ */
+router.delete('/session', walletLimiter, asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  if (refreshToken) {
+    if (!TOKEN_REGEX.test(refreshToken)) {
+      return res.status(400).json({ error: 'Invalid refresh token' });
+    }
+    await sessions.revokeSession(refreshToken);
+  } else if (req.walletSession) {
+    await db.deleteWalletSession(req.walletSession.id);
+  } else {
+    return res.status(401).json({ error: 'Not signed in', code: 'NOT_SIGNED_IN' });
+  }
+
+  res.json({ success: true, message: 'Signed out' });
+}));
+
+/**
+ * GET /sessions — List the signed-in wallet's active sessions and linked devices
+ */
+router.get('/sessions', walletLimiter, asyncHandler(async (req, res) => {
+  if (!req.walletSession) {
+    return res.status(401).json(req.sessionExpired ? SESSION_EXPIRED_RESPONSE : { error: 'Not signed in', code: 'NOT_SIGNED_IN' });
+  }
+
+  const rows = await db.getWalletSessionsByWallet(req.walletSession.wallet_address);
+  res.json({
+    success: true,
+    data: rows.map(r => ({
+      id: r.id,
+      source: r.source,
+      current: r.id === req.walletSession.id,
+      userAgent: r.user_agent,
+      createdAt: r.created_at,
+      refreshedAt: r.refreshed_at,
+      expiresAt: r.expires_at
+    }))
+  });
+}));
+
+/**
+ * DELETE /sessions — Sign out everywhere
+ * Revokes every session and device link for the signed-in wallet.
+ */
+router.delete('/sessions', strictLimiter, asyncHandler(async (req, res) => {
+  if (!req.walletSession) {
+    return res.status(401).json(req.sessionExpired ? SESSION_EXPIRED_RESPONSE : { error: 'Not signed in', code: 'NOT_SIGNED_IN' });
+  }
+
+  const walletAddress = req.walletSession.wallet_address;
+  const revoked = await db.deleteWalletSessionsByWallet(walletAddress);
+  const unlinked = await db.deleteDeviceSessionsByWallet(walletAddress);
+
+  res.json({ success: true, message: 'Signed out everywhere', revoked: revoked + unlinked });
+}));
+
+module.exports = router;
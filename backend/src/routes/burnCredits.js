@@ -13,6 +13,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
 const solana = require('../services/solana');
+const burnFeatures = require('../services/burnFeatures');
 const { defaultLimiter, strictLimiter, veryStrictLimiter } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/validation');
 // Wallet signature verification not needed — on-chain tx signer check is sufficient
@@ -141,23 +142,31 @@ router.get('/tx-status/:signature', defaultLimiter, asyncHandler(async (req, res
 
 /**
  * GET /api/burn-credits/config
- * Returns the current conversion rate and token info
+ * Returns the current conversion rate, token info and the paid feature list
  */
 router.get('/config', defaultLimiter, asyncHandler(async (req, res) => {
   try {
-    const conversionRate = await db.getBurnConversionRate();
-    const aiAnalysisCost = await db.getAIAnalysisCost();
-    const aiAdvancedAnalysisCost = await db.getAdvancedAIAnalysisCost();
-    const folioAIAnalysisCost = await db.getFolioAIAnalysisCost();
-    const dailyBriefKolCost = await db.getDailyBriefKolCost();
+    const [conversionRate, features] = await Promise.all([
+      db.getBurnConversionRate(),
+      burnFeatures.resolveFeatures()
+    ]);
+    const costOf = (key) => features.find(f => f.key === key).cost;
     res.json({
       tokenMint: OD_TOKEN_MINT,
       tokenSymbol: '$OD',
       conversionRate,
-      aiAnalysisCost,
-      aiAdvancedAnalysisCost,
-      folioAIAnalysisCost,
-      dailyBriefKolCost,
+      features: features.map(f => ({
+        key: f.key,
+        label: f.label,
+        description: f.description,
+        cost: f.cost,
+        dailyLimit: f.dailyLimit
+      })),
+      // Flat cost fields kept for existing clients
+      aiAnalysisCost: costOf('ai_holder_analysis'),
+      aiAdvancedAnalysisCost: costOf('ai_advanced_analysis'),
+      folioAIAnalysisCost: costOf('folio_ai_analysis'),
+      dailyBriefKolCost: costOf('daily_brief_kol'),
       description: `${conversionRate.toLocaleString()} $OD = 1 Burn Credit`
     });
   } catch (error) {
@@ -240,6 +249,53 @@ router.get('/spend-history/:wallet', defaultLimiter, asyncHandler(async (req, re
   }
 }));
 
+// Status shown for a wallet ledger entry: spends follow their reservation,
+// burns and grants stay confirmed unless revoked
+function ledgerEntryStatus(row) {
+  switch (row.entry_type) {
+    case 'reserve': return row.spend_status;
+    case 'refund': return 'refunded';
+    case 'revoke': return 'revoked';
+    default: return row.burn_status;
+  }
+}
+
+/**
+ * GET /api/burn-credits/ledger/:wallet
+ * Returns every credit and debit on a wallet's Burn Credit balance, newest first,
+ * with its status and the balance after it
+ */
+router.get('/ledger/:wallet', defaultLimiter, asyncHandler(async (req, res) => {
+  const { wallet } = req.params;
+
+  if (!SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try {
+    const rows = await db.getBurnCreditLedger(wallet, limit);
+    res.json({
+      entries: rows.map(row => ({
+        id: Number(row.id),
+        type: row.entry_type,
+        amount: parseFloat(row.amount),
+        balanceAfter: parseFloat(row.balance_after),
+        status: ledgerEntryStatus(row),
+        feature: row.feature || null,
+        metadata: row.metadata || null,
+        txSignature: row.tx_signature && !row.tx_signature.startsWith('admin-grant-') ? row.tx_signature : null,
+        tokenAmount: row.token_amount != null ? parseFloat(row.token_amount) : null,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('[BurnCredits] Ledger error:', error.message);
+    res.status(500).json({ error: 'Failed to load burn credit ledger' });
+  }
+}));
+
 /**
  * POST /api/burn-credits/submit
  * Submit a burn transaction for verification and credit
@@ -536,4 +592,71 @@ function analyzeBurnTransaction(tx, expectedWallet) {
   return { valid: true, amount: totalBurnAmount / 1e6 };
 }
 
+// ── Admin helpers (used by admin route) ──────────────────────────────
+
+/**
+ * Re-verify recently credited burns against the chain. Each must still resolve to a
+ * successful transaction burning the recorded $OD amount from the credited wallet,
+ * and the credits awarded must match the conversion rate recorded with it.
+ * @param {number} limit - Newest N burns to check (one RPC call each)
+ */
+async function reconcileOnChainBurns(limit = 50) {
+  const burns = await db.getBurnCreditsForReconciliation(limit);
+  const issues = [];
+  let verified = 0;
+
+  for (const burn of burns) {
+    const flag = (code, detail) => issues.push({
+      id: burn.id,
+      walletAddress: burn.wallet_address,
+      txSignature: burn.tx_signature,
+      credits: parseFloat(burn.credits_awarded),
+      issue: code,
+      detail
+    });
+
+    let tx;
+    try {
+      tx = await solana.getTransaction(burn.tx_signature);
+    } catch (error) {
+      if (error.isOverloaded || error.isCircuitBreakerError) throw error;
+      flag('RPC_ERROR', error.message);
+      continue;
+    }
+
+    if (!tx) {
+      flag('TX_NOT_FOUND', 'Transaction not found on-chain');
+      continue;
+    }
+    if (tx.meta && tx.meta.err) {
+      flag('TX_FAILED', 'Transaction failed on-chain');
+      continue;
+    }
+
+    const burnResult = analyzeBurnTransaction(tx, burn.wallet_address);
+    if (!burnResult.valid) {
+      flag(burnResult.code, burnResult.error);
+      continue;
+    }
+
+    const recorded = parseFloat(burn.token_amount);
+    if (Math.abs(burnResult.amount - recorded) > 1e-6) {
+      flag('AMOUNT_MISMATCH', `Burned ${burnResult.amount} $OD on-chain, recorded ${recorded} $OD`);
+      continue;
+    }
+
+    const rate = parseFloat(burn.conversion_rate);
+    const expectedCredits = Math.floor(recorded / rate);
+    if (expectedCredits !== parseFloat(burn.credits_awarded)) {
+      flag('CREDIT_MISMATCH', `Expected ${expectedCredits} BC at ${rate.toLocaleString()}:1, credited ${parseFloat(burn.credits_awarded)} BC`);
+      continue;
+    }
+
+    verified++;
+  }
+
+  return { checked: burns.length, verified, issues };
+}
+
 module.exports = router;
+module.exports.reconcileOnChainBurns = reconcileOnChainBurns;
@@ -1,11 +1,176 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
-const { asyncHandler, requireDatabase, validateMint, validateCallSignature, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
+const { asyncHandler, requireDatabase, validateMint, validateCallSignature, validateFollowSignature, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
 const { defaultLimiter, walletLimiter } = require('../middleware/rateLimit');
 
 router.use(requireDatabase);
 
+const multiple = (mcap, base) => mcap && base ? Math.round((mcap / base) * 100) / 100 : null;
+
+// Shape a token_calls row (joined with tokens) for the API, including its outcome
+function formatCall(r) {
+  return {
+    id: r.id,
+    tokenMint: r.token_mint,
+    name: r.name || `${r.token_mint.slice(0, 4)}...${r.token_mint.slice(-4)}`,
+    symbol: r.symbol || r.token_mint.slice(0, 5).toUpperCase(),
+    logoUri: r.logo_uri || null,
+    mcapAtCall: r.mcap_at_call ? parseFloat(r.mcap_at_call) : null,
+    currentMcap: r.market_cap ? parseFloat(r.market_cap) : null,
+    currentPrice: r.price ? parseFloat(r.price) : null,
+    volume24h: r.volume_24h ? parseFloat(r.volume_24h) : null,
+    peakMcap: r.peak_mcap ? parseFloat(r.peak_mcap) : null,
+    peakAt: r.peak_at || null,
+    peakMultiple: multiple(parseFloat(r.peak_mcap), parseFloat(r.mcap_at_call)),
+    currentMultiple: multiple(parseFloat(r.last_mcap || r.market_cap), parseFloat(r.mcap_at_call)),
+    isWin: r.peak_mcap && r.mcap_at_call
+      ? parseFloat(r.peak_mcap) / parseFloat(r.mcap_at_call) >= db.CALL_WIN_MULTIPLE
+      : null,
+    calledAt: r.created_at
+  };
+}
+
+// POST /api/calls/follow
+// Follow a caller — their new calls show up in the follower's feed
+// Body: { wallet, callerWallet, signature, signatureTimestamp }
+router.post('/follow', walletLimiter, validateFollowSignature, asyncHandler(async (req, res) => {
+  const { wallet, callerWallet } = req.body;
+
+  if (!callerWallet || !SOLANA_ADDRESS_REGEX.test(callerWallet)) {
+    return res.status(400).json({ error: 'Invalid caller wallet address' });
+  }
+  if (callerWallet === wallet) {
+    return res.status(400).json({ error: 'You cannot follow yourself' });
+  }
+
+  const result = await db.followCaller(wallet, callerWallet);
+  if (result.limitReached) {
+    return res.status(400).json({
+      error: `Follow limit reached (max ${db.MAX_FOLLOWED_CALLERS} callers)`,
+      code: 'FOLLOW_LIMIT'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.exists ? 'Already following this caller' : 'Caller followed',
+    alreadyFollowing: !!result.exists,
+    callerWallet,
+    wallet
+  });
+}));
+
+// DELETE /api/calls/follow
+// Body: { wallet, callerWallet, signature, signatureTimestamp }
+router.delete('/follow', walletLimiter, validateFollowSignature, asyncHandler(async (req, res) => {
+  const { wallet, callerWallet } = req.body;
+
+  if (!callerWallet || !SOLANA_ADDRESS_REGEX.test(callerWallet)) {
+    return res.status(400).json({ error: 'Invalid caller wallet address' });
+  }
+
+  const removed = await db.unfollowCaller(wallet, callerWallet);
+  if (!removed) {
+    return res.status(404).json({ error: 'Not following this caller', callerWallet, wallet });
+  }
+
+  res.json({ success: true, message: 'Caller unfollowed', callerWallet, wallet });
+}));
+
+// GET /api/calls/following/:wallet
+// Callers a wallet follows
+router.get('/following/:wallet', defaultLimiter, asyncHandler(async (req, res) => {
+  const { wallet } = req.params;
+  if (!SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const rows = await db.getFollowedCallers(wallet);
+  res.json({
+    wallet,
+    count: rows.length,
+    callers: rows.map(r => ({ wallet: r.caller_wallet, followedAt: r.created_at }))
+  });
+}));
+
+// GET /api/calls/feed/:wallet
+// New calls from the callers a wallet follows, newest first
+router.get('/feed/:wallet', defaultLimiter, asyncHandler(async (req, res) => {
+  const { wallet } = req.params;
+  if (!SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 100);
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+  const { calls: rows, total } = await db.getFollowFeed(wallet, limit, offset);
+
+  res.json({
+    calls: rows.map(r => ({ ...formatCall(r), callerWallet: r.caller_wallet })),
+    total
+  });
+}));
+
+// GET /api/calls/caller/:wallet
+// Public caller profile: call history with outcomes, performance, sentiment votes,
+// approved submissions, watchlist size and follower counts.
+// Optional ?viewer=<wallet> adds whether that wallet follows this caller.
+router.get('/caller/:wallet', defaultLimiter, asyncHandler(async (req, res) => {
+  const { wallet } = req.params;
+  if (!SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 100);
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+  const viewer = SOLANA_ADDRESS_REGEX.test(req.query.viewer || '') ? req.query.viewer : null;
+
+  const [{ calls: rows, total }, profile, sentimentRows, submissionRows, watchlistCount, follows, isFollowing] = await Promise.all([
+    db.getCallsByWallet(wallet, limit, offset),
+    db.getCallerProfile(wallet),
+    db.getSentimentVotesByWallet(wallet, 50),
+    db.getSubmissionsByWallet(wallet),
+    db.getWatchlistCount(wallet),
+    db.getFollowCounts(wallet),
+    viewer && viewer !== wallet ? db.isFollowingCaller(viewer, wallet) : Promise.resolve(null)
+  ]);
+
+  const sentimentVotes = sentimentRows.map(r => ({
+    tokenMint: r.token_mint,
+    name: r.name || `${r.token_mint.slice(0, 4)}...${r.token_mint.slice(-4)}`,
+    symbol: r.symbol || r.token_mint.slice(0, 5).toUpperCase(),
+    logoUri: r.logo_uri || null,
+    sentiment: r.sentiment,
+    votedAt: r.updated_at
+  }));
+
+  const submissions = submissionRows
+    .filter(r => r.status === 'approved')
+    .map(r => ({
+      id: r.id,
+      tokenMint: r.token_mint,
+      submissionType: r.submission_type,
+      contentUrl: r.content_url,
+      score: parseInt(r.score) || 0,
+      createdAt: r.created_at
+    }));
+
+  res.json({
+    wallet,
+    profile,
+    calls: rows.map(formatCall),
+    total,
+    sentimentVotes,
+    submissions,
+    watchlistCount,
+    followers: follows.followers,
+    following: follows.following,
+    isFollowing
+  });
+}));
+
 // GET /api/calls/cooldown/:wallet
 // Check cooldown status for a wallet
 router.get('/cooldown/:wallet', defaultLimiter, asyncHandler(async (req, res) => {
@@ -22,8 +187,8 @@ router.get('/cooldown/:wallet', defaultLimiter, asyncHandler(async (req, res) =>
 // Body: { callerWallet }
 router.post('/:mint', walletLimiter, validateMint, validateCallSignature, asyncHandler(async (req, res) => {
   const { mint } = req.params;
-  // Fall back to device session wallet if not provided in body
-  const callerWallet = req.body.callerWallet || req.deviceWallet;
+  // Fall back to the session wallet if not provided in body
+  const callerWallet = req.body.callerWallet || req.sessionWallet;
 
   if (!callerWallet) {
     return res.status(400).json({ error: 'callerWallet required' });
@@ -46,7 +211,8 @@ router.post('/:mint', walletLimiter, validateMint, validateCallSignature, asyncH
 }));
 
 // GET /api/calls/wallet/:wallet
-// Get a wallet's full call history with current token data
+// Get a wallet's full call history with current token data, each call's outcome
+// (peak / current multiple of the market cap at call time) and the caller's profile
 router.get('/wallet/:wallet', defaultLimiter, asyncHandler(async (req, res) => {
   const { wallet } = req.params;
   if (!SOLANA_ADDRESS_REGEX.test(wallet)) {
@@ -56,22 +222,12 @@ router.get('/wallet/:wallet', defaultLimiter, asyncHandler(async (req, res) => {
   const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 100);
   const offset = Math.max(0, parseInt(req.query.offset) || 0);
 
-  const { calls: rows, total } = await db.getCallsByWallet(wallet, limit, offset);
-
-  const calls = rows.map(r => ({
-    id: r.id,
-    tokenMint: r.token_mint,
-    name: r.name || `${r.token_mint.slice(0, 4)}...${r.token_mint.slice(-4)}`,
-    symbol: r.symbol || r.token_mint.slice(0, 5).toUpperCase(),
-    logoUri: r.logo_uri || null,
-    mcapAtCall: r.mcap_at_call ? parseFloat(r.mcap_at_call) : null,
-    currentMcap: r.market_cap ? parseFloat(r.market_cap) : null,
-    currentPrice: r.price ? parseFloat(r.price) : null,
-    volume24h: r.volume_24h ? parseFloat(r.volume_24h) : null,
-    calledAt: r.created_at
-  }));
+  const [{ calls: rows, total }, profile] = await Promise.all([
+    db.getCallsByWallet(wallet, limit, offset),
+    db.getCallerProfile(wallet)
+  ]);
 
-  res.json({ calls, total });
+  res.json({ calls: rows.map(formatCall), total, profile });
 }));
 
 module.exports = router;
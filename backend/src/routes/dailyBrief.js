@@ -11,11 +11,12 @@
 
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
 const db = require('../services/database');
+const ai = require('../services/ai');
 const jobQueue = require('../services/jobQueue');
 const { searchLimiter, veryStrictLimiter } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/validation');
+const { requireBurnCredits } = require('../middleware/burnCredits');
 
 function computeAggregateStats(tokens) {
   if (tokens.length === 0) {
@@ -87,35 +88,22 @@ router.get('/', searchLimiter, asyncHandler(async (req, res) => {
 
 // POST /api/daily-brief/ai-kol
 // AI KOL analysis of the tokens currently displayed in the Daily Brief table.
-// Frontend sends pre-aggregated token summaries. Costs 100 BC (configurable).
-router.post('/ai-kol', veryStrictLimiter, asyncHandler(async (req, res) => {
-  const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-  if (!ANTHROPIC_API_KEY) {
+// Frontend sends pre-aggregated token summaries. Paid feature 'daily_brief_kol' (default 100 BC).
+router.post('/ai-kol', veryStrictLimiter, asyncHandler(async (req, res, next) => {
+  if (!ai.isConfigured()) {
     return res.status(503).json({ error: 'AI analysis not configured' });
   }
 
-  const { tokens, walletAddress, hoursWindow } = req.body;
-
+  const { tokens } = req.body;
   if (!Array.isArray(tokens) || tokens.length === 0 || tokens.length > 50) {
     return res.status(400).json({ error: 'tokens must be an array of 1-50 items' });
   }
 
-  // Require wallet for BC payment
-  if (!walletAddress || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
-    return res.status(400).json({ error: 'Wallet connection required', code: 'WALLET_REQUIRED' });
-  }
-
-  // Check balance
-  const kolCost = await db.getDailyBriefKolCost();
-  const preBalance = await db.getBurnCreditBalance(walletAddress);
-  if (preBalance.balance < kolCost) {
-    return res.status(402).json({
-      error: `Insufficient Burn Credits. KOL analysis costs ${kolCost} BC.`,
-      code: 'INSUFFICIENT_BC',
-      required: kolCost,
-      balance: preBalance.balance
-    });
-  }
+  next();
+}), requireBurnCredits('daily_brief_kol', {
+  metadata: (req) => ({ tokenCount: req.body.tokens.length, hoursWindow: parseInt(req.body.hoursWindow) || 24 })
+}), asyncHandler(async (req, res) => {
+  const { tokens, hoursWindow } = req.body;
 
   // Sanitize token data
   const num = (v, min = -1e12, max = 1e12) => typeof v === 'number' && isFinite(v) ? Math.min(max, Math.max(min, v)) : 0;
@@ -153,49 +141,31 @@ router.post('/ai-kol', veryStrictLimiter, asyncHandler(async (req, res) => {
 
   const hours = parseInt(hoursWindow) || 24;
 
-  const prompt = `You are a crypto KOL (Key Opinion Leader) analyst reviewing newly graduated PumpFun tokens on Solana. These tokens just migrated from PumpFun's bonding curve to PumpSwap (a DEX) within the last ${hours} hours.
-
-Analyze the following ${tokens.length} graduated tokens and provide a brief, opinionated KOL-style market commentary. Be direct, data-driven, and highlight what stands out.
-
-=== AGGREGATE STATS ===
-Tokens: ${tokens.length} | Gainers: ${gainers} | Losers: ${losers}
-Avg MCap: ${fmtUsd(avgMcap)} | Total Vol: ${fmtUsd(totalVol)} | Avg 24h Change: ${avgChange >= 0 ? '+' : ''}${avgChange.toFixed(1)}%
-
-=== TOKEN TABLE ===
-${tokenLines}
-
-=== INSTRUCTIONS ===
-Provide your analysis in this exact format:
-
-OVERALL: One sentence summary of the market sentiment for these graduates.
-
-STANDOUTS: Identify 2-3 tokens that stand out (positive or negative) and briefly explain why (high volume, unusual vol/mcap ratio, strong price action, etc).
-
-PATTERNS: Note any patterns you see (e.g., most tokens dumping, high vol/mcap ratios across the board, particular sector trends based on names).
-
-VERDICT: One-sentence actionable takeaway for traders watching PumpFun graduates.
-
-Keep each section to 1-3 sentences. Be concise and direct.`;
+  // Standouts for the offline (template provider) summary
+  const label = (t) => `${safe(t.name, 16) || '???'} (${safe(t.symbol, 10) || '???'})`;
+  const byChange = [...tokens].sort((a, b) => num(b.priceChange24h, -10000, 10000) - num(a.priceChange24h, -10000, 10000));
+  const byRatio = [...tokens].sort((a, b) => num(b.volMcapRatio, 0, 1000) - num(a.volMcapRatio, 0, 1000));
 
   try {
-    const client = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
-    const response = await client.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 500,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const analysis = response.content[0]?.text || '';
-
-    // Charge BC after successful API call
-    const charged = await db.spendBurnCredits(walletAddress, kolCost, 'daily_brief_kol', { tokenCount: tokens.length, hoursWindow: hours });
-    if (!charged) {
-      return res.status(402).json({ error: 'Insufficient balance', code: 'INSUFFICIENT_BC' });
-    }
-
-    res.json({ analysis, tokenCount: tokens.length, cached: false });
+    const { text, provider } = await ai.generate('daily_brief_kol', {
+      hours,
+      tokenCount: tokens.length,
+      gainers,
+      losers,
+      avgMcap: fmtUsd(avgMcap),
+      totalVol: fmtUsd(totalVol),
+      avgChange: `${avgChange >= 0 ? '+' : ''}${avgChange.toFixed(1)}%`,
+      tokenLines,
+      topGainer: label(byChange[0]),
+      topRatio: label(byRatio[0])
+    }, { feature: 'daily_brief_kol' });
+
+    // Offline (template provider) summary is free
+    if (provider === 'template') req.burnCharge.refund('offline fallback');
+
+    res.json({ analysis: text, provider, tokenCount: tokens.length, cached: false });
   } catch (err) {
-    console.error('[Daily Brief KOL] Anthropic API error:', err.message);
+    console.error('[Daily Brief KOL] AI provider error:', err.message);
     res.status(502).json({ error: 'AI analysis temporarily unavailable' });
   }
 }));
@@ -1,11 +1,14 @@
 /**
  * Device authentication routes
- * Allows mobile devices to link to a desktop-connected wallet via QR code
+ * Allows mobile devices to link to a desktop-connected wallet via QR code.
+ * Opening the link issues the phone a wallet session — the same session type
+ * as Sign-In-With-Solana (see routes/auth.js).
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
+const sessions = require('../services/sessions');
 const {
   asyncHandler,
   requireDatabase,
@@ -17,9 +20,9 @@ const {
 const { strictLimiter } = require('../middleware/rateLimit');
 
 /**
- * POST / — Create a device session
- * Requires wallet signature to prove ownership.
- * Returns a session token with a 5-minute activation window.
+ * POST / — Create a device link
+ * Requires a wallet signature, or a signed-in (SIWS) session for the same wallet,
+ * to prove ownership. Returns a link token with a 5-minute activation window.
  */
 router.post('/', strictLimiter, requireDatabase, asyncHandler(async (req, res) => {
   const { walletAddress, signature, signatureTimestamp } = req.body;
@@ -29,36 +32,44 @@ router.post('/', strictLimiter, requireDatabase, asyncHandler(async (req, res) =
     return res.status(400).json({ error: 'Invalid wallet address' });
   }
 
-  // Signature is MANDATORY for device linking
-  if (!signature || !signatureTimestamp) {
-    return res.status(400).json({
-      error: 'Signature required',
-      message: 'Wallet signature is required to link a mobile device'
-    });
-  }
+  // A signed-in browser already proved ownership; linked devices can't link further devices
+  const signedIn = req.walletSession?.source === 'siws' && req.sessionWallet === walletAddress;
 
-  // Validate timestamp (within 2 minutes)
-  const timestamp = parseInt(signatureTimestamp);
-  if (isNaN(timestamp) || Math.abs(Date.now() - timestamp) > SIGNATURE_EXPIRY_MS) {
-    return res.status(400).json({
-      error: 'Signature expired',
-      message: 'Please try again'
-    });
-  }
+  if (!signedIn) {
+    // Otherwise a signature is MANDATORY for device linking
+    if (!signature || !signatureTimestamp) {
+      return res.status(400).json({
+        error: 'Signature required',
+        message: 'Wallet signature is required to link a mobile device'
+      });
+    }
 
-  // Verify Ed25519 signature
-  const message = `Link mobile device to ${walletAddress} at ${signatureTimestamp}`;
-  const isValid = verifyWalletSignature(message, signature, walletAddress);
-  if (!isValid) {
-    return res.status(401).json({
-      error: 'Invalid signature',
-      message: 'Wallet signature verification failed'
-    });
+    // Validate timestamp (within 2 minutes)
+    const timestamp = parseInt(signatureTimestamp);
+    if (isNaN(timestamp) || Math.abs(Date.now() - timestamp) > SIGNATURE_EXPIRY_MS) {
+      return res.status(400).json({
+        error: 'Signature expired',
+        message: 'Please try again'
+      });
+    }
+
+    // Verify Ed25519 signature
+    const message = `Link mobile device to ${walletAddress} at ${signatureTimestamp}`;
+    const isValid = verifyWalletSignature(message, signature, walletAddress);
+    if (!isValid) {
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: 'Wallet signature verification failed'
+      });
+    }
   }
 
-  // Rate limit: max 5 active sessions per wallet
-  const existing = await db.getDeviceSessionsByWallet(walletAddress);
-  if (existing.length >= 5) {
+  // Rate limit: max 5 linked devices per wallet (links + device sessions)
+  const [pending, linked] = await Promise.all([
+    db.getDeviceSessionsByWallet(walletAddress),
+    db.getWalletSessionsByWallet(walletAddress, 'device')
+  ]);
+  if (pending.length + linked.length >= 5) {
     return res.status(429).json({
       error: 'Too many linked devices',
       message: 'Maximum 5 linked devices per wallet. Unlink a device first.'
@@ -89,9 +100,9 @@ router.post('/', strictLimiter, requireDatabase, asyncHandler(async (req, res) =
 }));
 
 /**
- * GET /verify — Verify and activate a device session
- * Called when mobile user opens the QR code link.
- * Activates the token (extends to 30 days) on first access.
+ * GET /verify — Redeem a device link
+ * Called when mobile user opens the QR code link. The link is single-use:
+ * the first visit issues a 30-day wallet session and consumes the link.
  */
 router.get('/verify', requireDatabase, asyncHandler(async (req, res) => {
   const { token } = req.query;
@@ -108,7 +119,7 @@ router.get('/verify', requireDatabase, asyncHandler(async (req, res) => {
     });
   }
 
-  // Activate on first access (extends expiry to 30 days)
+  // Redeem on first access — activation is atomic, so only one phone gets the session
   if (!session.activated) {
     const activated = await db.activateDeviceSession(token);
     if (!activated) {
@@ -117,17 +128,27 @@ router.get('/verify', requireDatabase, asyncHandler(async (req, res) => {
         message: 'This link has expired. Please generate a new one from your desktop.'
       });
     }
-    // Re-fetch to get updated expiry
-    const updated = await db.getDeviceSession(token);
+
+    const walletSession = await sessions.issueSession(activated.wallet_address, 'device', req);
+    if (!walletSession) {
+      return res.status(503).json({
+        error: 'Could not create session',
+        message: 'Please try opening the link again.'
+      });
+    }
+    await db.deleteDeviceSession(token);
+
     return res.json({
       success: true,
       data: {
-        walletAddress: updated.wallet_address,
-        expiresAt: updated.expires_at
+        walletAddress: walletSession.walletAddress,
+        expiresAt: walletSession.expiresAt,
+        session: walletSession
       }
     });
   }
 
+  // Legacy link activated before device links issued wallet sessions
   res.json({
     success: true,
     data: {
@@ -138,8 +159,8 @@ router.get('/verify', requireDatabase, asyncHandler(async (req, res) => {
 }));
 
 /**
- * DELETE / — Revoke a device session
- * Called when user "unlinks" their mobile device.
+ * DELETE / — Revoke a legacy device session (X-Device-Session)
+ * Devices linked since sessions were unified sign out via DELETE /api/auth/session.
  */
 router.delete('/', requireDatabase, asyncHandler(async (req, res) => {
   const token = req.header('X-Device-Session');
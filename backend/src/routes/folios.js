@@ -5,13 +5,14 @@
  */
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
 const db = require('../services/database');
+const ai = require('../services/ai');
 const jupiterService = require('../services/jupiter');
 const geckoService = require('../services/geckoTerminal');
 const solanaService = require('../services/solana');
 const { asyncHandler, requireDatabase, validateAdminSession, SOLANA_ADDRESS_REGEX, catchUnlessOverloaded } = require('../middleware/validation');
 const { searchLimiter, veryStrictLimiter } = require('../middleware/rateLimit');
+const { requireBurnCredits } = require('../middleware/burnCredits');
 const { cache, keys, TTL } = require('../services/cache');
 
 const PLACEHOLDER_NAMES = new Set(['unknown token', 'unknown', '']);
@@ -286,30 +287,21 @@ router.get('/:id', searchLimiter, asyncHandler(async (req, res) => {
 
 /**
  * POST /api/folios/:id/ai-analysis
- * AI analysis of a folio's tokens. Costs 50 BC (configurable).
+ * AI analysis of a folio's tokens. Paid feature 'folio_ai_analysis' (default 75 BC).
  * Cached for 3 hours per folio ID. Requires wallet for BC payment.
  */
-router.post('/:id/ai-analysis', veryStrictLimiter, asyncHandler(async (req, res) => {
+router.post('/:id/ai-analysis', veryStrictLimiter, asyncHandler(async (req, res, next) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).json({ error: 'Invalid folio ID' });
 
-  const cacheKey = `ai-folio:${id}`;
-
   // Return cached result if available (free — no BC charge)
-  const cached = await cache.get(cacheKey);
+  const cached = await cache.get(`ai-folio:${id}`);
   if (cached) return res.json(cached);
 
-  const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-  if (!ANTHROPIC_API_KEY) {
+  if (!ai.isConfigured()) {
     return res.status(503).json({ error: 'AI analysis not configured' });
   }
 
-  // Require wallet address for BC payment
-  const walletAddress = req.body.walletAddress;
-  if (!walletAddress || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
-    return res.status(400).json({ error: 'Wallet connection required to use AI analysis', code: 'WALLET_REQUIRED' });
-  }
-
   // Load the folio with token data
   const folio = await db.getFolioWithTokens(id);
   if (!folio || !folio.is_active) {
@@ -320,21 +312,18 @@ router.post('/:id/ai-analysis', veryStrictLimiter, asyncHandler(async (req, res)
     return res.status(400).json({ error: 'This folio has no tokens to analyze' });
   }
 
+  req.folio = folio;
+  next();
+}), requireBurnCredits('folio_ai_analysis', {
+  metadata: (req) => ({ folioId: req.folio.id })
+}), asyncHandler(async (req, res) => {
+  const { folio } = req;
+  const id = folio.id;
+  const cacheKey = `ai-folio:${id}`;
+
   // Enrich unknown tokens first
   await enrichUnknownTokens(folio.tokens);
 
-  // Check Burn Credits balance (charge after successful API call)
-  const cost = await db.getFolioAIAnalysisCost();
-  const preBalance = await db.getBurnCreditBalance(walletAddress);
-  if (preBalance.balance < cost) {
-    return res.status(402).json({
-      error: `Insufficient Burn Credits. Folio analysis costs ${cost} BC.`,
-      code: 'INSUFFICIENT_BC',
-      required: cost,
-      balance: preBalance.balance
-    });
-  }
-
   // Fetch live metrics from GeckoTerminal (24h change, price, mcap, vol) + Jupiter V2 (holders, liquidity)
   const mints = folio.tokens.map(t => t.token_mint).filter(Boolean);
   const [geckoData, tokenMetrics] = await Promise.all([
@@ -405,49 +394,30 @@ router.post('/:id/ai-analysis', veryStrictLimiter, asyncHandler(async (req, res)
     return `${i + 1}. ${name} (${symbol}) — Price: ${price} (24h: ${change24h}), MCap: ${mcap}, Vol24h: ${vol}, Liq: ${liq}, Holders: ${holders}, Age: ${age}${note}`;
   }).join('\n');
 
-  const prompt = `You are analyzing a curated Solana token folio from KOL "${folio.name}" (@${(folio.twitter_handle || '').replace(/^@/, '')}).
-
-Provide a balanced, insightful analysis covering:
-1. Portfolio theme/strategy — what types of tokens are included, any sector focus or diversification approach
-2. Market snapshot — summarize the price action, market cap range, volume levels, and liquidity across the portfolio
-3. Holder conviction — for Solana memecoins and micro/small-caps, holder counts in the thousands are normal and healthy. Evaluate holder counts relative to each token's age and market cap. Growing holder bases relative to token age indicate strong community adoption. Do NOT treat typical Solana holder counts as concerning.
-4. Standout picks — highlight the most interesting tokens and why they stand out
-5. One-sentence summary verdict
-
-IMPORTANT GUIDELINES:
-- Be balanced and objective. Highlight both strengths and areas to watch.
-- Solana tokens naturally have different metrics than Ethereum tokens. Do not apply Ethereum-scale expectations.
-- "N/A" for a metric means data is unavailable — do not treat missing data as a red flag or negative signal. Simply note it is unavailable if relevant.
-- Keep the tone informative and constructive, not alarmist.
-- 4-6 concise paragraphs. No financial advice.
-
-Folio: "${folio.name}"${folio.description ? ` — ${folio.description}` : ''}
-Token count: ${folio.tokens.length}
-
-Tokens:
-${tokenLines}`;
-
   try {
-    const client = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
-    const response = await client.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 700,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const analysis = (response.content[0]?.text || '').trim();
-
-    // Charge Burn Credits after successful API call
-    await db.spendBurnCredits(walletAddress, cost, 'folio_ai_analysis', { folioId: id });
-
-    const result = { analysis, cached: false, folioId: id, folioName: folio.name, tokenCount: folio.tokens.length };
-
-    // Cache for 3 hours
-    await cache.set(cacheKey, { ...result, cached: true }, 3 * TTL.HOUR);
+    const { text, provider } = await ai.generate('folio_analysis', {
+      folioName: folio.name,
+      twitterHandle: (folio.twitter_handle || '').replace(/^@/, ''),
+      folioDescription: folio.description ? ` — ${folio.description}` : '',
+      tokenCount: folio.tokens.length,
+      tokenLines
+    }, { feature: 'folio_ai_analysis' });
+
+    const analysis = text.trim();
+
+    const result = { analysis, provider, cached: false, folioId: id, folioName: folio.name, tokenCount: folio.tokens.length };
+
+    // Offline (template provider) output is free and not cached past the outage
+    if (provider === 'template') {
+      req.burnCharge.refund('offline fallback');
+    } else {
+      // Cache for 3 hours
+      await cache.set(cacheKey, { ...result, cached: true }, 3 * TTL.HOUR);
+    }
 
     res.json(result);
   } catch (err) {
-    console.error('[Folio AI Analysis] Anthropic API error:', err.message);
+    console.error('[Folio AI Analysis] AI provider error:', err.message);
     res.status(502).json({ error: 'AI analysis temporarily unavailable' });
   }
 }));
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
+const webhooks = require('../services/webhooks');
 const {
   validateMint,
   validateApiKey,
@@ -209,6 +210,292 @@ router.get('/community/:mint/all',
   })
 );
 
+// ==========================================
+// Webhook Endpoints (require API key)
+// ==========================================
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events,
+    mints: row.mints,
+    sentimentThreshold: row.sentiment_threshold,
+    isActive: row.is_active,
+    consecutiveFailures: row.consecutive_failures,
+    lastDeliveryAt: row.last_delivery_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validate webhook fields from a request body.
+ * Only fields present in the body are validated and returned.
+ * @returns {{error?: string, fields?: Object}}
+ */
+function parseWebhookFields(body, { requireAll = false } = {}) {
+  const fields = {};
+
+  if (body.url !== undefined || requireAll) {
+    const check = webhooks.validateWebhookUrl(body.url);
+    if (!check.valid) return { error: check.error };
+    fields.url = body.url;
+  }
+
+  if (body.events !== undefined || requireAll) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return { error: `events must be a non-empty array of: ${webhooks.SUBSCRIBABLE_EVENTS.join(', ')}` };
+    }
+    const invalid = body.events.find(e => !webhooks.SUBSCRIBABLE_EVENTS.includes(e));
+    if (invalid) {
+      return { error: `Unknown event: ${String(invalid).slice(0, 50)}` };
+    }
+    fields.events = [...new Set(body.events)];
+  }
+
+  if (body.mints !== undefined) {
+    if (body.mints === null || (Array.isArray(body.mints) && body.mints.length === 0)) {
+      fields.mints = null; // All tokens
+    } else if (!Array.isArray(body.mints) || body.mints.length > webhooks.MAX_MINT_FILTERS) {
+      return { error: `mints must be an array of at most ${webhooks.MAX_MINT_FILTERS} token addresses` };
+    } else if (!body.mints.every(m => typeof m === 'string' && SOLANA_ADDRESS_REGEX.test(m))) {
+      return { error: 'Invalid token address in mints' };
+    } else {
+      fields.mints = [...new Set(body.mints)];
+    }
+  }
+
+  if (body.sentimentThreshold !== undefined) {
+    const threshold = Number(body.sentimentThreshold);
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > 10000) {
+      return { error: 'sentimentThreshold must be an integer between 1 and 10000' };
+    }
+    fields.sentimentThreshold = threshold;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      return { error: 'isActive must be a boolean' };
+    }
+    fields.isActive = body.isActive;
+  }
+
+  return { fields };
+}
+
+// Resolve :id to a webhook owned by the calling API key (404 otherwise)
+async function loadOwnedWebhook(req, res) {
+  const webhookId = parseInt(req.params.id);
+  if (isNaN(webhookId)) {
+    res.status(400).json({ success: false, error: 'Invalid webhook ID' });
+    return null;
+  }
+
+  const webhook = await db.getWebhookForApiKey(webhookId, req.apiKey.id);
+  if (!webhook) {
+    res.status(404).json({ success: false, error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+/**
+ * GET /api/v1/webhooks
+ * List webhooks registered with the current API key
+ */
+router.get('/webhooks',
+  validateApiKey,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const rows = await db.getWebhooksByApiKey(req.apiKey.id);
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: rows.map(formatWebhook),
+        availableEvents: webhooks.SUBSCRIBABLE_EVENTS,
+        limit: webhooks.MAX_WEBHOOKS_PER_KEY
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/v1/webhooks
+ * Register a webhook
+ * Body: { url, events: string[], mints?: string[], sentimentThreshold?: number }
+ * The signing secret is returned once, on creation only.
+ */
+router.post('/webhooks',
+  strictLimiter,
+  validateApiKey,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const { error, fields } = parseWebhookFields(req.body || {}, { requireAll: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const existing = await db.getWebhooksByApiKey(req.apiKey.id);
+    if (existing.length >= webhooks.MAX_WEBHOOKS_PER_KEY) {
+      return res.status(409).json({
+        success: false,
+        error: `Maximum of ${webhooks.MAX_WEBHOOKS_PER_KEY} webhooks per API key`
+      });
+    }
+
+    const secret = webhooks.generateSecret();
+    const created = await db.createWebhook(req.apiKey.id, { ...fields, secret });
+
+    if (!created) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now - it is not shown again.',
+      data: {
+        ...formatWebhook(created),
+        secret
+      }
+    });
+  })
+);
+
+/**
+ * PATCH /api/v1/webhooks/:id
+ * Update a webhook. Body: any of { url, events, mints, sentimentThreshold, isActive }
+ * Setting isActive: true re-enables a webhook disabled after repeated failures.
+ */
+router.patch('/webhooks/:id',
+  strictLimiter,
+  validateApiKey,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const webhook = await loadOwnedWebhook(req, res);
+    if (!webhook) return;
+
+    const { error, fields } = parseWebhookFields(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+
+    const updated = await db.updateWebhook(webhook.id, req.apiKey.id, fields);
+
+    res.json({
+      success: true,
+      data: formatWebhook(updated)
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ * Delete a webhook and its delivery log
+ */
+router.delete('/webhooks/:id',
+  validateApiKey,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const webhook = await loadOwnedWebhook(req, res);
+    if (!webhook) return;
+
+    await db.deleteWebhook(webhook.id, req.apiKey.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  })
+);
+
+/**
+ * POST /api/v1/webhooks/:id/test
+ * Queue a `ping` delivery to the webhook
+ */
+router.post('/webhooks/:id/test',
+  strictLimiter,
+  validateApiKey,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const webhook = await loadOwnedWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook is disabled. Re-enable it with PATCH { "isActive": true } first.'
+      });
+    }
+
+    const delivery = await webhooks.sendPing(webhook.id);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        deliveryId: delivery ? String(delivery.id) : null
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ * Recent deliveries for a webhook (kept for 7 days)
+ * Query: status? (pending|success|failed), limit? (max 100), offset?
+ */
+router.get('/webhooks/:id/deliveries',
+  validateApiKey,
+  requireDatabase,
+  asyncHandler(async (req, res) => {
+    const webhook = await loadOwnedWebhook(req, res);
+    if (!webhook) return;
+
+    const { status } = req.query;
+    if (status && !['pending', 'success', 'failed'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status' });
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 100));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+    const result = await db.getWebhookDeliveries({
+      webhookId: webhook.id,
+      apiKeyId: req.apiKey.id,
+      status: status || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: result.deliveries.map(d => ({
+          id: String(d.id),
+          event: d.event,
+          status: d.status,
+          attempts: d.attempts,
+          responseStatus: d.response_status,
+          error: d.error,
+          payload: d.payload,
+          createdAt: d.created_at,
+          deliveredAt: d.delivered_at
+        })),
+        total: result.total,
+        limit,
+        offset
+      }
+    });
+  })
+);
+
 // ==========================================
 // API Key Management Endpoints
 // ==========================================
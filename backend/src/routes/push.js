@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../services/database');
+const priceFeed = require('../services/priceFeed');
+const pushService = require('../services/push');
+const { asyncHandler, requireDatabase, validatePushSignature, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
+const { walletLimiter } = require('../middleware/rateLimit');
+
+function formatRule(r) {
+  return {
+    id: r.id,
+    tokenMint: r.token_mint,
+    type: r.rule_type,
+    threshold: r.threshold,
+    // Reference price a pct_move rule measures from
+    basePrice: r.rule_type === 'pct_move' ? r.state : undefined,
+    lastTriggeredAt: r.last_triggered_at,
+    createdAt: r.created_at,
+    ...(r.symbol !== undefined && {
+      token: {
+        name: r.name || null,
+        symbol: r.symbol || null,
+        logoUri: r.logo_uri || null,
+        price: r.price != null ? parseFloat(r.price) : null
+      }
+    })
+  };
+}
+
+// GET /api/push/vapid-key
+// Public key browsers need to subscribe (enabled: false when the server has no VAPID keys)
+router.get('/vapid-key', (req, res) => {
+  res.json({
+    enabled: pushService.isConfigured(),
+    publicKey: pushService.getPublicKey()
+  });
+});
+
+router.use(requireDatabase);
+
+// POST /api/push/subscriptions
+// Register this browser's push subscription for a wallet
+// Body: { wallet, subscription: PushSubscription.toJSON(), signature, signatureTimestamp }
+router.post('/subscriptions', walletLimiter, validatePushSignature, asyncHandler(async (req, res) => {
+  if (!pushService.isConfigured()) {
+    return res.status(503).json({ error: 'Push notifications are not enabled on this server', code: 'PUSH_DISABLED' });
+  }
+
+  const { wallet, subscription } = req.body;
+  const check = pushService.validateSubscription(subscription);
+  if (!check.valid) {
+    return res.status(400).json({ error: check.error });
+  }
+
+  const userAgent = (req.get('user-agent') || '').slice(0, 200) || null;
+  const result = await db.savePushSubscription(wallet, { ...check.subscription, userAgent });
+  if (result.limitReached) {
+    return res.status(400).json({
+      error: `Browser limit reached (max ${db.MAX_PUSH_SUBSCRIPTIONS}) — turn notifications off on another browser first`,
+      code: 'PUSH_SUBSCRIPTION_LIMIT'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.created ? 'Notifications enabled' : 'Subscription updated',
+    wallet
+  });
+}));
+
+// DELETE /api/push/subscriptions
+// Remove a browser's subscription. The endpoint URL is an unguessable capability held
+// only by that browser, so no wallet signature is needed.
+// Body: { endpoint }
+router.delete('/subscriptions', walletLimiter, asyncHandler(async (req, res) => {
+  const { endpoint } = req.body;
+
+  if (typeof endpoint !== 'string' || !endpoint) {
+    return res.status(400).json({ error: 'endpoint is required' });
+  }
+
+  const deleted = await db.deletePushSubscription(endpoint);
+  res.json({ success: true, message: deleted ? 'Notifications disabled' : 'Subscription not found' });
+}));
+
+// GET /api/push/rules/:wallet
+// List a wallet's alert rules
+router.get('/rules/:wallet', asyncHandler(async (req, res) => {
+  const { wallet } = req.params;
+
+  if (!SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const [rules, subscriptions] = await Promise.all([
+    db.getPushAlertRules(wallet),
+    db.getPushSubscriptionCount(wallet)
+  ]);
+
+  res.json({
+    wallet,
+    subscriptions,
+    count: rules.length,
+    max: db.MAX_PUSH_ALERT_RULES,
+    types: pushService.RULE_TYPES,
+    rules: rules.map(formatRule)
+  });
+}));
+
+// POST /api/push/rules
+// Add an alert rule on a watchlisted token
+// Body: { wallet, tokenMint, type, threshold?, signature, signatureTimestamp }
+router.post('/rules', walletLimiter, validatePushSignature, asyncHandler(async (req, res) => {
+  const { wallet, tokenMint, type, threshold } = req.body;
+
+  if (!tokenMint || !SOLANA_ADDRESS_REGEX.test(tokenMint)) {
+    return res.status(400).json({ error: 'Invalid token mint address' });
+  }
+
+  const check = pushService.validateRule(type, threshold);
+  if (!check.valid) {
+    return res.status(400).json({ error: check.error });
+  }
+
+  // Baseline from the current price / latest banner, so the first evaluation can't fire on stale state
+  let state = null;
+  if (pushService.PRICE_RULE_TYPES.includes(type)) {
+    const priceData = await priceFeed.getPrice(tokenMint).catch(() => null);
+    state = priceData?.price > 0 ? priceData.price : null;
+  } else {
+    const bannerIds = await db.getLatestApprovedBannerIds([tokenMint]);
+    state = bannerIds[tokenMint];
+  }
+
+  const result = await db.createPushAlertRule(wallet, { tokenMint, type, threshold: check.threshold, state });
+  if (result.notWatched) {
+    return res.status(400).json({ error: 'Add the token to your watchlist first', code: 'NOT_IN_WATCHLIST' });
+  }
+  if (result.exists) {
+    return res.status(400).json({ error: 'You already have this alert', code: 'DUPLICATE_RULE' });
+  }
+  if (result.limitReached) {
+    return res.status(400).json({
+      error: `Alert limit reached (max ${db.MAX_PUSH_ALERT_RULES})`,
+      code: 'PUSH_RULE_LIMIT'
+    });
+  }
+
+  res.json({ success: true, message: 'Alert added', rule: formatRule(result), wallet });
+}));
+
+// DELETE /api/push/rules/:id
+// Body: { wallet, signature, signatureTimestamp }
+router.delete('/rules/:id', walletLimiter, validatePushSignature, asyncHandler(async (req, res) => {
+  const { wallet } = req.body;
+  const id = parseInt(req.params.id);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid rule id' });
+  }
+
+  const deleted = await db.deletePushAlertRule(wallet, id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+
+  res.json({ success: true, message: 'Alert removed', id, wallet });
+}));
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../services/database');
+const { cache, TTL } = require('../services/cache');
+const { asyncHandler, requireDatabase, validateScreenerQuery, validateScreenSignature, parseScreenerQuery, SCREENER_FIELDS, SCREENER_SORTS, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
+const { searchLimiter, walletLimiter } = require('../middleware/rateLimit');
+
+router.use(requireDatabase);
+
+const MAX_SCREEN_NAME_LENGTH = 50;
+
+const num = (v) => v != null ? parseFloat(v) : null;
+
+// Shape a screened row for the API
+function formatScreenedToken(r) {
+  return {
+    mint: r.mint_address,
+    name: r.name || `${r.mint_address.slice(0, 4)}...${r.mint_address.slice(-4)}`,
+    symbol: r.symbol || r.mint_address.slice(0, 5).toUpperCase(),
+    logoUri: r.logo_uri || null,
+    price: num(r.price),
+    marketCap: num(r.mcap),
+    liquidity: num(r.liquidity),
+    volume24h: num(r.volume),
+    priceChange24h: num(r.change_24h),
+    pairCreatedAt: r.pair_created_at ? new Date(r.pair_created_at).getTime() : null,
+    holders: r.holders != null ? parseInt(r.holders) : null,
+    top10Pct: num(r.top10_pct),
+    conviction1m: num(r.conviction),
+    sentimentScore: parseInt(r.sentiment_score) || 0,
+    sentimentVotes: parseInt(r.sentiment_votes) || 0,
+    bullishPct: r.bullish_pct != null ? Math.round(parseFloat(r.bullish_pct)) : null,
+    calls24h: parseInt(r.calls_24h) || 0,
+    hasBanner: !!r.has_banner
+  };
+}
+
+function formatSavedScreen(s) {
+  return {
+    id: s.id,
+    name: s.name,
+    query: s.query,
+    createdAt: s.created_at,
+    updatedAt: s.updated_at
+  };
+}
+
+// Run the screen described by req.screener (set by validateScreenerQuery)
+async function runScreen(req, res) {
+  const { query, filters, sort, order, limit, offset } = req.screener;
+
+  const cacheKey = `screener:${query}:${sort}:${order}:${limit}:${offset}`;
+  const result = await cache.getOrSet(cacheKey, async () => {
+    const { tokens, total } = await db.screenTokens(filters, { sort, order, limit, offset });
+    return { tokens: tokens.map(formatScreenedToken), total };
+  }, TTL.MEDIUM);
+
+  res.json({
+    query,
+    filters,
+    sort,
+    order,
+    ...result,
+    limit,
+    offset,
+    ...(req.savedScreen && { screen: formatSavedScreen(req.savedScreen) })
+  });
+}
+
+// GET /api/screener?q=mcap:100k-5m liq:>50k age:<7d&sort=mcap&order=desc&limit=50&offset=0
+// Run an ad-hoc screen over known tokens
+router.get('/', searchLimiter, validateScreenerQuery, asyncHandler(runScreen));
+
+// GET /api/screener/fields
+// Filter fields and sort keys accepted by the screener DSL
+router.get('/fields', (req, res) => {
+  res.json({
+    fields: Object.entries(SCREENER_FIELDS).map(([name, spec]) => ({ name, ...spec })),
+    sorts: SCREENER_SORTS,
+    example: 'mcap:100k-5m liq:>50k age:<7d holders:>500 top10:<30 banner:yes bullish:>60'
+  });
+});
+
+// GET /api/screener/saved/:wallet
+// List a wallet's saved screens
+router.get('/saved/:wallet', asyncHandler(async (req, res) => {
+  const { wallet } = req.params;
+
+  if (!SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const screens = await db.getSavedScreens(wallet);
+
+  res.json({
+    wallet,
+    count: screens.length,
+    max: db.MAX_SAVED_SCREENS,
+    screens: screens.map(formatSavedScreen)
+  });
+}));
+
+// GET /api/screener/run/:id?sort=&order=&limit=&offset=
+// Run a saved screen by id (used by the Telegram bot)
+router.get('/run/:id', searchLimiter, asyncHandler(async (req, res, next) => {
+  const id = parseInt(req.params.id);
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid screen id' });
+  }
+
+  const screen = await db.getSavedScreen(id);
+  if (!screen) {
+    return res.status(404).json({ error: 'Saved screen not found' });
+  }
+
+  req.savedScreen = screen;
+  req.query.q = screen.query;
+  next();
+}), validateScreenerQuery, asyncHandler(runScreen));
+
+// POST /api/screener/saved
+// Save (or overwrite by name) a screen for a wallet
+// Body: { wallet, name, query, signature, signatureTimestamp }
+router.post('/saved', walletLimiter, validateScreenSignature, asyncHandler(async (req, res) => {
+  const { wallet, name, query } = req.body;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_SCREEN_NAME_LENGTH) {
+    return res.status(400).json({ error: `Name is required (max ${MAX_SCREEN_NAME_LENGTH} characters)` });
+  }
+  // Signed names must match exactly, so reject rather than trim
+  if (name !== name.trim()) {
+    return res.status(400).json({ error: 'Name cannot start or end with spaces' });
+  }
+
+  const { error } = parseScreenerQuery(query);
+  if (error) {
+    return res.status(400).json({ error, code: 'INVALID_SCREENER_QUERY' });
+  }
+
+  const normalized = query.trim().replace(/\s+/g, ' ');
+  const result = await db.saveScreen(wallet, name, normalized);
+  if (result.limitReached) {
+    return res.status(400).json({
+      error: `Saved screen limit reached (max ${db.MAX_SAVED_SCREENS})`,
+      code: 'SCREEN_LIMIT'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: result.created ? 'Screen saved' : 'Screen updated',
+    screen: formatSavedScreen(result),
+    wallet
+  });
+}));
+
+// DELETE /api/screener/saved
+// Delete a saved screen by name
+// Body: { wallet, name, signature, signatureTimestamp }
+router.delete('/saved', walletLimiter, validateScreenSignature, asyncHandler(async (req, res) => {
+  const { wallet, name } = req.body;
+
+  if (typeof name !== 'string' || !name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  const deleted = await db.deleteSavedScreen(wallet, name);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Saved screen not found' });
+  }
+
+  res.json({ success: true, message: 'Screen deleted', name, wallet });
+}));
+
+module.exports = router;
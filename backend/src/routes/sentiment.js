@@ -1,15 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
+const webhooks = require('../services/webhooks');
+const { cache, TTL } = require('../services/cache');
 const { asyncHandler, requireDatabase, validateMint, validateSentimentSignature, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
 const { defaultLimiter, walletLimiter } = require('../middleware/rateLimit');
+const { adminSettings } = require('./admin');
+const sentimentSettings = require('../services/sentimentSettings');
+const { verifyHolderStatus } = require('./votes');
 
 router.use(requireDatabase);
 
+// History windows: total span and bucket size
+const HISTORY_WINDOWS = {
+  '1h': { spanMs: 60 * 60 * 1000, bucketMs: 5 * 60 * 1000 },
+  '24h': { spanMs: 24 * 60 * 60 * 1000, bucketMs: 60 * 60 * 1000 },
+  '7d': { spanMs: 7 * 24 * 60 * 60 * 1000, bucketMs: 6 * 60 * 60 * 1000 }
+};
+
+const historyCacheKey = (mint, window) => `sentiment-history:${mint}:${window}`;
+
 // POST /api/sentiment/bulk
 // Must be defined BEFORE /:mint so Express doesn't treat "bulk" as a mint address
 // Body: { mints: string[] }
-// Returns: { [mint]: { bullish, bearish, score } }
+// Returns: { [mint]: { bullish, bearish, score, weighted: { bullish, bearish, score } } }
 router.post('/bulk', defaultLimiter, asyncHandler(async (req, res) => {
   const { mints } = req.body;
   if (!Array.isArray(mints) || mints.length === 0) return res.json({});
@@ -21,26 +35,89 @@ router.post('/bulk', defaultLimiter, asyncHandler(async (req, res) => {
 }));
 
 // GET /api/sentiment/:mint?wallet=xxx
-// Returns tally + optional user's current vote
+// Returns raw and holder-weighted tally + optional user's current vote
 router.get('/:mint', defaultLimiter, validateMint, asyncHandler(async (req, res) => {
   const { mint } = req.params;
   const { wallet } = req.query;
   const validWallet = wallet && SOLANA_ADDRESS_REGEX.test(wallet) ? wallet : null;
-  const [tally, userVote] = await Promise.all([
+  const [tally, userVote, { holderVerification }] = await Promise.all([
+    db.getSentimentTally(mint),
+    validWallet ? db.getSentimentVote(mint, validWallet) : Promise.resolve(null),
+    sentimentSettings.loadSettings()
+  ]);
+  res.json({ tally, userVote, holderVerification });
+}));
+
+// GET /api/sentiment/:mint/history?window=1h|24h|7d
+// Bucketed sentiment over time. Each bucket carries the running tally at the end
+// of the bucket (bullish, bearish, score) and the votes cast in it.
+router.get('/:mint/history', defaultLimiter, validateMint, asyncHandler(async (req, res) => {
+  const { mint } = req.params;
+  const window = HISTORY_WINDOWS[req.query.window] ? req.query.window : '24h';
+  const { spanMs, bucketMs } = HISTORY_WINDOWS[window];
+
+  const cacheKey = historyCacheKey(mint, window);
+  const cached = await cache.get(cacheKey);
+  if (cached) return res.json(cached);
+
+  // Last bucket is the one in progress; buckets are aligned to the epoch
+  const lastBucket = Math.floor(Date.now() / bucketMs) * bucketMs;
+  const count = Math.round(spanMs / bucketMs);
+  const firstBucket = lastBucket - (count - 1) * bucketMs;
+
+  const [tally, rows] = await Promise.all([
     db.getSentimentTally(mint),
-    validWallet ? db.getSentimentVote(mint, validWallet) : Promise.resolve(null)
+    db.getSentimentEventBuckets(mint, firstBucket, bucketMs)
   ]);
-  res.json({ tally, userVote });
+  const byBucket = new Map(rows.map(r => [r.bucket, r]));
+
+  // Walk back from the current tally, undoing each bucket's net change
+  const buckets = new Array(count);
+  let bullish = tally.bullish || 0;
+  let bearish = tally.bearish || 0;
+  for (let i = count - 1; i >= 0; i--) {
+    const t = firstBucket + i * bucketMs;
+    const row = byBucket.get(t);
+    buckets[i] = {
+      t,
+      bullish,
+      bearish,
+      score: bullish - bearish,
+      bullishVotes: row?.bullishVotes || 0,
+      bearishVotes: row?.bearishVotes || 0
+    };
+    if (row) {
+      bullish = Math.max(0, bullish - row.bullishNet);
+      bearish = Math.max(0, bearish - row.bearishNet);
+    }
+  }
+
+  const result = {
+    mint,
+    window,
+    bucketMs,
+    tally,
+    change: {
+      bullish: (tally.bullish || 0) - bullish,
+      bearish: (tally.bearish || 0) - bearish,
+      score: ((tally.bullish || 0) - bullish) - ((tally.bearish || 0) - bearish)
+    },
+    buckets
+  };
+
+  await cache.set(cacheKey, result, TTL.MEDIUM);
+  res.json(result);
 }));
 
 // POST /api/sentiment/:mint
 // Body: { voterWallet, sentiment: 'bullish'|'bearish' }
-// Requires wallet connection; no holder check
+// Requires wallet connection. Anyone can vote; in holder-verified mode (admin setting)
+// the voter's balance is snapshotted and sets the vote's weight in the weighted tally.
 router.post('/:mint', walletLimiter, validateMint, validateSentimentSignature, asyncHandler(async (req, res) => {
   const { mint } = req.params;
   const { sentiment } = req.body;
-  // Fall back to device session wallet if not provided in body
-  const voterWallet = req.body.voterWallet || req.deviceWallet;
+  // Fall back to the session wallet if not provided in body
+  const voterWallet = req.body.voterWallet || req.sessionWallet;
 
   if (!voterWallet) {
     return res.status(400).json({ error: 'voterWallet required' });
@@ -52,8 +129,27 @@ router.post('/:mint', walletLimiter, validateMint, validateSentimentSignature, a
     return res.status(400).json({ error: 'sentiment must be bullish or bearish' });
   }
 
-  const { action, tally } = await db.castSentimentVote(mint, voterWallet, sentiment);
-  res.json({ action, tally });
+  let holder = null;
+  const { holderVerification } = await sentimentSettings.loadSettings();
+  if (holderVerification) {
+    const isDevelopmentMode = process.env.NODE_ENV !== 'production' && adminSettings.developmentMode === true;
+    if (isDevelopmentMode) {
+      holder = { balance: null, percentage: null, weight: 1 };
+    } else {
+      // Server-side balance check; a failed lookup counts as a non-holder (weight 0)
+      const holderData = await verifyHolderStatus(voterWallet, mint);
+      holder = {
+        balance: holderData.balance || 0,
+        percentage: holderData.percentageHeld || 0,
+        weight: db.calculateSentimentWeight(holderData.holdsToken, holderData.percentageHeld)
+      };
+    }
+  }
+
+  const { action, tally, previousScore } = await db.castSentimentVote(mint, voterWallet, sentiment, holder);
+  webhooks.emitSentimentChange(mint, previousScore, tally);
+  await Promise.all(Object.keys(HISTORY_WINDOWS).map(w => cache.delete(historyCacheKey(mint, w))));
+  res.json({ action, tally, weight: holder ? holder.weight : null });
 }));
 
 module.exports = router;
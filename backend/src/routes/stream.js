@@ -0,0 +1,46 @@
+/**
+ * Real-time price streaming (Server-Sent Events)
+ *
+ * Clients subscribe to one or more mints and receive `price` events whenever the
+ * shared price feed observes a change. All subscribers of a mint share a single
+ * upstream fetch — see services/priceFeed.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const priceFeed = require('../services/priceFeed');
+const { SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
+
+/**
+ * GET /api/stream/prices?mints=<mint>,<mint>
+ * Opens an SSE stream of price ticks for up to MAX_MINTS_PER_STREAM mints
+ * (more with a valid X-Stream-Key — see services/priceFeed.js).
+ * Event: `price` — { mint, price, priceChange24h, marketCap, fdv, volume24h, liquidity, updatedAt }
+ */
+router.get('/prices', (req, res) => {
+  const raw = typeof req.query.mints === 'string' ? req.query.mints : '';
+  const mints = [...new Set(raw.split(',').map(m => m.trim()).filter(Boolean))];
+
+  if (mints.length === 0) {
+    return res.status(400).json({ error: 'mints query parameter is required' });
+  }
+
+  const maxMints = priceFeed.maxMintsPerStream(req);
+  if (mints.length > maxMints) {
+    return res.status(400).json({ error: `Maximum ${maxMints} mints per stream` });
+  }
+
+  if (!mints.every(m => SOLANA_ADDRESS_REGEX.test(m))) {
+    return res.status(400).json({ error: 'Invalid mint address' });
+  }
+
+  const limitError = priceFeed.checkStreamLimits(req);
+  if (limitError) {
+    res.setHeader('Retry-After', 30);
+    return res.status(429).json({ error: limitError, code: 'RATE_LIMITED' });
+  }
+
+  priceFeed.openStream(req, res, mints);
+});
+
+module.exports = router;
@@ -612,3 +612,5 @@ router.get('/requirements', asyncHandler(async (req, res) => {
 }));
 
 module.exports = router;
+// Shared with holder-verified sentiment voting
+module.exports.verifyHolderStatus = verifyHolderStatus;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const portfolioService = require('../services/portfolio');
+const { cache, TTL } = require('../services/cache');
+const { asyncHandler, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
+const { searchLimiter } = require('../middleware/rateLimit');
+
+// GET /api/wallets/:address/portfolio
+// SPL balances priced via Jupiter, with cost basis and PnL from swap history
+router.get('/:address/portfolio', searchLimiter, asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!SOLANA_ADDRESS_REGEX.test(address)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  try {
+    // Building a portfolio costs several Helius + RPC + price calls — cache per wallet
+    const portfolio = await cache.getOrSet(`portfolio:${address}`, async () => {
+      return portfolioService.getPortfolio(address);
+    }, TTL.MEDIUM);
+
+    res.json(portfolio);
+  } catch (error) {
+    if (error.isOverloaded || error.isCircuitBreakerError) throw error;
+    // Privacy: Don't log error details
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to fetch portfolio' });
+  }
+}));
+
+module.exports = router;
@@ -1,12 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/database');
-const { asyncHandler, requireDatabase, validateWalletSignature, validateWatchlistSignature, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
+const priceFeed = require('../services/priceFeed');
+const { asyncHandler, requireDatabase, validateWalletSignature, validateWatchlistSignature, requireWatchlistSignature, SOLANA_ADDRESS_REGEX } = require('../middleware/validation');
 const { walletLimiter, strictLimiter } = require('../middleware/rateLimit');
 
 // All routes in this file require database access
 router.use(requireDatabase);
 
+const MAX_WATCHLIST_TOKENS = 100;
+const MAX_NOTE_LENGTH = 280;
+const MAX_GROUP_NAME_LENGTH = 40;
+const CSV_COLUMNS = ['mint', 'symbol', 'name', 'group', 'note', 'entry_price', 'target_price', 'added_at'];
+
 // Use shared Solana address regex for consistency
 const isValidWallet = (address) => {
   return address && SOLANA_ADDRESS_REGEX.test(address);
@@ -15,6 +21,153 @@ const isValidMint = (mint) => {
   return mint && SOLANA_ADDRESS_REGEX.test(mint);
 };
 
+// Optional entry fields: undefined = not provided, null = clear; { error } when invalid
+function parseNote(value) {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === '') return { value: null };
+  if (typeof value !== 'string' || value.trim().length > MAX_NOTE_LENGTH) {
+    return { error: `Note must be text (max ${MAX_NOTE_LENGTH} characters)` };
+  }
+  return { value: value.trim() || null };
+}
+
+function parsePrice(value, label) {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === '') return { value: null };
+  const price = typeof value === 'string' ? Number(value) : value;
+  if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+    return { error: `${label} must be a positive number` };
+  }
+  return { value: price };
+}
+
+// Group names are signed, so reject surrounding spaces rather than trimming
+function validateGroupName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_GROUP_NAME_LENGTH) {
+    return `Group name is required (max ${MAX_GROUP_NAME_LENGTH} characters)`;
+  }
+  if (name !== name.trim()) {
+    return 'Group name cannot start or end with spaces';
+  }
+  return null;
+}
+
+// Resolve an optional groupId from the request body against the wallet's groups
+async function resolveGroupId(wallet, groupId) {
+  if (groupId === undefined || groupId === null) return { value: groupId };
+  const id = parseInt(groupId);
+  if (isNaN(id) || id < 1) return { error: 'Invalid group id', status: 400 };
+  const group = await db.getWatchlistGroup(wallet, id);
+  if (!group) return { error: 'Watchlist group not found', status: 404 };
+  return { value: id };
+}
+
+function formatGroup(g) {
+  return { id: g.id, name: g.name, count: g.count ?? 0, createdAt: g.created_at };
+}
+
+// ── CSV import / export ──────────────────────────────────────────────
+
+// Quote a CSV cell; leading formula characters are neutralised for spreadsheet apps
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Parse CSV text into rows of cells (RFC 4180 quoting)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// Undo csvCell's formula guard
+const unguardCsvCell = (value) => /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+
+// Normalise an import payload (JSON array / export object, or CSV text) into raw entries
+function readImportEntries(format, data) {
+  if (format === 'json') {
+    const list = Array.isArray(data) ? data : data?.tokens;
+    if (!Array.isArray(list)) return { error: 'JSON import must be an array of entries or an export file' };
+    return {
+      entries: list.map(e => ({
+        mint: e?.mint,
+        group: e?.group ?? e?.groupName,
+        note: e?.note,
+        entryPrice: e?.entryPrice,
+        targetPrice: e?.targetPrice
+      }))
+    };
+  }
+
+  if (format === 'csv') {
+    if (typeof data !== 'string') return { error: 'CSV import must be text' };
+    const [header, ...rows] = parseCsv(data);
+    const columns = (header || []).map(c => c.trim().toLowerCase());
+    if (!columns.includes('mint')) return { error: 'CSV must have a header row with a "mint" column' };
+    const cellOf = (row, column) => {
+      const index = columns.indexOf(column);
+      return index === -1 || row[index] === undefined ? undefined : unguardCsvCell(row[index].trim());
+    };
+    return {
+      entries: rows.map(row => ({
+        mint: cellOf(row, 'mint'),
+        group: cellOf(row, 'group'),
+        note: cellOf(row, 'note'),
+        entryPrice: cellOf(row, 'entry_price'),
+        targetPrice: cellOf(row, 'target_price')
+      }))
+    };
+  }
+
+  return { error: 'format must be "json" or "csv"' };
+}
+
+// Notes and entry/target prices are private to the owner: a request carrying the
+// wallet's session (see validateWalletSession). Anyone else gets the token list only.
+function isOwner(req, wallet) {
+  return !!req.sessionWallet && req.sessionWallet === wallet;
+}
+
+function stripPrivateFields(entry) {
+  return { ...entry, note: null, entryPrice: null, targetPrice: null };
+}
+
 // GET /api/watchlist/:wallet - Get user's watchlist
 router.get('/:wallet', asyncHandler(async (req, res) => {
   const { wallet } = req.params;
@@ -23,17 +176,72 @@ router.get('/:wallet', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Invalid wallet address' });
   }
 
-  const watchlist = await db.getWatchlist(wallet);
+  const [watchlist, groups] = await Promise.all([
+    db.getWatchlist(wallet),
+    db.getWatchlistGroups(wallet)
+  ]);
   const count = watchlist.length;
+  const owner = isOwner(req, wallet);
 
+  res.vary(['Authorization', 'X-Device-Session']);
   res.json({
     wallet,
     count,
-    tokens: watchlist
+    owner,
+    tokens: owner ? watchlist : watchlist.map(stripPrivateFields),
+    groups: groups.map(formatGroup)
+  });
+}));
+
+// GET /api/watchlist/:wallet/export?format=json|csv - Download the watchlist
+router.get('/:wallet/export', walletLimiter, asyncHandler(async (req, res) => {
+  const { wallet } = req.params;
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+  if (!isValidWallet(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const [entries, groups] = await Promise.all([
+    db.getWatchlist(wallet),
+    db.getWatchlistGroups(wallet)
+  ]);
+  const watchlist = isOwner(req, wallet) ? entries : entries.map(stripPrivateFields);
+  const filename = `opendex-watchlist-${wallet.slice(0, 8)}.${format}`;
+  res.vary(['Authorization', 'X-Device-Session']);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const t of watchlist) {
+      lines.push([
+        t.mint, t.symbol, t.name, t.groupName, t.note, t.entryPrice, t.targetPrice,
+        t.addedAt ? new Date(t.addedAt).toISOString() : null
+      ].map(csvCell).join(','));
+    }
+    res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+    return;
+  }
+
+  res.json({
+    wallet,
+    exportedAt: new Date().toISOString(),
+    groups: groups.map(g => g.name),
+    tokens: watchlist.map(t => ({
+      mint: t.mint,
+      symbol: t.symbol,
+      name: t.name,
+      group: t.groupName,
+      note: t.note,
+      entryPrice: t.entryPrice,
+      targetPrice: t.targetPrice,
+      addedAt: t.addedAt
+    }))
   });
 }));
 
 // POST /api/watchlist - Add token to watchlist
+// Body: { wallet, tokenMint, groupId?, note?, targetPrice? } — the entry price is captured here
 router.post('/', walletLimiter, validateWatchlistSignature, asyncHandler(async (req, res) => {
   const { wallet, tokenMint } = req.body;
 
@@ -45,11 +253,31 @@ router.post('/', walletLimiter, validateWatchlistSignature, asyncHandler(async (
     return res.status(400).json({ error: 'Invalid token mint address' });
   }
 
+  const note = parseNote(req.body.note);
+  const targetPrice = parsePrice(req.body.targetPrice, 'Target price');
+  const invalid = note.error || targetPrice.error;
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const group = await resolveGroupId(wallet, req.body.groupId);
+  if (group.error) {
+    return res.status(group.status).json({ error: group.error });
+  }
+
+  // Non-critical: without a live price the entry falls back to the last stored price
+  const priceData = await priceFeed.getPrice(tokenMint).catch(() => null);
+
   // Atomic watchlist insert with limit check (prevents TOCTOU race condition)
-  const result = await db.addToWatchlistAtomic(wallet, tokenMint, 100);
+  const result = await db.addToWatchlistAtomic(wallet, tokenMint, MAX_WATCHLIST_TOKENS, {
+    groupId: group.value ?? null,
+    note: note.value ?? null,
+    entryPrice: priceData?.price > 0 ? priceData.price : null,
+    targetPrice: targetPrice.value ?? null
+  });
   if (result.limitReached) {
     return res.status(400).json({
-      error: 'Watchlist limit reached (max 100 tokens)',
+      error: `Watchlist limit reached (max ${MAX_WATCHLIST_TOKENS} tokens)`,
       code: 'WATCHLIST_LIMIT'
     });
   }
@@ -58,11 +286,62 @@ router.post('/', walletLimiter, validateWatchlistSignature, asyncHandler(async (
     success: true,
     message: result.exists ? 'Token already in watchlist' : 'Token added to watchlist',
     alreadyExists: !!result.exists,
+    entryPrice: result.entry_price ?? null,
     tokenMint,
     wallet
   });
 }));
 
+// PATCH /api/watchlist - Update a watchlisted token's group, note or target price
+// Body: { wallet, tokenMint, groupId?, note?, targetPrice? } — null clears a field
+router.patch('/', walletLimiter, requireWatchlistSignature, asyncHandler(async (req, res) => {
+  const { wallet, tokenMint } = req.body;
+
+  if (!isValidWallet(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!isValidMint(tokenMint)) {
+    return res.status(400).json({ error: 'Invalid token mint address' });
+  }
+
+  const note = parseNote(req.body.note);
+  const targetPrice = parsePrice(req.body.targetPrice, 'Target price');
+  const invalid = note.error || targetPrice.error;
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const group = await resolveGroupId(wallet, req.body.groupId);
+  if (group.error) {
+    return res.status(group.status).json({ error: group.error });
+  }
+
+  const changes = { groupId: group.value, note: note.value, targetPrice: targetPrice.value };
+  if (Object.values(changes).every(v => v === undefined)) {
+    return res.status(400).json({ error: 'Nothing to update (groupId, note or targetPrice)' });
+  }
+
+  const updated = await db.updateWatchlistEntry(wallet, tokenMint, changes);
+  if (!updated) {
+    return res.status(404).json({ error: 'Token not found in watchlist', tokenMint, wallet });
+  }
+
+  res.json({
+    success: true,
+    message: 'Watchlist entry updated',
+    entry: {
+      mint: updated.token_mint,
+      groupId: updated.group_id,
+      note: updated.note,
+      entryPrice: updated.entry_price,
+      targetPrice: updated.target_price,
+      addedAt: updated.added_at
+    },
+    wallet
+  });
+}));
+
 // DELETE /api/watchlist - Remove token from watchlist
 router.delete('/', walletLimiter, validateWatchlistSignature, asyncHandler(async (req, res) => {
   const { wallet, tokenMint } = req.body;
@@ -145,6 +424,149 @@ router.post('/check-batch', walletLimiter, asyncHandler(async (req, res) => {
   });
 }));
 
+// POST /api/watchlist/import - Import entries from a JSON or CSV export
+// Body: { wallet, format: 'json'|'csv', data } — data is an entry array / export object, or CSV text
+// Existing tokens are updated in place; new tokens are added until the watchlist limit
+router.post('/import', strictLimiter, requireWatchlistSignature, asyncHandler(async (req, res) => {
+  const { wallet, format, data } = req.body;
+
+  if (!isValidWallet(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const parsed = readImportEntries(format, data);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  if (parsed.entries.length === 0) {
+    return res.status(400).json({ error: 'Import contains no entries' });
+  }
+  if (parsed.entries.length > MAX_WATCHLIST_TOKENS) {
+    return res.status(400).json({ error: `Maximum ${MAX_WATCHLIST_TOKENS} entries per import` });
+  }
+
+  const entries = new Map();
+  for (const [index, raw] of parsed.entries.entries()) {
+    const row = index + 1;
+    if (!isValidMint(raw.mint)) {
+      return res.status(400).json({ error: `Entry ${row}: invalid token mint address` });
+    }
+
+    const note = parseNote(raw.note);
+    const entryPrice = parsePrice(raw.entryPrice, 'Entry price');
+    const targetPrice = parsePrice(raw.targetPrice, 'Target price');
+    const invalid = note.error || entryPrice.error || targetPrice.error;
+    if (invalid) {
+      return res.status(400).json({ error: `Entry ${row}: ${invalid}` });
+    }
+
+    const group = typeof raw.group === 'string' ? raw.group.trim() : '';
+    if (group.length > MAX_GROUP_NAME_LENGTH) {
+      return res.status(400).json({ error: `Entry ${row}: group name too long (max ${MAX_GROUP_NAME_LENGTH} characters)` });
+    }
+
+    // Later rows for the same mint win
+    entries.set(raw.mint, {
+      mint: raw.mint,
+      group: group || null,
+      note: note.value,
+      entryPrice: entryPrice.value,
+      targetPrice: targetPrice.value
+    });
+  }
+
+  const result = await db.importWatchlist(wallet, [...entries.values()], MAX_WATCHLIST_TOKENS);
+
+  res.json({
+    success: true,
+    message: `Imported ${result.added} new and updated ${result.updated} existing token${result.updated === 1 ? '' : 's'}`,
+    ...result,
+    wallet
+  });
+}));
+
+// ==========================================
+// Watchlist groups
+// ==========================================
+
+// POST /api/watchlist/groups - Create a group
+// Body: { wallet, name, signature, signatureTimestamp }
+router.post('/groups', walletLimiter, requireWatchlistSignature, asyncHandler(async (req, res) => {
+  const { wallet, name } = req.body;
+
+  if (!isValidWallet(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  const nameError = validateGroupName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  const result = await db.createWatchlistGroup(wallet, name);
+  if (result.exists) {
+    return res.status(409).json({ error: 'A group with this name already exists', code: 'GROUP_EXISTS' });
+  }
+  if (result.limitReached) {
+    return res.status(400).json({
+      error: `Watchlist group limit reached (max ${db.MAX_WATCHLIST_GROUPS})`,
+      code: 'GROUP_LIMIT'
+    });
+  }
+
+  res.json({ success: true, message: 'Group created', group: formatGroup(result), wallet });
+}));
+
+// PATCH /api/watchlist/groups/:id - Rename a group
+// Body: { wallet, name, signature, signatureTimestamp }
+router.patch('/groups/:id', walletLimiter, requireWatchlistSignature, asyncHandler(async (req, res) => {
+  const { wallet, name } = req.body;
+  const id = parseInt(req.params.id);
+
+  if (!isValidWallet(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid group id' });
+  }
+
+  const nameError = validateGroupName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  const result = await db.renameWatchlistGroup(wallet, id, name);
+  if (!result) {
+    return res.status(404).json({ error: 'Watchlist group not found' });
+  }
+  if (result.exists) {
+    return res.status(409).json({ error: 'A group with this name already exists', code: 'GROUP_EXISTS' });
+  }
+
+  res.json({ success: true, message: 'Group renamed', group: formatGroup(result), wallet });
+}));
+
+// DELETE /api/watchlist/groups/:id - Delete a group (its tokens stay on the watchlist, ungrouped)
+// Body: { wallet, signature, signatureTimestamp }
+router.delete('/groups/:id', walletLimiter, requireWatchlistSignature, asyncHandler(async (req, res) => {
+  const { wallet } = req.body;
+  const id = parseInt(req.params.id);
+
+  if (!isValidWallet(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  if (isNaN(id) || id < 1) {
+    return res.status(400).json({ error: 'Invalid group id' });
+  }
+
+  const deleted = await db.deleteWatchlistGroup(wallet, id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Watchlist group not found' });
+  }
+
+  res.json({ success: true, message: 'Group deleted', id, wallet });
+}));
+
 // GET /api/watchlist/:wallet/count - Get watchlist count
 router.get('/:wallet/count', asyncHandler(async (req, res) => {
   const { wallet } = req.params;
@@ -171,7 +593,7 @@ router.get('/:wallet/count', asyncHandler(async (req, res) => {
  * Requires wallet signature for security
  *
  * This endpoint deletes:
- * - Watchlist entries
+ * - Watchlist entries and groups
  * - Votes (and updates affected tallies)
  * - API keys
  * - Anonymizes submissions (removes wallet association but keeps content)
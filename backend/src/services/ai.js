@@ -0,0 +1,329 @@
+/**
+ * AI provider layer
+ * Every AI feature renders a versioned prompt template (src/prompts/<name>.v<N>.txt)
+ * and sends it through one of these providers:
+ *
+ *   anthropic  Anthropic Messages API (ANTHROPIC_API_KEY, ANTHROPIC_MODEL)
+ *   openai     Any OpenAI-compatible /chat/completions endpoint
+ *              (OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL)
+ *   template   Deterministic offline output from the template's `fallback` section.
+ *              Needs no network — used for local development and testing AI routes.
+ *
+ * AI_PROVIDER picks the provider (default: anthropic if its key is set, else openai
+ * if its base URL is set). AI_FALLBACK_PROVIDER is tried when the primary call fails.
+ *
+ * Completions are cached by a hash of the rendered prompt, and token usage is
+ * recorded per feature per day (ai_usage_daily) for the admin panel. Callers that
+ * need structured output pass a `parse` function: a completion it rejects counts
+ * as a provider failure, so the fallback is tried and nothing invalid is cached.
+ *
+ * Template format — a header of `key: value` lines (`#` for comments), then sections:
+ *
+ *   maxTokens: 150
+ *   --- system
+ *   (optional system prompt)
+ *   --- user
+ *   Score {{symbol}}...
+ *   --- fallback
+ *   (offline output, same placeholders)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { httpsAgent } = require('./httpAgent');
+const { cache, TTL } = require('./cache');
+const db = require('./database');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const TEMPLATE_FILE_REGEX = /^([a-z0-9_]+)\.v(\d+)\.txt$/;
+const SECTION_REGEX = /^---\s*(system|user|fallback)\s*$/;
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_CACHE_TTL = 3 * TTL.HOUR;
+const REQUEST_TIMEOUT_MS = 30000;
+
+const CACHE_PREFIX = 'ai-completion:';
+
+// ==========================================
+// Prompt templates
+// ==========================================
+
+// name -> { versions: Map<number, template>, latest }
+let templates = null;
+
+function parseTemplate(name, version, source) {
+  const template = { name, version, maxTokens: DEFAULT_MAX_TOKENS, cacheTtl: DEFAULT_CACHE_TTL, system: null, user: null, fallback: null };
+  const sections = {};
+  let current = null;
+
+  for (const line of source.split('\n')) {
+    const section = line.match(SECTION_REGEX);
+    if (section) {
+      current = section[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    } else if (line.trim() && !line.trim().startsWith('#')) {
+      const [key, ...rest] = line.split(':');
+      const value = rest.join(':').trim();
+      if (key.trim() === 'maxTokens') template.maxTokens = parseInt(value, 10) || DEFAULT_MAX_TOKENS;
+      if (key.trim() === 'cacheTtlMinutes') template.cacheTtl = (parseInt(value, 10) || 0) * 60000;
+    }
+  }
+
+  for (const [key, lines] of Object.entries(sections)) {
+    template[key] = lines.join('\n').trim() || null;
+  }
+  if (!template.user) {
+    throw new Error(`Prompt template ${name}.v${version} has no user section`);
+  }
+  return template;
+}
+
+function loadTemplates() {
+  if (templates) return templates;
+  templates = new Map();
+
+  for (const file of fs.readdirSync(PROMPTS_DIR)) {
+    const match = file.match(TEMPLATE_FILE_REGEX);
+    if (!match) continue;
+    const [, name, versionStr] = match;
+    const version = parseInt(versionStr, 10);
+    const template = parseTemplate(name, version, fs.readFileSync(path.join(PROMPTS_DIR, file), 'utf8'));
+
+    if (!templates.has(name)) templates.set(name, { versions: new Map(), latest: 0 });
+    const entry = templates.get(name);
+    entry.versions.set(version, template);
+    entry.latest = Math.max(entry.latest, version);
+  }
+  return templates;
+}
+
+/**
+ * Get a prompt template
+ * @param {string} name - File name without the version suffix, e.g. 'holder_analysis'
+ * @param {number} [version] - Defaults to the highest version on disk
+ */
+function getTemplate(name, version) {
+  const entry = loadTemplates().get(name);
+  const template = entry?.versions.get(version || entry.latest);
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${name}${version ? `.v${version}` : ''}`);
+  }
+  return template;
+}
+
+function listTemplates() {
+  return [...loadTemplates().values()].map(entry => {
+    const t = entry.versions.get(entry.latest);
+    return { name: t.name, version: t.version, versions: [...entry.versions.keys()].sort((a, b) => a - b), maxTokens: t.maxTokens, offline: !!t.fallback };
+  });
+}
+
+function render(text, vars) {
+  if (!text) return null;
+  return text.replace(PLACEHOLDER_REGEX, (_, key) => {
+    if (vars[key] === undefined || vars[key] === null) {
+      throw new Error(`Missing prompt variable: ${key}`);
+    }
+    return String(vars[key]);
+  });
+}
+
+// sha256 of the given parts — stable cache keys for prompts and user questions
+function hashPrompt(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+}
+
+// ==========================================
+// Providers
+// ==========================================
+
+let anthropicClient = null;
+
+const providers = {
+  anthropic: {
+    isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+    model: () => process.env.ANTHROPIC_MODEL || 'claude-haiku-4-5-20251001',
+    async complete({ system, user, maxTokens }) {
+      if (!anthropicClient) {
+        const Anthropic = require('@anthropic-ai/sdk');
+        anthropicClient = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, timeout: REQUEST_TIMEOUT_MS });
+      }
+      const response = await anthropicClient.messages.create({
+        model: this.model(),
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages: [{ role: 'user', content: user }]
+      });
+      return {
+        text: response.content[0]?.text || '',
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      };
+    }
+  },
+
+  openai: {
+    isConfigured: () => !!process.env.OPENAI_BASE_URL,
+    model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    async complete({ system, user, maxTokens }) {
+      const url = `${process.env.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+      const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+      const messages = system ? [{ role: 'system', content: system }] : [];
+      messages.push({ role: 'user', content: user });
+
+      const { data } = await axios.post(url, {
+        model: this.model(),
+        max_tokens: maxTokens,
+        messages
+      }, {
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        httpsAgent: url.startsWith('https:') ? httpsAgent : undefined
+      });
+      return {
+        text: data?.choices?.[0]?.message?.content || '',
+        inputTokens: data?.usage?.prompt_tokens || 0,
+        outputTokens: data?.usage?.completion_tokens || 0
+      };
+    }
+  },
+
+  template: {
+    isConfigured: () => true,
+    model: () => 'template',
+    async complete({ fallback }) {
+      if (!fallback) throw new Error('Prompt template has no offline fallback');
+      return { text: fallback, inputTokens: 0, outputTokens: 0 };
+    }
+  }
+};
+
+function resolveProvider(name) {
+  if (!name) return null;
+  const provider = providers[name];
+  if (!provider) {
+    console.warn(`[AI] Unknown provider "${name}" (expected ${Object.keys(providers).join(', ')})`);
+    return null;
+  }
+  return provider.isConfigured() ? { name, ...provider } : null;
+}
+
+function getPrimaryProvider() {
+  if (process.env.AI_PROVIDER) return resolveProvider(process.env.AI_PROVIDER);
+  return resolveProvider('anthropic') || resolveProvider('openai');
+}
+
+function getFallbackProvider(primary) {
+  const fallback = resolveProvider(process.env.AI_FALLBACK_PROVIDER);
+  return fallback && fallback.name !== primary?.name ? fallback : null;
+}
+
+// True when AI features can serve requests (a provider or fallback is configured)
+function isConfigured() {
+  const primary = getPrimaryProvider();
+  return !!(primary || getFallbackProvider(primary));
+}
+
+function getStatus() {
+  const primary = getPrimaryProvider();
+  const fallback = getFallbackProvider(primary);
+  return {
+    provider: primary?.name || null,
+    model: primary ? primary.model() : null,
+    fallbackProvider: fallback?.name || null,
+    templates: listTemplates()
+  };
+}
+
+// ==========================================
+// Completions
+// ==========================================
+
+function recordUsage(usage) {
+  db.recordAiUsage(usage).catch(err => console.error('[AI] Usage accounting failed:', err.message));
+}
+
+/**
+ * Render a prompt template and complete it
+ * Throws if no provider (or fallback) returns a completion; callers answer 502.
+ *
+ * @param {string} templateName - Prompt template name (src/prompts)
+ * @param {Object} vars - Values for the template's {{placeholders}}
+ * @param {Object} [options]
+ * @param {string} [options.feature] - Usage accounting key (defaults to the template name)
+ * @param {number} [options.version] - Pin a template version (defaults to the latest)
+ * @param {(text: string) => *} [options.parse] - Validate/transform the completion (throw to reject it)
+ * @returns {Promise<{text, data, provider, model, promptVersion, cached, usage: {inputTokens, outputTokens}}>}
+ *   data is parse(text), or null without a parser
+ */
+async function generate(templateName, vars, { feature, version, parse } = {}) {
+  const template = getTemplate(templateName, version);
+  const prompt = {
+    system: render(template.system, vars),
+    user: render(template.user, vars),
+    maxTokens: template.maxTokens
+  };
+  const usageKey = { feature: feature || template.name, promptVersion: template.version };
+
+  const cacheKey = `${CACHE_PREFIX}${hashPrompt(template.name, template.version, prompt.system || '', prompt.user, prompt.maxTokens)}`;
+  if (template.cacheTtl > 0) {
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      recordUsage({ ...usageKey, provider: cached.provider, model: cached.model, cacheHit: true });
+      return { ...cached, cached: true, usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+  }
+
+  const primary = getPrimaryProvider();
+  const chain = [primary, getFallbackProvider(primary)].filter(Boolean);
+  if (chain.length === 0) {
+    throw new Error('No AI provider configured');
+  }
+
+  let lastError = null;
+  for (const provider of chain) {
+    const model = provider.model();
+    let completion = null;
+    try {
+      // The offline fallback is rendered only when it's actually used
+      const fallback = provider.name === 'template' ? render(template.fallback, vars) : null;
+      completion = await provider.complete({ ...prompt, fallback });
+      const data = parse ? parse(completion.text) : null;
+
+      recordUsage({
+        ...usageKey, provider: provider.name, model,
+        inputTokens: completion.inputTokens, outputTokens: completion.outputTokens
+      });
+
+      const result = { text: completion.text, data, provider: provider.name, model, promptVersion: template.version };
+      // Offline output is free to regenerate and shouldn't outlive a provider outage
+      if (template.cacheTtl > 0 && provider.name !== 'template') {
+        await cache.set(cacheKey, result, template.cacheTtl);
+      }
+      return { ...result, cached: false, usage: { inputTokens: completion.inputTokens, outputTokens: completion.outputTokens } };
+    } catch (err) {
+      lastError = err;
+      // A rejected completion still used tokens
+      recordUsage({
+        ...usageKey, provider: provider.name, model, failed: true,
+        inputTokens: completion?.inputTokens, outputTokens: completion?.outputTokens
+      });
+      console.error(`[AI] ${provider.name} failed for ${usageKey.feature}:`, err.message);
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  isConfigured,
+  getStatus,
+  getTemplate,
+  listTemplates,
+  hashPrompt,
+  generate
+};
@@ -0,0 +1,305 @@
+/**
+ * Structured AI token analysis
+ * The holder analysis and advanced question prompts (src/prompts/holder_analysis,
+ * advanced_analysis) ask the model for JSON:
+ *
+ *   {
+ *     "verdict": "healthy" | "caution" | "high_risk",
+ *     "score": 0-100 (null allowed for advanced questions),
+ *     "confidence": "low" | "medium" | "high",
+ *     "summary": "...",
+ *     "flags": [{ "severity": "info" | "warning" | "critical", "title", "detail",
+ *                 "refs": [{ "type": "metric", "key": "top10" } | { "type": "holder", "rank": 1 }] }]
+ *   }
+ *
+ * parseAnalysis() validates that reply against the data the prompt was built from:
+ * holder refs resolve to the server's own holder list (rank, wallet, % of supply),
+ * metric refs to the values in the prompt. Refs to anything else are dropped, and a
+ * flag left without a citation is dropped with them.
+ *
+ * Concentration metrics (top holder shares, risk level) come from the server's
+ * holder analytics when it has them (serverMetrics()); every other metric is what the
+ * requesting client reported, and its citation is marked `clientReported`.
+ */
+
+const VERDICTS = ['healthy', 'caution', 'high_risk'];
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Metrics the model may cite, with the label shown on citation chips
+const METRICS = {
+  marketCap: 'Market cap',
+  volume24h: '24h volume',
+  holders: 'Holders',
+  age: 'Token age',
+  locked: 'Locked supply',
+  top1: 'Top holder',
+  top5: 'Top 5 holders',
+  top10: 'Top 10 holders',
+  top20: 'Top 20 holders',
+  avgHold: 'Avg hold time',
+  freshWallets: 'Fresh wallets',
+  conviction: 'Holder conviction',
+  riskLevel: 'Concentration risk'
+};
+
+const MAX_PROMPT_HOLDERS = 20;
+const MAX_FLAGS = 6;
+const MAX_REFS = 5;
+const MAX_SUMMARY_LENGTH = 600;
+const MAX_TITLE_LENGTH = 80;
+const MAX_DETAIL_LENGTH = 300;
+
+// ==========================================
+// Prompt variables
+// ==========================================
+
+function formatUsd(v) {
+  if (typeof v !== 'number' || !(v > 0)) return 'N/A';
+  return '$' + (v >= 1e9 ? (v / 1e9).toFixed(1) + 'B' : v >= 1e6 ? (v / 1e6).toFixed(1) + 'M' : v >= 1e3 ? (v / 1e3).toFixed(1) + 'K' : v.toFixed(0));
+}
+
+// Token age from an ISO timestamp
+function formatAge(v) {
+  if (!v) return 'N/A';
+  const ms = Date.now() - new Date(v).getTime();
+  if (ms < 0 || isNaN(ms)) return 'N/A';
+  const d = Math.floor(ms / 86400000);
+  if (d >= 365) return Math.floor(d / 365) + 'y ' + (d % 365 >= 30 ? Math.floor((d % 365) / 30) + 'mo' : '');
+  if (d >= 30) return Math.floor(d / 30) + 'mo ' + (d % 30) + 'd';
+  if (d >= 1) return d + 'd';
+  return Math.floor(ms / 3600000) + 'h';
+}
+
+function holderLabel(h) {
+  return h.isLP ? 'LP' : h.isBurnt ? 'Burnt' : null;
+}
+
+/**
+ * Build prompt variables for both analyses
+ * Metrics come pre-aggregated from the frontend and are clamped/stripped to short
+ * safe values; the holder table comes from the server's holder-analytics cache.
+ *
+ * @param {Object} m - Request body metrics
+ * @param {Array} holders - [{ rank, address, percentage, isLP, isBurnt }]
+ */
+function buildPromptVars(m, holders = []) {
+  const num = (v, min = 0, max = 100) => typeof v === 'number' ? Math.min(max, Math.max(min, v)) : 0;
+  const bigNum = (v) => typeof v === 'number' && v > 0 ? v : null;
+  const safe = (v) => typeof v === 'string' ? v.replace(/[^a-zA-Z0-9./%()$, \-]/g, '').slice(0, 30) : 'N/A';
+
+  const vars = {
+    marketCap: formatUsd(m.marketCap),
+    volume24h: formatUsd(m.volume24h),
+    holders: bigNum(m.holders) || 'N/A',
+    age: formatAge(m.createdAt),
+    locked: safe(m.locked),
+    top1: num(m.top1), top5: num(m.top5), top10: num(m.top10), top20: num(m.top20),
+    avgHold: safe(m.avgHold),
+    freshWallets: safe(m.freshWallets),
+    dh6h: num(m.dh6h), dh24h: num(m.dh24h), dh3d: num(m.dh3d), dh1w: num(m.dh1w),
+    dh1m: num(m.dh1m), dh3m: num(m.dh3m), dh6m: num(m.dh6m), dh9m: num(m.dh9m),
+    analyzed: num(m.analyzed, 0, 1000),
+    sampleSize: num(m.sampleSize, 0, 1000),
+    riskLevel: safe(m.riskLevel)
+  };
+
+  const rows = holders.slice(0, MAX_PROMPT_HOLDERS).map(h => {
+    const label = holderLabel(h);
+    return `#${h.rank} ${(h.percentage || 0).toFixed(2)}%${label ? ` (${label})` : ''}`;
+  });
+  vars.holderTable = rows.length > 0 ? rows.join('\n') : 'No holder list available - cite metrics only.';
+
+  // Offline (template provider) estimate: penalize concentration above 20% and low 24h conviction
+  vars.offlineScore = Math.round(Math.min(100, Math.max(0, 100 - Math.max(0, vars.top10 - 20) * 1.2 - (100 - vars.dh24h) * 0.3)));
+  vars.offlineVerdict = vars.offlineScore >= 70 ? 'healthy' : vars.offlineScore >= 40 ? 'caution' : 'high_risk';
+  vars.concentrationLabel = vars.top10 >= 50 ? 'high' : vars.top10 >= 25 ? 'moderate' : 'low';
+  vars.concentrationSeverity = vars.top10 >= 50 ? 'critical' : vars.top10 >= 25 ? 'warning' : 'info';
+  // Largest non-LP/burnt holder (0 = none; the validator drops the unresolvable ref)
+  vars.topHolderRank = holders.find(h => !h.isLP && !h.isBurnt)?.rank || 0;
+
+  return vars;
+}
+
+/**
+ * Metric overrides from the holder-analytics cache (`metrics` of GET /:mint/holders),
+ * in the request-body shape buildPromptVars() reads. Empty when there's no analytics.
+ */
+function serverMetrics(analytics) {
+  if (!analytics) return {};
+  const level = typeof analytics.riskLevel === 'string' ? analytics.riskLevel : null;
+  return {
+    top1: analytics.top1Pct,
+    top5: analytics.top5Pct,
+    top10: analytics.top10Pct,
+    top20: analytics.top20Pct,
+    ...(level ? { riskLevel: level.charAt(0).toUpperCase() + level.slice(1) } : {})
+  };
+}
+
+function metricValue(key, vars) {
+  if (key === 'conviction') return `${vars.dh24h}% held >24h`;
+  if (key === 'top1' || key === 'top5' || key === 'top10' || key === 'top20') return `${vars[key]}%`;
+  return String(vars[key]);
+}
+
+// ==========================================
+// Validation
+// ==========================================
+
+// Secondary output filter — strip anything that looks like leaked system instructions
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return '';
+  return value
+    .replace(/system\s*prompt/gi, '[filtered]')
+    .replace(/my\s+instructions\s+are/gi, '[filtered]')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+// Models sometimes wrap JSON in a code fence or a sentence; take the outermost object
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Analysis is not JSON');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    throw new Error('Analysis is not valid JSON');
+  }
+}
+
+function resolveRef(ref, vars, holdersByRank, verifiedMetrics) {
+  if (!ref || typeof ref !== 'object') return null;
+
+  if (ref.type === 'holder') {
+    const holder = holdersByRank.get(Number(ref.rank));
+    if (!holder) return null;
+    return {
+      type: 'holder',
+      rank: holder.rank,
+      address: holder.address,
+      percentage: holder.percentage != null ? Math.round(holder.percentage * 100) / 100 : null,
+      label: holderLabel(holder)
+    };
+  }
+
+  if (ref.type === 'metric' && Object.prototype.hasOwnProperty.call(METRICS, ref.key)) {
+    return {
+      type: 'metric',
+      key: ref.key,
+      label: METRICS[ref.key],
+      value: metricValue(ref.key, vars),
+      clientReported: !verifiedMetrics.includes(ref.key)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse and validate a model reply (pass as ai.generate's `parse` option)
+ * Throws when the reply doesn't follow the schema; otherwise returns the normalized
+ * analysis with every citation resolved.
+ *
+ * @param {string} text - Raw completion
+ * @param {Object} context
+ * @param {Object} context.vars - Prompt variables from buildPromptVars()
+ * @param {Array} context.holders - Holder list the prompt's holder table was built from
+ * @param {boolean} [context.requireScore] - Holder analysis must be scored
+ * @param {string[]} [context.verifiedMetrics] - Metric keys taken from server data (serverMetrics())
+ * @returns {{ verdict, score, confidence, summary, flags: Array }}
+ */
+function parseAnalysis(text, { vars, holders = [], requireScore = false, verifiedMetrics = [] }) {
+  const raw = extractJson(text);
+
+  if (!VERDICTS.includes(raw.verdict)) {
+    throw new Error(`Invalid analysis verdict: ${String(raw.verdict).slice(0, 20)}`);
+  }
+
+  let score = null;
+  if (typeof raw.score === 'number' && Number.isFinite(raw.score)) {
+    score = Math.round(Math.min(100, Math.max(0, raw.score)));
+  } else if (requireScore) {
+    throw new Error('Analysis is missing a score');
+  }
+
+  const summary = cleanText(raw.summary, MAX_SUMMARY_LENGTH);
+  if (!summary) {
+    throw new Error('Analysis is missing a summary');
+  }
+
+  if (raw.flags !== undefined && !Array.isArray(raw.flags)) {
+    throw new Error('Analysis flags must be an array');
+  }
+
+  const holdersByRank = new Map(holders.slice(0, MAX_PROMPT_HOLDERS).map(h => [h.rank, h]));
+  const flags = [];
+  for (const flag of (raw.flags || []).slice(0, MAX_FLAGS)) {
+    if (!flag || typeof flag !== 'object') continue;
+    const title = cleanText(flag.title, MAX_TITLE_LENGTH);
+    if (!title) continue;
+
+    const refs = [];
+    const seen = new Set();
+    for (const ref of Array.isArray(flag.refs) ? flag.refs : []) {
+      const resolved = resolveRef(ref, vars, holdersByRank, verifiedMetrics);
+      const key = resolved && (resolved.type === 'holder' ? `holder:${resolved.rank}` : `metric:${resolved.key}`);
+      if (!resolved || seen.has(key)) continue;
+      seen.add(key);
+      refs.push(resolved);
+      if (refs.length >= MAX_REFS) break;
+    }
+    // Every claim must point at the data it's based on
+    if (refs.length === 0) continue;
+
+    flags.push({
+      severity: SEVERITIES.includes(flag.severity) ? flag.severity : 'info',
+      title,
+      detail: cleanText(flag.detail, MAX_DETAIL_LENGTH),
+      refs
+    });
+  }
+
+  return {
+    verdict: raw.verdict,
+    score,
+    confidence: CONFIDENCE_LEVELS.includes(raw.confidence) ? raw.confidence : 'low',
+    summary,
+    flags
+  };
+}
+
+/**
+ * API shape of a stored analysis (a token_ai_analyses row, or the same fields
+ * for a fresh one). `analysis` repeats the summary for clients of the text-only API.
+ */
+function toResponse({ id = null, kind, question = null, result, provider, model, prompt_version, created_at }) {
+  return {
+    id: id != null ? Number(id) : null,
+    kind,
+    question,
+    verdict: result.verdict,
+    score: result.score,
+    confidence: result.confidence,
+    summary: result.summary,
+    flags: result.flags,
+    analysis: result.summary,
+    provider,
+    model,
+    promptVersion: prompt_version,
+    createdAt: created_at ? new Date(created_at).toISOString() : new Date().toISOString()
+  };
+}
+
+module.exports = {
+  VERDICTS,
+  METRICS,
+  buildPromptVars,
+  serverMetrics,
+  parseAnalysis,
+  toResponse
+};
@@ -0,0 +1,354 @@
+/**
+ * Launch bundle & sniper detection.
+ *
+ * Looks at the first LAUNCH_WINDOW_SLOTS slots after the first buy of a token
+ * (pool / bonding curve creation) and groups the wallets that bought there:
+ *   - wallets funded by the same source wallet shortly before their buy
+ *   - wallets whose buys landed in the same slot
+ * Connected groups of two or more wallets are reported as bundle clusters.
+ *
+ * Everything here is RPC heavy (signature walk, parsed transactions, per-wallet
+ * funding history and balances), so it runs as the `compute-bundle-analysis`
+ * worker job and the result is persisted on the tokens row (bundle_* columns).
+ *
+ * The signature walk uses the mint address, so launches whose swaps never touch
+ * the mint account (Raydium AMM v4) only see transfers that do.
+ */
+
+const solanaService = require('./solana');
+const db = require('./database');
+const { cache, TTL } = require('./cache');
+
+// Slots after the first buy that count as "launch" buys
+const LAUNCH_WINDOW_SLOTS = 5;
+// Signature walk back to the launch: pages × page size
+const SIGNATURE_PAGE_SIZE = 1000;
+const MAX_SIGNATURE_PAGES = 10;
+// Parsed transactions budget for the launch window
+const MAX_WINDOW_TXS = 300;
+// Funding + balance lookups are per wallet — only the largest early buyers get them
+const MAX_ANALYZED_BUYERS = 60;
+const FUNDING_HISTORY_PAGES = 2;
+const MIN_FUNDING_LAMPORTS = 0.05 * 1e9;
+const LOOKUP_BATCH_SIZE = 10;
+
+const EXCLUDED_WALLETS = new Set([...solanaService.BURN_WALLETS, ...solanaService.LP_PROGRAMS]);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ==========================================
+// Launch window
+// ==========================================
+
+/**
+ * Walk the mint's signatures back to its first transaction.
+ * @returns {Promise<Array|null>} Successful signatures oldest first, or null when
+ *   the launch is beyond the scan budget
+ */
+async function getLaunchSignatures(mint) {
+  const all = [];
+  let before = null;
+
+  for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+    const sigs = await solanaService.getSignaturesForAddress(mint, SIGNATURE_PAGE_SIZE, { before });
+    if (!Array.isArray(sigs) || sigs.length === 0) break;
+    all.push(...sigs);
+    if (sigs.length < SIGNATURE_PAGE_SIZE) {
+      return all.filter(s => !s.err).reverse();
+    }
+    before = sigs[sigs.length - 1].signature;
+  }
+
+  return null;
+}
+
+async function parseInBatches(signatures) {
+  const parsed = [];
+  for (let i = 0; i < signatures.length; i += 100) {
+    const batch = await solanaService.parseTransactions(signatures.slice(i, i + 100));
+    if (batch) parsed.push(...batch);
+  }
+  return parsed;
+}
+
+// Token amount the fee payer received from another account (a buy) in this tx
+function getBuyAmount(tx, mint) {
+  if (!tx || tx.transactionError || !tx.feePayer) return 0;
+  let amount = 0;
+  for (const t of tx.tokenTransfers || []) {
+    if (t.mint !== mint || t.toUserAccount !== tx.feePayer) continue;
+    // Minted supply has no sender; self transfers aren't buys
+    if (!t.fromUserAccount || t.fromUserAccount === tx.feePayer) continue;
+    amount += Number(t.tokenAmount) || 0;
+  }
+  return amount;
+}
+
+// ==========================================
+// Per-wallet lookups
+// ==========================================
+
+/**
+ * Wallet that last sent this wallet SOL before its launch buy.
+ * Only transfers signed by the sender count, so proceeds from sells elsewhere
+ * (paid out by a program account) aren't mistaken for funding.
+ */
+async function findFunder(wallet, buyTimestamp) {
+  let before = null;
+
+  for (let page = 0; page < FUNDING_HISTORY_PAGES; page++) {
+    const txs = await solanaService.getTransactionsForAddress(wallet, { limit: 100, before });
+    if (!txs || txs.length === 0) return null;
+
+    for (const tx of txs) {
+      if (tx.transactionError || !tx.timestamp || tx.timestamp > buyTimestamp) continue;
+      if (!tx.feePayer || tx.feePayer === wallet) continue;
+      const funding = (tx.nativeTransfers || []).find(t =>
+        t.toUserAccount === wallet &&
+        t.fromUserAccount === tx.feePayer &&
+        Number(t.amount) >= MIN_FUNDING_LAMPORTS
+      );
+      if (funding) return funding.fromUserAccount;
+    }
+
+    if (txs.length < 100) return null;
+    before = txs[txs.length - 1].signature;
+  }
+
+  return null;
+}
+
+async function getBalance(wallet, mint) {
+  const result = await solanaService.getTokenAccountsByOwner(wallet, mint);
+  return (result?.value || []).reduce((sum, acc) => {
+    const amount = acc.account?.data?.parsed?.info?.tokenAmount?.uiAmount;
+    return sum + (Number(amount) || 0);
+  }, 0);
+}
+
+async function lookupBuyers(buyers, mint) {
+  for (let i = 0; i < buyers.length; i += LOOKUP_BATCH_SIZE) {
+    await Promise.all(buyers.slice(i, i + LOOKUP_BATCH_SIZE).map(async (buyer) => {
+      const [funder, balance] = await Promise.all([
+        findFunder(buyer.wallet, buyer.timestamp).catch(() => null),
+        getBalance(buyer.wallet, mint).catch(() => null)
+      ]);
+      buyer.funder = funder !== buyer.wallet ? funder : null;
+      buyer.balance = balance;
+    }));
+  }
+}
+
+// ==========================================
+// Clustering
+// ==========================================
+
+function createUnionFind() {
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    let root = x;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(x, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(rb, ra);
+  };
+  return { find, union };
+}
+
+/**
+ * Group early buyers into clusters and build the graph.
+ * Funders appear as their own nodes; same-slot buyers are chained in buy order.
+ */
+function buildClusters(buyers, supply, creator) {
+  const uf = createUnionFind();
+  const edges = [];
+
+  for (const b of buyers) {
+    uf.find(b.wallet);
+    if (b.funder) {
+      uf.union(b.funder, b.wallet);
+      edges.push({ source: b.funder, target: b.wallet, type: 'funded' });
+    }
+  }
+
+  const bySlot = new Map();
+  for (const b of buyers) {
+    if (!bySlot.has(b.slot)) bySlot.set(b.slot, []);
+    bySlot.get(b.slot).push(b);
+  }
+  for (const group of bySlot.values()) {
+    for (let i = 1; i < group.length; i++) {
+      uf.union(group[0].wallet, group[i].wallet);
+      edges.push({ source: group[i - 1].wallet, target: group[i].wallet, type: 'same_slot' });
+    }
+  }
+
+  const groups = new Map();
+  for (const b of buyers) {
+    const root = uf.find(b.wallet);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(b);
+  }
+
+  const pct = (amount) => supply > 0 ? round2((amount / supply) * 100) : null;
+  const clusters = [...groups.values()]
+    .filter(members => members.length >= 2)
+    .map(members => {
+      const bought = members.reduce((s, m) => s + m.amount, 0);
+      const held = members.reduce((s, m) => s + (m.balance || 0), 0);
+      const funders = [...new Set(members.map(m => m.funder).filter(Boolean))];
+      return {
+        wallets: members.map(m => m.wallet),
+        funders,
+        sameSlot: new Set(members.map(m => m.slot)).size < members.length,
+        boughtPct: pct(bought),
+        heldPct: pct(held)
+      };
+    })
+    .sort((a, b) => (b.boughtPct || 0) - (a.boughtPct || 0))
+    .map((cluster, i) => ({ id: i + 1, ...cluster }));
+
+  const clusterOf = new Map();
+  for (const c of clusters) for (const w of c.wallets) clusterOf.set(w, c.id);
+
+  const nodes = buyers.map(b => ({
+    id: b.wallet,
+    type: 'wallet',
+    cluster: clusterOf.get(b.wallet) || null,
+    slotOffset: b.slotOffset,
+    boughtPct: pct(b.amount),
+    heldPct: b.balance != null ? pct(b.balance) : null,
+    isCreator: b.wallet === creator
+  }));
+  const buyerSet = new Set(buyers.map(b => b.wallet));
+  const funderNodes = new Set(buyers.map(b => b.funder).filter(f => f && !buyerSet.has(f)));
+  for (const funder of funderNodes) {
+    nodes.push({ id: funder, type: 'funder', cluster: clusterOf.get(buyers.find(b => b.funder === funder).wallet) || null });
+  }
+
+  return { clusters, graph: { nodes, edges } };
+}
+
+// ==========================================
+// Analysis
+// ==========================================
+
+/**
+ * Analyze the launch window of a token.
+ *
+ * @param {string} mint - Token mint address
+ * @returns {Promise<Object>} { available, launch, summary, clusters[], graph, generatedAt }
+ */
+async function analyzeLaunch(mint) {
+  const unavailable = (reason) => ({ mint, available: false, reason, generatedAt: Date.now() });
+
+  if (!solanaService.isHeliusConfigured()) return unavailable('helius_not_configured');
+
+  const signatures = await getLaunchSignatures(mint);
+  if (!signatures) return unavailable('launch_out_of_range');
+  if (signatures.length === 0) return unavailable('no_transactions');
+
+  // The first buy marks pool creation — mint setup can precede it by a while
+  const head = await parseInBatches(signatures.slice(0, 100).map(s => s.signature));
+  const firstBuy = head
+    .filter(tx => getBuyAmount(tx, mint) > 0)
+    .sort((a, b) => a.slot - b.slot)[0];
+  if (!firstBuy) return unavailable('no_launch_buys');
+
+  const creator = head[0]?.feePayer || null;
+  const launchSlot = firstBuy.slot;
+  const windowSigs = signatures
+    .filter(s => s.slot >= launchSlot && s.slot < launchSlot + LAUNCH_WINDOW_SLOTS)
+    .slice(0, MAX_WINDOW_TXS);
+
+  const parsedBySig = new Map(head.map(tx => [tx.signature, tx]));
+  const missing = windowSigs.filter(s => !parsedBySig.has(s.signature)).map(s => s.signature);
+  for (const tx of await parseInBatches(missing)) parsedBySig.set(tx.signature, tx);
+
+  // Aggregate launch-window buys per wallet
+  const buyersByWallet = new Map();
+  for (const sig of windowSigs) {
+    const tx = parsedBySig.get(sig.signature);
+    const amount = getBuyAmount(tx, mint);
+    if (amount <= 0 || EXCLUDED_WALLETS.has(tx.feePayer)) continue;
+
+    const existing = buyersByWallet.get(tx.feePayer);
+    if (existing) {
+      existing.amount += amount;
+    } else {
+      buyersByWallet.set(tx.feePayer, {
+        wallet: tx.feePayer,
+        amount,
+        slot: tx.slot,
+        slotOffset: tx.slot - launchSlot,
+        timestamp: tx.timestamp
+      });
+    }
+  }
+
+  const buyers = [...buyersByWallet.values()]
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, MAX_ANALYZED_BUYERS);
+
+  const supplyResult = await solanaService.getTokenSupply(mint).catch(() => null);
+  const supply = Number(supplyResult?.value?.uiAmountString || supplyResult?.value?.uiAmount) || 0;
+
+  await lookupBuyers(buyers, mint);
+
+  const { clusters, graph } = buildClusters(buyers, supply, creator);
+  const pct = (amount) => supply > 0 ? round2((amount / supply) * 100) : null;
+  const bundled = new Set(clusters.flatMap(c => c.wallets));
+  const bundledBuyers = buyers.filter(b => bundled.has(b.wallet));
+  const holding = buyers.filter(b => b.balance > 0);
+
+  const summary = {
+    earlyBuyers: buyersByWallet.size,
+    analyzedBuyers: buyers.length,
+    clusters: clusters.length,
+    bundledWallets: bundledBuyers.length,
+    bundledPct: pct(bundledBuyers.reduce((s, b) => s + b.amount, 0)),
+    bundledHeldPct: pct(bundledBuyers.reduce((s, b) => s + (b.balance || 0), 0)),
+    sniperBoughtPct: pct(buyers.reduce((s, b) => s + b.amount, 0)),
+    snipersHolding: holding.length,
+    sniperHeldPct: pct(holding.reduce((s, b) => s + b.balance, 0))
+  };
+
+  return {
+    mint,
+    available: true,
+    launch: {
+      slot: launchSlot,
+      timestamp: firstBuy.timestamp ? firstBuy.timestamp * 1000 : null,
+      windowSlots: LAUNCH_WINDOW_SLOTS,
+      creator,
+      transactionsScanned: windowSigs.length
+    },
+    summary,
+    clusters,
+    graph,
+    generatedAt: Date.now()
+  };
+}
+
+/**
+ * Run the analysis, persist it to the tokens row and refresh the API cache.
+ * Shared by the worker job and the inline fallback in the route.
+ */
+async function refreshBundleAnalysis(mint) {
+  const report = await analyzeLaunch(mint);
+  await db.upsertBundleAnalysis(mint, report);
+  await cache.set(`bundles:${mint}`, { ...report, computed: true }, TTL.HOUR);
+  return report;
+}
+
+module.exports = {
+  analyzeLaunch,
+  refreshBundleAnalysis,
+  buildClusters,
+  LAUNCH_WINDOW_SLOTS
+};
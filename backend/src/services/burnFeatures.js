@@ -0,0 +1,142 @@
+/**
+ * Burn Credit Feature Registry
+ * Every feature paid for with Burn Credits is declared here once. Routes charge
+ * through requireBurnCredits(key) (middleware/burnCredits.js); the public config
+ * endpoint and the admin panel list features straight from this registry.
+ *
+ * Costs and daily limits are admin-adjustable and stored in burn_config under
+ * `<configKey>` and `<key>_daily_limit`; the registered values are the defaults.
+ */
+
+const db = require('./database');
+
+// When a charge is given back if the paid request fails
+const REFUND_POLICIES = {
+  SERVER_ERROR: 'server_error', // refund on 5xx (upstream/provider failures)
+  ANY_ERROR: 'any_error',       // refund on any non-2xx response
+  NEVER: 'never'
+};
+
+const features = new Map();
+
+/**
+ * Declare a paid feature
+ * @param {Object} feature
+ * @param {string} feature.key - Stored as burn_credit_spends.feature (max 50 chars)
+ * @param {string} feature.label - Shown to users and in the admin panel
+ * @param {string} [feature.description]
+ * @param {number} feature.defaultCost - BC per use until an admin overrides it
+ * @param {number|null} [feature.dailyLimit] - Default max uses per wallet per 24h (null = unlimited)
+ * @param {string} [feature.refund] - One of REFUND_POLICIES
+ * @param {string} [feature.configKey] - burn_config key holding the cost (default `<key>_cost`)
+ */
+function registerFeature({ key, label, description = '', defaultCost, dailyLimit = null, refund = REFUND_POLICIES.SERVER_ERROR, configKey }) {
+  if (!key || key.length > 50) throw new Error(`Invalid burn feature key: ${key}`);
+  if (features.has(key)) throw new Error(`Burn feature already registered: ${key}`);
+  if (!Object.values(REFUND_POLICIES).includes(refund)) throw new Error(`Invalid refund policy for ${key}: ${refund}`);
+
+  features.set(key, {
+    key,
+    label,
+    description,
+    defaultCost,
+    defaultDailyLimit: dailyLimit,
+    refund,
+    costKey: configKey || `${key}_cost`,
+    limitKey: `${key}_daily_limit`
+  });
+}
+
+function getFeature(key) {
+  return features.get(key) || null;
+}
+
+function listFeatures() {
+  return [...features.values()];
+}
+
+// Apply admin overrides from burn_config to a registered feature.
+// A stored daily limit of 0 means unlimited.
+function withConfig(feature, values) {
+  const limit = values[feature.limitKey];
+  return {
+    ...feature,
+    cost: values[feature.costKey] ?? feature.defaultCost,
+    dailyLimit: limit === undefined ? feature.defaultDailyLimit : (limit > 0 ? limit : null)
+  };
+}
+
+/**
+ * Resolve a feature with its current cost and daily limit
+ * @returns {Promise<Object|null>} null if the key isn't registered
+ */
+async function resolveFeature(key) {
+  const feature = getFeature(key);
+  if (!feature) return null;
+  const values = await db.getBurnConfigValues([feature.costKey, feature.limitKey]);
+  return withConfig(feature, values);
+}
+
+// All registered features with current costs and limits, in registration order
+async function resolveFeatures() {
+  const all = listFeatures();
+  const values = await db.getBurnConfigValues(all.flatMap(f => [f.costKey, f.limitKey]));
+  return all.map(f => withConfig(f, values));
+}
+
+/**
+ * Update a feature's cost and/or daily limit (admin only)
+ * @param {string} key
+ * @param {{ cost?: number, dailyLimit?: number|null }} changes - dailyLimit null or 0 = unlimited
+ * @returns {Promise<Object|null>} The resolved feature, or null if the key isn't registered
+ */
+async function updateFeature(key, { cost, dailyLimit }) {
+  const feature = getFeature(key);
+  if (!feature) return null;
+  if (cost !== undefined) await db.setBurnConfigValue(feature.costKey, cost);
+  if (dailyLimit !== undefined) await db.setBurnConfigValue(feature.limitKey, dailyLimit || 0);
+  return resolveFeature(key);
+}
+
+// ==========================================
+// Paid features
+// ==========================================
+
+registerFeature({
+  key: 'ai_holder_analysis',
+  label: 'AI Holder Analysis',
+  description: 'Holder health score with a short AI explanation',
+  defaultCost: 25,
+  configKey: 'ai_analysis_cost'
+});
+
+registerFeature({
+  key: 'ai_advanced_analysis',
+  label: 'Advanced AI Analysis',
+  description: 'Answer to a custom question about a token\'s data',
+  defaultCost: 75
+});
+
+registerFeature({
+  key: 'folio_ai_analysis',
+  label: 'Folio AI Analysis',
+  description: 'AI review of a KOL folio',
+  defaultCost: 75
+});
+
+registerFeature({
+  key: 'daily_brief_kol',
+  label: 'KOL Analysis',
+  description: 'KOL-style commentary on the Daily Brief graduates',
+  defaultCost: 100
+});
+
+module.exports = {
+  REFUND_POLICIES,
+  registerFeature,
+  getFeature,
+  listFeatures,
+  resolveFeature,
+  resolveFeatures,
+  updateFeature
+};
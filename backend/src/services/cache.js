@@ -608,6 +608,14 @@ class CacheService {
     return this.backendType;
   }
 
+  /**
+   * Underlying ioredis client, or null when running on the in-memory backend.
+   * Used for pub/sub and locks, which have no in-memory equivalent.
+   */
+  getRedisClient() {
+    return this.backendType === 'redis' ? this.backend.client : null;
+  }
+
   destroy() {
     return this.backend.destroy();
   }
@@ -0,0 +1,254 @@
+/**
+ * Candle Store — serves OHLCV from our own `candles` table, with GeckoTerminal as a gap-filler.
+ *
+ * Storage model:
+ * - 1m candles are synced from upstream by the worker (sync-candles job)
+ * - 5m / 1h / 1d are rolled up from 1m for the periods we have tracked
+ * - Upstream 1h / 1d history from before tracking began is backfilled a few pages per
+ *   sync, paging back from the oldest stored candle until upstream runs out
+ *
+ * Chart intervals that aren't stored (15m, 30m, 4h, 1w) are aggregated on read.
+ */
+
+const db = require('./database');
+const geckoService = require('./geckoTerminal');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Unix epoch is a Thursday — offset so weekly buckets start on Monday
+const WEEK_OFFSET_MS = 4 * DAY_MS;
+
+const RESOLUTION_MS = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '1h': HOUR_MS,
+  '1d': DAY_MS
+};
+
+// Requested chart interval -> stored base resolution and bucket size
+const INTERVALS = {
+  '1m': { base: '1m', bucketMs: MINUTE_MS },
+  '5m': { base: '5m', bucketMs: 5 * MINUTE_MS },
+  '15m': { base: '5m', bucketMs: 15 * MINUTE_MS },
+  '30m': { base: '5m', bucketMs: 30 * MINUTE_MS },
+  '1h': { base: '1h', bucketMs: HOUR_MS },
+  '4h': { base: '1h', bucketMs: 4 * HOUR_MS },
+  '1d': { base: '1d', bucketMs: DAY_MS },
+  '1w': { base: '1d', bucketMs: 7 * DAY_MS }
+};
+
+// Rollup chain — each level is built from the one before it
+const ROLLUPS = [
+  { from: '1m', to: '5m' },
+  { from: '5m', to: '1h' },
+  { from: '1h', to: '1d' }
+];
+
+// Candles returned per chart request (matches the upstream default)
+const CHART_CANDLES = 100;
+// Serve from the store alone only when it has at least this many candles
+const MIN_STORED_CANDLES = 30;
+// Upstream page size for worker syncs (GeckoTerminal max)
+const SYNC_PAGE_SIZE = 1000;
+// Upstream history pages fetched per resolution per sync while a backfill is in progress
+const BACKFILL_PAGES_PER_SYNC = 3;
+// How often the worker extends the store (jobQueue.scheduleCandleSync), plus slack for the run itself
+const SYNC_INTERVAL_MS = 5 * MINUTE_MS;
+const SYNC_SLACK_MS = 2 * MINUTE_MS;
+
+function floorTo(ms, bucketMs, offsetMs = 0) {
+  return Math.floor((ms - offsetMs) / bucketMs) * bucketMs + offsetMs;
+}
+
+function ceilTo(ms, bucketMs) {
+  return Math.ceil(ms / bucketMs) * bucketMs;
+}
+
+/**
+ * Aggregate ascending candles into larger buckets.
+ */
+function aggregateCandles(candles, bucketMs) {
+  const offset = bucketMs === 7 * DAY_MS ? WEEK_OFFSET_MS : 0;
+  const result = [];
+  let current = null;
+
+  for (const c of candles) {
+    const bucket = floorTo(c.timestamp, bucketMs, offset);
+    if (!current || current.timestamp !== bucket) {
+      current = { timestamp: bucket, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume || 0 };
+      result.push(current);
+    } else {
+      current.high = Math.max(current.high, c.high);
+      current.low = Math.min(current.low, c.low);
+      current.close = c.close;
+      current.volume += c.volume || 0;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Merge stored and upstream candles by timestamp. Stored candles win;
+ * upstream only fills buckets the store doesn't have.
+ */
+function mergeCandles(stored, upstream) {
+  const byTime = new Map();
+  for (const c of upstream) byTime.set(c.timestamp, c);
+  for (const c of stored) byTime.set(c.timestamp, c);
+  return [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Read candles for a chart interval from the store.
+ */
+async function getStoredCandles(mint, interval, limit = CHART_CANDLES) {
+  const spec = INTERVALS[interval];
+  if (!spec) return [];
+
+  const factor = spec.bucketMs / RESOLUTION_MS[spec.base];
+  // Fetch one extra bucket's worth so the oldest aggregated bucket is complete
+  const baseCandles = await db.getCandles(mint, spec.base, (limit + 1) * factor);
+  const candles = factor === 1 ? baseCandles : aggregateCandles(baseCandles, spec.bucketMs);
+  return candles.slice(-limit);
+}
+
+/**
+ * Get OHLCV for a chart interval: store first, upstream to fill gaps.
+ * Response shape matches geckoService.getOHLCV, plus `source`.
+ *
+ * @param {string} mint - Token mint address
+ * @param {string} interval - One of the chart intervals (1m..1w)
+ * @returns {Promise<{mintAddress, interval, data, source}>}
+ */
+async function getOHLCV(mint, interval) {
+  const spec = INTERVALS[interval];
+  let stored = [];
+
+  if (spec && db.isReady()) {
+    try {
+      stored = await getStoredCandles(mint, interval);
+    } catch (err) {
+      console.error('[Candles] Store read failed:', err.message);
+    }
+  }
+
+  // Store is complete enough when it has history and its newest bucket is current.
+  // The store only advances once per worker sync, so short intervals can't be
+  // expected to be fresher than that.
+  const latest = stored.length > 0 ? stored[stored.length - 1].timestamp : 0;
+  const maxAge = spec && Math.max(2 * spec.bucketMs, SYNC_INTERVAL_MS + SYNC_SLACK_MS);
+  const isCurrent = spec && latest >= Date.now() - maxAge;
+  if (stored.length >= MIN_STORED_CANDLES && isCurrent) {
+    return { mintAddress: mint, interval, data: stored, source: 'store' };
+  }
+
+  const upstream = await geckoService.getOHLCV(mint, { interval });
+  const upstreamData = upstream.data || [];
+
+  // Persist upstream candles at stored resolutions so history survives upstream pruning
+  if (upstreamData.length > 0 && RESOLUTION_MS[interval] && db.isReady()) {
+    db.upsertCandles(mint, interval, upstreamData, 'upstream').catch(err =>
+      console.error('[Candles] Failed to persist upstream candles:', err.message)
+    );
+  }
+
+  if (stored.length === 0) {
+    return { ...upstream, source: 'upstream' };
+  }
+
+  return {
+    mintAddress: mint,
+    interval,
+    poolAddress: upstream.poolAddress,
+    data: mergeCandles(stored, upstreamData).slice(-CHART_CANDLES),
+    source: upstreamData.length > 0 ? 'store+upstream' : 'store'
+  };
+}
+
+/**
+ * Page one resolution's upstream history back from the oldest stored candle.
+ * Complete once upstream returns a short page (nothing older exists).
+ *
+ * @returns {Promise<{added: number, complete: boolean}>}
+ */
+async function backfillHistory(mint, interval) {
+  let { earliest } = await db.getCandleRange(mint, interval);
+  let added = 0;
+
+  for (let page = 0; page < BACKFILL_PAGES_PER_SYNC; page++) {
+    const history = await geckoService.getOHLCV(mint, { interval, limit: SYNC_PAGE_SIZE, beforeTimestamp: earliest });
+    if (history.error) throw new Error(history.error);
+
+    const data = history.data || [];
+    const older = earliest ? data.filter(c => c.timestamp < earliest) : data;
+    added += await db.upsertCandles(mint, interval, older, 'upstream');
+
+    if (data.length < SYNC_PAGE_SIZE || older.length === 0) {
+      return { added, complete: true };
+    }
+    earliest = Math.min(...older.map(c => c.timestamp));
+  }
+
+  return { added, complete: false };
+}
+
+/**
+ * Sync one token: pull recent 1m candles, page back through 1h/1d history,
+ * then roll the new 1m data up through 5m → 1h → 1d.
+ *
+ * @param {{mint: string, backfilledAt: number|null}} target - From db.getCandleSyncTargets
+ * @returns {Promise<{minute: number, backfilled: number, rolledUp: number}>}
+ */
+async function syncToken(target) {
+  const { mint } = target;
+  const stats = { minute: 0, backfilled: 0, rolledUp: 0 };
+
+  const { latest: lastMinute } = await db.getCandleRange(mint, '1m');
+  const minutesBehind = lastMinute ? Math.ceil((Date.now() - lastMinute) / MINUTE_MS) + 1 : SYNC_PAGE_SIZE;
+
+  const minute = await geckoService.getOHLCV(mint, {
+    interval: '1m',
+    limit: Math.min(minutesBehind, SYNC_PAGE_SIZE)
+  });
+  if (minute.error) throw new Error(minute.error);
+  const minuteCandles = minute.data || [];
+
+  stats.minute = await db.upsertCandles(mint, '1m', minuteCandles, 'upstream');
+
+  // Backfill coarse history from before we started tracking, until it's complete
+  let backfillComplete = false;
+  if (!target.backfilledAt) {
+    backfillComplete = true;
+    for (const interval of ['1h', '1d']) {
+      const { added, complete } = await backfillHistory(mint, interval);
+      stats.backfilled += added;
+      backfillComplete = backfillComplete && complete;
+    }
+  }
+
+  // Roll up only the buckets touched by this sync, and only where 1m coverage is complete
+  if (minuteCandles.length > 0) {
+    const changedFrom = Math.min(...minuteCandles.map(c => c.timestamp), lastMinute || Infinity);
+    const { earliest: coverageStart } = await db.getCandleRange(mint, '1m');
+
+    for (const step of ROLLUPS) {
+      const bucketMs = RESOLUTION_MS[step.to];
+      const since = Math.max(floorTo(changedFrom, bucketMs), ceilTo(coverageStart, bucketMs));
+      stats.rolledUp += await db.rollupCandles(mint, step.from, step.to, bucketMs / 1000, since);
+    }
+  }
+
+  await db.markCandleSync(mint, backfillComplete);
+  return stats;
+}
+
+module.exports = {
+  getOHLCV,
+  getStoredCandles,
+  syncToken,
+  aggregateCandles,
+  mergeCandles,
+  INTERVALS
+};
@@ -0,0 +1,228 @@
+/**
+ * Creator History — who launched a token and what happened to their other launches.
+ *
+ * The deployer is resolved from token metadata (verified creator, else update
+ * authority). Launchpad tokens (pump.fun) carry the launchpad as authority, so
+ * for those the creator comes from the pump.fun API instead.
+ *
+ * Other launches are found by scanning the wallet's recent Helius Enhanced
+ * Transactions for mint creations it paid for. Each launch is priced via
+ * GeckoTerminal, and its lifetime peak is taken from daily candle highs.
+ */
+
+const solanaService = require('./solana');
+const geckoService = require('./geckoTerminal');
+const pumpfunService = require('./pumpfun');
+
+// Enhanced transaction types that create (or first mint) a token
+const CREATION_TYPES = new Set(['CREATE', 'TOKEN_MINT']);
+const QUOTE_MINTS = new Set([
+  'So11111111111111111111111111111111111111112',  // WSOL
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'  // USDT
+]);
+
+// History scan budget: pages × page size Helius transactions per wallet
+const HISTORY_PAGE_SIZE = 100;
+const HISTORY_MAX_PAGES = 5;
+// Launches reported per creator (most recent first); GeckoTerminal multi accepts 30
+const MAX_LAUNCHES = 30;
+// Peak lookups cost one OHLCV request each — only the most recent launches get one
+const MAX_PEAK_LOOKUPS = 10;
+
+// A launch that fell this far from its peak (or has no market at all) counts as rugged
+const RUG_DRAWDOWN_PCT = 90;
+// Serial rugger: at least this many prior launches with a known outcome, and this share of them rugged
+const SERIAL_MIN_LAUNCHES = 3;
+const SERIAL_RUG_SHARE = 0.7;
+
+/**
+ * Resolve the deployer wallet for a token.
+ * @returns {Promise<{wallet: string, source: string}|null>}
+ */
+async function resolveCreator(mint) {
+  const meta = await solanaService.getTokenMetadata(mint);
+
+  if (meta) {
+    const creator = meta.creators.find(c => c.verified) || meta.creators[0];
+    if (creator && !solanaService.PUMP_FUN_AUTHORITIES.has(creator.address)) {
+      return { wallet: creator.address, source: 'metadata' };
+    }
+    if (meta.updateAuthority && !solanaService.PUMP_FUN_AUTHORITIES.has(meta.updateAuthority)) {
+      return { wallet: meta.updateAuthority, source: 'update_authority' };
+    }
+  }
+
+  // Launchpad-owned metadata (or no DAS) — ask pump.fun who created the coin
+  const coin = await pumpfunService.getToken(mint);
+  if (coin && coin !== 'transient' && coin.creator) {
+    return { wallet: coin.creator, source: 'pumpfun' };
+  }
+
+  return null;
+}
+
+/**
+ * Mints the wallet created, from its recent transaction history.
+ * Only transactions the wallet paid for count, so airdrops and buys are ignored.
+ *
+ * @returns {Promise<{launches: Array<{mint, createdAt, signature}>, scanned: number, complete: boolean}>}
+ */
+async function findLaunches(wallet) {
+  const launches = new Map();
+  let before = null;
+  let scanned = 0;
+  let complete = false;
+
+  for (let page = 0; page < HISTORY_MAX_PAGES; page++) {
+    const txs = await solanaService.getTransactionsForAddress(wallet, { limit: HISTORY_PAGE_SIZE, before });
+    if (!txs || txs.length === 0) {
+      complete = !!txs;
+      break;
+    }
+    scanned += txs.length;
+
+    for (const tx of txs) {
+      if (tx.transactionError || tx.feePayer !== wallet || !CREATION_TYPES.has(tx.type)) continue;
+      for (const transfer of tx.tokenTransfers || []) {
+        // Minted tokens have no sender
+        if (transfer.fromUserAccount || !transfer.mint || QUOTE_MINTS.has(transfer.mint)) continue;
+        if (transfer.tokenStandard && transfer.tokenStandard !== 'Fungible') continue;
+        // History is newest-first — keep overwriting so the earliest mint event wins
+        launches.set(transfer.mint, {
+          mint: transfer.mint,
+          createdAt: tx.timestamp ? tx.timestamp * 1000 : null,
+          signature: tx.signature
+        });
+      }
+    }
+
+    if (txs.length < HISTORY_PAGE_SIZE) {
+      complete = true;
+      break;
+    }
+    before = txs[txs.length - 1].signature;
+  }
+
+  return {
+    launches: [...launches.values()].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)),
+    scanned,
+    complete
+  };
+}
+
+/**
+ * Lifetime peak market cap from daily candle highs, scaled by the current
+ * market cap / price ratio (circulating supply).
+ */
+async function getPeakMarketCap(mint, price, marketCap) {
+  if (!price || !marketCap) return null;
+  const ohlcv = await geckoService.getOHLCV(mint, { interval: '1d', limit: 1000 });
+  const highs = (ohlcv.data || []).map(c => c.high).filter(h => h > 0);
+  if (highs.length === 0) return null;
+  return Math.max(...highs) * (marketCap / price);
+}
+
+/**
+ * 'dead' when GeckoTerminal has no market for it, 'rugged' / 'active' by drawdown
+ * from the peak, 'unknown' when the market or peak couldn't be looked up.
+ */
+function classifyLaunch(launch, marketKnown) {
+  if (!marketKnown) return 'unknown';
+  if (launch.marketCap == null) return 'dead';
+  if (launch.drawdownPct == null) return 'unknown';
+  return launch.drawdownPct >= RUG_DRAWDOWN_PCT ? 'rugged' : 'active';
+}
+
+/**
+ * Build the creator report for a token.
+ * history.lookupsFailed counts market / peak lookups that errored; a report with
+ * failures has launches marked 'unknown' and shouldn't be cached for long.
+ *
+ * @param {string} mint - Token mint address
+ * @returns {Promise<Object>} { mint, creator, launches[], summary, history, generatedAt }
+ */
+async function getCreatorHistory(mint) {
+  const creator = await resolveCreator(mint);
+  const history = { transactionsScanned: 0, complete: false, available: solanaService.isHeliusConfigured(), lookupsFailed: 0 };
+
+  if (!creator) {
+    return { mint, creator: null, launches: [], summary: null, history, generatedAt: Date.now() };
+  }
+
+  const found = await findLaunches(creator.wallet);
+  history.transactionsScanned = found.scanned;
+  history.complete = found.complete;
+
+  const others = found.launches.filter(l => l.mint !== mint).slice(0, MAX_LAUNCHES);
+  let market = {};
+  if (others.length > 0) {
+    try {
+      market = await geckoService.getMultiTokenInfo(others.map(l => l.mint), { throwOnError: true });
+    } catch (err) {
+      if (err.isOverloaded || err.isCircuitBreakerError) throw err;
+      market = null;
+      history.lookupsFailed++;
+    }
+  }
+
+  const launches = await Promise.all(others.map(async (launch, i) => {
+    const info = market?.[launch.mint] || null;
+    const marketCap = info ? (info.marketCap || info.fdv || null) : null;
+
+    let peakMarketCap = null;
+    if (i < MAX_PEAK_LOOKUPS && marketCap) {
+      peakMarketCap = await getPeakMarketCap(launch.mint, info.price, marketCap).catch(() => {
+        history.lookupsFailed++;
+        return null;
+      });
+      // Candles can lag the live price — the peak is never below the current value
+      if (peakMarketCap != null) peakMarketCap = Math.max(peakMarketCap, marketCap);
+    }
+
+    const drawdownPct = peakMarketCap && marketCap != null
+      ? Math.round((1 - marketCap / peakMarketCap) * 1000) / 10
+      : null;
+
+    const result = {
+      ...launch,
+      name: info?.name || null,
+      symbol: info?.symbol || null,
+      logoUri: info?.logoUri || null,
+      marketCap,
+      peakMarketCap,
+      drawdownPct
+    };
+    result.status = classifyLaunch(result, market !== null);
+    return result;
+  }));
+
+  // A launch with no market left at all is counted as rugged too. Launches with
+  // an unknown outcome are left out of the share entirely.
+  const rugged = launches.filter(l => l.status === 'rugged' || l.status === 'dead').length;
+  const unknown = launches.filter(l => l.status === 'unknown').length;
+  const known = launches.length - unknown;
+  const summary = {
+    totalLaunches: launches.length,
+    rugged,
+    active: launches.filter(l => l.status === 'active').length,
+    unknown,
+    bestPeakMarketCap: launches.reduce((max, l) => Math.max(max, l.peakMarketCap || 0), 0) || null,
+    serialRugger: known >= SERIAL_MIN_LAUNCHES && rugged / known >= SERIAL_RUG_SHARE
+  };
+
+  return {
+    mint,
+    creator,
+    launches,
+    summary,
+    history,
+    generatedAt: Date.now()
+  };
+}
+
+module.exports = {
+  getCreatorHistory,
+  resolveCreator,
+  findLaunches
+};
@@ -69,6 +69,14 @@ function calculateVoteWeight(percentageHeld) {
   return 1; // Base weight for minimum holders
 }
 
+// Sentiment vote weight in holder-verified mode. Sentiment is open to any holder,
+// so holders below the submission-vote minimum still count once; the tiers above
+// it apply as usual. Non-holders carry no weight.
+function calculateSentimentWeight(holdsToken, percentageHeld) {
+  if (!holdsToken) return 0;
+  return Math.max(1, calculateVoteWeight(percentageHeld));
+}
+
 // Create connection pool
 function createPool() {
   if (!process.env.DATABASE_URL) {
@@ -156,6 +164,11 @@ async function initializeDatabase() {
       ALTER TABLE tokens ADD COLUMN IF NOT EXISTS volume_24h DECIMAL;
       ALTER TABLE tokens ADD COLUMN IF NOT EXISTS price_change_24h DECIMAL;
 
+      -- Screener inputs refreshed alongside market data
+      ALTER TABLE tokens ADD COLUMN IF NOT EXISTS liquidity DECIMAL;
+      ALTER TABLE tokens ADD COLUMN IF NOT EXISTS holder_count INTEGER;
+      CREATE INDEX IF NOT EXISTS idx_tokens_market_cap ON tokens(market_cap DESC NULLS LAST) WHERE market_cap IS NOT NULL;
+
       -- Conviction / Diamond Hands persistence
       ALTER TABLE tokens ADD COLUMN IF NOT EXISTS conviction_1m DECIMAL;
       ALTER TABLE tokens ADD COLUMN IF NOT EXISTS conviction_data JSONB;
@@ -163,6 +176,11 @@ async function initializeDatabase() {
       ALTER TABLE tokens ADD COLUMN IF NOT EXISTS conviction_computed_at TIMESTAMP;
       CREATE INDEX IF NOT EXISTS idx_tokens_conviction_1m ON tokens(conviction_1m DESC NULLS LAST) WHERE conviction_1m IS NOT NULL AND conviction_1m > 0;
 
+      -- Launch bundle / sniper analysis persistence
+      ALTER TABLE tokens ADD COLUMN IF NOT EXISTS bundled_pct DECIMAL;
+      ALTER TABLE tokens ADD COLUMN IF NOT EXISTS bundle_data JSONB;
+      ALTER TABLE tokens ADD COLUMN IF NOT EXISTS bundle_computed_at TIMESTAMP;
+
       CREATE TABLE IF NOT EXISTS submissions (
         id SERIAL PRIMARY KEY,
         token_mint VARCHAR(44) NOT NULL,
@@ -212,6 +230,15 @@ async function initializeDatabase() {
       EXCEPTION WHEN OTHERS THEN NULL;
       END $$;
 
+      -- Named watchlist groups (e.g. "Research", "Holding")
+      CREATE TABLE IF NOT EXISTS watchlist_groups (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(44) NOT NULL,
+        name VARCHAR(40) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(wallet_address, name)
+      );
+
       -- Watchlist table for user favorites
       CREATE TABLE IF NOT EXISTS watchlist (
         id SERIAL PRIMARY KEY,
@@ -221,6 +248,12 @@ async function initializeDatabase() {
         UNIQUE(wallet_address, token_mint)
       );
 
+      -- Per-entry group, note and prices (entry price captured when added)
+      ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES watchlist_groups(id) ON DELETE SET NULL;
+      ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS note VARCHAR(280);
+      ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS entry_price DOUBLE PRECISION;
+      ALTER TABLE watchlist ADD COLUMN IF NOT EXISTS target_price DOUBLE PRECISION;
+
       -- API keys table for external API access
       CREATE TABLE IF NOT EXISTS api_keys (
         id SERIAL PRIMARY KEY,
@@ -275,6 +308,7 @@ async function initializeDatabase() {
       -- Watchlist indexes
       CREATE INDEX IF NOT EXISTS idx_watchlist_wallet ON watchlist(wallet_address);
       CREATE INDEX IF NOT EXISTS idx_watchlist_token ON watchlist(token_mint);
+      CREATE INDEX IF NOT EXISTS idx_watchlist_group ON watchlist(group_id) WHERE group_id IS NOT NULL;
 
       -- Vote tally indexes
       CREATE INDEX IF NOT EXISTS idx_vote_tallies_score ON vote_tallies(weighted_score DESC);
@@ -314,6 +348,37 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_device_sessions_wallet ON device_sessions(wallet_address);
       CREATE INDEX IF NOT EXISTS idx_device_sessions_expires ON device_sessions(expires_at);
 
+      -- Wallet sessions (Sign-In-With-Solana and activated device links).
+      -- Tokens are stored as SHA-256 hashes; the access token is short-lived and
+      -- rotated together with the refresh token.
+      CREATE TABLE IF NOT EXISTS wallet_sessions (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(44) NOT NULL,
+        source VARCHAR(10) NOT NULL DEFAULT 'siws' CHECK (source IN ('siws', 'device')),
+        access_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        access_expires_at TIMESTAMP NOT NULL,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        refreshed_at TIMESTAMP,
+        ip_address VARCHAR(45),
+        user_agent TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_wallet_sessions_wallet ON wallet_sessions(wallet_address);
+      CREATE INDEX IF NOT EXISTS idx_wallet_sessions_expires ON wallet_sessions(expires_at);
+
+      -- Single-use Sign-In-With-Solana nonces
+      CREATE TABLE IF NOT EXISTS auth_nonces (
+        nonce VARCHAR(32) PRIMARY KEY,
+        wallet_address VARCHAR(44) NOT NULL,
+        domain VARCHAR(255) NOT NULL,
+        issued_at TIMESTAMP NOT NULL,
+        expires_at TIMESTAMP NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires ON auth_nonces(expires_at);
+
       -- Token views table for tracking page views
       CREATE TABLE IF NOT EXISTS token_views (
         id SERIAL PRIMARY KEY,
@@ -362,6 +427,29 @@ async function initializeDatabase() {
 
       CREATE INDEX IF NOT EXISTS idx_sentiment_votes_mint ON sentiment_votes(token_mint);
 
+      -- Holder-verified sentiment: balance snapshot and weight per vote (weight 0 = unverified or non-holder)
+      ALTER TABLE sentiment_votes ADD COLUMN IF NOT EXISTS voter_balance DECIMAL(30,10);
+      ALTER TABLE sentiment_votes ADD COLUMN IF NOT EXISTS voter_percentage DECIMAL(12,6);
+      ALTER TABLE sentiment_votes ADD COLUMN IF NOT EXISTS vote_weight DECIMAL(5,2) DEFAULT 0;
+      ALTER TABLE sentiment_tallies ADD COLUMN IF NOT EXISTS weighted_bullish DECIMAL(12,2) DEFAULT 0;
+      ALTER TABLE sentiment_tallies ADD COLUMN IF NOT EXISTS weighted_bearish DECIMAL(12,2) DEFAULT 0;
+      ALTER TABLE sentiment_tallies ADD COLUMN IF NOT EXISTS weighted_score DECIMAL(12,2) DEFAULT 0;
+
+      -- Sentiment change log: one row per vote cast, removed or switched, with its effect on the tally
+      CREATE TABLE IF NOT EXISTS sentiment_events (
+        id BIGSERIAL PRIMARY KEY,
+        token_mint VARCHAR(44) NOT NULL,
+        voter_wallet VARCHAR(44) NOT NULL,
+        action VARCHAR(10) NOT NULL,
+        bullish_delta SMALLINT NOT NULL,
+        bearish_delta SMALLINT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sentiment_events_mint_time ON sentiment_events(token_mint, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_sentiment_events_time ON sentiment_events(created_at);
+      ALTER TABLE sentiment_events ADD COLUMN IF NOT EXISTS weighted_score_delta DECIMAL(7,2) DEFAULT 0;
+
       -- Token calls table (rolling 24h endorsements)
       CREATE TABLE IF NOT EXISTS token_calls (
         id SERIAL PRIMARY KEY,
@@ -377,10 +465,37 @@ async function initializeDatabase() {
       -- Market cap at time of call
       ALTER TABLE token_calls ADD COLUMN IF NOT EXISTS mcap_at_call DECIMAL;
 
+      -- Call outcome tracking: peak / latest market cap since the call (sampled by the worker)
+      ALTER TABLE token_calls ADD COLUMN IF NOT EXISTS peak_mcap DECIMAL;
+      ALTER TABLE token_calls ADD COLUMN IF NOT EXISTS peak_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE token_calls ADD COLUMN IF NOT EXISTS last_mcap DECIMAL;
+      ALTER TABLE token_calls ADD COLUMN IF NOT EXISTS last_sampled_at TIMESTAMP WITH TIME ZONE;
+
       -- One call record per wallet per token (re-calls update timestamp, preserve original mcap)
       CREATE UNIQUE INDEX IF NOT EXISTS idx_token_calls_wallet_mint
         ON token_calls(caller_wallet, token_mint);
 
+      -- Callers a wallet follows (feeds new calls from those wallets)
+      CREATE TABLE IF NOT EXISTS caller_follows (
+        follower_wallet VARCHAR(44) NOT NULL,
+        caller_wallet VARCHAR(44) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (follower_wallet, caller_wallet)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_caller_follows_caller ON caller_follows(caller_wallet);
+
+      -- Named screener queries saved per wallet (runnable from the site and the Telegram bot)
+      CREATE TABLE IF NOT EXISTS saved_screens (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(44) NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        query TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(wallet_address, name)
+      );
+
       -- Bug reports table for user-submitted bug reports
       CREATE TABLE IF NOT EXISTS bug_reports (
         id SERIAL PRIMARY KEY,
@@ -427,6 +542,41 @@ async function initializeDatabase() {
 
       CREATE INDEX IF NOT EXISTS idx_burn_credit_spends_wallet ON burn_credit_spends(wallet_address);
 
+      -- Spends refunded after a failed paid request stay for the record but no longer count
+      ALTER TABLE burn_credit_spends ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+      CREATE INDEX IF NOT EXISTS idx_burn_credit_spends_feature ON burn_credit_spends(wallet_address, feature, created_at DESC);
+
+      -- Spend lifecycle: reserved when a paid request starts, then captured (success) or refunded (failure).
+      -- Spends recorded before reservations existed were charged after success, so they default to captured.
+      ALTER TABLE burn_credit_spends ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'captured'
+        CHECK (status IN ('reserved', 'captured', 'refunded'));
+      ALTER TABLE burn_credit_spends ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP WITH TIME ZONE;
+      UPDATE burn_credit_spends SET status = 'refunded', settled_at = refunded_at
+        WHERE refunded_at IS NOT NULL AND status <> 'refunded';
+      CREATE INDEX IF NOT EXISTS idx_burn_credit_spends_reserved ON burn_credit_spends(created_at) WHERE status = 'reserved';
+
+      -- Double-entry Burn Credit ledger. Every movement is one transaction (txn_id) of two
+      -- postings that sum to zero: credits leave one account and arrive in another.
+      -- Accounts: wallet:<address> (spendable balance), system:burns, system:grants,
+      -- system:holds (reserved for in-flight paid requests), feature:<key> (captured spends).
+      CREATE SEQUENCE IF NOT EXISTS burn_credit_ledger_txn_seq;
+      CREATE TABLE IF NOT EXISTS burn_credit_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        txn_id BIGINT NOT NULL,
+        account VARCHAR(64) NOT NULL,
+        amount DECIMAL(20,6) NOT NULL,
+        entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('burn', 'grant', 'revoke', 'reserve', 'capture', 'refund')),
+        wallet_address VARCHAR(44) NOT NULL,
+        burn_credit_id INTEGER,
+        spend_id INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_burn_credit_ledger_account ON burn_credit_ledger(account);
+      CREATE INDEX IF NOT EXISTS idx_burn_credit_ledger_txn ON burn_credit_ledger(txn_id);
+      CREATE INDEX IF NOT EXISTS idx_burn_credit_ledger_burn ON burn_credit_ledger(burn_credit_id) WHERE burn_credit_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_burn_credit_ledger_spend ON burn_credit_ledger(spend_id) WHERE spend_id IS NOT NULL;
+
       -- Burn credit configuration (conversion rate, etc.)
       CREATE TABLE IF NOT EXISTS burn_config (
         key VARCHAR(50) PRIMARY KEY,
@@ -442,6 +592,40 @@ async function initializeDatabase() {
       INSERT INTO burn_config (key, value) VALUES ('daily_brief_kol_cost', '100')
         ON CONFLICT (key) DO NOTHING;
 
+      -- AI usage accounting: requests and tokens per feature/provider/prompt version per day
+      CREATE TABLE IF NOT EXISTS ai_usage_daily (
+        day DATE NOT NULL DEFAULT CURRENT_DATE,
+        feature VARCHAR(50) NOT NULL,
+        provider VARCHAR(20) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        prompt_version INTEGER NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        cache_hits INTEGER NOT NULL DEFAULT 0,
+        failures INTEGER NOT NULL DEFAULT 0,
+        input_tokens BIGINT NOT NULL DEFAULT 0,
+        output_tokens BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (day, feature, provider, model, prompt_version)
+      );
+
+      -- Structured AI analyses per token (holder analysis and advanced questions),
+      -- kept as history. result holds the validated {verdict, score, confidence, summary, flags}.
+      CREATE TABLE IF NOT EXISTS token_ai_analyses (
+        id BIGSERIAL PRIMARY KEY,
+        mint_address VARCHAR(44) NOT NULL,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('holder', 'advanced')),
+        question VARCHAR(100),
+        verdict VARCHAR(20) NOT NULL,
+        score SMALLINT,
+        confidence VARCHAR(10) NOT NULL,
+        result JSONB NOT NULL,
+        provider VARCHAR(20) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        prompt_version INTEGER NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_token_ai_analyses_mint ON token_ai_analyses(mint_address, id DESC);
+
       -- Folios: curated token lists linked to KOL twitter accounts
       CREATE TABLE IF NOT EXISTS folios (
         id SERIAL PRIMARY KEY,
@@ -497,8 +681,147 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_daily_brief_discovered ON daily_brief_tokens(discovered_at DESC);
       CREATE INDEX IF NOT EXISTS idx_daily_brief_graduated_coalesce ON daily_brief_tokens(COALESCE(graduated_at, discovered_at) DESC);
       CREATE INDEX IF NOT EXISTS idx_daily_brief_mcap ON daily_brief_tokens(market_cap DESC NULLS LAST);
+
+      -- OHLCV candle store: 1m candles are synced from upstream by the worker and
+      -- rolled up into 5m/1h/1d. Upstream 1h/1d history is kept for periods before tracking began.
+      CREATE TABLE IF NOT EXISTS candles (
+        mint_address VARCHAR(44) NOT NULL,
+        resolution VARCHAR(4) NOT NULL CHECK (resolution IN ('1m', '5m', '1h', '1d')),
+        bucket_start TIMESTAMP WITH TIME ZONE NOT NULL,
+        open DOUBLE PRECISION NOT NULL,
+        high DOUBLE PRECISION NOT NULL,
+        low DOUBLE PRECISION NOT NULL,
+        close DOUBLE PRECISION NOT NULL,
+        volume DOUBLE PRECISION DEFAULT 0,
+        source VARCHAR(16) DEFAULT 'upstream' CHECK (source IN ('upstream', 'rollup')),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (mint_address, resolution, bucket_start)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_candles_resolution_bucket ON candles(resolution, bucket_start);
+
+      -- Per-token candle sync progress (worker picks the least recently synced first)
+      CREATE TABLE IF NOT EXISTS candle_sync_state (
+        mint_address VARCHAR(44) PRIMARY KEY,
+        last_synced_at TIMESTAMP WITH TIME ZONE,
+        backfilled_at TIMESTAMP WITH TIME ZONE
+      );
+
+      -- Outbound webhooks registered by public API key holders.
+      -- The secret signs payloads (HMAC-SHA256), so unlike API keys it must be stored as-is.
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        events TEXT[] NOT NULL,
+        mints TEXT[],
+        sentiment_threshold INTEGER DEFAULT 10,
+        is_active BOOLEAN DEFAULT true,
+        consecutive_failures INTEGER DEFAULT 0,
+        last_delivery_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhooks_api_key ON webhooks(api_key_id);
+      CREATE INDEX IF NOT EXISTS idx_webhooks_active_events ON webhooks USING gin (events) WHERE is_active = true;
+
+      -- Delivery log: one row per event per webhook, updated on each attempt
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(32) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(16) DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+        attempts INTEGER DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        delivered_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at DESC);
+
+      -- Holder distribution time series (worker snapshots tracked tokens hourly)
+      CREATE TABLE IF NOT EXISTS holder_snapshots (
+        id BIGSERIAL PRIMARY KEY,
+        mint_address VARCHAR(44) NOT NULL,
+        snapshot_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        holder_count INTEGER,
+        top10_pct DECIMAL,
+        top50_pct DECIMAL,
+        diamond_hands JSONB
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_holder_snapshots_mint_time ON holder_snapshots(mint_address, snapshot_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_holder_snapshots_time ON holder_snapshots(snapshot_at);
+
+      -- Spike detections: the signals behind each recorded spike, plus the price sampled
+      -- by the worker 1h / 24h later so detections can be backtested
+      CREATE TABLE IF NOT EXISTS spike_detections (
+        id BIGSERIAL PRIMARY KEY,
+        mint_address VARCHAR(44) NOT NULL,
+        detected_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        spike_score DECIMAL(10,1) NOT NULL,
+        spike_types TEXT[] NOT NULL DEFAULT '{}',
+        price DOUBLE PRECISION NOT NULL,
+        market_cap DECIMAL,
+        volume_24h DECIMAL,
+        price_change_24h DECIMAL,
+        vol_mcap_ratio DECIMAL,
+        transactions_24h INTEGER,
+        holders INTEGER,
+        price_1h DOUBLE PRECISION,
+        price_24h DOUBLE PRECISION,
+        last_price DOUBLE PRECISION,
+        last_sampled_at TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_spike_detections_mint_time ON spike_detections(mint_address, detected_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_spike_detections_time ON spike_detections(detected_at);
+
+      -- Admin-tunable settings shared by the API and the worker (e.g. spike detection weights)
+      CREATE TABLE IF NOT EXISTS admin_settings (
+        key VARCHAR(50) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      -- Web Push subscriptions (one per browser) and the watchlist alert rules they deliver
+      CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(44) NOT NULL,
+        endpoint TEXT NOT NULL UNIQUE,
+        p256dh VARCHAR(200) NOT NULL,
+        auth VARCHAR(100) NOT NULL,
+        user_agent VARCHAR(200),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_success_at TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_push_subscriptions_wallet ON push_subscriptions(wallet_address);
+
+      -- state is the rule's baseline: last seen price (price_above / price_below),
+      -- reference price (pct_move) or highest approved banner submission id (banner)
+      CREATE TABLE IF NOT EXISTS push_alert_rules (
+        id SERIAL PRIMARY KEY,
+        wallet_address VARCHAR(44) NOT NULL,
+        token_mint VARCHAR(44) NOT NULL,
+        rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('price_above','price_below','pct_move','banner')),
+        threshold DOUBLE PRECISION,
+        state DOUBLE PRECISION,
+        last_triggered_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_push_alert_rules_wallet ON push_alert_rules(wallet_address);
+      CREATE INDEX IF NOT EXISTS idx_push_alert_rules_mint ON push_alert_rules(token_mint);
     `);
 
+    await backfillBurnCreditLedger(client);
+
     await client.query('COMMIT');
     isConnected = true;
     connectionAttempts = 0;
@@ -537,7 +860,7 @@ async function upsertToken(token) {
     console.warn('Database not available - skipping token upsert');
     return null;
   }
-  const { mintAddress, name, symbol, decimals, logoUri, pairCreatedAt, price, marketCap, volume24h, priceChange24h } = token;
+  const { mintAddress, name, symbol, decimals, logoUri, pairCreatedAt, price, marketCap, volume24h, priceChange24h, liquidity, holders } = token;
 
   // Never persist placeholder names — they poison search results
   const isPlaceholder = !name || PLACEHOLDER_NAMES.has(name.toLowerCase());
@@ -546,17 +869,19 @@ async function upsertToken(token) {
   // If both name and symbol are placeholders, only update price/market data
   if (isPlaceholder && isPlaceholderSymbol) {
     // Still update price/market data if we have any
-    if (price || marketCap || volume24h || priceChange24h != null) {
+    if (price || marketCap || volume24h || priceChange24h != null || liquidity || holders) {
       const result = await pool.query(
         `UPDATE tokens SET
            price = COALESCE($2, tokens.price),
            market_cap = COALESCE($3, tokens.market_cap),
            volume_24h = COALESCE($4, tokens.volume_24h),
            price_change_24h = COALESCE($5, tokens.price_change_24h),
+           liquidity = COALESCE($6, tokens.liquidity),
+           holder_count = COALESCE($7, tokens.holder_count),
            updated_at = NOW()
          WHERE mint_address = $1
          RETURNING *`,
-        [mintAddress, price || null, marketCap || null, volume24h || null, priceChange24h != null ? priceChange24h : null]
+        [mintAddress, price || null, marketCap || null, volume24h || null, priceChange24h != null ? priceChange24h : null, liquidity || null, holders || null]
       );
       return result.rows[0] || null;
     }
@@ -565,8 +890,8 @@ async function upsertToken(token) {
 
   // Use COALESCE for name/symbol so placeholders never overwrite real data
   const result = await pool.query(
-    `INSERT INTO tokens (mint_address, name, symbol, decimals, logo_uri, pair_created_at, price, market_cap, volume_24h, price_change_24h)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `INSERT INTO tokens (mint_address, name, symbol, decimals, logo_uri, pair_created_at, price, market_cap, volume_24h, price_change_24h, liquidity, holder_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
      ON CONFLICT (mint_address) DO UPDATE SET
        name = CASE WHEN LOWER(EXCLUDED.name) IN ('unknown token', 'unknown') THEN tokens.name ELSE COALESCE(EXCLUDED.name, tokens.name) END,
        symbol = CASE WHEN EXCLUDED.symbol IN ('UNKNOWN', '???') THEN tokens.symbol ELSE COALESCE(EXCLUDED.symbol, tokens.symbol) END,
@@ -577,9 +902,11 @@ async function upsertToken(token) {
        market_cap = COALESCE(EXCLUDED.market_cap, tokens.market_cap),
        volume_24h = COALESCE(EXCLUDED.volume_24h, tokens.volume_24h),
        price_change_24h = COALESCE(EXCLUDED.price_change_24h, tokens.price_change_24h),
+       liquidity = COALESCE(EXCLUDED.liquidity, tokens.liquidity),
+       holder_count = COALESCE(EXCLUDED.holder_count, tokens.holder_count),
        updated_at = NOW()
      RETURNING *`,
-    [mintAddress, name, symbol, decimals, logoUri, pairCreatedAt || null, price || null, marketCap || null, volume24h || null, priceChange24h != null ? priceChange24h : null]
+    [mintAddress, name, symbol, decimals, logoUri, pairCreatedAt || null, price || null, marketCap || null, volume24h || null, priceChange24h != null ? priceChange24h : null, liquidity || null, holders || null]
   );
   return result.rows[0];
 }
@@ -634,6 +961,36 @@ async function upsertConviction(mintAddress, distribution, sampleSize, analyzed)
   }
 }
 
+// Save launch bundle / sniper analysis for a token
+async function upsertBundleAnalysis(mintAddress, report) {
+  if (!pool || !mintAddress || !report) return null;
+  const bundledPct = report.summary?.bundledPct ?? null;
+  await pool.query(
+    `INSERT INTO tokens (mint_address, bundled_pct, bundle_data, bundle_computed_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (mint_address) DO UPDATE SET
+       bundled_pct = EXCLUDED.bundled_pct,
+       bundle_data = EXCLUDED.bundle_data,
+       bundle_computed_at = NOW()`,
+    [mintAddress, bundledPct, JSON.stringify(report)]
+  );
+}
+
+// Get persisted bundle analysis for a token
+async function getBundleAnalysis(mintAddress) {
+  if (!pool || !mintAddress) return null;
+  const result = await pool.query(
+    `SELECT bundle_data, bundle_computed_at FROM tokens
+     WHERE mint_address = $1 AND bundle_data IS NOT NULL`,
+    [mintAddress]
+  );
+  if (result.rows.length === 0) return null;
+  return {
+    data: result.rows[0].bundle_data,
+    computedAt: result.rows[0].bundle_computed_at
+  };
+}
+
 // Get top tokens by conviction (>1M diamond hands percentage)
 async function getTopConvictionTokens(limit = 25, offset = 0, filters = {}) {
   if (!pool) return { tokens: [], total: 0 };
@@ -1162,23 +1519,31 @@ async function checkAutoModeration(submissionId, weightedScore, marketCap = null
 
       // Only auto-approve if minimum review period has passed
       if (minutesSinceCreation >= requiredMinutes) {
-        await pool.query(
-          `UPDATE submissions SET status = 'approved' WHERE id = $1 AND status = 'pending'`,
+        const approved = await pool.query(
+          `UPDATE submissions SET status = 'approved' WHERE id = $1 AND status = 'pending' RETURNING *`,
           [submissionId]
         );
+        notifySubmissionWebhooks(approved.rows[0]);
       }
       // If threshold is met but review period hasn't passed, submission stays pending
       // It will be approved on the next vote after the period passes
     }
   } else if (weightedScore <= AUTO_REJECT_THRESHOLD) {
     // Auto-rejection doesn't require review period (to quickly remove spam)
-    await pool.query(
-      `UPDATE submissions SET status = 'rejected' WHERE id = $1 AND status = 'pending'`,
+    const rejected = await pool.query(
+      `UPDATE submissions SET status = 'rejected' WHERE id = $1 AND status = 'pending' RETURNING *`,
       [submissionId]
     );
+    notifySubmissionWebhooks(rejected.rows[0]);
   }
 }
 
+// Required lazily — services/webhooks depends on this module
+function notifySubmissionWebhooks(submission) {
+  if (!submission) return;
+  require('./webhooks').emitSubmissionStatus(submission);
+}
+
 // Update submission status manually
 async function updateSubmissionStatus(submissionId, status) {
   if (!pool) return null;
@@ -1222,16 +1587,25 @@ async function getPendingSubmissions(limit = 50) {
 // Watchlist operations
 // ==========================================
 
+const MAX_WATCHLIST_GROUPS = 10;
+
 // Atomic watchlist add with limit enforcement (prevents TOCTOU race condition)
-async function addToWatchlistAtomic(walletAddress, tokenMint, maxItems = 100) {
+// details: { groupId, note, entryPrice, targetPrice } — entryPrice falls back to the
+// token's last known price so performance since added can be tracked
+async function addToWatchlistAtomic(walletAddress, tokenMint, maxItems = 100, details = {}) {
   if (!pool) return { limitReached: true };
+  const { groupId = null, note = null, entryPrice = null, targetPrice = null } = details;
   const result = await pool.query(
-    `INSERT INTO watchlist (wallet_address, token_mint)
-     SELECT $1, $2
+    `INSERT INTO watchlist (wallet_address, token_mint, group_id, note, entry_price, target_price)
+     SELECT $1, $2,
+            (SELECT id FROM watchlist_groups WHERE id = $4::int AND wallet_address = $1),
+            $5::varchar,
+            COALESCE($6::float8, (SELECT price::float8 FROM tokens WHERE mint_address = $2 AND price > 0)),
+            $7::float8
      WHERE (SELECT COUNT(*) FROM watchlist WHERE wallet_address = $1) < $3
      ON CONFLICT (wallet_address, token_mint) DO NOTHING
      RETURNING *`,
-    [walletAddress, tokenMint, maxItems]
+    [walletAddress, tokenMint, maxItems, groupId, note, entryPrice, targetPrice]
   );
   if (result.rows.length === 0) {
     // Either already exists or limit reached — check which
@@ -1255,11 +1629,14 @@ async function addToWatchlist(walletAddress, tokenMint) {
   return result.rows[0] || { wallet_address: walletAddress, token_mint: tokenMint, exists: true };
 }
 
-// Remove token from user's watchlist
+// Remove token from user's watchlist (push alert rules only apply to watchlisted tokens, so they go too)
 async function removeFromWatchlist(walletAddress, tokenMint) {
   if (!pool) return null;
   const result = await pool.query(
-    `DELETE FROM watchlist
+    `WITH removed_rules AS (
+       DELETE FROM push_alert_rules WHERE wallet_address = $1 AND token_mint = $2
+     )
+     DELETE FROM watchlist
      WHERE wallet_address = $1 AND token_mint = $2
      RETURNING *`,
     [walletAddress, tokenMint]
@@ -1271,9 +1648,11 @@ async function removeFromWatchlist(walletAddress, tokenMint) {
 async function getWatchlist(walletAddress) {
   if (!pool) return [];
   const result = await pool.query(
-    `SELECT w.token_mint, w.added_at, t.name, t.symbol, t.logo_uri
+    `SELECT w.token_mint, w.added_at, w.group_id, g.name AS group_name, w.note,
+            w.entry_price, w.target_price, t.name, t.symbol, t.logo_uri
      FROM watchlist w
      LEFT JOIN tokens t ON w.token_mint = t.mint_address
+     LEFT JOIN watchlist_groups g ON g.id = w.group_id
      WHERE w.wallet_address = $1
      ORDER BY w.added_at DESC`,
     [walletAddress]
@@ -1283,10 +1662,212 @@ async function getWatchlist(walletAddress) {
     name: row.name,
     symbol: row.symbol,
     logoUri: row.logo_uri,
-    addedAt: row.added_at
+    addedAt: row.added_at,
+    groupId: row.group_id,
+    groupName: row.group_name,
+    note: row.note,
+    entryPrice: row.entry_price,
+    targetPrice: row.target_price
   }));
 }
 
+/**
+ * Update a watchlist entry's group, note or target price.
+ * Only keys present in `changes` are written; null clears the field.
+ * A groupId that isn't one of the wallet's groups ungroups the entry.
+ *
+ * @param {string} walletAddress
+ * @param {string} tokenMint
+ * @param {{groupId?: number|null, note?: string|null, targetPrice?: number|null}} changes
+ * @returns {Promise<Object|null>} Updated row, or null if the token isn't watchlisted
+ */
+async function updateWatchlistEntry(walletAddress, tokenMint, changes) {
+  if (!pool) return null;
+
+  const sets = [];
+  const params = [walletAddress, tokenMint];
+  if (changes.groupId !== undefined) {
+    params.push(changes.groupId);
+    sets.push(`group_id = (SELECT id FROM watchlist_groups WHERE id = $${params.length}::int AND wallet_address = $1)`);
+  }
+  if (changes.note !== undefined) {
+    params.push(changes.note);
+    sets.push(`note = $${params.length}::varchar`);
+  }
+  if (changes.targetPrice !== undefined) {
+    params.push(changes.targetPrice);
+    sets.push(`target_price = $${params.length}::float8`);
+  }
+  if (sets.length === 0) return null;
+
+  const result = await pool.query(
+    `UPDATE watchlist SET ${sets.join(', ')}
+     WHERE wallet_address = $1 AND token_mint = $2
+     RETURNING token_mint, group_id, note, entry_price, target_price, added_at`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+// Watchlist groups for a wallet with their entry counts, oldest first (tab order)
+async function getWatchlistGroups(walletAddress) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT g.id, g.name, g.created_at, COUNT(w.id)::int AS count
+     FROM watchlist_groups g
+     LEFT JOIN watchlist w ON w.group_id = g.id
+     WHERE g.wallet_address = $1
+     GROUP BY g.id
+     ORDER BY g.created_at ASC, g.id ASC`,
+    [walletAddress]
+  );
+  return result.rows;
+}
+
+async function getWatchlistGroup(walletAddress, groupId) {
+  if (!pool) return null;
+  const result = await pool.query(
+    'SELECT id, name, created_at FROM watchlist_groups WHERE id = $1 AND wallet_address = $2',
+    [groupId, walletAddress]
+  );
+  return result.rows[0] || null;
+}
+
+// Create a group, enforcing the per-wallet limit atomically
+// Returns { exists: true } for a duplicate name, { limitReached: true } at the limit
+async function createWatchlistGroup(walletAddress, name, maxGroups = MAX_WATCHLIST_GROUPS) {
+  if (!pool) return { limitReached: true };
+  const result = await pool.query(
+    `INSERT INTO watchlist_groups (wallet_address, name)
+     SELECT $1, $2
+     WHERE (SELECT COUNT(*) FROM watchlist_groups WHERE wallet_address = $1) < $3
+     ON CONFLICT (wallet_address, name) DO NOTHING
+     RETURNING id, name, created_at`,
+    [walletAddress, name, maxGroups]
+  );
+  if (result.rows.length > 0) return result.rows[0];
+
+  const existing = await pool.query(
+    'SELECT 1 FROM watchlist_groups WHERE wallet_address = $1 AND name = $2',
+    [walletAddress, name]
+  );
+  return existing.rows.length > 0 ? { exists: true } : { limitReached: true };
+}
+
+// Rename a group; returns null if not found, { exists: true } if the name is taken
+async function renameWatchlistGroup(walletAddress, groupId, name) {
+  if (!pool) return null;
+  try {
+    const result = await pool.query(
+      `UPDATE watchlist_groups SET name = $3
+       WHERE id = $1 AND wallet_address = $2
+       RETURNING id, name, created_at`,
+      [groupId, walletAddress, name]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    if (err.code === '23505') return { exists: true };
+    throw err;
+  }
+}
+
+// Delete a group; its entries stay on the watchlist ungrouped (ON DELETE SET NULL)
+async function deleteWatchlistGroup(walletAddress, groupId) {
+  if (!pool) return false;
+  const result = await pool.query(
+    'DELETE FROM watchlist_groups WHERE id = $1 AND wallet_address = $2',
+    [groupId, walletAddress]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Import watchlist entries in one transaction.
+ * Existing tokens are updated (fields missing from the import are kept), new tokens are
+ * added until the watchlist limit, and groups are created by name until the group limit
+ * (entries for groups past the limit are imported ungrouped).
+ *
+ * @param {string} walletAddress
+ * @param {Array<{mint: string, group?: string, note?: string, entryPrice?: number, targetPrice?: number}>} entries
+ * @param {number} maxItems - Watchlist size limit
+ * @returns {Promise<{added: number, updated: number, skipped: string[], groupsCreated: number}>}
+ */
+async function importWatchlist(walletAddress, entries, maxItems = 100) {
+  const summary = { added: 0, updated: 0, skipped: [], groupsCreated: 0 };
+  if (!pool || entries.length === 0) return summary;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Serialize imports per wallet so concurrent imports can't overshoot the limits
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`watchlist:${walletAddress}`]);
+
+    const groupRows = await client.query(
+      'SELECT id, name FROM watchlist_groups WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    const groupIds = new Map(groupRows.rows.map(g => [g.name, g.id]));
+
+    for (const name of new Set(entries.map(e => e.group).filter(Boolean))) {
+      if (groupIds.has(name) || groupIds.size >= MAX_WATCHLIST_GROUPS) continue;
+      const created = await client.query(
+        'INSERT INTO watchlist_groups (wallet_address, name) VALUES ($1, $2) RETURNING id',
+        [walletAddress, name]
+      );
+      groupIds.set(name, created.rows[0].id);
+      summary.groupsCreated++;
+    }
+
+    const countResult = await client.query(
+      'SELECT COUNT(*) FROM watchlist WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    let count = parseInt(countResult.rows[0].count);
+
+    for (const entry of entries) {
+      const groupId = entry.group ? groupIds.get(entry.group) ?? null : null;
+      const params = [walletAddress, entry.mint, groupId, entry.note ?? null, entry.entryPrice ?? null, entry.targetPrice ?? null];
+
+      const updated = await client.query(
+        `UPDATE watchlist SET
+           group_id = COALESCE($3::int, group_id),
+           note = COALESCE($4::varchar, note),
+           entry_price = COALESCE($5::float8, entry_price),
+           target_price = COALESCE($6::float8, target_price)
+         WHERE wallet_address = $1 AND token_mint = $2`,
+        params
+      );
+      if (updated.rowCount > 0) {
+        summary.updated++;
+        continue;
+      }
+
+      if (count >= maxItems) {
+        summary.skipped.push(entry.mint);
+        continue;
+      }
+
+      await client.query(
+        `INSERT INTO watchlist (wallet_address, token_mint, group_id, note, entry_price, target_price)
+         VALUES ($1, $2, $3::int, $4::varchar,
+                 COALESCE($5::float8, (SELECT price::float8 FROM tokens WHERE mint_address = $2 AND price > 0)),
+                 $6::float8)`,
+        params
+      );
+      summary.added++;
+      count++;
+    }
+
+    await client.query('COMMIT');
+    return summary;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 // Check if token is in user's watchlist
 async function isInWatchlist(walletAddress, tokenMint) {
   if (!pool) return false;
@@ -1551,55 +2132,200 @@ async function cleanupExpiredDeviceSessions() {
 }
 
 // ==========================================
-// Admin Statistics operations
+// Wallet Session operations (Sign-In-With-Solana)
 // ==========================================
 
-// Admin stats cache to prevent expensive COUNT(*) queries under load
-// TTL: 30 seconds - balances freshness with database load reduction
-const ADMIN_STATS_CACHE_TTL_MS = 30000;
-let adminStatsCache = {
-  data: null,
-  cachedAt: 0
-};
+const AUTH_NONCE_TTL_MS = 5 * 60 * 1000; // 5 minutes to sign the login message
+const WALLET_SESSION_ACCESS_TTL_MS = 60 * 60 * 1000; // 1 hour, then refresh
+const WALLET_SESSION_DURATION_MS = DEVICE_SESSION_DURATION_MS; // 30 days, same as linked devices
+const MAX_WALLET_SESSIONS = 10; // per wallet — oldest sessions are dropped beyond this
 
-// Get site statistics for admin dashboard (with caching)
-async function getAdminStats() {
+async function createAuthNonce(nonce, walletAddress, domain, issuedAt, expiresAt) {
   if (!pool) return null;
 
-  // Return cached stats if still fresh
-  const now = Date.now();
-  if (adminStatsCache.data && (now - adminStatsCache.cachedAt) < ADMIN_STATS_CACHE_TTL_MS) {
-    return { ...adminStatsCache.data, cached: true, cacheAge: now - adminStatsCache.cachedAt };
-  }
-
-  const stats = {};
+  const result = await pool.query(
+    `INSERT INTO auth_nonces (nonce, wallet_address, domain, issued_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [nonce, walletAddress, domain, issuedAt, expiresAt]
+  );
+  return result.rows[0];
+}
 
-  // Use a single optimized query to reduce database round-trips
-  // This combines multiple COUNT(*) queries into one for efficiency
-  const combinedStats = await pool.query(`
-    SELECT
-      (SELECT COUNT(*) FROM submissions WHERE status = 'pending') as pending_submissions,
-      (SELECT COUNT(*) FROM submissions WHERE status = 'approved') as approved_submissions,
-      (SELECT COUNT(*) FROM submissions WHERE status = 'rejected') as rejected_submissions,
-      (SELECT COUNT(*) FROM submissions) as total_submissions,
-      (SELECT COUNT(*) FROM votes) as total_votes,
-      (SELECT COUNT(*) FROM tokens) as total_tokens,
-      (SELECT COUNT(*) FROM api_keys) as total_api_keys,
-      (SELECT COUNT(*) FROM api_keys WHERE is_active = true) as active_api_keys,
-      (SELECT COUNT(*) FROM watchlist) as watchlist_entries,
-      (SELECT COUNT(*) FROM submissions WHERE created_at > NOW() - INTERVAL '24 hours') as recent_submissions,
-      (SELECT COUNT(*) FROM votes WHERE created_at > NOW() - INTERVAL '24 hours') as recent_votes,
-      (SELECT COUNT(*) FROM bug_reports WHERE status = 'new') as new_bug_reports
-  `);
+// Nonces are single-use: the row is deleted whether or not the signature checks out
+async function consumeAuthNonce(nonce) {
+  if (!pool) return null;
 
-  const row = combinedStats.rows[0];
+  const result = await pool.query(
+    `DELETE FROM auth_nonces WHERE nonce = $1 AND expires_at > NOW() RETURNING *`,
+    [nonce]
+  );
+  return result.rows[0];
+}
 
-  stats.submissions = {
-    pending: parseInt(row.pending_submissions),
-    approved: parseInt(row.approved_submissions),
-    rejected: parseInt(row.rejected_submissions),
-    total: parseInt(row.total_submissions)
-  };
+async function createWalletSession(walletAddress, source, accessTokenHash, refreshTokenHash, ipAddress = null, userAgent = null) {
+  if (!pool) return null;
+
+  const now = Date.now();
+  const result = await pool.query(
+    `INSERT INTO wallet_sessions
+       (wallet_address, source, access_token_hash, access_expires_at, refresh_token_hash, expires_at, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, wallet_address, source, access_expires_at, expires_at, created_at`,
+    [
+      walletAddress, source, accessTokenHash, new Date(now + WALLET_SESSION_ACCESS_TTL_MS),
+      refreshTokenHash, new Date(now + WALLET_SESSION_DURATION_MS), ipAddress, userAgent
+    ]
+  );
+
+  // Keep the newest sessions only
+  await pool.query(
+    `DELETE FROM wallet_sessions WHERE id IN (
+       SELECT id FROM wallet_sessions
+       WHERE wallet_address = $1
+       ORDER BY created_at DESC
+       OFFSET $2
+     )`,
+    [walletAddress, MAX_WALLET_SESSIONS]
+  );
+
+  return result.rows[0];
+}
+
+async function getWalletSessionByAccessToken(accessTokenHash) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT id, wallet_address, source, access_expires_at, expires_at, created_at, refreshed_at
+     FROM wallet_sessions
+     WHERE access_token_hash = $1 AND access_expires_at > NOW() AND expires_at > NOW()`,
+    [accessTokenHash]
+  );
+  return result.rows[0];
+}
+
+// Swap both tokens — a refresh token only works once
+async function rotateWalletSession(refreshTokenHash, newAccessTokenHash, newRefreshTokenHash) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE wallet_sessions
+     SET access_token_hash = $2,
+         refresh_token_hash = $3,
+         access_expires_at = LEAST($4::timestamp, expires_at),
+         refreshed_at = NOW()
+     WHERE refresh_token_hash = $1 AND expires_at > NOW()
+     RETURNING id, wallet_address, source, access_expires_at, expires_at, created_at`,
+    [refreshTokenHash, newAccessTokenHash, newRefreshTokenHash, new Date(Date.now() + WALLET_SESSION_ACCESS_TTL_MS)]
+  );
+  return result.rows[0];
+}
+
+async function deleteWalletSession(id) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `DELETE FROM wallet_sessions WHERE id = $1 RETURNING id`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+async function deleteWalletSessionByRefreshToken(refreshTokenHash) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `DELETE FROM wallet_sessions WHERE refresh_token_hash = $1 RETURNING id`,
+    [refreshTokenHash]
+  );
+  return result.rows[0];
+}
+
+async function deleteWalletSessionsByWallet(walletAddress) {
+  if (!pool) return 0;
+
+  const result = await pool.query(
+    `DELETE FROM wallet_sessions WHERE wallet_address = $1`,
+    [walletAddress]
+  );
+  return result.rowCount;
+}
+
+async function getWalletSessionsByWallet(walletAddress, source = null) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT id, source, created_at, refreshed_at, expires_at, user_agent
+     FROM wallet_sessions
+     WHERE wallet_address = $1 AND expires_at > NOW()
+       AND ($2::varchar IS NULL OR source = $2)
+     ORDER BY created_at DESC`,
+    [walletAddress, source]
+  );
+  return result.rows;
+}
+
+// Also sweeps expired login nonces; returns the number of sessions removed
+async function cleanupExpiredWalletSessions() {
+  if (!pool) return 0;
+
+  await pool.query(`DELETE FROM auth_nonces WHERE expires_at < NOW()`);
+  const result = await pool.query(
+    `DELETE FROM wallet_sessions WHERE expires_at < NOW()`
+  );
+  return result.rowCount;
+}
+
+// ==========================================
+// Admin Statistics operations
+// ==========================================
+
+// Admin stats cache to prevent expensive COUNT(*) queries under load
+// TTL: 30 seconds - balances freshness with database load reduction
+const ADMIN_STATS_CACHE_TTL_MS = 30000;
+let adminStatsCache = {
+  data: null,
+  cachedAt: 0
+};
+
+// Get site statistics for admin dashboard (with caching)
+async function getAdminStats() {
+  if (!pool) return null;
+
+  // Return cached stats if still fresh
+  const now = Date.now();
+  if (adminStatsCache.data && (now - adminStatsCache.cachedAt) < ADMIN_STATS_CACHE_TTL_MS) {
+    return { ...adminStatsCache.data, cached: true, cacheAge: now - adminStatsCache.cachedAt };
+  }
+
+  const stats = {};
+
+  // Use a single optimized query to reduce database round-trips
+  // This combines multiple COUNT(*) queries into one for efficiency
+  const combinedStats = await pool.query(`
+    SELECT
+      (SELECT COUNT(*) FROM submissions WHERE status = 'pending') as pending_submissions,
+      (SELECT COUNT(*) FROM submissions WHERE status = 'approved') as approved_submissions,
+      (SELECT COUNT(*) FROM submissions WHERE status = 'rejected') as rejected_submissions,
+      (SELECT COUNT(*) FROM submissions) as total_submissions,
+      (SELECT COUNT(*) FROM votes) as total_votes,
+      (SELECT COUNT(*) FROM tokens) as total_tokens,
+      (SELECT COUNT(*) FROM api_keys) as total_api_keys,
+      (SELECT COUNT(*) FROM api_keys WHERE is_active = true) as active_api_keys,
+      (SELECT COUNT(*) FROM watchlist) as watchlist_entries,
+      (SELECT COUNT(*) FROM submissions WHERE created_at > NOW() - INTERVAL '24 hours') as recent_submissions,
+      (SELECT COUNT(*) FROM votes WHERE created_at > NOW() - INTERVAL '24 hours') as recent_votes,
+      (SELECT COUNT(*) FROM bug_reports WHERE status = 'new') as new_bug_reports
+  `);
+
+  const row = combinedStats.rows[0];
+
+  stats.submissions = {
+    pending: parseInt(row.pending_submissions),
+    approved: parseInt(row.approved_submissions),
+    rejected: parseInt(row.rejected_submissions),
+    total: parseInt(row.total_submissions)
+  };
 
   stats.votes = parseInt(row.total_votes);
   stats.tokens = parseInt(row.total_tokens);
@@ -2045,18 +2771,21 @@ async function getMostWatchlistedTokens(limit = 25, offset = 0) {
 }
 
 // Get tokens ranked by sentiment score (most bullish first)
-async function getTopSentimentTokens(limit = 25, offset = 0) {
+// ranking 'weighted' orders by the holder-weighted score instead of raw votes
+async function getTopSentimentTokens(limit = 25, offset = 0, ranking = 'raw') {
   if (!pool) return { tokens: [], total: 0 };
 
+  const orderBy = ranking === 'weighted' ? 'st.weighted_score DESC, st.score DESC' : 'st.score DESC';
   const [dataResult, countResult] = await Promise.all([
     pool.query(
       `SELECT st.token_mint, st.bullish, st.bearish, st.score,
+              st.weighted_bullish, st.weighted_bearish, st.weighted_score,
               t.name, t.symbol, t.logo_uri,
               t.price, t.market_cap, t.volume_24h, t.price_change_24h
        FROM sentiment_tallies st
        LEFT JOIN tokens t ON st.token_mint = t.mint_address
        WHERE (st.bullish + st.bearish) > 0
-       ORDER BY st.score DESC
+       ORDER BY ${orderBy}
        LIMIT $1 OFFSET $2`,
       [limit, offset]
     ),
@@ -2167,6 +2896,7 @@ async function getMostCalledTokens(limit = 25, offset = 0) {
   const [dataResult, countResult] = await Promise.all([
     pool.query(
       `SELECT tc.token_mint, COUNT(*) AS call_count,
+              AVG(tc.peak_mcap / NULLIF(tc.mcap_at_call, 0)) AS avg_peak_multiple,
               t.name, t.symbol, t.logo_uri,
               t.price, t.market_cap, t.volume_24h, t.price_change_24h
        FROM token_calls tc
@@ -2191,6 +2921,30 @@ async function getMostCalledTokens(limit = 25, offset = 0) {
   };
 }
 
+// Call counts per token: { [mint]: { calls24h, callsTotal } }
+async function getCallCountsBatch(tokenMints) {
+  if (!pool || !tokenMints || tokenMints.length === 0) return {};
+
+  const result = await pool.query(
+    `SELECT token_mint,
+            COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '24 hours') AS calls_24h,
+            COUNT(*) AS calls_total
+     FROM token_calls
+     WHERE token_mint = ANY($1)
+     GROUP BY token_mint`,
+    [tokenMints]
+  );
+
+  const out = {};
+  for (const row of result.rows) {
+    out[row.token_mint] = {
+      calls24h: parseInt(row.calls_24h) || 0,
+      callsTotal: parseInt(row.calls_total) || 0
+    };
+  }
+  return out;
+}
+
 // Get a wallet's full call history with current token data
 async function getCallsByWallet(callerWallet, limit = 50, offset = 0) {
   if (!pool) return { calls: [], total: 0 };
@@ -2198,6 +2952,7 @@ async function getCallsByWallet(callerWallet, limit = 50, offset = 0) {
   const [dataResult, countResult] = await Promise.all([
     pool.query(
       `SELECT tc.id, tc.token_mint, tc.mcap_at_call, tc.created_at,
+              tc.peak_mcap, tc.peak_at, tc.last_mcap,
               t.name, t.symbol, t.logo_uri,
               t.price, t.market_cap, t.volume_24h
        FROM token_calls tc
@@ -2220,122 +2975,548 @@ async function getCallsByWallet(callerWallet, limit = 50, offset = 0) {
 }
 
 // ==========================================
-// GDPR Data Deletion operations
+// Call performance (caller scoring)
 // ==========================================
 
-// Delete all user data associated with a wallet (GDPR right to erasure)
-async function deleteUserData(walletAddress) {
-  if (!pool) return null;
-
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-    // Set a transaction-level timeout for this long-running GDPR deletion
-    await client.query('SET LOCAL statement_timeout = 120000'); // 2 minutes
-
-    // Count data before deletion for reporting
-    const counts = {
-      watchlist: 0,
-      votes: 0,
-      submissions: 0,
-      apiKeys: 0
-    };
+// Calls keep being tracked (peak / latest market cap) for this long after the call
+const CALL_TRACKING_DAYS = 30;
+// A call "wins" once the token peaks at this multiple of its market cap at call time
+const CALL_WIN_MULTIPLE = 2;
+// Calls without a market cap at call time get the first sample if it lands this soon after
+const CALL_MCAP_BACKFILL_MINUTES = 15;
 
-    // Get counts
-    const watchlistCount = await client.query(
-      'SELECT COUNT(*) FROM watchlist WHERE wallet_address = $1',
-      [walletAddress]
-    );
-    counts.watchlist = parseInt(watchlistCount.rows[0].count);
+// Tokens with calls still inside the tracking window, least recently sampled first
+async function getOpenCallMints(limit = 300) {
+  if (!pool) return [];
 
-    const votesCount = await client.query(
-      'SELECT COUNT(*) FROM votes WHERE voter_wallet = $1',
-      [walletAddress]
-    );
-    counts.votes = parseInt(votesCount.rows[0].count);
+  const result = await pool.query(
+    `SELECT token_mint
+     FROM token_calls
+     WHERE created_at > NOW() - INTERVAL '1 day' * $1
+     GROUP BY token_mint
+     ORDER BY MIN(COALESCE(last_sampled_at, 'epoch')) ASC
+     LIMIT $2`,
+    [CALL_TRACKING_DAYS, limit]
+  );
+  return result.rows.map(r => r.token_mint);
+}
 
-    const submissionsCount = await client.query(
-      'SELECT COUNT(*) FROM submissions WHERE submitter_wallet = $1',
-      [walletAddress]
-    );
-    counts.submissions = parseInt(submissionsCount.rows[0].count);
+/**
+ * Record a market cap sample for every open call on the given tokens.
+ * The market cap at call time counts as the starting peak, so a call that only
+ * went down has a peak multiple of 1 reached at call time.
+ *
+ * @param {Array<{mint: string, marketCap: number}>} samples
+ * @returns {Promise<number>} Call rows updated
+ */
+async function recordCallMarketCaps(samples) {
+  if (!pool || !samples || samples.length === 0) return 0;
 
-    const apiKeysCount = await client.query(
-      'SELECT COUNT(*) FROM api_keys WHERE owner_wallet = $1',
-      [walletAddress]
-    );
-    counts.apiKeys = parseInt(apiKeysCount.rows[0].count);
+  const result = await pool.query(
+    `UPDATE token_calls tc SET
+       mcap_at_call = COALESCE(tc.mcap_at_call,
+         CASE WHEN tc.created_at > NOW() - INTERVAL '1 minute' * $4 THEN s.mcap END),
+       peak_at = CASE WHEN s.mcap > COALESCE(tc.peak_mcap, tc.mcap_at_call, 0) THEN NOW()
+                      ELSE COALESCE(tc.peak_at, tc.created_at) END,
+       peak_mcap = GREATEST(COALESCE(tc.peak_mcap, tc.mcap_at_call, 0), s.mcap),
+       last_mcap = s.mcap,
+       last_sampled_at = NOW()
+     FROM unnest($1::text[], $2::numeric[]) AS s(mint, mcap)
+     WHERE tc.token_mint = s.mint
+       AND tc.created_at > NOW() - INTERVAL '1 day' * $3`,
+    [samples.map(s => s.mint), samples.map(s => s.marketCap), CALL_TRACKING_DAYS, CALL_MCAP_BACKFILL_MINUTES]
+  );
+  return result.rowCount;
+}
 
-    // Delete watchlist entries
-    await client.query(
-      'DELETE FROM watchlist WHERE wallet_address = $1',
-      [walletAddress]
-    );
+// Scored calls: have a market cap at call time and at least one sample since
+const SCORED_CALLS_CTE = `
+  scored AS (
+    SELECT tc.caller_wallet, tc.token_mint, tc.created_at, tc.peak_at,
+           tc.peak_mcap / tc.mcap_at_call AS peak_multiple,
+           COALESCE(tc.last_mcap, t.market_cap) / tc.mcap_at_call AS current_multiple
+    FROM token_calls tc
+    LEFT JOIN tokens t ON t.mint_address = tc.token_mint
+    WHERE tc.mcap_at_call > 0 AND tc.peak_mcap IS NOT NULL
+  )`;
+
+const CALLER_STATS_COLUMNS = `
+  COUNT(*) AS scored_calls,
+  AVG(CASE WHEN peak_multiple >= ${CALL_WIN_MULTIPLE} THEN 1 ELSE 0 END) AS win_rate,
+  percentile_cont(0.5) WITHIN GROUP (ORDER BY current_multiple) AS median_multiple,
+  MAX(peak_multiple) AS best_multiple,
+  (ARRAY_AGG(token_mint ORDER BY peak_multiple DESC))[1] AS best_mint,
+  AVG(EXTRACT(EPOCH FROM (peak_at - created_at))) FILTER (WHERE peak_at >= created_at) AS avg_secs_to_peak`;
+
+function mapCallerStats(row) {
+  const num = (v) => v != null ? parseFloat(v) : null;
+  const medianMultiple = num(row.median_multiple);
+  return {
+    wallet: row.caller_wallet,
+    scoredCalls: parseInt(row.scored_calls) || 0,
+    winRate: row.win_rate != null ? Math.round(parseFloat(row.win_rate) * 1000) / 10 : null,
+    medianRoiPct: medianMultiple != null ? Math.round((medianMultiple - 1) * 1000) / 10 : null,
+    bestCall: row.best_mint
+      ? { tokenMint: row.best_mint, peakMultiple: num(row.best_multiple) }
+      : null,
+    avgTimeToPeakMs: row.avg_secs_to_peak != null ? Math.round(parseFloat(row.avg_secs_to_peak) * 1000) : null
+  };
+}
 
-    // Delete votes (and update tallies)
-    // Get submission IDs for tally updates
-    const voteSubmissions = await client.query(
-      'SELECT DISTINCT submission_id FROM votes WHERE voter_wallet = $1',
-      [walletAddress]
-    );
-    const submissionIds = voteSubmissions.rows.map(r => r.submission_id);
+// Performance profile for one caller wallet (null when no call has been scored yet)
+async function getCallerProfile(callerWallet) {
+  if (!pool) return null;
 
-    await client.query(
-      'DELETE FROM votes WHERE voter_wallet = $1',
-      [walletAddress]
-    );
+  const result = await pool.query(
+    `WITH ${SCORED_CALLS_CTE}
+     SELECT caller_wallet, ${CALLER_STATS_COLUMNS}
+     FROM scored
+     WHERE caller_wallet = $1
+     GROUP BY caller_wallet`,
+    [callerWallet]
+  );
+  return result.rows[0] ? mapCallerStats(result.rows[0]) : null;
+}
 
-    // Update vote tallies for affected submissions in bulk
-    if (submissionIds.length > 0) {
-      await client.query(
-        `UPDATE vote_tallies vt SET
-           upvotes = COALESCE(s.up_count, 0),
-           downvotes = COALESCE(s.down_count, 0),
-           score = COALESCE(s.up_count, 0) - COALESCE(s.down_count, 0),
-           weighted_score = COALESCE(s.w_score, 0),
-           updated_at = NOW()
-         FROM (
-           SELECT
-             u.id AS submission_id,
-             COUNT(*) FILTER (WHERE v.vote_type = 'up') AS up_count,
-             COUNT(*) FILTER (WHERE v.vote_type = 'down') AS down_count,
-             COALESCE(SUM(CASE WHEN v.vote_type = 'up' THEN v.vote_weight ELSE -v.vote_weight END), 0) AS w_score
-           FROM unnest($1::uuid[]) AS u(id)
-           LEFT JOIN votes v ON v.submission_id = u.id
-           GROUP BY u.id
-         ) s
-         WHERE vt.submission_id = s.submission_id`,
-        [submissionIds]
-      );
-    }
+// Callers ranked by win rate, then median ROI (wallets with at least minCalls scored calls)
+async function getTopCallers(limit = 25, offset = 0, minCalls = 3) {
+  if (!pool) return { callers: [], total: 0 };
 
-    // Anonymize submissions (keep content but remove wallet association)
-    // We don't delete submissions as they may be approved community content
-    await client.query(
-      'UPDATE submissions SET submitter_wallet = NULL WHERE submitter_wallet = $1',
-      [walletAddress]
-    );
+  const result = await pool.query(
+    `WITH ${SCORED_CALLS_CTE}
+     SELECT caller_wallet, ${CALLER_STATS_COLUMNS},
+            COUNT(*) OVER () AS total_count
+     FROM scored
+     GROUP BY caller_wallet
+     HAVING COUNT(*) >= $3
+     ORDER BY win_rate DESC, median_multiple DESC NULLS LAST, scored_calls DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset, minCalls]
+  );
 
-    // Delete API keys
-    await client.query(
-      'DELETE FROM api_keys WHERE owner_wallet = $1',
-      [walletAddress]
-    );
+  return {
+    callers: result.rows.map(mapCallerStats),
+    total: parseInt(result.rows[0]?.total_count || 0)
+  };
+}
 
-    // Delete token calls
-    const callsCount = await client.query(
-      'SELECT COUNT(*) FROM token_calls WHERE caller_wallet = $1',
-      [walletAddress]
-    );
-    counts.tokenCalls = parseInt(callsCount.rows[0].count);
+// ==========================================
+// Caller follows (follow feed)
+// ==========================================
 
-    await client.query(
-      'DELETE FROM token_calls WHERE caller_wallet = $1',
-      [walletAddress]
-    );
+// Maximum callers a single wallet can follow
+const MAX_FOLLOWED_CALLERS = 100;
 
-    // Delete sentiment votes and update tallies
-    const sentimentTokens = await client.query(
+// Follow a caller, with the per-wallet limit checked in the same statement
+async function followCaller(followerWallet, callerWallet, maxFollows = MAX_FOLLOWED_CALLERS) {
+  if (!pool) return { limitReached: true };
+  const result = await pool.query(
+    `INSERT INTO caller_follows (follower_wallet, caller_wallet)
+     SELECT $1, $2
+     WHERE (SELECT COUNT(*) FROM caller_follows WHERE follower_wallet = $1) < $3
+     ON CONFLICT (follower_wallet, caller_wallet) DO NOTHING
+     RETURNING *`,
+    [followerWallet, callerWallet, maxFollows]
+  );
+  if (result.rows.length === 0) {
+    // Either already following or limit reached — check which
+    const exists = await isFollowingCaller(followerWallet, callerWallet);
+    return exists ? { exists: true } : { limitReached: true };
+  }
+  return result.rows[0];
+}
+
+async function unfollowCaller(followerWallet, callerWallet) {
+  if (!pool) return false;
+  const result = await pool.query(
+    'DELETE FROM caller_follows WHERE follower_wallet = $1 AND caller_wallet = $2',
+    [followerWallet, callerWallet]
+  );
+  return result.rowCount > 0;
+}
+
+async function isFollowingCaller(followerWallet, callerWallet) {
+  if (!pool) return false;
+  const result = await pool.query(
+    'SELECT 1 FROM caller_follows WHERE follower_wallet = $1 AND caller_wallet = $2',
+    [followerWallet, callerWallet]
+  );
+  return result.rows.length > 0;
+}
+
+// Callers a wallet follows, most recently followed first
+async function getFollowedCallers(followerWallet) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT caller_wallet, created_at FROM caller_follows
+     WHERE follower_wallet = $1
+     ORDER BY created_at DESC`,
+    [followerWallet]
+  );
+  return result.rows;
+}
+
+// Follower / following counts for a wallet
+async function getFollowCounts(wallet) {
+  if (!pool) return { followers: 0, following: 0 };
+  const result = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM caller_follows WHERE caller_wallet = $1) AS followers,
+       (SELECT COUNT(*) FROM caller_follows WHERE follower_wallet = $1) AS following`,
+    [wallet]
+  );
+  return {
+    followers: parseInt(result.rows[0]?.followers || 0),
+    following: parseInt(result.rows[0]?.following || 0)
+  };
+}
+
+// New calls from the callers a wallet follows, newest first (same columns as getCallsByWallet)
+async function getFollowFeed(followerWallet, limit = 50, offset = 0) {
+  if (!pool) return { calls: [], total: 0 };
+
+  const [dataResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT tc.id, tc.token_mint, tc.caller_wallet, tc.mcap_at_call, tc.created_at,
+              tc.peak_mcap, tc.peak_at, tc.last_mcap,
+              t.name, t.symbol, t.logo_uri,
+              t.price, t.market_cap, t.volume_24h
+       FROM caller_follows cf
+       JOIN token_calls tc ON tc.caller_wallet = cf.caller_wallet
+       LEFT JOIN tokens t ON tc.token_mint = t.mint_address
+       WHERE cf.follower_wallet = $1
+       ORDER BY tc.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [followerWallet, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*) AS total
+       FROM caller_follows cf
+       JOIN token_calls tc ON tc.caller_wallet = cf.caller_wallet
+       WHERE cf.follower_wallet = $1`,
+      [followerWallet]
+    )
+  ]);
+
+  return {
+    calls: dataResult.rows,
+    total: parseInt(countResult.rows[0]?.total || 0)
+  };
+}
+
+// ==========================================
+// Screener
+// ==========================================
+
+// Screener field -> column of the screened CTE below (fields are whitelisted by
+// validation.parseScreenerQuery; this map keeps identifiers out of user input entirely)
+const SCREENER_COLUMNS = {
+  mcap: 'mcap',
+  liquidity: 'liquidity',
+  volume: 'volume',
+  change: 'change_24h',
+  age: 'age_ms',
+  holders: 'holders',
+  top10: 'top10_pct',
+  conviction: 'conviction',
+  bullish: 'bullish_pct',
+  sentiment: 'sentiment_score',
+  votes: 'sentiment_votes',
+  calls: 'calls_24h',
+  banner: 'has_banner'
+};
+
+const SCREENER_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '=' };
+
+// Maximum saved screens per wallet
+const MAX_SAVED_SCREENS = 20;
+
+/**
+ * Run a screener over known tokens
+ * Joins market data from tokens with sentiment tallies, the latest holder snapshot,
+ * 24h call counts and approved banners, then applies every filter (AND).
+ * @param {Array} filters - Normalized filters from parseScreenerQuery
+ * @param {Object} options - { sort, order, limit, offset }
+ * @returns {Promise<{tokens: Array, total: number}>}
+ */
+async function screenTokens(filters, { sort = 'mcap', order = 'desc', limit = 50, offset = 0 } = {}) {
+  if (!pool) return { tokens: [], total: 0 };
+
+  const params = [];
+  const conditions = [];
+  for (const filter of filters) {
+    const column = SCREENER_COLUMNS[filter.field];
+    if (!column) continue;
+
+    if (filter.op === 'between') {
+      params.push(filter.min, filter.max);
+      conditions.push(`${column} BETWEEN $${params.length - 1} AND $${params.length}`);
+    } else if (SCREENER_OPERATORS[filter.op]) {
+      params.push(filter.value);
+      conditions.push(`${column} ${SCREENER_OPERATORS[filter.op]} $${params.length}`);
+    }
+  }
+
+  const sortColumn = SCREENER_COLUMNS[sort] || 'mcap';
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  params.push(limit, offset);
+
+  const result = await pool.query(
+    `WITH screened AS (
+       SELECT t.mint_address, t.name, t.symbol, t.logo_uri, t.price, t.pair_created_at,
+              t.market_cap AS mcap,
+              t.liquidity,
+              t.volume_24h AS volume,
+              t.price_change_24h AS change_24h,
+              EXTRACT(EPOCH FROM (NOW() - t.pair_created_at)) * 1000 AS age_ms,
+              COALESCE(t.holder_count, hs.holder_count) AS holders,
+              hs.top10_pct,
+              t.conviction_1m AS conviction,
+              COALESCE(st.score, 0) AS sentiment_score,
+              COALESCE(st.bullish, 0) + COALESCE(st.bearish, 0) AS sentiment_votes,
+              CASE WHEN COALESCE(st.bullish, 0) + COALESCE(st.bearish, 0) > 0
+                THEN st.bullish * 100.0 / (st.bullish + st.bearish)
+              END AS bullish_pct,
+              COALESCE(tc.calls, 0) AS calls_24h,
+              EXISTS (
+                SELECT 1 FROM submissions s
+                WHERE s.token_mint = t.mint_address AND s.submission_type = 'banner' AND s.status = 'approved'
+              ) AS has_banner
+       FROM tokens t
+       LEFT JOIN sentiment_tallies st ON st.token_mint = t.mint_address
+       LEFT JOIN LATERAL (
+         SELECT holder_count, top10_pct FROM holder_snapshots
+         WHERE mint_address = t.mint_address
+         ORDER BY snapshot_at DESC
+         LIMIT 1
+       ) hs ON true
+       LEFT JOIN (
+         SELECT token_mint, COUNT(*) AS calls FROM token_calls
+         WHERE created_at > NOW() - INTERVAL '24 hours'
+         GROUP BY token_mint
+       ) tc ON tc.token_mint = t.mint_address
+       WHERE t.market_cap IS NOT NULL
+     )
+     SELECT *, COUNT(*) OVER() AS total_count
+     FROM screened
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${sortColumn} ${direction} NULLS LAST, mint_address
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    tokens: result.rows,
+    total: parseInt(result.rows[0]?.total_count || 0)
+  };
+}
+
+// Saved screens for a wallet, most recently updated first
+async function getSavedScreens(walletAddress) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT id, name, query, created_at, updated_at FROM saved_screens
+     WHERE wallet_address = $1
+     ORDER BY updated_at DESC`,
+    [walletAddress]
+  );
+  return result.rows;
+}
+
+async function getSavedScreen(id) {
+  if (!pool) return null;
+  const result = await pool.query(
+    'SELECT id, wallet_address, name, query, created_at, updated_at FROM saved_screens WHERE id = $1',
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Create or overwrite a saved screen by name; the per-wallet limit only applies to new names
+async function saveScreen(walletAddress, name, query, maxScreens = MAX_SAVED_SCREENS) {
+  if (!pool) return { limitReached: true };
+  const result = await pool.query(
+    `INSERT INTO saved_screens (wallet_address, name, query)
+     SELECT $1, $2, $3
+     WHERE EXISTS (SELECT 1 FROM saved_screens WHERE wallet_address = $1 AND name = $2)
+        OR (SELECT COUNT(*) FROM saved_screens WHERE wallet_address = $1) < $4
+     ON CONFLICT (wallet_address, name) DO UPDATE SET
+       query = EXCLUDED.query,
+       updated_at = NOW()
+     RETURNING id, name, query, created_at, updated_at, (xmax = 0) AS created`,
+    [walletAddress, name, query, maxScreens]
+  );
+  return result.rows[0] || { limitReached: true };
+}
+
+async function deleteSavedScreen(walletAddress, name) {
+  if (!pool) return false;
+  const result = await pool.query(
+    'DELETE FROM saved_screens WHERE wallet_address = $1 AND name = $2',
+    [walletAddress, name]
+  );
+  return result.rowCount > 0;
+}
+
+// ==========================================
+// GDPR Data Deletion operations
+// ==========================================
+
+// Delete all user data associated with a wallet (GDPR right to erasure)
+async function deleteUserData(walletAddress) {
+  if (!pool) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set a transaction-level timeout for this long-running GDPR deletion
+    await client.query('SET LOCAL statement_timeout = 120000'); // 2 minutes
+
+    // Count data before deletion for reporting
+    const counts = {
+      watchlist: 0,
+      votes: 0,
+      submissions: 0,
+      apiKeys: 0
+    };
+
+    // Get counts
+    const watchlistCount = await client.query(
+      'SELECT COUNT(*) FROM watchlist WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    counts.watchlist = parseInt(watchlistCount.rows[0].count);
+
+    const votesCount = await client.query(
+      'SELECT COUNT(*) FROM votes WHERE voter_wallet = $1',
+      [walletAddress]
+    );
+    counts.votes = parseInt(votesCount.rows[0].count);
+
+    const submissionsCount = await client.query(
+      'SELECT COUNT(*) FROM submissions WHERE submitter_wallet = $1',
+      [walletAddress]
+    );
+    counts.submissions = parseInt(submissionsCount.rows[0].count);
+
+    const apiKeysCount = await client.query(
+      'SELECT COUNT(*) FROM api_keys WHERE owner_wallet = $1',
+      [walletAddress]
+    );
+    counts.apiKeys = parseInt(apiKeysCount.rows[0].count);
+
+    // Delete watchlist entries
+    await client.query(
+      'DELETE FROM watchlist WHERE wallet_address = $1',
+      [walletAddress]
+    );
+
+    const groupsResult = await client.query(
+      'DELETE FROM watchlist_groups WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    counts.watchlistGroups = groupsResult.rowCount;
+
+    // Delete votes (and update tallies)
+    // Get submission IDs for tally updates
+    const voteSubmissions = await client.query(
+      'SELECT DISTINCT submission_id FROM votes WHERE voter_wallet = $1',
+      [walletAddress]
+    );
+    const submissionIds = voteSubmissions.rows.map(r => r.submission_id);
+
+    await client.query(
+      'DELETE FROM votes WHERE voter_wallet = $1',
+      [walletAddress]
+    );
+
+    // Update vote tallies for affected submissions in bulk
+    if (submissionIds.length > 0) {
+      await client.query(
+        `UPDATE vote_tallies vt SET
+           upvotes = COALESCE(s.up_count, 0),
+           downvotes = COALESCE(s.down_count, 0),
+           score = COALESCE(s.up_count, 0) - COALESCE(s.down_count, 0),
+           weighted_score = COALESCE(s.w_score, 0),
+           updated_at = NOW()
+         FROM (
+           SELECT
+             u.id AS submission_id,
+             COUNT(*) FILTER (WHERE v.vote_type = 'up') AS up_count,
+             COUNT(*) FILTER (WHERE v.vote_type = 'down') AS down_count,
+             COALESCE(SUM(CASE WHEN v.vote_type = 'up' THEN v.vote_weight ELSE -v.vote_weight END), 0) AS w_score
+           FROM unnest($1::uuid[]) AS u(id)
+           LEFT JOIN votes v ON v.submission_id = u.id
+           GROUP BY u.id
+         ) s
+         WHERE vt.submission_id = s.submission_id`,
+        [submissionIds]
+      );
+    }
+
+    // Anonymize submissions (keep content but remove wallet association)
+    // We don't delete submissions as they may be approved community content
+    await client.query(
+      'UPDATE submissions SET submitter_wallet = NULL WHERE submitter_wallet = $1',
+      [walletAddress]
+    );
+
+    // Delete API keys
+    await client.query(
+      'DELETE FROM api_keys WHERE owner_wallet = $1',
+      [walletAddress]
+    );
+
+    // Delete token calls
+    const callsCount = await client.query(
+      'SELECT COUNT(*) FROM token_calls WHERE caller_wallet = $1',
+      [walletAddress]
+    );
+    counts.tokenCalls = parseInt(callsCount.rows[0].count);
+
+    await client.query(
+      'DELETE FROM token_calls WHERE caller_wallet = $1',
+      [walletAddress]
+    );
+
+    // Delete follows in both directions
+    await client.query(
+      'DELETE FROM caller_follows WHERE follower_wallet = $1 OR caller_wallet = $1',
+      [walletAddress]
+    );
+
+    const screensResult = await client.query(
+      'DELETE FROM saved_screens WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    counts.savedScreens = screensResult.rowCount;
+
+    const pushRulesResult = await client.query(
+      'DELETE FROM push_alert_rules WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    counts.pushAlertRules = pushRulesResult.rowCount;
+
+    const pushSubsResult = await client.query(
+      'DELETE FROM push_subscriptions WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    counts.pushSubscriptions = pushSubsResult.rowCount;
+
+    // Sign out everywhere — sessions and device links belong to the wallet
+    const sessionsResult = await client.query(
+      'DELETE FROM wallet_sessions WHERE wallet_address = $1',
+      [walletAddress]
+    );
+    counts.walletSessions = sessionsResult.rowCount;
+
+    await client.query(
+      'DELETE FROM device_sessions WHERE wallet_address = $1',
+      [walletAddress]
+    );
+
+    // Delete sentiment votes and update tallies
+    const sentimentTokens = await client.query(
       'SELECT DISTINCT token_mint FROM sentiment_votes WHERE voter_wallet = $1',
       [walletAddress]
     );
@@ -2346,6 +3527,11 @@ async function deleteUserData(walletAddress) {
       [walletAddress]
     );
 
+    await client.query(
+      'DELETE FROM sentiment_events WHERE voter_wallet = $1',
+      [walletAddress]
+    );
+
     // Recalculate sentiment tallies for affected tokens (batch query)
     if (sentimentTokens.rows.length > 0) {
       const affectedMints = sentimentTokens.rows.map(r => r.token_mint);
@@ -2354,12 +3540,17 @@ async function deleteUserData(walletAddress) {
            bullish = COALESCE(sub.bullish, 0),
            bearish = COALESCE(sub.bearish, 0),
            score = COALESCE(sub.bullish, 0) - COALESCE(sub.bearish, 0),
+           weighted_bullish = COALESCE(sub.weighted_bullish, 0),
+           weighted_bearish = COALESCE(sub.weighted_bearish, 0),
+           weighted_score = COALESCE(sub.weighted_bullish, 0) - COALESCE(sub.weighted_bearish, 0),
            updated_at = NOW()
          FROM unnest($1::text[]) AS m(token_mint)
          LEFT JOIN LATERAL (
            SELECT
              COUNT(*) FILTER (WHERE sentiment = 'bullish') AS bullish,
-             COUNT(*) FILTER (WHERE sentiment = 'bearish') AS bearish
+             COUNT(*) FILTER (WHERE sentiment = 'bearish') AS bearish,
+             SUM(COALESCE(vote_weight, 0)) FILTER (WHERE sentiment = 'bullish') AS weighted_bullish,
+             SUM(COALESCE(vote_weight, 0)) FILTER (WHERE sentiment = 'bearish') AS weighted_bearish
            FROM sentiment_votes sv WHERE sv.token_mint = m.token_mint
          ) sub ON true
          WHERE st.token_mint = m.token_mint`,
@@ -2726,47 +3917,89 @@ async function getSentimentVote(tokenMint, voterWallet) {
   return result.rows[0]?.sentiment || null;
 }
 
-async function getSentimentTally(tokenMint) {
-  if (!pool) return { bullish: 0, bearish: 0, score: 0 };
+// A wallet's sentiment votes with token info, most recently changed first
+async function getSentimentVotesByWallet(voterWallet, limit = 50) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT sv.token_mint, sv.sentiment, sv.updated_at,
+            t.name, t.symbol, t.logo_uri
+     FROM sentiment_votes sv
+     LEFT JOIN tokens t ON sv.token_mint = t.mint_address
+     WHERE sv.voter_wallet = $1
+     ORDER BY sv.updated_at DESC
+     LIMIT $2`,
+    [voterWallet, limit]
+  );
+  return result.rows;
+}
+
+const SENTIMENT_TALLY_COLUMNS = 'bullish, bearish, score, weighted_bullish, weighted_bearish, weighted_score';
+
+// Raw one-wallet-one-vote counts plus the holder-weighted tally
+function formatSentimentTally(row) {
+  if (!row) return { bullish: 0, bearish: 0, score: 0, weighted: { bullish: 0, bearish: 0, score: 0 } };
+  return {
+    bullish: row.bullish,
+    bearish: row.bearish,
+    score: row.score,
+    weighted: {
+      bullish: parseFloat(row.weighted_bullish) || 0,
+      bearish: parseFloat(row.weighted_bearish) || 0,
+      score: parseFloat(row.weighted_score) || 0
+    }
+  };
+}
+
+async function getSentimentTally(tokenMint) {
+  if (!pool) return formatSentimentTally(null);
   const result = await pool.query(
-    'SELECT bullish, bearish, score FROM sentiment_tallies WHERE token_mint = $1',
+    `SELECT ${SENTIMENT_TALLY_COLUMNS} FROM sentiment_tallies WHERE token_mint = $1`,
     [tokenMint]
   );
-  return result.rows[0] || { bullish: 0, bearish: 0, score: 0 };
+  return formatSentimentTally(result.rows[0]);
 }
 
 async function getSentimentBatch(tokenMints) {
   if (!pool) return {};
   if (!tokenMints || tokenMints.length === 0) return {};
   const result = await pool.query(
-    'SELECT token_mint, bullish, bearish, score FROM sentiment_tallies WHERE token_mint = ANY($1)',
+    `SELECT token_mint, ${SENTIMENT_TALLY_COLUMNS} FROM sentiment_tallies WHERE token_mint = ANY($1)`,
     [tokenMints]
   );
   const out = {};
   for (const row of result.rows) {
-    out[row.token_mint] = { bullish: row.bullish, bearish: row.bearish, score: row.score };
+    out[row.token_mint] = formatSentimentTally(row);
   }
   return out;
 }
 
-async function castSentimentVote(tokenMint, voterWallet, sentiment) {
+// holder: optional { balance, percentage, weight } snapshot from holder-verified mode.
+// Without it the vote still counts in the raw tally but carries no weight.
+async function castSentimentVote(tokenMint, voterWallet, sentiment, holder = null) {
   if (!pool) throw new Error('Database not initialized');
+  const weight = holder?.weight || 0;
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
     const existing = await client.query(
-      'SELECT sentiment FROM sentiment_votes WHERE token_mint = $1 AND voter_wallet = $2',
+      'SELECT sentiment, vote_weight FROM sentiment_votes WHERE token_mint = $1 AND voter_wallet = $2',
       [tokenMint, voterWallet]
     );
     const prev = existing.rows[0]?.sentiment || null;
+    const prevWeight = parseFloat(existing.rows[0]?.vote_weight) || 0;
 
     let action;
+    let scoreDelta;
+    let eventDeltas;
+    // Holder-weighted tally changes: [bullish, bearish]
+    let weightedDeltas;
     if (!prev) {
       // New vote
       await client.query(
-        'INSERT INTO sentiment_votes (token_mint, voter_wallet, sentiment) VALUES ($1, $2, $3)',
-        [tokenMint, voterWallet, sentiment]
+        `INSERT INTO sentiment_votes (token_mint, voter_wallet, sentiment, voter_balance, voter_percentage, vote_weight)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [tokenMint, voterWallet, sentiment, holder?.balance ?? null, holder?.percentage ?? null, weight]
       );
       const bDelta = sentiment === 'bullish' ? 1 : 0;
       const rDelta = sentiment === 'bearish' ? 1 : 0;
@@ -2781,6 +4014,9 @@ async function castSentimentVote(tokenMint, voterWallet, sentiment) {
            updated_at = NOW()`,
         [tokenMint, bDelta, rDelta, sDelta]
       );
+      scoreDelta = sDelta;
+      eventDeltas = [bDelta, rDelta];
+      weightedDeltas = sentiment === 'bullish' ? [weight, 0] : [0, weight];
       action = 'created';
     } else if (prev === sentiment) {
       // Toggle off — remove vote
@@ -2800,12 +4036,16 @@ async function castSentimentVote(tokenMint, voterWallet, sentiment) {
          WHERE token_mint = $1`,
         [tokenMint, bDelta, rDelta, sDelta]
       );
+      scoreDelta = -sDelta;
+      eventDeltas = [-bDelta, -rDelta];
+      weightedDeltas = sentiment === 'bullish' ? [-prevWeight, 0] : [0, -prevWeight];
       action = 'removed';
     } else {
       // Switch vote (prev !== sentiment)
       await client.query(
-        'UPDATE sentiment_votes SET sentiment = $3, updated_at = NOW() WHERE token_mint = $1 AND voter_wallet = $2',
-        [tokenMint, voterWallet, sentiment]
+        `UPDATE sentiment_votes SET sentiment = $3, voter_balance = $4, voter_percentage = $5, vote_weight = $6, updated_at = NOW()
+         WHERE token_mint = $1 AND voter_wallet = $2`,
+        [tokenMint, voterWallet, sentiment, holder?.balance ?? null, holder?.percentage ?? null, weight]
       );
       // Switching bullish→bearish: bullish-1, bearish+1, score-2
       // Switching bearish→bullish: bullish+1, bearish-1, score+2
@@ -2821,15 +4061,37 @@ async function castSentimentVote(tokenMint, voterWallet, sentiment) {
          WHERE token_mint = $1`,
         [tokenMint, bDelta, rDelta, sDelta]
       );
+      scoreDelta = sDelta;
+      eventDeltas = [bDelta, rDelta];
+      // The old weight leaves the previous side; the fresh snapshot joins the new one
+      weightedDeltas = sentiment === 'bullish' ? [weight, -prevWeight] : [-prevWeight, weight];
       action = 'switched';
     }
 
+    if (weightedDeltas[0] !== 0 || weightedDeltas[1] !== 0) {
+      await client.query(
+        `UPDATE sentiment_tallies SET
+           weighted_bullish = GREATEST(0, weighted_bullish + $2),
+           weighted_bearish = GREATEST(0, weighted_bearish + $3),
+           weighted_score   = GREATEST(0, weighted_bullish + $2) - GREATEST(0, weighted_bearish + $3)
+         WHERE token_mint = $1`,
+        [tokenMint, weightedDeltas[0], weightedDeltas[1]]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO sentiment_events (token_mint, voter_wallet, action, bullish_delta, bearish_delta, weighted_score_delta)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [tokenMint, voterWallet, action, eventDeltas[0], eventDeltas[1], weightedDeltas[0] - weightedDeltas[1]]
+    );
+
     const tallyRes = await client.query(
-      'SELECT bullish, bearish, score FROM sentiment_tallies WHERE token_mint = $1',
+      `SELECT ${SENTIMENT_TALLY_COLUMNS} FROM sentiment_tallies WHERE token_mint = $1`,
       [tokenMint]
     );
     await client.query('COMMIT');
-    return { action, tally: tallyRes.rows[0] || { bullish: 0, bearish: 0, score: 0 } };
+    const tally = formatSentimentTally(tallyRes.rows[0]);
+    return { action, tally, previousScore: (tally.score || 0) - scoreDelta };
   } catch (err) {
     await client.query('ROLLBACK');
     throw err;
@@ -2838,6 +4100,82 @@ async function castSentimentVote(tokenMint, voterWallet, sentiment) {
   }
 }
 
+// Sentiment events are kept this long (longest history window is 7 days)
+const SENTIMENT_EVENT_RETENTION_DAYS = 30;
+
+// Per-bucket sentiment changes for a token since `sinceMs`.
+// Buckets are aligned to multiples of bucketMs (epoch-based).
+async function getSentimentEventBuckets(tokenMint, sinceMs, bucketMs) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT FLOOR(EXTRACT(EPOCH FROM created_at) * 1000 / $3) * $3 AS bucket,
+            SUM(GREATEST(bullish_delta, 0)) AS bullish_votes,
+            SUM(GREATEST(bearish_delta, 0)) AS bearish_votes,
+            SUM(bullish_delta) AS bullish_net,
+            SUM(bearish_delta) AS bearish_net
+     FROM sentiment_events
+     WHERE token_mint = $1 AND created_at >= to_timestamp($2 / 1000.0)
+     GROUP BY 1
+     ORDER BY 1`,
+    [tokenMint, sinceMs, bucketMs]
+  );
+  return result.rows.map(r => ({
+    bucket: parseInt(r.bucket),
+    bullishVotes: parseInt(r.bullish_votes) || 0,
+    bearishVotes: parseInt(r.bearish_votes) || 0,
+    bullishNet: parseInt(r.bullish_net) || 0,
+    bearishNet: parseInt(r.bearish_net) || 0
+  }));
+}
+
+// Tokens ranked by net sentiment score change over the last `hours`.
+// direction 'bullish' ranks the biggest gains first, 'bearish' the biggest drops.
+// ranking 'weighted' measures the change in holder-weighted score instead.
+async function getSentimentMomentumTokens(limit = 25, offset = 0, hours = 24, direction = 'bullish', ranking = 'raw') {
+  if (!pool) return { tokens: [], total: 0 };
+
+  const bullish = direction !== 'bearish';
+  const change = ranking === 'weighted' ? 'SUM(weighted_score_delta)' : 'SUM(bullish_delta - bearish_delta)';
+  const result = await pool.query(
+    `WITH changes AS (
+       SELECT token_mint,
+              ${change} AS score_change,
+              COUNT(*) AS events
+       FROM sentiment_events
+       WHERE created_at > NOW() - make_interval(hours => $3)
+       GROUP BY token_mint
+     )
+     SELECT c.token_mint, c.score_change, c.events,
+            COALESCE(st.bullish, 0) AS bullish, COALESCE(st.bearish, 0) AS bearish, COALESCE(st.score, 0) AS score,
+            COALESCE(st.weighted_bullish, 0) AS weighted_bullish, COALESCE(st.weighted_bearish, 0) AS weighted_bearish,
+            COALESCE(st.weighted_score, 0) AS weighted_score,
+            t.name, t.symbol, t.logo_uri,
+            t.price, t.market_cap, t.volume_24h, t.price_change_24h,
+            COUNT(*) OVER () AS total_count
+     FROM changes c
+     LEFT JOIN sentiment_tallies st ON c.token_mint = st.token_mint
+     LEFT JOIN tokens t ON c.token_mint = t.mint_address
+     WHERE ${bullish ? 'c.score_change > 0' : 'c.score_change < 0'}
+     ORDER BY c.score_change ${bullish ? 'DESC' : 'ASC'}, c.events DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset, hours]
+  );
+
+  return {
+    tokens: result.rows,
+    total: parseInt(result.rows[0]?.total_count || 0)
+  };
+}
+
+async function pruneSentimentEvents() {
+  if (!pool) return 0;
+  const result = await pool.query(
+    `DELETE FROM sentiment_events WHERE created_at < NOW() - make_interval(days => $1)`,
+    [SENTIMENT_EVENT_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
 // Get initialization promise for startup checks if needed
 function getInitializationPromise() {
   return initializationPromise;
@@ -2880,89 +4218,33 @@ async function setBurnConversionRate(rate) {
   return rate;
 }
 
-// Get the AI analysis cost in BC
-async function getAIAnalysisCost() {
-  if (!pool) return 25;
-  try {
-    const result = await pool.query(
-      "SELECT value FROM burn_config WHERE key = 'ai_analysis_cost'"
-    );
-    return result.rows.length > 0 ? parseFloat(result.rows[0].value) : 25;
-  } catch {
-    return 25;
-  }
-}
-
-// Set the AI analysis cost in BC (admin only)
-async function setAIAnalysisCost(cost) {
-  if (!pool) throw new Error('Database not available');
-  await pool.query(
-    `INSERT INTO burn_config (key, value, updated_at) VALUES ('ai_analysis_cost', $1, NOW())
-     ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()`,
-    [String(cost)]
-  );
-  return cost;
-}
-
-// Get the Advanced AI analysis cost in BC
-async function getAdvancedAIAnalysisCost() {
-  if (!pool) return 75;
-  try {
-    const result = await pool.query(
-      "SELECT value FROM burn_config WHERE key = 'ai_advanced_analysis_cost'"
-    );
-    return result.rows.length > 0 ? parseFloat(result.rows[0].value) : 75;
-  } catch {
-    return 75;
-  }
-}
-
-// Get the Daily Brief KOL analysis cost in BC
-async function getDailyBriefKolCost() {
-  if (!pool) return 100;
-  try {
-    const result = await pool.query(
-      "SELECT value FROM burn_config WHERE key = 'daily_brief_kol_cost'"
-    );
-    return result.rows.length > 0 ? parseFloat(result.rows[0].value) : 100;
-  } catch {
-    return 100;
-  }
-}
-
-// Get the Folio AI analysis cost in BC
-async function getFolioAIAnalysisCost() {
-  if (!pool) return 75;
+// Read several burn_config values at once (paid feature costs and limits).
+// Missing keys are simply absent from the result so callers can apply defaults.
+async function getBurnConfigValues(keys) {
+  if (!pool || keys.length === 0) return {};
   try {
     const result = await pool.query(
-      "SELECT value FROM burn_config WHERE key = 'folio_ai_analysis_cost'"
+      'SELECT key, value FROM burn_config WHERE key = ANY($1)',
+      [keys]
     );
-    return result.rows.length > 0 ? parseFloat(result.rows[0].value) : 75;
+    const values = {};
+    for (const row of result.rows) values[row.key] = parseFloat(row.value);
+    return values;
   } catch {
-    return 75;
+    return {};
   }
 }
 
-// Set the Folio AI analysis cost in BC (admin only)
-async function setFolioAIAnalysisCost(cost) {
-  if (!pool) throw new Error('Database not available');
-  await pool.query(
-    `INSERT INTO burn_config (key, value, updated_at) VALUES ('folio_ai_analysis_cost', $1, NOW())
-     ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()`,
-    [String(cost)]
-  );
-  return cost;
-}
-
-// Set the Advanced AI analysis cost in BC (admin only)
-async function setAdvancedAIAnalysisCost(cost) {
+// Set a numeric burn_config value (admin only)
+async function setBurnConfigValue(key, value) {
   if (!pool) throw new Error('Database not available');
+  if (typeof value !== 'number' || value < 0 || !isFinite(value)) throw new Error('Value must be a non-negative number');
   await pool.query(
-    `INSERT INTO burn_config (key, value, updated_at) VALUES ('ai_advanced_analysis_cost', $1, NOW())
-     ON CONFLICT (key) DO UPDATE SET value = $1, updated_at = NOW()`,
-    [String(cost)]
+    `INSERT INTO burn_config (key, value, updated_at) VALUES ($1, $2, NOW())
+     ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()`,
+    [key, String(value)]
   );
-  return cost;
+  return value;
 }
 
 // Check if a transaction signature has already been submitted
@@ -2975,16 +4257,131 @@ async function isBurnTxUsed(txSignature) {
   return result.rows.length > 0;
 }
 
+// Burn Credit ledger accounts (see burn_credit_ledger in initializeDatabase)
+const LEDGER_BURNS = 'system:burns';
+const LEDGER_GRANTS = 'system:grants';
+const LEDGER_HOLDS = 'system:holds';
+const walletAccount = (walletAddress) => `wallet:${walletAddress}`;
+const featureAccount = (feature) => `feature:${feature}`;
+
+// Reservations older than this belong to paid requests that never settled
+// (process restart, lost connection) and are refunded by cleanup
+const BURN_RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+// Post one balanced ledger transaction: amount leaves `from` and arrives in `to`
+async function postLedgerTransfer(client, { type, from, to, amount, walletAddress, burnCreditId = null, spendId = null }) {
+  await client.query(
+    `WITH txn AS (SELECT nextval('burn_credit_ledger_txn_seq') AS id)
+     INSERT INTO burn_credit_ledger (txn_id, account, amount, entry_type, wallet_address, burn_credit_id, spend_id)
+     SELECT txn.id, leg.account, leg.amount, $4::varchar, $5::varchar, $6::integer, $7::integer
+     FROM txn, (VALUES ($1::varchar, -($3::numeric)), ($2::varchar, $3::numeric)) AS leg(account, amount)`,
+    [from, to, amount, type, walletAddress, burnCreditId, spendId]
+  );
+}
+
+// Run fn(client) in a transaction — source rows and their ledger postings commit together
+async function withBurnLedgerTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Post ledger entries for burns and spends recorded before the ledger existed.
+// Idempotent: only rows without their postings are backfilled. Runs during initializeDatabase.
+async function backfillBurnCreditLedger(client) {
+  const backfills = [
+    // Credits awarded for on-chain burns and admin grants
+    `WITH missing AS (
+       SELECT bc.*, nextval('burn_credit_ledger_txn_seq') AS txn_id,
+              CASE WHEN bc.tx_signature LIKE 'admin-grant-%' THEN 'grant' ELSE 'burn' END AS type
+       FROM burn_credits bc
+       WHERE NOT EXISTS (SELECT 1 FROM burn_credit_ledger l WHERE l.burn_credit_id = bc.id AND l.entry_type IN ('burn', 'grant'))
+     )
+     INSERT INTO burn_credit_ledger (txn_id, account, amount, entry_type, wallet_address, burn_credit_id, created_at)
+     SELECT m.txn_id, leg.account, leg.amount, m.type, m.wallet_address, m.id, m.created_at
+     FROM missing m, LATERAL (VALUES
+       (CASE WHEN m.type = 'grant' THEN '${LEDGER_GRANTS}' ELSE '${LEDGER_BURNS}' END, -m.credits_awarded),
+       ('wallet:' || m.wallet_address, m.credits_awarded)
+     ) AS leg(account, amount)`,
+    // Revoked burns give their credits back
+    `WITH missing AS (
+       SELECT bc.*, nextval('burn_credit_ledger_txn_seq') AS txn_id,
+              CASE WHEN bc.tx_signature LIKE 'admin-grant-%' THEN '${LEDGER_GRANTS}' ELSE '${LEDGER_BURNS}' END AS source
+       FROM burn_credits bc
+       WHERE bc.status = 'revoked'
+         AND NOT EXISTS (SELECT 1 FROM burn_credit_ledger l WHERE l.burn_credit_id = bc.id AND l.entry_type = 'revoke')
+     )
+     INSERT INTO burn_credit_ledger (txn_id, account, amount, entry_type, wallet_address, burn_credit_id, created_at)
+     SELECT m.txn_id, leg.account, leg.amount, 'revoke', m.wallet_address, m.id, m.created_at
+     FROM missing m, LATERAL (VALUES
+       ('wallet:' || m.wallet_address, -m.credits_awarded),
+       (m.source, m.credits_awarded)
+     ) AS leg(account, amount)`,
+    // Every spend was reserved from the wallet...
+    `WITH missing AS (
+       SELECT s.*, nextval('burn_credit_ledger_txn_seq') AS txn_id
+       FROM burn_credit_spends s
+       WHERE NOT EXISTS (SELECT 1 FROM burn_credit_ledger l WHERE l.spend_id = s.id AND l.entry_type = 'reserve')
+     )
+     INSERT INTO burn_credit_ledger (txn_id, account, amount, entry_type, wallet_address, spend_id, created_at)
+     SELECT m.txn_id, leg.account, leg.amount, 'reserve', m.wallet_address, m.id, m.created_at
+     FROM missing m, LATERAL (VALUES
+       ('wallet:' || m.wallet_address, -m.amount),
+       ('${LEDGER_HOLDS}', m.amount)
+     ) AS leg(account, amount)`,
+    // ...then captured by the feature or refunded to the wallet
+    `WITH missing AS (
+       SELECT s.*, nextval('burn_credit_ledger_txn_seq') AS txn_id
+       FROM burn_credit_spends s
+       WHERE s.status IN ('captured', 'refunded')
+         AND NOT EXISTS (SELECT 1 FROM burn_credit_ledger l WHERE l.spend_id = s.id AND l.entry_type IN ('capture', 'refund'))
+     )
+     INSERT INTO burn_credit_ledger (txn_id, account, amount, entry_type, wallet_address, spend_id, created_at)
+     SELECT m.txn_id, leg.account, leg.amount,
+            CASE WHEN m.status = 'captured' THEN 'capture' ELSE 'refund' END,
+            m.wallet_address, m.id, COALESCE(m.settled_at, m.created_at)
+     FROM missing m, LATERAL (VALUES
+       ('${LEDGER_HOLDS}', -m.amount),
+       (CASE WHEN m.status = 'captured' THEN 'feature:' || m.feature ELSE 'wallet:' || m.wallet_address END, m.amount)
+     ) AS leg(account, amount)`
+  ];
+
+  let posted = 0;
+  for (const sql of backfills) {
+    const result = await client.query(sql);
+    posted += result.rowCount;
+  }
+  if (posted > 0) {
+    console.log(`[BurnCredits] Backfilled ${posted / 2} ledger transactions`);
+  }
+}
+
 // Record a verified burn and award credits
 async function recordBurnCredit({ walletAddress, txSignature, tokenAmount, creditsAwarded, conversionRate }) {
   if (!pool) throw new Error('Database not available');
-  const result = await pool.query(
-    `INSERT INTO burn_credits (wallet_address, tx_signature, token_amount, credits_awarded, conversion_rate, status)
-     VALUES ($1, $2, $3, $4, $5, 'confirmed')
-     RETURNING *`,
-    [walletAddress, txSignature, tokenAmount, creditsAwarded, conversionRate]
-  );
-  return result.rows[0];
+  return withBurnLedgerTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO burn_credits (wallet_address, tx_signature, token_amount, credits_awarded, conversion_rate, status)
+       VALUES ($1, $2, $3, $4, $5, 'confirmed')
+       RETURNING *`,
+      [walletAddress, txSignature, tokenAmount, creditsAwarded, conversionRate]
+    );
+    const row = result.rows[0];
+    await postLedgerTransfer(client, {
+      type: 'burn', from: LEDGER_BURNS, to: walletAccount(walletAddress),
+      amount: creditsAwarded, walletAddress, burnCreditId: row.id
+    });
+    return row;
+  });
 }
 
 // Admin-only: Grant burn credits to a wallet without requiring a burn transaction.
@@ -2995,39 +4392,71 @@ async function adminGrantBurnCredits(walletAddress, amount, reason = '') {
 
   const syntheticTx = `admin-grant-${crypto.randomBytes(16).toString('hex')}`;
 
-  const result = await pool.query(
-    `INSERT INTO burn_credits (wallet_address, tx_signature, token_amount, credits_awarded, conversion_rate, status)
-     VALUES ($1, $2, 0, $3, 0, 'confirmed')
-     RETURNING *`,
-    [walletAddress, syntheticTx, amount]
-  );
+  const row = await withBurnLedgerTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO burn_credits (wallet_address, tx_signature, token_amount, credits_awarded, conversion_rate, status)
+       VALUES ($1, $2, 0, $3, 0, 'confirmed')
+       RETURNING *`,
+      [walletAddress, syntheticTx, amount]
+    );
+    await postLedgerTransfer(client, {
+      type: 'grant', from: LEDGER_GRANTS, to: walletAccount(walletAddress),
+      amount, walletAddress, burnCreditId: result.rows[0].id
+    });
+    return result.rows[0];
+  });
 
   console.log(`[Admin] Granted ${amount} BC to ${walletAddress.slice(0, 8)}... | reason: ${reason || 'none'} | tx: ${syntheticTx}`);
-  return result.rows[0];
+  return row;
+}
+
+// Admin-only: Revoke a burn or grant (e.g. flagged by reconciliation) and take its credits back.
+// The wallet's balance can go negative if the credits were already spent.
+async function revokeBurnCredit(id) {
+  if (!pool) throw new Error('Database not available');
+  return withBurnLedgerTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE burn_credits SET status = 'revoked'
+       WHERE id = $1 AND status = 'confirmed'
+       RETURNING *`,
+      [id]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    await postLedgerTransfer(client, {
+      type: 'revoke', from: walletAccount(row.wallet_address),
+      to: row.tx_signature.startsWith('admin-grant-') ? LEDGER_GRANTS : LEDGER_BURNS,
+      amount: row.credits_awarded, walletAddress: row.wallet_address, burnCreditId: row.id
+    });
+    return row;
+  });
 }
 
-// Get total burn credits balance for a wallet (earned minus spent)
+// Get total burn credits balance for a wallet (ledger balance; reserved credits are already deducted)
 async function getBurnCreditBalance(walletAddress) {
-  if (!pool) return { balance: 0, totalBurned: 0, submissions: 0 };
-  const result = await pool.query(
-    `SELECT
-       COALESCE(SUM(credits_awarded), 0) AS earned,
-       COALESCE(SUM(token_amount), 0) AS total_burned,
-       COUNT(*) AS submissions
-     FROM burn_credits
-     WHERE wallet_address = $1 AND status = 'confirmed'`,
-    [walletAddress]
-  );
-  const spentResult = await pool.query(
-    `SELECT COALESCE(SUM(amount), 0) AS spent
-     FROM burn_credit_spends
-     WHERE wallet_address = $1`,
-    [walletAddress]
-  );
-  const row = result.rows[0];
-  const spent = parseFloat(spentResult.rows[0].spent);
+  if (!pool) return { balance: 0, reserved: 0, totalBurned: 0, submissions: 0 };
+  const [burns, ledger, reserved] = await Promise.all([
+    pool.query(
+      `SELECT COALESCE(SUM(token_amount), 0) AS total_burned, COUNT(*) AS submissions
+       FROM burn_credits
+       WHERE wallet_address = $1 AND status = 'confirmed'`,
+      [walletAddress]
+    ),
+    pool.query(
+      'SELECT COALESCE(SUM(amount), 0) AS balance FROM burn_credit_ledger WHERE account = $1',
+      [walletAccount(walletAddress)]
+    ),
+    pool.query(
+      `SELECT COALESCE(SUM(amount), 0) AS reserved
+       FROM burn_credit_spends
+       WHERE wallet_address = $1 AND status = 'reserved'`,
+      [walletAddress]
+    )
+  ]);
+  const row = burns.rows[0];
   return {
-    balance: Math.max(0, Math.floor(parseFloat(row.earned) - spent)),
+    balance: Math.max(0, Math.floor(parseFloat(ledger.rows[0].balance))),
+    reserved: parseFloat(reserved.rows[0].reserved),
     totalBurned: parseFloat(row.total_burned),
     submissions: parseInt(row.submissions)
   };
@@ -3048,9 +4477,13 @@ async function getPlatformBurnStats() {
   };
 }
 
-// Spend burn credits (returns true if successful, false if insufficient balance)
+// Reserve burn credits for a paid request. The credits leave the wallet immediately;
+// captureBurnCredits or refundBurnCredits settles the reservation once the request finishes.
+// Returns { reserved: true, spendId, balance } or { reserved: false, reason, balance, used }
+// where reason is 'insufficient' or 'daily_limit'. dailyLimit caps uses of this feature
+// per wallet over a rolling 24 hours (refunded spends don't count).
 // Uses SERIALIZABLE isolation to prevent double-spend race conditions
-async function spendBurnCredits(walletAddress, amount, feature, metadata = {}) {
+async function reserveBurnCredits(walletAddress, amount, feature, { dailyLimit = null, metadata = {} } = {}) {
   if (!pool) throw new Error('Database not available');
 
   const MAX_RETRIES = 3;
@@ -3059,33 +4492,45 @@ async function spendBurnCredits(walletAddress, amount, feature, metadata = {}) {
     try {
       await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
 
-      const earned = await client.query(
-        `SELECT COALESCE(SUM(credits_awarded), 0) AS earned
-         FROM burn_credits
-         WHERE wallet_address = $1 AND status = 'confirmed'`,
-        [walletAddress]
+      const ledger = await client.query(
+        'SELECT COALESCE(SUM(amount), 0) AS balance FROM burn_credit_ledger WHERE account = $1',
+        [walletAccount(walletAddress)]
       );
-      const spent = await client.query(
-        `SELECT COALESCE(SUM(amount), 0) AS spent
+      const usage = await client.query(
+        `SELECT COUNT(*) AS used
          FROM burn_credit_spends
-         WHERE wallet_address = $1`,
-        [walletAddress]
+         WHERE wallet_address = $1 AND feature = $2 AND status <> 'refunded'
+           AND created_at > NOW() - INTERVAL '24 hours'`,
+        [walletAddress, feature]
       );
 
-      const balance = Math.floor(parseFloat(earned.rows[0].earned) - parseFloat(spent.rows[0].spent));
+      const balance = Math.max(0, Math.floor(parseFloat(ledger.rows[0].balance)));
+      const used = parseInt(usage.rows[0].used);
+
+      if (dailyLimit && used >= dailyLimit) {
+        await client.query('ROLLBACK');
+        return { reserved: false, reason: 'daily_limit', balance, used };
+      }
       if (balance < amount) {
         await client.query('ROLLBACK');
-        return false;
+        return { reserved: false, reason: 'insufficient', balance, used };
       }
 
-      await client.query(
-        `INSERT INTO burn_credit_spends (wallet_address, amount, feature, metadata)
-         VALUES ($1, $2, $3, $4)`,
+      const result = await client.query(
+        `INSERT INTO burn_credit_spends (wallet_address, amount, feature, metadata, status)
+         VALUES ($1, $2, $3, $4, 'reserved')
+         RETURNING id`,
         [walletAddress, amount, feature, JSON.stringify(metadata)]
       );
+      const spendId = result.rows[0].id;
+
+      await postLedgerTransfer(client, {
+        type: 'reserve', from: walletAccount(walletAddress), to: LEDGER_HOLDS,
+        amount, walletAddress, spendId
+      });
 
       await client.query('COMMIT');
-      return true;
+      return { reserved: true, spendId, balance: balance - amount, used: used + 1 };
     } catch (error) {
       await client.query('ROLLBACK');
       // Serialization failure — retry (PostgreSQL code 40001)
@@ -3097,7 +4542,88 @@ async function spendBurnCredits(walletAddress, amount, feature, metadata = {}) {
       client.release();
     }
   }
-  return false;
+  return { reserved: false, reason: 'insufficient', balance: 0, used: 0 };
+}
+
+// Capture a reservation once the paid request succeeded.
+// Returns false if the spend isn't reserved (already settled).
+async function captureBurnCredits(spendId) {
+  if (!pool) throw new Error('Database not available');
+  return withBurnLedgerTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE burn_credit_spends SET status = 'captured', settled_at = NOW()
+       WHERE id = $1 AND status = 'reserved'
+       RETURNING *`,
+      [spendId]
+    );
+    const spend = result.rows[0];
+    if (!spend) return false;
+    await postLedgerTransfer(client, {
+      type: 'capture', from: LEDGER_HOLDS, to: featureAccount(spend.feature),
+      amount: spend.amount, walletAddress: spend.wallet_address, spendId
+    });
+    return true;
+  });
+}
+
+// Refund a spend back to the wallet: a reservation after a failed request, or
+// (admin) an already captured spend. The spend row is kept and marked refunded.
+// Returns false if the spend doesn't exist or was already refunded.
+async function refundBurnCredits(spendId, reason = '') {
+  if (!pool) throw new Error('Database not available');
+  return withBurnLedgerTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE burn_credit_spends s
+       SET status = 'refunded', refunded_at = NOW(), settled_at = NOW(),
+           metadata = s.metadata || jsonb_build_object('refundReason', $2::text)
+       FROM (SELECT id, status FROM burn_credit_spends WHERE id = $1 FOR UPDATE) prev
+       WHERE s.id = prev.id AND prev.status <> 'refunded'
+       RETURNING s.*, prev.status AS previous_status`,
+      [spendId, reason]
+    );
+    const spend = result.rows[0];
+    if (!spend) return false;
+    await postLedgerTransfer(client, {
+      type: 'refund',
+      from: spend.previous_status === 'captured' ? featureAccount(spend.feature) : LEDGER_HOLDS,
+      to: walletAccount(spend.wallet_address),
+      amount: spend.amount, walletAddress: spend.wallet_address, spendId
+    });
+    return true;
+  });
+}
+
+// Refund reservations whose request never settled. Returns the number refunded.
+async function expireBurnCreditReservations() {
+  if (!pool) return 0;
+  const stale = await pool.query(
+    `SELECT id FROM burn_credit_spends
+     WHERE status = 'reserved' AND created_at < NOW() - $1 * INTERVAL '1 millisecond'`,
+    [BURN_RESERVATION_TTL_MS]
+  );
+  let refunded = 0;
+  for (const { id } of stale.rows) {
+    if (await refundBurnCredits(id, 'reservation expired')) refunded++;
+  }
+  return refunded;
+}
+
+// Per-feature usage totals for the admin feature list
+async function getBurnFeatureUsage() {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT
+       feature,
+       COUNT(*) FILTER (WHERE status = 'captured') AS uses,
+       COUNT(*) FILTER (WHERE status = 'captured' AND created_at > NOW() - INTERVAL '24 hours') AS uses_24h,
+       COUNT(*) FILTER (WHERE status = 'refunded') AS refunds,
+       COALESCE(SUM(amount) FILTER (WHERE status = 'captured'), 0) AS credits_spent,
+       COUNT(DISTINCT wallet_address) AS wallets,
+       MAX(created_at) AS last_used_at
+     FROM burn_credit_spends
+     GROUP BY feature`
+  );
+  return result.rows;
 }
 
 // Get burn credit history for a wallet
@@ -3118,7 +4644,7 @@ async function getBurnCreditHistory(walletAddress, limit = 20) {
 async function getBurnCreditSpendHistory(walletAddress, limit = 20) {
   if (!pool) return [];
   const result = await pool.query(
-    `SELECT amount, feature, metadata, created_at
+    `SELECT id, amount, feature, metadata, status, created_at, settled_at, refunded_at
      FROM burn_credit_spends
      WHERE wallet_address = $1
      ORDER BY created_at DESC
@@ -3128,6 +4654,223 @@ async function getBurnCreditSpendHistory(walletAddress, limit = 20) {
   return result.rows;
 }
 
+// Get a wallet's ledger entries (its side of each transaction), newest first,
+// with the running balance after each entry and the burn or spend it belongs to
+async function getBurnCreditLedger(walletAddress, limit = 50) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT l.id, l.txn_id, l.entry_type, l.amount, l.created_at,
+              SUM(l.amount) OVER (ORDER BY l.id) AS balance_after,
+              bc.tx_signature, bc.token_amount, bc.status AS burn_status,
+              s.id AS spend_id, s.feature, s.metadata, s.status AS spend_status
+       FROM burn_credit_ledger l
+       LEFT JOIN burn_credits bc ON bc.id = l.burn_credit_id
+       LEFT JOIN burn_credit_spends s ON s.id = l.spend_id
+       WHERE l.account = $1
+     ) entries
+     ORDER BY id DESC
+     LIMIT $2`,
+    [walletAccount(walletAddress), limit]
+  );
+  return result.rows;
+}
+
+// Admin reconciliation: check the ledger balances and agrees with the burn and spend records
+async function getBurnLedgerReconciliation() {
+  if (!pool) throw new Error('Database not available');
+
+  const [unbalanced, missing, drift, holds, totals] = await Promise.all([
+    // Every transaction's postings must sum to zero
+    pool.query(
+      `SELECT txn_id, SUM(amount) AS imbalance, MIN(entry_type) AS entry_type, MIN(wallet_address) AS wallet_address
+       FROM burn_credit_ledger
+       GROUP BY txn_id
+       HAVING SUM(amount) <> 0
+       LIMIT 50`
+    ),
+    // Every burn/spend state must have its posting
+    pool.query(
+      `SELECT 'burn' AS kind, bc.id, bc.wallet_address, bc.credits_awarded AS amount, 'credit' AS missing
+       FROM burn_credits bc
+       WHERE NOT EXISTS (SELECT 1 FROM burn_credit_ledger l WHERE l.burn_credit_id = bc.id AND l.entry_type IN ('burn', 'grant'))
+       UNION ALL
+       SELECT 'burn', bc.id, bc.wallet_address, bc.credits_awarded, 'revoke'
+       FROM burn_credits bc
+       WHERE bc.status = 'revoked'
+         AND NOT EXISTS (SELECT 1 FROM burn_credit_ledger l WHERE l.burn_credit_id = bc.id AND l.entry_type = 'revoke')
+       UNION ALL
+       SELECT 'spend', s.id, s.wallet_address, s.amount, 'reserve'
+       FROM burn_credit_spends s
+       WHERE NOT EXISTS (SELECT 1 FROM burn_credit_ledger l WHERE l.spend_id = s.id AND l.entry_type = 'reserve')
+       UNION ALL
+       SELECT 'spend', s.id, s.wallet_address, s.amount, CASE WHEN s.status = 'captured' THEN 'capture' ELSE 'refund' END
+       FROM burn_credit_spends s
+       WHERE s.status IN ('captured', 'refunded')
+         AND NOT EXISTS (
+           SELECT 1 FROM burn_credit_ledger l
+           WHERE l.spend_id = s.id AND l.entry_type = CASE WHEN s.status = 'captured' THEN 'capture' ELSE 'refund' END
+         )
+       LIMIT 50`
+    ),
+    // Each wallet's ledger balance must equal confirmed credits minus unrefunded spends
+    pool.query(
+      `WITH expected AS (
+         SELECT wallet_address, SUM(amount) AS expected FROM (
+           SELECT wallet_address, credits_awarded AS amount FROM burn_credits WHERE status = 'confirmed'
+           UNION ALL
+           SELECT wallet_address, -amount FROM burn_credit_spends WHERE status <> 'refunded'
+         ) source
+         GROUP BY wallet_address
+       ), actual AS (
+         SELECT wallet_address, SUM(amount) AS actual
+         FROM burn_credit_ledger
+         WHERE account LIKE 'wallet:%'
+         GROUP BY wallet_address
+       )
+       SELECT COALESCE(e.wallet_address, a.wallet_address) AS wallet_address,
+              COALESCE(e.expected, 0) AS expected, COALESCE(a.actual, 0) AS actual
+       FROM expected e
+       FULL OUTER JOIN actual a ON a.wallet_address = e.wallet_address
+       WHERE COALESCE(e.expected, 0) <> COALESCE(a.actual, 0)
+       LIMIT 50`
+    ),
+    // Held credits must equal open reservations
+    pool.query(
+      `SELECT
+         (SELECT COALESCE(SUM(amount), 0) FROM burn_credit_ledger WHERE account = $1) AS held,
+         (SELECT COALESCE(SUM(amount), 0) FROM burn_credit_spends WHERE status = 'reserved') AS reserved,
+         (SELECT COUNT(*) FROM burn_credit_spends
+          WHERE status = 'reserved' AND created_at < NOW() - $2 * INTERVAL '1 millisecond') AS stale`,
+      [LEDGER_HOLDS, BURN_RESERVATION_TTL_MS]
+    ),
+    pool.query(
+      `SELECT
+         (SELECT COALESCE(SUM(credits_awarded), 0) FROM burn_credits
+          WHERE status = 'confirmed' AND tx_signature NOT LIKE 'admin-grant-%') AS burned,
+         (SELECT COALESCE(SUM(credits_awarded), 0) FROM burn_credits
+          WHERE status = 'confirmed' AND tx_signature LIKE 'admin-grant-%') AS granted,
+         (SELECT COALESCE(SUM(amount), 0) FROM burn_credit_spends WHERE status = 'captured') AS captured,
+         (SELECT COALESCE(SUM(amount), 0) FROM burn_credit_spends WHERE status = 'refunded') AS refunded,
+         (SELECT COALESCE(SUM(amount), 0) FROM burn_credit_ledger WHERE account LIKE 'wallet:%') AS outstanding`
+    )
+  ]);
+
+  const h = holds.rows[0];
+  const t = totals.rows[0];
+  return {
+    unbalancedTransactions: unbalanced.rows.map(r => ({
+      txnId: r.txn_id, imbalance: parseFloat(r.imbalance), entryType: r.entry_type, walletAddress: r.wallet_address
+    })),
+    missingPostings: missing.rows.map(r => ({
+      kind: r.kind, id: r.id, walletAddress: r.wallet_address, amount: parseFloat(r.amount), missing: r.missing
+    })),
+    balanceDrift: drift.rows.map(r => ({
+      walletAddress: r.wallet_address, expected: parseFloat(r.expected), ledger: parseFloat(r.actual)
+    })),
+    holds: {
+      held: parseFloat(h.held),
+      reserved: parseFloat(h.reserved),
+      staleReservations: parseInt(h.stale)
+    },
+    totals: {
+      creditsFromBurns: parseFloat(t.burned),
+      creditsGranted: parseFloat(t.granted),
+      creditsCaptured: parseFloat(t.captured),
+      creditsRefunded: parseFloat(t.refunded),
+      walletBalances: parseFloat(t.outstanding)
+    }
+  };
+}
+
+// Confirmed on-chain burns for reconciliation against the chain (newest first)
+async function getBurnCreditsForReconciliation(limit = 50) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT id, wallet_address, tx_signature, token_amount, credits_awarded, conversion_rate, created_at
+     FROM burn_credits
+     WHERE status = 'confirmed' AND tx_signature NOT LIKE 'admin-grant-%'
+     ORDER BY created_at DESC
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// AI usage operations
+// ==========================================
+
+// Add one AI request to today's usage row (services/ai.js)
+async function recordAiUsage({ feature, provider, model, promptVersion, inputTokens = 0, outputTokens = 0, cacheHit = false, failed = false }) {
+  if (!pool) return;
+  await pool.query(
+    `INSERT INTO ai_usage_daily AS u (feature, provider, model, prompt_version, requests, cache_hits, failures, input_tokens, output_tokens)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (day, feature, provider, model, prompt_version) DO UPDATE SET
+       requests = u.requests + EXCLUDED.requests,
+       cache_hits = u.cache_hits + EXCLUDED.cache_hits,
+       failures = u.failures + EXCLUDED.failures,
+       input_tokens = u.input_tokens + EXCLUDED.input_tokens,
+       output_tokens = u.output_tokens + EXCLUDED.output_tokens`,
+    [
+      feature.slice(0, 50), provider, String(model).slice(0, 100), promptVersion,
+      cacheHit || failed ? 0 : 1, cacheHit ? 1 : 0, failed ? 1 : 0,
+      inputTokens, outputTokens
+    ]
+  );
+}
+
+// Admin: AI usage per feature, provider, model and prompt version over the last N days
+async function getAiUsage(days = 30) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT feature, provider, model, prompt_version,
+            SUM(requests)::int AS requests, SUM(cache_hits)::int AS cache_hits, SUM(failures)::int AS failures,
+            SUM(input_tokens)::bigint AS input_tokens, SUM(output_tokens)::bigint AS output_tokens,
+            MAX(day) AS last_used
+     FROM ai_usage_daily
+     WHERE day > CURRENT_DATE - $1::int
+     GROUP BY feature, provider, model, prompt_version
+     ORDER BY feature, SUM(requests) DESC`,
+    [days]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// Token AI analysis history
+// ==========================================
+
+// Store a validated AI analysis for a token's history
+async function insertTokenAiAnalysis({ mint, kind, question = null, analysis, provider, model, promptVersion }) {
+  if (!pool) return null;
+  const result = await pool.query(
+    `INSERT INTO token_ai_analyses (mint_address, kind, question, verdict, score, confidence, result, provider, model, prompt_version)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING id, created_at`,
+    [
+      mint, kind, question, analysis.verdict, analysis.score, analysis.confidence,
+      JSON.stringify(analysis), provider, String(model).slice(0, 100), promptVersion
+    ]
+  );
+  return result.rows[0];
+}
+
+// A token's AI analyses, newest first. Pass the last seen id as beforeId to page back.
+async function getTokenAiAnalyses(mint, { limit = 20, beforeId = null } = {}) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT id, kind, question, result, provider, model, prompt_version, created_at
+     FROM token_ai_analyses
+     WHERE mint_address = $1 AND ($2::bigint IS NULL OR id < $2::bigint)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [mint, beforeId, limit]
+  );
+  return result.rows;
+}
+
 // ==========================================
 // Token Data Repair
 // ==========================================
@@ -3568,6 +5311,917 @@ async function getDailyBriefStats() {
   };
 }
 
+// ── Candle store operations ──────────────────────────────────────────
+
+const CANDLE_COLUMNS_PER_ROW = 8;
+const CANDLE_INSERT_BATCH = 500;
+
+/**
+ * Upsert candles for one mint/resolution.
+ * Upstream candles never overwrite rolled-up ones — rollups are built from our
+ * own 1m data and are authoritative for the periods they cover.
+ *
+ * @param {string} mint - Token mint address
+ * @param {string} resolution - '1m' | '5m' | '1h' | '1d'
+ * @param {Array<{timestamp, open, high, low, close, volume}>} candles - timestamp in ms
+ * @param {string} source - 'upstream' | 'rollup'
+ * @returns {Promise<number>} Rows written
+ */
+async function upsertCandles(mint, resolution, candles, source = 'upstream') {
+  if (!pool || !candles || candles.length === 0) return 0;
+
+  let written = 0;
+  for (let i = 0; i < candles.length; i += CANDLE_INSERT_BATCH) {
+    const batch = candles.slice(i, i + CANDLE_INSERT_BATCH);
+    const values = [];
+    const placeholders = [];
+
+    batch.forEach((c, idx) => {
+      const o = idx * CANDLE_COLUMNS_PER_ROW;
+      placeholders.push(`($${o+1}, $${o+2}, to_timestamp($${o+3}::double precision / 1000), $${o+4}, $${o+5}, $${o+6}, $${o+7}, $${o+8}, '${source === 'rollup' ? 'rollup' : 'upstream'}', NOW())`);
+      values.push(mint, resolution, c.timestamp, c.open, c.high, c.low, c.close, c.volume || 0);
+    });
+
+    const result = await pool.query(`
+      INSERT INTO candles (mint_address, resolution, bucket_start, open, high, low, close, volume, source, updated_at)
+      VALUES ${placeholders.join(', ')}
+      ON CONFLICT (mint_address, resolution, bucket_start) DO UPDATE SET
+        open = EXCLUDED.open,
+        high = EXCLUDED.high,
+        low = EXCLUDED.low,
+        close = EXCLUDED.close,
+        volume = EXCLUDED.volume,
+        source = EXCLUDED.source,
+        updated_at = NOW()
+      WHERE candles.source = 'upstream' OR EXCLUDED.source = 'rollup'
+    `, values);
+    written += result.rowCount;
+  }
+
+  return written;
+}
+
+/**
+ * Get the most recent candles for a mint/resolution, oldest first.
+ * @returns {Promise<Array<{timestamp, open, high, low, close, volume}>>}
+ */
+async function getCandles(mint, resolution, limit = 300) {
+  if (!pool) return [];
+
+  const result = await pool.query(`
+    SELECT bucket_start, open, high, low, close, volume FROM (
+      SELECT bucket_start, open, high, low, close, volume
+      FROM candles
+      WHERE mint_address = $1 AND resolution = $2
+      ORDER BY bucket_start DESC
+      LIMIT $3
+    ) recent
+    ORDER BY bucket_start ASC
+  `, [mint, resolution, limit]);
+
+  return result.rows.map(r => ({
+    timestamp: new Date(r.bucket_start).getTime(),
+    open: r.open,
+    high: r.high,
+    low: r.low,
+    close: r.close,
+    volume: r.volume
+  }));
+}
+
+/**
+ * Get the earliest and latest stored candle times (ms) for a mint/resolution.
+ */
+async function getCandleRange(mint, resolution) {
+  if (!pool) return { earliest: null, latest: null };
+
+  const result = await pool.query(`
+    SELECT MIN(bucket_start) AS earliest, MAX(bucket_start) AS latest
+    FROM candles
+    WHERE mint_address = $1 AND resolution = $2
+  `, [mint, resolution]);
+
+  const row = result.rows[0];
+  return {
+    earliest: row.earliest ? new Date(row.earliest).getTime() : null,
+    latest: row.latest ? new Date(row.latest).getTime() : null
+  };
+}
+
+/**
+ * Roll finer candles up into a coarser resolution for buckets starting at or after sinceMs.
+ * Buckets are aligned to the Unix epoch (so 1d buckets are UTC days).
+ * An upstream candle written after its bucket closed is complete and is kept over
+ * the rollup, which may be missing minutes; one written while the bucket was still
+ * open is a snapshot and is replaced.
+ *
+ * @param {string} mint - Token mint address
+ * @param {string} fromResolution - Source resolution
+ * @param {string} toResolution - Target resolution
+ * @param {number} bucketSeconds - Target bucket size in seconds
+ * @param {number} sinceMs - Only roll up buckets starting at or after this time (must be bucket-aligned)
+ * @returns {Promise<number>} Rows written
+ */
+async function rollupCandles(mint, fromResolution, toResolution, bucketSeconds, sinceMs) {
+  if (!pool) return 0;
+
+  const result = await pool.query(`
+    INSERT INTO candles (mint_address, resolution, bucket_start, open, high, low, close, volume, source, updated_at)
+    SELECT
+      mint_address,
+      $3::varchar,
+      to_timestamp(floor(extract(epoch FROM bucket_start) / $4::int) * $4::int) AS bucket,
+      (array_agg(open ORDER BY bucket_start ASC))[1],
+      MAX(high),
+      MIN(low),
+      (array_agg(close ORDER BY bucket_start DESC))[1],
+      SUM(volume),
+      'rollup',
+      NOW()
+    FROM candles
+    WHERE mint_address = $1 AND resolution = $2
+      AND bucket_start >= to_timestamp($5::double precision / 1000)
+    GROUP BY mint_address, bucket
+    ON CONFLICT (mint_address, resolution, bucket_start) DO UPDATE SET
+      open = EXCLUDED.open,
+      high = EXCLUDED.high,
+      low = EXCLUDED.low,
+      close = EXCLUDED.close,
+      volume = EXCLUDED.volume,
+      source = 'rollup',
+      updated_at = NOW()
+    WHERE candles.source = 'rollup'
+      OR candles.updated_at < candles.bucket_start + make_interval(secs => $4::int)
+  `, [mint, fromResolution, toResolution, bucketSeconds, sinceMs]);
+
+  return result.rowCount;
+}
+
+/**
+ * Get tokens whose candles should be synced: viewed recently or on any watchlist.
+ * Least recently synced first.
+ */
+async function getCandleSyncTargets(limit = 15, viewedWithinHours = 24) {
+  if (!pool) return [];
+
+  const result = await pool.query(`
+    WITH tracked AS (
+      SELECT token_mint AS mint FROM token_views
+      WHERE last_viewed_at >= NOW() - INTERVAL '1 hour' * $2
+      UNION
+      SELECT DISTINCT token_mint AS mint FROM watchlist
+    )
+    SELECT t.mint, s.last_synced_at, s.backfilled_at
+    FROM tracked t
+    LEFT JOIN candle_sync_state s ON s.mint_address = t.mint
+    ORDER BY s.last_synced_at ASC NULLS FIRST
+    LIMIT $1
+  `, [limit, viewedWithinHours]);
+
+  return result.rows.map(r => ({
+    mint: r.mint,
+    lastSyncedAt: r.last_synced_at ? new Date(r.last_synced_at).getTime() : null,
+    backfilledAt: r.backfilled_at ? new Date(r.backfilled_at).getTime() : null
+  }));
+}
+
+/**
+ * Record a completed candle sync for a mint.
+ */
+async function markCandleSync(mint, backfilled = false) {
+  if (!pool) return;
+
+  await pool.query(`
+    INSERT INTO candle_sync_state (mint_address, last_synced_at, backfilled_at)
+    VALUES ($1, NOW(), CASE WHEN $2 THEN NOW() ELSE NULL END)
+    ON CONFLICT (mint_address) DO UPDATE SET
+      last_synced_at = NOW(),
+      backfilled_at = CASE WHEN $2 THEN NOW() ELSE candle_sync_state.backfilled_at END
+  `, [mint, backfilled]);
+}
+
+/**
+ * Drop fine-grained candles past their retention window.
+ * 1m candles are kept 3 days, 5m candles 30 days; 1h/1d are kept indefinitely.
+ */
+async function pruneCandles() {
+  if (!pool) return 0;
+
+  const result = await pool.query(`
+    DELETE FROM candles
+    WHERE (resolution = '1m' AND bucket_start < NOW() - INTERVAL '3 days')
+       OR (resolution = '5m' AND bucket_start < NOW() - INTERVAL '30 days')
+  `);
+
+  return result.rowCount;
+}
+
+// ── Holder snapshot operations ───────────────────────────────────────
+
+// Snapshots older than this are pruned
+const HOLDER_SNAPSHOT_RETENTION_DAYS = 90;
+
+/**
+ * Tracked tokens (viewed recently or watchlisted) whose last holder snapshot is
+ * older than intervalMinutes, least recently snapshotted first.
+ */
+async function getHolderSnapshotTargets(limit = 10, intervalMinutes = 60, viewedWithinHours = 24) {
+  if (!pool) return [];
+
+  const result = await pool.query(`
+    WITH tracked AS (
+      SELECT token_mint AS mint FROM token_views
+      WHERE last_viewed_at >= NOW() - INTERVAL '1 hour' * $2
+      UNION
+      SELECT DISTINCT token_mint AS mint FROM watchlist
+    ),
+    latest AS (
+      SELECT mint_address, MAX(snapshot_at) AS last_snapshot_at
+      FROM holder_snapshots
+      WHERE mint_address IN (SELECT mint FROM tracked)
+      GROUP BY mint_address
+    )
+    SELECT t.mint, l.last_snapshot_at
+    FROM tracked t
+    LEFT JOIN latest l ON l.mint_address = t.mint
+    WHERE l.last_snapshot_at IS NULL OR l.last_snapshot_at < NOW() - INTERVAL '1 minute' * $3
+    ORDER BY l.last_snapshot_at ASC NULLS FIRST
+    LIMIT $1
+  `, [limit, viewedWithinHours, intervalMinutes]);
+
+  return result.rows.map(r => r.mint);
+}
+
+async function insertHolderSnapshot(mint, { holderCount, top10Pct, top50Pct, diamondHands }) {
+  if (!pool) return null;
+
+  const result = await pool.query(`
+    INSERT INTO holder_snapshots (mint_address, holder_count, top10_pct, top50_pct, diamond_hands)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id, snapshot_at
+  `, [mint, holderCount, top10Pct, top50Pct, diamondHands ? JSON.stringify(diamondHands) : null]);
+
+  return result.rows[0];
+}
+
+/**
+ * Holder snapshots for a mint since a point in time, oldest first.
+ */
+async function getHolderSnapshots(mint, sinceMs) {
+  if (!pool) return [];
+
+  const result = await pool.query(`
+    SELECT snapshot_at, holder_count, top10_pct, top50_pct, diamond_hands
+    FROM holder_snapshots
+    WHERE mint_address = $1 AND snapshot_at >= to_timestamp($2 / 1000.0)
+    ORDER BY snapshot_at ASC
+  `, [mint, sinceMs]);
+
+  return result.rows.map(r => ({
+    timestamp: new Date(r.snapshot_at).getTime(),
+    holderCount: r.holder_count,
+    top10Pct: r.top10_pct != null ? parseFloat(r.top10_pct) : null,
+    top50Pct: r.top50_pct != null ? parseFloat(r.top50_pct) : null,
+    diamondHands: r.diamond_hands || null
+  }));
+}
+
+// Most recent snapshot per token: { [mint]: { timestamp, holderCount, top10Pct, top50Pct } }
+async function getLatestHolderSnapshotsBatch(mints) {
+  if (!pool || !mints || mints.length === 0) return {};
+
+  const result = await pool.query(`
+    SELECT DISTINCT ON (mint_address) mint_address, snapshot_at, holder_count, top10_pct, top50_pct
+    FROM holder_snapshots
+    WHERE mint_address = ANY($1)
+    ORDER BY mint_address, snapshot_at DESC
+  `, [mints]);
+
+  const out = {};
+  for (const r of result.rows) {
+    out[r.mint_address] = {
+      timestamp: new Date(r.snapshot_at).getTime(),
+      holderCount: r.holder_count,
+      top10Pct: r.top10_pct != null ? parseFloat(r.top10_pct) : null,
+      top50Pct: r.top50_pct != null ? parseFloat(r.top50_pct) : null
+    };
+  }
+  return out;
+}
+
+async function pruneHolderSnapshots() {
+  if (!pool) return 0;
+
+  const result = await pool.query(
+    `DELETE FROM holder_snapshots WHERE snapshot_at < NOW() - INTERVAL '1 day' * $1`,
+    [HOLDER_SNAPSHOT_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
+// ── Admin settings operations ────────────────────────────────────────
+
+// Stored value for an admin setting, or null when it was never set
+async function getAdminSetting(key) {
+  if (!pool) return null;
+  const result = await pool.query('SELECT value FROM admin_settings WHERE key = $1', [key]);
+  return result.rows.length > 0 ? result.rows[0].value : null;
+}
+
+async function setAdminSetting(key, value) {
+  if (!pool) throw new Error('Database not available');
+  await pool.query(
+    `INSERT INTO admin_settings (key, value, updated_at) VALUES ($1, $2, NOW())
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+    [key, JSON.stringify(value)]
+  );
+}
+
+// ── Spike detection operations ───────────────────────────────────────
+
+// A token is recorded at most once per cooldown while it keeps spiking
+const SPIKE_DETECTION_COOLDOWN_HOURS = 6;
+// Detections older than this are pruned
+const SPIKE_DETECTION_RETENTION_DAYS = 90;
+// Outcome samples must land within this long after the horizon, or the horizon stays unscored
+// (the sampler runs every 10 minutes; a stalled worker shouldn't record a late price as "+1h")
+const SPIKE_SAMPLE_GRACE_MINUTES = 30;
+
+/**
+ * Record spike detections, skipping tokens already recorded within the cooldown
+ * @param {Array<Object>} spikes - Scored spikes from /api/tokens/spikes (price must be > 0)
+ * @returns {Promise<number>} Detections inserted
+ */
+async function recordSpikeDetections(spikes) {
+  if (!pool || !spikes || spikes.length === 0) return 0;
+
+  const result = await pool.query(
+    `INSERT INTO spike_detections
+       (mint_address, spike_score, spike_types, price, market_cap, volume_24h,
+        price_change_24h, vol_mcap_ratio, transactions_24h, holders, last_price, last_sampled_at)
+     SELECT s.mint, s.score, string_to_array(NULLIF(s.types, ''), ','), s.price, s.mcap, s.volume,
+            s.change, s.ratio, s.txns, s.holders, s.price, NOW()
+     FROM unnest($1::text[], $2::numeric[], $3::text[], $4::float8[], $5::numeric[], $6::numeric[],
+                 $7::numeric[], $8::numeric[], $9::int[], $10::int[])
+       AS s(mint, score, types, price, mcap, volume, change, ratio, txns, holders)
+     WHERE NOT EXISTS (
+       SELECT 1 FROM spike_detections d
+       WHERE d.mint_address = s.mint AND d.detected_at > NOW() - INTERVAL '1 hour' * $11
+     )`,
+    [
+      spikes.map(t => t.mintAddress),
+      spikes.map(t => t.spikeScore),
+      spikes.map(t => t.spikeTypes.join(',')),
+      spikes.map(t => t.price),
+      spikes.map(t => t.marketCap || null),
+      spikes.map(t => t.volume24h || null),
+      spikes.map(t => t.priceChange24h ?? null),
+      spikes.map(t => t.volMcapRatio),
+      spikes.map(t => t.transactions24h || 0),
+      spikes.map(t => t.holders || null),
+      SPIKE_DETECTION_COOLDOWN_HOURS
+    ]
+  );
+  return result.rowCount;
+}
+
+// Most recent detection per mint: { [mint]: { detectedAt, price, spikeScore } }
+async function getLatestSpikeDetectionsBatch(mints) {
+  if (!pool || !mints || mints.length === 0) return {};
+
+  const result = await pool.query(`
+    SELECT DISTINCT ON (mint_address) mint_address, detected_at, price, spike_score
+    FROM spike_detections
+    WHERE mint_address = ANY($1)
+    ORDER BY mint_address, detected_at DESC
+  `, [mints]);
+
+  const out = {};
+  for (const r of result.rows) {
+    out[r.mint_address] = {
+      detectedAt: new Date(r.detected_at).getTime(),
+      price: r.price,
+      spikeScore: parseFloat(r.spike_score)
+    };
+  }
+  return out;
+}
+
+// Mints with detections still waiting on their +1h or +24h price, least recently sampled first
+async function getOpenSpikeMints(limit = 300) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT mint_address
+     FROM spike_detections
+     WHERE detected_at > NOW() - INTERVAL '24 hours' - INTERVAL '1 minute' * $1
+       AND price_24h IS NULL
+     GROUP BY mint_address
+     ORDER BY MIN(COALESCE(last_sampled_at, 'epoch')) ASC
+     LIMIT $2`,
+    [SPIKE_SAMPLE_GRACE_MINUTES, limit]
+  );
+  return result.rows.map(r => r.mint_address);
+}
+
+/**
+ * Record a price sample for open detections of the given tokens.
+ * The first sample at or after +1h / +24h (within the grace window) becomes that horizon's price.
+ *
+ * @param {Array<{mint: string, price: number}>} samples
+ * @returns {Promise<number>} Detection rows updated
+ */
+async function recordSpikePrices(samples) {
+  if (!pool || !samples || samples.length === 0) return 0;
+
+  const result = await pool.query(
+    `UPDATE spike_detections sd SET
+       price_1h = CASE
+         WHEN sd.price_1h IS NULL
+          AND NOW() BETWEEN sd.detected_at + INTERVAL '1 hour' AND sd.detected_at + INTERVAL '1 hour' + INTERVAL '1 minute' * $3
+         THEN s.price ELSE sd.price_1h END,
+       price_24h = CASE
+         WHEN sd.price_24h IS NULL
+          AND NOW() BETWEEN sd.detected_at + INTERVAL '24 hours' AND sd.detected_at + INTERVAL '24 hours' + INTERVAL '1 minute' * $3
+         THEN s.price ELSE sd.price_24h END,
+       last_price = s.price,
+       last_sampled_at = NOW()
+     FROM unnest($1::text[], $2::float8[]) AS s(mint, price)
+     WHERE sd.mint_address = s.mint
+       AND sd.price_24h IS NULL
+       AND sd.detected_at > NOW() - INTERVAL '24 hours' - INTERVAL '1 minute' * $3`,
+    [samples.map(s => s.mint), samples.map(s => s.price), SPIKE_SAMPLE_GRACE_MINUTES]
+  );
+  return result.rowCount;
+}
+
+// Detections within the last N days (newest first), joined with token metadata for display
+async function getSpikeDetections(days = 7, limit = 5000) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT sd.*, t.name, t.symbol, t.logo_uri
+     FROM spike_detections sd
+     LEFT JOIN tokens t ON t.mint_address = sd.mint_address
+     WHERE sd.detected_at > NOW() - INTERVAL '1 day' * $1
+     ORDER BY sd.detected_at DESC
+     LIMIT $2`,
+    [days, limit]
+  );
+  return result.rows;
+}
+
+async function pruneSpikeDetections() {
+  if (!pool) return 0;
+
+  const result = await pool.query(
+    `DELETE FROM spike_detections WHERE detected_at < NOW() - INTERVAL '1 day' * $1`,
+    [SPIKE_DETECTION_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
+// ── Push notification operations ─────────────────────────────────────
+
+// Browsers (push subscriptions) per wallet
+const MAX_PUSH_SUBSCRIPTIONS = 10;
+// Alert rules per wallet
+const MAX_PUSH_ALERT_RULES = 50;
+
+/**
+ * Save a browser's push subscription for a wallet.
+ * Endpoints are unique per browser, so re-subscribing moves the endpoint to the new wallet;
+ * the per-wallet limit only applies to endpoints the wallet doesn't already own.
+ * @returns {Promise<Object>} The subscription row, or { limitReached: true }
+ */
+async function savePushSubscription(walletAddress, { endpoint, p256dh, auth, userAgent = null }, maxSubscriptions = MAX_PUSH_SUBSCRIPTIONS) {
+  if (!pool) return { limitReached: true };
+  const result = await pool.query(
+    `INSERT INTO push_subscriptions (wallet_address, endpoint, p256dh, auth, user_agent)
+     SELECT $1, $2, $3, $4, $5
+     WHERE EXISTS (SELECT 1 FROM push_subscriptions WHERE wallet_address = $1 AND endpoint = $2)
+        OR (SELECT COUNT(*) FROM push_subscriptions WHERE wallet_address = $1) < $6
+     ON CONFLICT (endpoint) DO UPDATE SET
+       wallet_address = EXCLUDED.wallet_address,
+       p256dh = EXCLUDED.p256dh,
+       auth = EXCLUDED.auth,
+       user_agent = EXCLUDED.user_agent
+     RETURNING id, created_at, (xmax = 0) AS created`,
+    [walletAddress, endpoint, p256dh, auth, userAgent, maxSubscriptions]
+  );
+  return result.rows[0] || { limitReached: true };
+}
+
+async function deletePushSubscription(endpoint) {
+  if (!pool) return false;
+  const result = await pool.query(
+    'DELETE FROM push_subscriptions WHERE endpoint = $1',
+    [endpoint]
+  );
+  return result.rowCount > 0;
+}
+
+// Drop subscriptions the push service reported as gone (404 / 410)
+async function deletePushSubscriptionsById(ids) {
+  if (!pool || !ids || ids.length === 0) return 0;
+  const result = await pool.query(
+    'DELETE FROM push_subscriptions WHERE id = ANY($1::int[])',
+    [ids]
+  );
+  return result.rowCount;
+}
+
+async function getPushSubscriptionCount(walletAddress) {
+  if (!pool) return 0;
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM push_subscriptions WHERE wallet_address = $1',
+    [walletAddress]
+  );
+  return result.rows[0].count;
+}
+
+// Subscriptions (with keys) for the given wallets, for delivery
+async function getPushSubscriptionsForWallets(walletAddresses) {
+  if (!pool || !walletAddresses || walletAddresses.length === 0) return [];
+  const result = await pool.query(
+    `SELECT id, wallet_address, endpoint, p256dh, auth
+     FROM push_subscriptions
+     WHERE wallet_address = ANY($1)`,
+    [walletAddresses]
+  );
+  return result.rows;
+}
+
+async function markPushSubscriptionsDelivered(ids) {
+  if (!pool || !ids || ids.length === 0) return;
+  await pool.query(
+    'UPDATE push_subscriptions SET last_success_at = NOW() WHERE id = ANY($1::int[])',
+    [ids]
+  );
+}
+
+// A wallet's alert rules with token metadata, newest first
+async function getPushAlertRules(walletAddress) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT r.id, r.token_mint, r.rule_type, r.threshold, r.state, r.last_triggered_at, r.created_at,
+            t.name, t.symbol, t.logo_uri, t.price
+     FROM push_alert_rules r
+     LEFT JOIN tokens t ON t.mint_address = r.token_mint
+     WHERE r.wallet_address = $1
+     ORDER BY r.created_at DESC, r.id DESC`,
+    [walletAddress]
+  );
+  return result.rows;
+}
+
+/**
+ * Create an alert rule on a watchlisted token, enforcing the per-wallet limit atomically.
+ * @param {Object} rule - { tokenMint, type, threshold, state }
+ * @returns {Promise<Object>} The rule row, { notWatched: true }, { exists: true } or { limitReached: true }
+ */
+async function createPushAlertRule(walletAddress, { tokenMint, type, threshold = null, state = null }, maxRules = MAX_PUSH_ALERT_RULES) {
+  if (!pool) return { limitReached: true };
+
+  if (!(await isInWatchlist(walletAddress, tokenMint))) {
+    return { notWatched: true };
+  }
+
+  const existing = await pool.query(
+    `SELECT 1 FROM push_alert_rules
+     WHERE wallet_address = $1 AND token_mint = $2 AND rule_type = $3 AND threshold IS NOT DISTINCT FROM $4`,
+    [walletAddress, tokenMint, type, threshold]
+  );
+  if (existing.rows.length > 0) return { exists: true };
+
+  const result = await pool.query(
+    `INSERT INTO push_alert_rules (wallet_address, token_mint, rule_type, threshold, state)
+     SELECT $1, $2, $3, $4, $5
+     WHERE (SELECT COUNT(*) FROM push_alert_rules WHERE wallet_address = $1) < $6
+     RETURNING id, token_mint, rule_type, threshold, state, last_triggered_at, created_at`,
+    [walletAddress, tokenMint, type, threshold, state, maxRules]
+  );
+  return result.rows[0] || { limitReached: true };
+}
+
+async function deletePushAlertRule(walletAddress, ruleId) {
+  if (!pool) return false;
+  const result = await pool.query(
+    'DELETE FROM push_alert_rules WHERE id = $1 AND wallet_address = $2',
+    [ruleId, walletAddress]
+  );
+  return result.rowCount > 0;
+}
+
+// Rules the dispatcher should evaluate: the wallet has at least one browser subscribed
+async function getActivePushAlertRules(limit = 5000) {
+  if (!pool) return [];
+  const result = await pool.query(
+    `SELECT r.id, r.wallet_address, r.token_mint, r.rule_type, r.threshold, r.state, r.last_triggered_at,
+            t.name, t.symbol, t.logo_uri
+     FROM push_alert_rules r
+     LEFT JOIN tokens t ON t.mint_address = r.token_mint
+     WHERE EXISTS (SELECT 1 FROM push_subscriptions s WHERE s.wallet_address = r.wallet_address)
+     ORDER BY r.id
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Persist rule baselines after a dispatch pass.
+ * @param {Array<{id: number, state: number, triggered: boolean}>} updates
+ */
+async function updatePushAlertRuleStates(updates) {
+  if (!pool || !updates || updates.length === 0) return 0;
+  const result = await pool.query(
+    `UPDATE push_alert_rules r SET
+       state = u.state,
+       last_triggered_at = CASE WHEN u.triggered THEN NOW() ELSE r.last_triggered_at END
+     FROM unnest($1::int[], $2::float8[], $3::bool[]) AS u(id, state, triggered)
+     WHERE r.id = u.id`,
+    [updates.map(u => u.id), updates.map(u => u.state), updates.map(u => !!u.triggered)]
+  );
+  return result.rowCount;
+}
+
+// Highest approved banner submission id per mint: { [mint]: id } (0 when none)
+async function getLatestApprovedBannerIds(mints) {
+  if (!pool || !mints || mints.length === 0) return {};
+  const result = await pool.query(
+    `SELECT token_mint, MAX(id) AS id FROM submissions
+     WHERE token_mint = ANY($1) AND submission_type = 'banner' AND status = 'approved'
+     GROUP BY token_mint`,
+    [mints]
+  );
+
+  const out = {};
+  for (const mint of mints) out[mint] = 0;
+  for (const r of result.rows) out[r.token_mint] = parseInt(r.id);
+  return out;
+}
+
+// ── Webhook operations ───────────────────────────────────────────────
+
+// Consecutive failed deliveries (after all retries) before a webhook is disabled
+const WEBHOOK_MAX_CONSECUTIVE_FAILURES = 10;
+
+const WEBHOOK_PUBLIC_COLUMNS = `id, url, events, mints, sentiment_threshold, is_active,
+  consecutive_failures, last_delivery_at, created_at, updated_at`;
+
+async function createWebhook(apiKeyId, { url, secret, events, mints = null, sentimentThreshold = 10 }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO webhooks (api_key_id, url, secret, events, mints, sentiment_threshold)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${WEBHOOK_PUBLIC_COLUMNS}`,
+    [apiKeyId, url, secret, events, mints, sentimentThreshold]
+  );
+  return result.rows[0];
+}
+
+async function getWebhooksByApiKey(apiKeyId) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT ${WEBHOOK_PUBLIC_COLUMNS} FROM webhooks WHERE api_key_id = $1 ORDER BY created_at ASC`,
+    [apiKeyId]
+  );
+  return result.rows;
+}
+
+async function getWebhookForApiKey(webhookId, apiKeyId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT ${WEBHOOK_PUBLIC_COLUMNS} FROM webhooks WHERE id = $1 AND api_key_id = $2`,
+    [webhookId, apiKeyId]
+  );
+  return result.rows[0] || null;
+}
+
+// Partial update; re-enabling a webhook clears its failure streak
+async function updateWebhook(webhookId, apiKeyId, { url, events, mints, sentimentThreshold, isActive }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE webhooks SET
+       url = COALESCE($3, url),
+       events = COALESCE($4, events),
+       mints = CASE WHEN $5::boolean THEN $6::text[] ELSE mints END,
+       sentiment_threshold = COALESCE($7, sentiment_threshold),
+       is_active = COALESCE($8, is_active),
+       consecutive_failures = CASE WHEN $8 = true THEN 0 ELSE consecutive_failures END,
+       updated_at = NOW()
+     WHERE id = $1 AND api_key_id = $2
+     RETURNING ${WEBHOOK_PUBLIC_COLUMNS}`,
+    [webhookId, apiKeyId, url ?? null, events ?? null, mints !== undefined, mints ?? null,
+     sentimentThreshold ?? null, isActive ?? null]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteWebhook(webhookId, apiKeyId) {
+  if (!pool) return false;
+
+  const result = await pool.query(
+    'DELETE FROM webhooks WHERE id = $1 AND api_key_id = $2',
+    [webhookId, apiKeyId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Active webhooks subscribed to an event, optionally filtered to a token.
+ * Webhooks with no mint filter receive events for every token.
+ */
+async function getWebhooksForEvent(event, mint = null) {
+  if (!pool) return [];
+
+  const result = await pool.query(
+    `SELECT w.id, w.sentiment_threshold
+     FROM webhooks w
+     JOIN api_keys k ON k.id = w.api_key_id
+     WHERE w.is_active = true AND k.is_active = true
+       AND $1 = ANY(w.events)
+       AND (w.mints IS NULL OR $2::text IS NULL OR $2 = ANY(w.mints))`,
+    [event, mint]
+  );
+  return result.rows;
+}
+
+async function createWebhookDelivery(webhookId, event, payload) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     VALUES ($1, $2, $3)
+     RETURNING id, webhook_id, event, status, created_at`,
+    [webhookId, event, JSON.stringify(payload)]
+  );
+  return result.rows[0];
+}
+
+// Delivery with its webhook's target and signing secret (worker only)
+async function getWebhookDelivery(deliveryId) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT d.id, d.webhook_id, d.event, d.payload, d.status, d.attempts, d.created_at,
+            w.url, w.secret, w.is_active AS webhook_active
+     FROM webhook_deliveries d
+     JOIN webhooks w ON w.id = d.webhook_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record one delivery attempt. status: 'success', 'pending' (will retry) or 'failed' (final).
+ * Success resets the webhook's failure streak; a final failure extends it and
+ * disables the webhook once it reaches WEBHOOK_MAX_CONSECUTIVE_FAILURES.
+ */
+async function recordWebhookAttempt(deliveryId, { status, responseStatus = null, error = null }) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE webhook_deliveries SET
+       status = $2,
+       attempts = attempts + 1,
+       response_status = $3,
+       error = $4,
+       delivered_at = CASE WHEN $2 = 'success' THEN NOW() ELSE delivered_at END
+     WHERE id = $1
+     RETURNING webhook_id`,
+    [deliveryId, status, responseStatus, error ? String(error).slice(0, 500) : null]
+  );
+  const webhookId = result.rows[0]?.webhook_id;
+  if (!webhookId || status === 'pending') return null;
+
+  if (status === 'success') {
+    await pool.query(
+      'UPDATE webhooks SET consecutive_failures = 0, last_delivery_at = NOW() WHERE id = $1',
+      [webhookId]
+    );
+    return null;
+  }
+
+  const webhook = await pool.query(
+    `UPDATE webhooks SET
+       consecutive_failures = consecutive_failures + 1,
+       is_active = CASE WHEN consecutive_failures + 1 >= $2 THEN false ELSE is_active END,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, is_active, consecutive_failures`,
+    [webhookId, WEBHOOK_MAX_CONSECUTIVE_FAILURES]
+  );
+  return webhook.rows[0] || null;
+}
+
+/**
+ * Delivery log, newest first. Filter by webhook, owning API key, and/or status.
+ */
+async function getWebhookDeliveries({ webhookId = null, apiKeyId = null, status = null, limit = 50, offset = 0 } = {}) {
+  if (!pool) return { deliveries: [], total: 0 };
+
+  const conditions = [];
+  const params = [];
+  if (webhookId) {
+    params.push(webhookId);
+    conditions.push(`d.webhook_id = $${params.length}`);
+  }
+  if (apiKeyId) {
+    params.push(apiKeyId);
+    conditions.push(`w.api_key_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`d.status = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await pool.query(
+    `SELECT d.id, d.webhook_id, d.event, d.payload, d.status, d.attempts, d.response_status,
+            d.error, d.created_at, d.delivered_at, w.url, k.key_prefix, k.owner_wallet
+     FROM webhook_deliveries d
+     JOIN webhooks w ON w.id = d.webhook_id
+     JOIN api_keys k ON k.id = w.api_key_id
+     ${where}
+     ORDER BY d.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id ${where}`,
+    params
+  );
+
+  return {
+    deliveries: result.rows,
+    total: parseInt(countResult.rows[0].count)
+  };
+}
+
+// All webhooks with owner and 24h delivery stats (admin)
+async function getAllWebhooks({ limit = 50, offset = 0 } = {}) {
+  if (!pool) return { webhooks: [], total: 0 };
+
+  const result = await pool.query(
+    `SELECT w.id, w.url, w.events, w.mints, w.is_active, w.consecutive_failures,
+            w.last_delivery_at, w.created_at, k.key_prefix, k.owner_wallet,
+            COUNT(d.id) FILTER (WHERE d.status = 'success') AS delivered_24h,
+            COUNT(d.id) FILTER (WHERE d.status = 'failed') AS failed_24h
+     FROM webhooks w
+     JOIN api_keys k ON k.id = w.api_key_id
+     LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id AND d.created_at > NOW() - INTERVAL '24 hours'
+     GROUP BY w.id, k.key_prefix, k.owner_wallet
+     ORDER BY w.created_at DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+
+  const countResult = await pool.query('SELECT COUNT(*) FROM webhooks');
+
+  return {
+    webhooks: result.rows.map(r => ({
+      ...r,
+      delivered_24h: parseInt(r.delivered_24h),
+      failed_24h: parseInt(r.failed_24h)
+    })),
+    total: parseInt(countResult.rows[0].count)
+  };
+}
+
+// Admin enable/disable (no API key scoping)
+async function setWebhookActive(webhookId, isActive) {
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `UPDATE webhooks SET
+       is_active = $2,
+       consecutive_failures = CASE WHEN $2 THEN 0 ELSE consecutive_failures END,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, is_active`,
+    [webhookId, isActive]
+  );
+  return result.rows[0] || null;
+}
+
+// Delivery log retention: 7 days
+async function pruneWebhookDeliveries() {
+  if (!pool) return 0;
+
+  const result = await pool.query(
+    `DELETE FROM webhook_deliveries WHERE created_at < NOW() - INTERVAL '7 days'`
+  );
+  return result.rowCount;
+}
+
 module.exports = {
   get pool() { return pool; },
   initializeDatabase,
@@ -3596,6 +6250,7 @@ module.exports = {
   getVoteTally,
   checkHealth,
   calculateVoteWeight,
+  calculateSentimentWeight,
   // Watchlist operations
   addToWatchlist,
   addToWatchlistAtomic,
@@ -3604,6 +6259,14 @@ module.exports = {
   isInWatchlist,
   checkWatchlistBatch,
   getWatchlistCount,
+  updateWatchlistEntry,
+  getWatchlistGroups,
+  getWatchlistGroup,
+  createWatchlistGroup,
+  renameWatchlistGroup,
+  deleteWatchlistGroup,
+  importWatchlist,
+  MAX_WATCHLIST_GROUPS,
   // API Key operations
   createApiKey,
   getApiKeyByHash,
@@ -3633,6 +6296,8 @@ module.exports = {
   // Conviction / Diamond Hands
   upsertConviction,
   getTopConvictionTokens,
+  upsertBundleAnalysis,
+  getBundleAnalysis,
   // Community leaderboards
   getMostWatchlistedTokens,
   getTopSentimentTokens,
@@ -3640,11 +6305,35 @@ module.exports = {
   callToken,
   getCallCooldown,
   getMostCalledTokens,
+  getCallCountsBatch,
   getCallsByWallet,
+  getOpenCallMints,
+  recordCallMarketCaps,
+  getCallerProfile,
+  getTopCallers,
+  followCaller,
+  unfollowCaller,
+  isFollowingCaller,
+  getFollowedCallers,
+  getFollowCounts,
+  getFollowFeed,
+  MAX_FOLLOWED_CALLERS,
+  // Screener
+  screenTokens,
+  getSavedScreens,
+  getSavedScreen,
+  saveScreen,
+  deleteSavedScreen,
+  MAX_SAVED_SCREENS,
+  CALL_WIN_MULTIPLE,
   // GDPR data deletion
   deleteUserData,
   // Sentiment voting
   getSentimentVote,
+  getSentimentVotesByWallet,
+  getSentimentEventBuckets,
+  getSentimentMomentumTokens,
+  pruneSentimentEvents,
   getSentimentTally,
   getSentimentBatch,
   castSentimentVote,
@@ -3674,6 +6363,20 @@ module.exports = {
   cleanupExpiredDeviceSessions,
   DEVICE_SESSION_ACTIVATION_WINDOW_MS,
   DEVICE_SESSION_DURATION_MS,
+  // Wallet session operations (Sign-In-With-Solana)
+  createAuthNonce,
+  consumeAuthNonce,
+  createWalletSession,
+  getWalletSessionByAccessToken,
+  rotateWalletSession,
+  deleteWalletSession,
+  deleteWalletSessionByRefreshToken,
+  deleteWalletSessionsByWallet,
+  getWalletSessionsByWallet,
+  cleanupExpiredWalletSessions,
+  AUTH_NONCE_TTL_MS,
+  WALLET_SESSION_ACCESS_TTL_MS,
+  WALLET_SESSION_DURATION_MS,
   // Constants
   AUTO_APPROVE_THRESHOLD,
   AUTO_REJECT_THRESHOLD,
@@ -3685,13 +6388,8 @@ module.exports = {
   // Burn credits operations
   getBurnConversionRate,
   setBurnConversionRate,
-  getAIAnalysisCost,
-  setAIAnalysisCost,
-  getAdvancedAIAnalysisCost,
-  setAdvancedAIAnalysisCost,
-  getDailyBriefKolCost,
-  getFolioAIAnalysisCost,
-  setFolioAIAnalysisCost,
+  getBurnConfigValues,
+  setBurnConfigValue,
   isBurnTxUsed,
   recordBurnCredit,
   adminGrantBurnCredits,
@@ -3699,7 +6397,20 @@ module.exports = {
   getPlatformBurnStats,
   getBurnCreditHistory,
   getBurnCreditSpendHistory,
-  spendBurnCredits,
+  reserveBurnCredits,
+  captureBurnCredits,
+  refundBurnCredits,
+  expireBurnCreditReservations,
+  revokeBurnCredit,
+  getBurnFeatureUsage,
+  getBurnCreditLedger,
+  getBurnLedgerReconciliation,
+  getBurnCreditsForReconciliation,
+  // AI usage operations
+  recordAiUsage,
+  getAiUsage,
+  insertTokenAiAnalysis,
+  getTokenAiAnalyses,
   // Token data repair
   getUnknownTokenCount,
   getUnknownTokenMints,
@@ -3723,5 +6434,57 @@ module.exports = {
   getDailyBriefStaleTokens,
   evictStaleDailyBriefTokens,
   clearDailyBriefTokens,
-  getDailyBriefStats
+  getDailyBriefStats,
+  // Candle store operations
+  upsertCandles,
+  getCandles,
+  getCandleRange,
+  rollupCandles,
+  getCandleSyncTargets,
+  markCandleSync,
+  pruneCandles,
+  getHolderSnapshotTargets,
+  insertHolderSnapshot,
+  getHolderSnapshots,
+  getLatestHolderSnapshotsBatch,
+  pruneHolderSnapshots,
+  // Spike detection operations
+  getAdminSetting,
+  setAdminSetting,
+  recordSpikeDetections,
+  getLatestSpikeDetectionsBatch,
+  getOpenSpikeMints,
+  recordSpikePrices,
+  getSpikeDetections,
+  pruneSpikeDetections,
+  SPIKE_DETECTION_RETENTION_DAYS,
+  // Push notification operations
+  MAX_PUSH_SUBSCRIPTIONS,
+  MAX_PUSH_ALERT_RULES,
+  savePushSubscription,
+  deletePushSubscription,
+  deletePushSubscriptionsById,
+  getPushSubscriptionCount,
+  getPushSubscriptionsForWallets,
+  markPushSubscriptionsDelivered,
+  getPushAlertRules,
+  createPushAlertRule,
+  deletePushAlertRule,
+  getActivePushAlertRules,
+  updatePushAlertRuleStates,
+  getLatestApprovedBannerIds,
+  // Webhook operations
+  createWebhook,
+  getWebhooksByApiKey,
+  getWebhookForApiKey,
+  updateWebhook,
+  deleteWebhook,
+  getWebhooksForEvent,
+  createWebhookDelivery,
+  getWebhookDelivery,
+  recordWebhookAttempt,
+  getWebhookDeliveries,
+  getAllWebhooks,
+  setWebhookActive,
+  pruneWebhookDeliveries
 };
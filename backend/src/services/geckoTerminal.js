@@ -249,8 +249,11 @@ async function getTokenInfo(mintAddress) {
  * Get multiple token prices in one request
  * Endpoint: /networks/{network}/tokens/multi/{addresses}
  * Max 30 addresses per request
+ *
+ * Errors resolve to {} unless throwOnError is set — callers that treat a missing
+ * token as "no market" need to tell the two apart.
  */
-async function getMultiTokenInfo(addresses) {
+async function getMultiTokenInfo(addresses, { throwOnError = false } = {}) {
   if (!addresses || addresses.length === 0) {
     return {};
   }
@@ -292,6 +295,7 @@ async function getMultiTokenInfo(addresses) {
     return result;
   } catch (error) {
     console.error('[GeckoTerminal] getMultiTokenInfo error:', error.message);
+    if (throwOnError) throw error;
     return {};
   }
 }
@@ -777,9 +781,10 @@ async function searchTokens(query, limit = 20, allowedDexPrefixes = null) {
  * First finds the top pool for the token, then fetches OHLCV
  * Endpoint: /networks/{network}/pools/{pool}/ohlcv/{timeframe}
  * Optimized: caches pool address to avoid repeated pool lookups
+ * Options: interval, limit (max 1000), beforeTimestamp (ms — page backwards through history)
  */
 async function getOHLCV(mintAddress, options = {}) {
-  const { interval = '1h' } = options;
+  const { interval = '1h', limit = 100, beforeTimestamp = null } = options;
 
   console.log(`[GeckoTerminal] getOHLCV: ${mintAddress}, interval=${interval}`);
 
@@ -842,9 +847,10 @@ async function getOHLCV(mintAddress, options = {}) {
       geckoAxios.get(`/networks/${NETWORK}/pools/${poolAddress}/ohlcv/${timeframe}`, {
         params: {
           aggregate: aggregate,
-          limit: 100,
+          limit: Math.min(Math.max(1, limit), 1000),
           currency: 'usd',
-          token: 'base'
+          token: 'base',
+          ...(beforeTimestamp && { before_timestamp: Math.floor(beforeTimestamp / 1000) })
         }
       }),
       'getOHLCV'
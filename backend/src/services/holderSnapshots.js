@@ -0,0 +1,113 @@
+/**
+ * Holder distribution snapshots.
+ *
+ * The worker (`snapshot-holders` job) periodically records, for each tracked
+ * token (viewed in the last 24h or watchlisted):
+ *   - holder count
+ *   - top-10 / top-50 share of supply, excluding LP and burn wallets
+ *   - the latest diamond-hands distribution (if one was computed recently)
+ * into holder_snapshots, so the holders tab can chart how distribution changed.
+ */
+
+const solanaService = require('./solana');
+const jupiterService = require('./jupiter');
+const db = require('./database');
+const { cache, keys } = require('./cache');
+
+// Minimum spacing between snapshots of the same token
+const SNAPSHOT_INTERVAL_MINUTES = 60;
+// DAS pages (1000 accounts each) scanned per token — beyond this top-N shares fall back to cached analytics
+const MAX_HOLDER_PAGES = 10;
+// Largest owners checked for LP / burn before taking the top 50
+const CLASSIFY_TOP_N = 80;
+// Diamond-hands data older than this isn't carried into a snapshot
+const DIAMOND_HANDS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Drop burn wallets and program-owned LP accounts (same classification as the holders endpoint)
+async function excludeNonHolders(holders) {
+  const candidates = holders.filter(h => !solanaService.BURN_WALLETS.has(h.wallet));
+  if (candidates.length === 0) return [];
+
+  const accounts = await solanaService.getMultipleAccounts(candidates.map(h => h.wallet)).catch(() => null);
+  if (!accounts?.value) return candidates;
+
+  return candidates.filter((_, i) => {
+    const acct = accounts.value[i];
+    return !(acct && solanaService.LP_PROGRAMS.has(acct.owner));
+  });
+}
+
+async function getHolderCount(mint) {
+  const cached = await cache.get(keys.holderCount(mint));
+  if (cached != null && cached > 1) return cached;
+
+  const jupiterCount = await jupiterService.getTokenHolderCount(mint).catch(() => null);
+  if (jupiterCount != null && jupiterCount > 1) return jupiterCount;
+
+  return solanaService.getTokenHolderCount(mint).catch(() => null);
+}
+
+async function getDiamondHands(mint) {
+  const cached = await cache.get(`diamond-hands:${mint}`);
+  if (cached?.distribution) return cached.distribution;
+
+  const token = await db.getToken(mint).catch(() => null);
+  if (!token?.conviction_data || !token.conviction_computed_at) return null;
+  const age = Date.now() - new Date(token.conviction_computed_at).getTime();
+  return age <= DIAMOND_HANDS_MAX_AGE_MS ? token.conviction_data : null;
+}
+
+/**
+ * Measure the current holder distribution of a token.
+ * @returns {Promise<{holderCount, top10Pct, top50Pct, diamondHands}>}
+ */
+async function measure(mint) {
+  const [balances, supplyResult, diamondHands] = await Promise.all([
+    solanaService.getTokenHolderBalances(mint, MAX_HOLDER_PAGES),
+    solanaService.getTokenSupply(mint).catch(() => null),
+    getDiamondHands(mint)
+  ]);
+
+  const rawSupply = Number(supplyResult?.value?.amount) || 0;
+  let holderCount = null;
+  let top10Pct = null;
+  let top50Pct = null;
+
+  if (balances?.complete && rawSupply > 0) {
+    const real = await excludeNonHolders(balances.holders.slice(0, CLASSIFY_TOP_N));
+    const share = (n) => round2(real.slice(0, n).reduce((s, h) => s + h.amount, 0) / rawSupply * 100);
+    top10Pct = share(10);
+    top50Pct = share(50);
+    holderCount = balances.holders.length;
+  } else {
+    // Too many accounts to scan — reuse the top-20 analytics from the holders endpoint
+    const analytics = await cache.get(`holder-analytics:${mint}`);
+    top10Pct = analytics?.metrics?.top10Pct ?? null;
+  }
+
+  if (holderCount == null) {
+    holderCount = await getHolderCount(mint);
+  }
+
+  return { holderCount, top10Pct, top50Pct, diamondHands };
+}
+
+/**
+ * Take and store one snapshot. Returns null when nothing could be measured.
+ */
+async function takeSnapshot(mint) {
+  const snapshot = await measure(mint);
+  if (snapshot.holderCount == null && snapshot.top10Pct == null && !snapshot.diamondHands) {
+    return null;
+  }
+  await db.insertHolderSnapshot(mint, snapshot);
+  return snapshot;
+}
+
+module.exports = {
+  takeSnapshot,
+  measure,
+  SNAPSHOT_INTERVAL_MINUTES
+};
@@ -14,7 +14,7 @@ const REDIS_URL = process.env.REDIS_URL;
 const QUEUE_NAMES = {
   MAINTENANCE: 'maintenance',    // Session cleanup, cache pruning
   ANALYTICS: 'analytics',        // View counting, stats aggregation
-  NOTIFICATIONS: 'notifications', // Future: email, webhooks
+  NOTIFICATIONS: 'notifications', // Outbound webhook deliveries
   SEARCH: 'search'              // Similar-tokens computation
 };
 
@@ -146,6 +146,47 @@ async function addSearchJob(jobName, data = {}, options = {}) {
   }
 }
 
+/**
+ * Add a job to the notifications queue
+ */
+async function addNotificationJob(jobName, data = {}, options = {}) {
+  if (!isInitialized && !initialize()) {
+    console.warn(`[JobQueue] Cannot add job ${jobName} - queue not initialized`);
+    return null;
+  }
+
+  try {
+    const job = await queues[QUEUE_NAMES.NOTIFICATIONS].add(jobName, data, options);
+    return job;
+  } catch (err) {
+    console.error(`[JobQueue] Failed to add notification job ${jobName}:`, err.message);
+    return null;
+  }
+}
+
+// Webhook retry schedule: 30s, 1m, 2m, 4m, 8m, 16m (~30 min before giving up)
+const WEBHOOK_DELIVERY_ATTEMPTS = 7;
+const WEBHOOK_BACKOFF_DELAY_MS = 30 * 1000;
+
+/**
+ * Queue delivery of a webhook_deliveries row.
+ * jobId is the delivery id so the same delivery is never queued twice.
+ */
+async function enqueueWebhookDelivery(deliveryId) {
+  return addNotificationJob('deliver-webhook', { deliveryId }, {
+    jobId: `webhook-delivery-${deliveryId}`,
+    attempts: WEBHOOK_DELIVERY_ATTEMPTS,
+    backoff: {
+      type: 'exponential',
+      delay: WEBHOOK_BACKOFF_DELAY_MS
+    },
+    removeOnComplete: {
+      count: 1000,
+      age: 3600
+    }
+  });
+}
+
 /**
  * Schedule recurring session cleanup job
  * Runs every 30 minutes to clean up expired admin sessions
@@ -225,6 +266,183 @@ async function scheduleDailyBriefRefresh() {
   }
 }
 
+/**
+ * Schedule recurring candle sync job
+ * Runs every 5 minutes to extend the OHLCV candle store for viewed/watchlisted tokens
+ */
+async function scheduleCandleSync() {
+  if (!isInitialized && !initialize()) return null;
+
+  try {
+    // Remove any existing scheduled job first
+    const existingJobs = await queues[QUEUE_NAMES.ANALYTICS].getRepeatableJobs();
+    for (const job of existingJobs) {
+      if (job.name === 'sync-candles') {
+        await queues[QUEUE_NAMES.ANALYTICS].removeRepeatableByKey(job.key);
+      }
+    }
+
+    const job = await queues[QUEUE_NAMES.ANALYTICS].add(
+      'sync-candles',
+      {},
+      {
+        repeat: {
+          every: 5 * 60 * 1000 // Every 5 minutes
+        },
+        jobId: 'candle-sync-recurring'
+      }
+    );
+
+    console.log('[JobQueue] Scheduled recurring candle sync (every 5 min)');
+    return job;
+  } catch (err) {
+    console.error('[JobQueue] Failed to schedule candle sync:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Schedule recurring holder distribution snapshots
+ * Runs every 15 minutes; each run snapshots the tracked tokens that are due (hourly per token)
+ */
+async function scheduleHolderSnapshots() {
+  if (!isInitialized && !initialize()) return null;
+
+  try {
+    // Remove any existing scheduled job first
+    const existingJobs = await queues[QUEUE_NAMES.ANALYTICS].getRepeatableJobs();
+    for (const job of existingJobs) {
+      if (job.name === 'snapshot-holders') {
+        await queues[QUEUE_NAMES.ANALYTICS].removeRepeatableByKey(job.key);
+      }
+    }
+
+    const job = await queues[QUEUE_NAMES.ANALYTICS].add(
+      'snapshot-holders',
+      {},
+      {
+        repeat: {
+          every: 15 * 60 * 1000 // Every 15 minutes
+        },
+        jobId: 'holder-snapshots-recurring'
+      }
+    );
+
+    console.log('[JobQueue] Scheduled recurring holder snapshots (every 15 min)');
+    return job;
+  } catch (err) {
+    console.error('[JobQueue] Failed to schedule holder snapshots:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Schedule recurring call performance sampling
+ * Runs every 10 minutes to record market caps for tokens with open calls (peak tracking)
+ */
+async function scheduleCallTracking() {
+  if (!isInitialized && !initialize()) return null;
+
+  try {
+    // Remove any existing scheduled job first
+    const existingJobs = await queues[QUEUE_NAMES.ANALYTICS].getRepeatableJobs();
+    for (const job of existingJobs) {
+      if (job.name === 'sample-call-mcaps') {
+        await queues[QUEUE_NAMES.ANALYTICS].removeRepeatableByKey(job.key);
+      }
+    }
+
+    const job = await queues[QUEUE_NAMES.ANALYTICS].add(
+      'sample-call-mcaps',
+      {},
+      {
+        repeat: {
+          every: 10 * 60 * 1000 // Every 10 minutes
+        },
+        jobId: 'call-tracking-recurring'
+      }
+    );
+
+    console.log('[JobQueue] Scheduled recurring call tracking (every 10 min)');
+    return job;
+  } catch (err) {
+    console.error('[JobQueue] Failed to schedule call tracking:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Schedule recurring browser push alert dispatch
+ * Runs every 2 minutes to evaluate watchlist alert rules and send Web Push notifications
+ */
+async function schedulePushAlerts() {
+  if (!isInitialized && !initialize()) return null;
+
+  try {
+    // Remove any existing scheduled job first
+    const existingJobs = await queues[QUEUE_NAMES.NOTIFICATIONS].getRepeatableJobs();
+    for (const job of existingJobs) {
+      if (job.name === 'dispatch-push-alerts') {
+        await queues[QUEUE_NAMES.NOTIFICATIONS].removeRepeatableByKey(job.key);
+      }
+    }
+
+    const job = await queues[QUEUE_NAMES.NOTIFICATIONS].add(
+      'dispatch-push-alerts',
+      {},
+      {
+        repeat: {
+          every: 2 * 60 * 1000 // Every 2 minutes
+        },
+        jobId: 'push-alerts-recurring',
+        attempts: 1 // The next run picks up anything missed; retries could double-send
+      }
+    );
+
+    console.log('[JobQueue] Scheduled recurring push alert dispatch (every 2 min)');
+    return job;
+  } catch (err) {
+    console.error('[JobQueue] Failed to schedule push alerts:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Schedule recurring spike detection and price sampling
+ * Runs every 10 minutes to record new spikes and fill +1h / +24h prices for
+ * recent detections (spike backtest)
+ */
+async function scheduleSpikeTracking() {
+  if (!isInitialized && !initialize()) return null;
+
+  try {
+    // Remove any existing scheduled job first
+    const existingJobs = await queues[QUEUE_NAMES.ANALYTICS].getRepeatableJobs();
+    for (const job of existingJobs) {
+      if (job.name === 'sample-spike-prices') {
+        await queues[QUEUE_NAMES.ANALYTICS].removeRepeatableByKey(job.key);
+      }
+    }
+
+    const job = await queues[QUEUE_NAMES.ANALYTICS].add(
+      'sample-spike-prices',
+      {},
+      {
+        repeat: {
+          every: 10 * 60 * 1000 // Every 10 minutes
+        },
+        jobId: 'spike-tracking-recurring'
+      }
+    );
+
+    console.log('[JobQueue] Scheduled recurring spike tracking (every 10 min)');
+    return job;
+  } catch (err) {
+    console.error('[JobQueue] Failed to schedule spike tracking:', err.message);
+    return null;
+  }
+}
+
 /**
  * Trigger a one-off Daily Brief store clear + refresh
  */
@@ -499,8 +717,15 @@ module.exports = {
   addMaintenanceJob,
   addAnalyticsJob,
   addSearchJob,
+  addNotificationJob,
+  enqueueWebhookDelivery,
   scheduleSessionCleanup,
   scheduleDailyBriefRefresh,
+  scheduleCandleSync,
+  scheduleHolderSnapshots,
+  scheduleCallTracking,
+  scheduleSpikeTracking,
+  schedulePushAlerts,
   triggerDailyBriefClear,
   incrementViewCount,
   getBufferedViewCounts,
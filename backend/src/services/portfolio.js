@@ -0,0 +1,413 @@
+/**
+ * Wallet Portfolio — current SPL balances priced via Jupiter, with cost basis and
+ * PnL reconstructed from the wallet's swap history (Helius Enhanced Transactions).
+ *
+ * Cost basis uses the average-cost method. Swap legs in SOL are valued at the
+ * SOL daily close on the day of the trade; USDC/USDT legs at $1. SOL legs exclude
+ * the network fee and rent parked in the wallet's own token accounts. Tokens that
+ * arrived by transfer (or before the scanned history window), and swaps older than
+ * the available SOL price history, have no known cost, so PnL for them is reported
+ * as partial.
+ */
+
+const solanaService = require('./solana');
+const jupiterService = require('./jupiter');
+const candleService = require('./candles');
+const geckoService = require('./geckoTerminal');
+const { cache, TTL } = require('./cache');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const STABLE_MINTS = new Set([
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'  // USDT
+]);
+const LAMPORTS_PER_SOL = 1e9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Swap history scan budget: pages × page size Helius transactions per portfolio build
+const HISTORY_PAGE_SIZE = 100;
+const HISTORY_MAX_PAGES = 3;
+// Jupiter price API accepts up to 50 mints per call
+const PRICE_BATCH_SIZE = 50;
+// Balances worth less than this are grouped as dust
+const DUST_USD = 1;
+// Days of SOL daily closes the chart cache holds; older swaps need a longer fetch
+const CHART_HISTORY_DAYS = 100;
+// GeckoTerminal max candles per request
+const MAX_HISTORY_DAYS = 1000;
+
+function isQuoteMint(mint) {
+  return mint === WSOL_MINT || STABLE_MINTS.has(mint);
+}
+
+/**
+ * Read all non-zero token balances (SPL Token + Token-2022) for a wallet.
+ * @returns {Promise<Map<string, {amount: number, decimals: number}>>}
+ */
+async function getBalances(wallet) {
+  const [legacy, token2022] = await Promise.all([
+    solanaService.getTokenAccountsByOwner(wallet, null, solanaService.TOKEN_PROGRAM_ID),
+    solanaService.getTokenAccountsByOwner(wallet, null, solanaService.TOKEN_2022_PROGRAM_ID).catch(() => null)
+  ]);
+
+  const balances = new Map();
+  const accounts = [...(legacy?.value || []), ...(token2022?.value || [])];
+
+  for (const account of accounts) {
+    const info = account.account?.data?.parsed?.info;
+    const amount = info?.tokenAmount?.uiAmount;
+    if (!info || !amount) continue;
+
+    // A wallet can hold several accounts for the same mint
+    const existing = balances.get(info.mint);
+    if (existing) existing.amount += amount;
+    else balances.set(info.mint, { amount, decimals: info.tokenAmount.decimals });
+  }
+
+  return balances;
+}
+
+async function getPrices(mints) {
+  const prices = {};
+  for (let i = 0; i < mints.length; i += PRICE_BATCH_SIZE) {
+    const batch = await jupiterService.getTokenPrices(mints.slice(i, i + PRICE_BATCH_SIZE));
+    Object.assign(prices, batch);
+  }
+  return prices;
+}
+
+/**
+ * SOL/USD lookup by timestamp, from daily candles reaching back to the oldest swap.
+ * Recent history is shared with the chart cache; longer spans are fetched once an hour.
+ * Days before the fetched history return null (the swap is left unpriced); days
+ * after it (today's candle not formed yet) fall back to the current price.
+ *
+ * @param {number} currentSolPrice
+ * @param {number|null} oldestTimestamp - ms, oldest swap to be priced
+ */
+async function getSolPriceAt(currentSolPrice, oldestTimestamp) {
+  const daysNeeded = oldestTimestamp ? Math.ceil((Date.now() - oldestTimestamp) / DAY_MS) + 1 : 0;
+
+  let candles = [];
+  try {
+    const ohlcv = daysNeeded > CHART_HISTORY_DAYS
+      ? await cache.getOrSet(`portfolio:sol-history:${MAX_HISTORY_DAYS}`, async () => {
+        return geckoService.getOHLCV(WSOL_MINT, { interval: '1d', limit: MAX_HISTORY_DAYS });
+      }, TTL.HOUR)
+      : await cache.getOrSet(`ohlcv:${WSOL_MINT}:1d`, async () => {
+        return candleService.getOHLCV(WSOL_MINT, '1d');
+      }, TTL.OHLCV);
+    candles = ohlcv?.data || [];
+  } catch (err) {
+    console.warn('[Portfolio] SOL history unavailable:', err.message);
+  }
+
+  const byDay = new Map(candles.map(c => [Math.floor(c.timestamp / DAY_MS), c.close]));
+  const first = candles[0];
+
+  return (timestamp) => {
+    const close = byDay.get(Math.floor(timestamp / DAY_MS));
+    if (close) return close;
+    if (!first || timestamp < first.timestamp) return null;
+    return currentSolPrice || null;
+  };
+}
+
+/**
+ * Fetch up to HISTORY_MAX_PAGES pages of swaps, oldest first.
+ * @returns {Promise<{transactions: Array, complete: boolean}>}
+ */
+async function getSwapHistory(wallet) {
+  const transactions = [];
+  let before;
+  let complete = false;
+
+  for (let page = 0; page < HISTORY_MAX_PAGES; page++) {
+    const batch = await solanaService.getTransactionsForAddress(wallet, {
+      limit: HISTORY_PAGE_SIZE,
+      type: 'SWAP',
+      before
+    });
+    if (!batch) break;
+
+    transactions.push(...batch);
+    if (batch.length < HISTORY_PAGE_SIZE) {
+      complete = true;
+      break;
+    }
+    before = batch[batch.length - 1].signature;
+  }
+
+  return { transactions: transactions.reverse(), complete };
+}
+
+// The wallet's token accounts touched by a transaction
+function getOwnedTokenAccounts(tx, wallet) {
+  const owned = new Set();
+  for (const transfer of tx.tokenTransfers || []) {
+    if (transfer.fromUserAccount === wallet && transfer.fromTokenAccount) owned.add(transfer.fromTokenAccount);
+    if (transfer.toUserAccount === wallet && transfer.toTokenAccount) owned.add(transfer.toTokenAccount);
+  }
+  for (const account of tx.accountData || []) {
+    for (const change of account.tokenBalanceChanges || []) {
+      if (change.userAccount === wallet && change.tokenAccount) owned.add(change.tokenAccount);
+    }
+  }
+  return owned;
+}
+
+/**
+ * SOL the wallet spent or received in a swap, from lamport changes across the wallet
+ * and its token accounts. Rent moved into (or back out of) its own accounts and
+ * wrapped SOL net out; the network fee is added back.
+ * @returns {number|null} SOL, or null when the transaction has no account data
+ */
+function getSolDelta(tx, wallet, ownedAccounts) {
+  if (!Array.isArray(tx.accountData) || tx.accountData.length === 0) return null;
+
+  let lamports = 0;
+  for (const account of tx.accountData) {
+    if (account.account === wallet || ownedAccounts.has(account.account)) {
+      lamports += Number(account.nativeBalanceChange) || 0;
+    }
+  }
+  if (tx.feePayer === wallet) lamports += Number(tx.fee) || 0;
+
+  return lamports / LAMPORTS_PER_SOL;
+}
+
+// Net per-mint balance change for the wallet in one swap (SOL legs keyed as WSOL)
+function getSwapDeltas(tx, wallet) {
+  const deltas = new Map();
+  const add = (mint, amount) => deltas.set(mint, (deltas.get(mint) || 0) + amount);
+  const owned = getOwnedTokenAccounts(tx, wallet);
+  const solDelta = getSolDelta(tx, wallet, owned);
+
+  for (const transfer of tx.tokenTransfers || []) {
+    // wSOL moves are already in the lamport changes of the wallet's accounts
+    if (solDelta !== null && transfer.mint === WSOL_MINT) continue;
+    const amount = Number(transfer.tokenAmount) || 0;
+    if (transfer.toUserAccount === wallet) add(transfer.mint, amount);
+    else if (transfer.fromUserAccount === wallet) add(transfer.mint, -amount);
+  }
+
+  if (solDelta !== null) {
+    if (solDelta !== 0) add(WSOL_MINT, solDelta);
+    return deltas;
+  }
+
+  // No account data: native SOL legs, unless the swap already moved wSOL (wrapping
+  // would double count). Transfers to the wallet's own token accounts are rent.
+  if (!deltas.has(WSOL_MINT)) {
+    for (const transfer of tx.nativeTransfers || []) {
+      if (owned.has(transfer.toUserAccount) || owned.has(transfer.fromUserAccount)) continue;
+      const amount = (Number(transfer.amount) || 0) / LAMPORTS_PER_SOL;
+      if (transfer.toUserAccount === wallet) add(WSOL_MINT, amount);
+      else if (transfer.fromUserAccount === wallet) add(WSOL_MINT, -amount);
+    }
+  }
+
+  return deltas;
+}
+
+/**
+ * Replay swaps to build per-token average-cost positions.
+ * Only token ⇄ SOL/stablecoin swaps are priced; token ⇄ token swaps are skipped.
+ */
+function buildPositions(transactions, wallet, solPriceAt) {
+  const positions = new Map();
+  const getPosition = (mint) => {
+    if (!positions.has(mint)) {
+      positions.set(mint, { quantity: 0, costUsd: 0, realizedPnl: 0, bought: 0, sold: 0, untrackedSold: 0, trades: 0, unpricedTrades: 0, firstTradeAt: null, lastTradeAt: null });
+    }
+    return positions.get(mint);
+  };
+
+  for (const tx of transactions) {
+    if (tx.transactionError) continue;
+    const timestamp = (tx.timestamp || 0) * 1000;
+    const deltas = getSwapDeltas(tx, wallet);
+
+    // USD value of the quote side (SOL + stables)
+    let quoteUsd = 0;
+    for (const [mint, amount] of deltas) {
+      if (mint === WSOL_MINT) {
+        const solPrice = solPriceAt(timestamp);
+        if (!solPrice) { quoteUsd = null; break; }
+        quoteUsd += amount * solPrice;
+      } else if (STABLE_MINTS.has(mint)) {
+        quoteUsd += amount;
+      }
+    }
+
+    const tokens = [...deltas].filter(([mint, amount]) => !isQuoteMint(mint) && amount !== 0);
+    if (tokens.length !== 1) continue;
+    // No SOL price for the day — the trade's quantity is untracked and the position partial
+    if (quoteUsd === null) {
+      getPosition(tokens[0][0]).unpricedTrades++;
+      continue;
+    }
+    if (!quoteUsd) continue;
+
+    const [mint, amount] = tokens[0];
+    // Buy: token in, quote out. Sell: token out, quote in.
+    if (Math.sign(amount) === Math.sign(quoteUsd)) continue;
+
+    const pos = getPosition(mint);
+    pos.trades++;
+    pos.firstTradeAt = pos.firstTradeAt || timestamp;
+    pos.lastTradeAt = timestamp;
+
+    if (amount > 0) {
+      pos.quantity += amount;
+      pos.costUsd += -quoteUsd;
+      pos.bought += amount;
+    } else {
+      const sold = -amount;
+      const tracked = Math.min(sold, pos.quantity);
+      const avgCost = pos.quantity > 0 ? pos.costUsd / pos.quantity : 0;
+      // Only the portion with a known cost contributes to realized PnL
+      pos.realizedPnl += (quoteUsd * tracked / sold) - avgCost * tracked;
+      pos.costUsd -= avgCost * tracked;
+      pos.quantity -= tracked;
+      pos.sold += sold;
+      pos.untrackedSold += sold - tracked;
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Build a wallet's portfolio.
+ *
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<{wallet, totalValueUsd, totalCostUsd, unrealizedPnl, realizedPnl, holdings, closedPositions, history}>}
+ */
+async function getPortfolio(wallet) {
+  const [balances, solBalanceLamports, history] = await Promise.all([
+    getBalances(wallet),
+    solanaService.rpcCall('getBalance', [wallet]).then(r => r?.value || 0).catch(() => 0),
+    solanaService.isHeliusConfigured() ? getSwapHistory(wallet) : Promise.resolve({ transactions: [], complete: false })
+  ]);
+
+  // Native SOL is reported alongside wrapped SOL
+  const solBalance = solBalanceLamports / LAMPORTS_PER_SOL;
+  if (solBalance > 0) {
+    const wsol = balances.get(WSOL_MINT);
+    if (wsol) wsol.amount += solBalance;
+    else balances.set(WSOL_MINT, { amount: solBalance, decimals: 9 });
+  }
+
+  const swapMints = new Set();
+  for (const tx of history.transactions) {
+    for (const transfer of tx.tokenTransfers || []) swapMints.add(transfer.mint);
+  }
+
+  const allMints = [...new Set([...balances.keys(), ...swapMints, WSOL_MINT])].filter(Boolean);
+  const [prices, metadata] = await Promise.all([
+    getPrices(allMints),
+    solanaService.getTokenMetadataBatch(allMints)
+  ]);
+
+  const oldestSwap = history.transactions.find(tx => tx.timestamp);
+  const solPriceAt = await getSolPriceAt(prices[WSOL_MINT]?.price, oldestSwap ? oldestSwap.timestamp * 1000 : null);
+  const positions = buildPositions(history.transactions, wallet, solPriceAt);
+
+  const describe = (mint) => {
+    const meta = metadata[mint] || {};
+    return {
+      mint,
+      name: meta.name || null,
+      symbol: meta.symbol || null,
+      logoUri: meta.logoUri || null
+    };
+  };
+
+  const holdings = [];
+  let dustValueUsd = 0;
+
+  for (const [mint, balance] of balances) {
+    const price = prices[mint]?.price || 0;
+    const valueUsd = balance.amount * price;
+    const pos = positions.get(mint);
+
+    if (valueUsd < DUST_USD && !pos) {
+      dustValueUsd += valueUsd;
+      continue;
+    }
+
+    let costUsd = null;
+    let unrealizedPnl = null;
+    let partial = !history.complete;
+
+    if (pos && pos.quantity > 0) {
+      // Balance may exceed tracked quantity (transfers in) — only the tracked part has a cost
+      const covered = Math.min(balance.amount, pos.quantity);
+      costUsd = pos.costUsd * (covered / pos.quantity);
+      unrealizedPnl = covered * price - costUsd;
+      partial = partial || balance.amount > pos.quantity + 1e-9 || pos.untrackedSold > 0 || pos.unpricedTrades > 0;
+    } else if (!isQuoteMint(mint)) {
+      partial = true;
+    }
+
+    holdings.push({
+      ...describe(mint),
+      balance: balance.amount,
+      price,
+      priceChange24h: prices[mint]?.priceChange24h ?? null,
+      valueUsd,
+      costUsd,
+      unrealizedPnl,
+      unrealizedPnlPct: costUsd ? (unrealizedPnl / costUsd) * 100 : null,
+      realizedPnl: pos ? pos.realizedPnl : null,
+      trades: pos ? pos.trades : 0,
+      unpricedTrades: pos ? pos.unpricedTrades : 0,
+      firstTradeAt: pos ? pos.firstTradeAt : null,
+      partial
+    });
+  }
+
+  // Positions fully exited within the scanned history
+  const closedPositions = [];
+  for (const [mint, pos] of positions) {
+    if (balances.has(mint)) continue;
+    closedPositions.push({
+      ...describe(mint),
+      realizedPnl: pos.realizedPnl,
+      bought: pos.bought,
+      sold: pos.sold,
+      trades: pos.trades,
+      lastTradeAt: pos.lastTradeAt,
+      unpricedTrades: pos.unpricedTrades,
+      partial: !history.complete || pos.untrackedSold > 0 || pos.unpricedTrades > 0
+    });
+  }
+
+  holdings.sort((a, b) => b.valueUsd - a.valueUsd);
+  closedPositions.sort((a, b) => b.lastTradeAt - a.lastTradeAt);
+
+  const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+
+  return {
+    wallet,
+    totalValueUsd: sum(holdings, 'valueUsd') + dustValueUsd,
+    totalCostUsd: sum(holdings, 'costUsd'),
+    unrealizedPnl: sum(holdings, 'unrealizedPnl'),
+    realizedPnl: sum(holdings, 'realizedPnl') + sum(closedPositions, 'realizedPnl'),
+    dustValueUsd,
+    holdings,
+    closedPositions,
+    history: {
+      swapsScanned: history.transactions.length,
+      complete: history.complete,
+      available: solanaService.isHeliusConfigured()
+    },
+    updatedAt: Date.now()
+  };
+}
+
+module.exports = {
+  getPortfolio,
+  buildPositions
+};
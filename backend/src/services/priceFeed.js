@@ -0,0 +1,345 @@
+/**
+ * Price Feed — one upstream price fetch per mint, fanned out to every subscriber.
+ *
+ * Each mint with at least one local subscriber gets a single poll timer. Polls go
+ * through the shared price cache (same key as GET /api/tokens/:mint/price), so
+ * streaming clients and regular REST callers share the same upstream budget.
+ *
+ * When Redis is configured, API instances coordinate through a short-lived lock
+ * so only one instance fetches a given mint per tick; the result is published on
+ * a pub/sub channel and every instance relays it to its own subscribers.
+ * Without Redis, the timer fetches and fans out in-process.
+ */
+
+const crypto = require('crypto');
+const { cache, keys } = require('./cache');
+const jupiterService = require('./jupiter');
+const geckoService = require('./geckoTerminal');
+
+// Poll cadence per mint. Upstream calls are further bounded by the price cache
+// freshness window (TTL.PRICE_FRESH), so this mostly controls delivery latency.
+const POLL_INTERVAL_MS = Math.max(1000, parseInt(process.env.PRICE_STREAM_INTERVAL_MS, 10) || 15000);
+// Cross-instance fetch lock: held for most of a tick, but always expires before the next one
+const POLL_LOCK_MS = Math.max(POLL_INTERVAL_MS - 1000, Math.floor(POLL_INTERVAL_MS / 2));
+const HEARTBEAT_INTERVAL_MS = 25000;
+const CLIENT_RETRY_MS = 5000;
+
+// Connection limits — SSE connections are long-lived, so cap them explicitly
+const MAX_MINTS_PER_STREAM = 25;
+const MAX_STREAMS_PER_IP = 5;
+const MAX_STREAMS = parseInt(process.env.PRICE_STREAM_MAX_CONNECTIONS, 10) || 2000;
+
+// Trusted internal consumers (the Telegram bot's alert poller) present this key in
+// X-Stream-Key: they skip the per-IP cap and may put more mints on one stream
+const SERVICE_KEY = process.env.PRICE_STREAM_SERVICE_KEY || '';
+// Mints travel in the query string: 250 × (44 chars + an encoded comma) is ~12 KB,
+// under Node's 16 KB limit on the request line plus headers
+const MAX_MINTS_PER_SERVICE_STREAM = 250;
+
+const CHANNEL_PREFIX = 'opendex:price-feed:';
+const LOCK_PREFIX = 'opendex:price-feed-lock:';
+
+const instanceId = crypto.randomBytes(8).toString('hex');
+
+// mint -> { listeners: Set<Function>, timer, last }
+const feeds = new Map();
+// Open SSE responses -> cleanup function
+const streams = new Map();
+const streamsByIp = new Map();
+
+let subscriber = null;
+let isShuttingDown = false;
+
+/**
+ * Fetch price data for a mint through the shared price cache.
+ * GeckoTerminal first (3s budget), Jupiter as fallback.
+ *
+ * @param {string} mint - Token mint address
+ * @param {boolean} requireFresh - Require data newer than TTL.PRICE_FRESH
+ * @returns {Promise<Object|null>}
+ */
+async function getPrice(mint, requireFresh = false) {
+  return cache.getOrSetWithFreshness(keys.tokenPrice(mint), async () => {
+    let data = null;
+    try {
+      data = await Promise.race([
+        geckoService.getTokenOverview(mint),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('Price timeout')), 3000))
+      ]);
+    } catch (err) {
+      if (err.isOverloaded || err.isCircuitBreakerError) throw err;
+      // GeckoTerminal failed or timed out — fall through to Jupiter
+    }
+
+    if (!data) {
+      data = await jupiterService.getTokenPrice(mint);
+    }
+
+    return data;
+  }, requireFresh);
+}
+
+// Reduce full price data to the fields streamed to clients
+function toTick(mint, data) {
+  return {
+    mint,
+    price: data.price || 0,
+    priceChange24h: data.priceChange24h || 0,
+    marketCap: data.marketCap || data.fdv || 0,
+    fdv: data.fdv || 0,
+    volume24h: data.volume24h || 0,
+    liquidity: data.liquidity || 0,
+    updatedAt: Date.now()
+  };
+}
+
+// Deliver a tick to local listeners. Unchanged prices are still delivered so
+// clients can tell a quiet market from a dead connection.
+function deliver(mint, tick) {
+  const feed = feeds.get(mint);
+  if (!feed) return;
+
+  feed.last = tick;
+
+  for (const listener of feed.listeners) {
+    try {
+      listener(tick);
+    } catch (err) {
+      console.error('[PriceFeed] Listener error:', err.message);
+    }
+  }
+}
+
+// Lazily create the dedicated Redis subscriber connection (pub/sub mode blocks other commands)
+function getSubscriber() {
+  if (subscriber) return subscriber;
+
+  const client = cache.getRedisClient();
+  if (!client) return null;
+
+  subscriber = client.duplicate();
+  subscriber.on('message', (channel, message) => {
+    if (!channel.startsWith(CHANNEL_PREFIX)) return;
+    try {
+      const tick = JSON.parse(message);
+      deliver(channel.slice(CHANNEL_PREFIX.length), tick);
+    } catch (err) {
+      console.error('[PriceFeed] Bad pub/sub message:', err.message);
+    }
+  });
+  subscriber.on('error', (err) => {
+    console.error('[PriceFeed] Subscriber error:', err.message);
+  });
+
+  return subscriber;
+}
+
+async function poll(mint) {
+  const client = cache.getRedisClient();
+
+  try {
+    if (client) {
+      // Only one instance fetches per tick — the others receive the published result
+      const acquired = await client.set(LOCK_PREFIX + mint, instanceId, 'PX', POLL_LOCK_MS, 'NX');
+      if (!acquired) return;
+
+      const data = await getPrice(mint, true);
+      if (data) {
+        await client.publish(CHANNEL_PREFIX + mint, JSON.stringify(toTick(mint, data)));
+      }
+      return;
+    }
+
+    const data = await getPrice(mint, true);
+    if (data) deliver(mint, toTick(mint, data));
+  } catch (err) {
+    // Keep the timer running — the next tick retries
+    if (!err.isOverloaded && !err.isCircuitBreakerError) {
+      console.error(`[PriceFeed] Poll failed for ${mint}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Subscribe to price ticks for a mint.
+ * The first subscriber starts the mint's poll timer; the last one stops it.
+ *
+ * @param {string} mint - Token mint address
+ * @param {Function} listener - Called with each tick
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(mint, listener) {
+  let feed = feeds.get(mint);
+
+  if (!feed) {
+    feed = { listeners: new Set(), timer: null, last: null };
+    feeds.set(mint, feed);
+
+    const sub = getSubscriber();
+    if (sub) {
+      sub.subscribe(CHANNEL_PREFIX + mint).catch(err =>
+        console.error('[PriceFeed] Subscribe failed:', err.message)
+      );
+    }
+
+    feed.timer = setInterval(() => poll(mint), POLL_INTERVAL_MS);
+    poll(mint);
+  }
+
+  feed.listeners.add(listener);
+
+  return () => {
+    const current = feeds.get(mint);
+    if (!current) return;
+
+    current.listeners.delete(listener);
+    if (current.listeners.size > 0) return;
+
+    clearInterval(current.timer);
+    feeds.delete(mint);
+
+    if (subscriber) {
+      subscriber.unsubscribe(CHANNEL_PREFIX + mint).catch(() => {});
+    }
+  };
+}
+
+// True when the request carries the configured service key
+function isServiceClient(req) {
+  const key = req.get('X-Stream-Key');
+  if (!SERVICE_KEY || !key) return false;
+  const a = Buffer.from(key);
+  const b = Buffer.from(SERVICE_KEY);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Max mints a client may put on one stream
+function maxMintsPerStream(req) {
+  return isServiceClient(req) ? MAX_MINTS_PER_SERVICE_STREAM : MAX_MINTS_PER_STREAM;
+}
+
+/**
+ * Check whether a new stream can be opened for this client.
+ * @param {Object} req - Express request
+ * @returns {string|null} Error message, or null if allowed
+ */
+function checkStreamLimits(req) {
+  if (isShuttingDown) return 'Server is shutting down';
+  if (streams.size >= MAX_STREAMS) return 'Too many open price streams';
+  if (!isServiceClient(req) && (streamsByIp.get(req.ip) || 0) >= MAX_STREAMS_PER_IP) {
+    return 'Too many open price streams from this address';
+  }
+  return null;
+}
+
+/**
+ * Turn an Express response into an SSE price stream for the given mints.
+ * Sends a cached snapshot immediately, then a `price` event on every poll.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string[]} mints - Validated, de-duplicated mint addresses
+ */
+function openStream(req, res, mints) {
+  const ip = req.ip;
+
+  // Long-lived connection — opt out of the socket timeout
+  req.setTimeout(0);
+  res.setTimeout(0);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx / Render)
+  });
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  const send = (tick) => {
+    res.write(`event: price\ndata: ${JSON.stringify(tick)}\n\n`);
+  };
+
+  const unsubscribers = mints.map(mint => subscribe(mint, send));
+
+  // Initial snapshot from cache (or last delivered tick) so clients render immediately
+  for (const mint of mints) {
+    const feed = feeds.get(mint);
+    if (feed && feed.last) {
+      send(feed.last);
+      continue;
+    }
+    getPrice(mint)
+      .then(data => { if (data && !res.writableEnded) send(toTick(mint, data)); })
+      .catch(() => {});
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsub => unsub());
+    streams.delete(res);
+
+    const count = (streamsByIp.get(ip) || 1) - 1;
+    if (count > 0) streamsByIp.set(ip, count);
+    else streamsByIp.delete(ip);
+  };
+
+  streams.set(res, cleanup);
+  streamsByIp.set(ip, (streamsByIp.get(ip) || 0) + 1);
+
+  req.on('close', cleanup);
+  res.on('error', cleanup);
+}
+
+function getStats() {
+  return {
+    backend: cache.getRedisClient() ? 'redis' : 'memory',
+    mints: feeds.size,
+    streams: streams.size,
+    pollIntervalMs: POLL_INTERVAL_MS
+  };
+}
+
+/**
+ * Close all open streams and stop polling.
+ * Must run before the HTTP server drains, otherwise SSE connections hold it open.
+ */
+async function shutdown() {
+  isShuttingDown = true;
+
+  for (const [res, cleanup] of streams) {
+    cleanup();
+    res.end();
+  }
+
+  for (const feed of feeds.values()) {
+    clearInterval(feed.timer);
+  }
+  feeds.clear();
+
+  if (subscriber) {
+    try {
+      await subscriber.quit();
+    } catch (err) {
+      console.error('[PriceFeed] Subscriber disconnect error:', err.message);
+    }
+    subscriber = null;
+  }
+}
+
+module.exports = {
+  getPrice,
+  subscribe,
+  openStream,
+  checkStreamLimits,
+  maxMintsPerStream,
+  getStats,
+  shutdown,
+  MAX_MINTS_PER_STREAM
+};
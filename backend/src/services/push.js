@@ -0,0 +1,299 @@
+/**
+ * Browser push notifications (Web Push / VAPID) for watchlist alert rules.
+ *
+ * Browsers subscribe per wallet (push_subscriptions); rules (push_alert_rules) sit on
+ * watchlisted tokens. The worker's 'dispatch-push-alerts' job samples prices, runs
+ * evaluateRule over every active rule and delivers whatever fired with sendToWallets.
+ *
+ * Rule types:
+ *   price_above  price crosses up through threshold (USD)
+ *   price_below  price crosses down through threshold (USD)
+ *   pct_move     price moves threshold% either way from the reference price,
+ *                which then resets to the price that fired
+ *   banner       a new community banner is approved
+ *
+ * Generate keys once with `npx web-push generate-vapid-keys` and set
+ * VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (and VAPID_SUBJECT, a mailto: or https: contact).
+ */
+
+const webpush = require('web-push');
+const db = require('./database');
+const { deliveryAgents } = require('./webhooks');
+
+const RULE_TYPES = ['price_above', 'price_below', 'pct_move', 'banner'];
+const PRICE_RULE_TYPES = ['price_above', 'price_below', 'pct_move'];
+
+// Price rules stay quiet this long after firing, so a price hovering at a threshold doesn't spam
+const PRICE_ALERT_COOLDOWN_MS = 30 * 60 * 1000;
+const MIN_PCT_MOVE = 1;
+const MAX_PCT_MOVE = 1000;
+
+// Push services keep undelivered messages this long (seconds) — stale price alerts aren't useful
+const PUSH_TTL_SECONDS = 60 * 60;
+const SEND_CONCURRENCY = 20;
+const MAX_ENDPOINT_LENGTH = 1000;
+
+// Browser push services subscriptions may point at (exact host or any subdomain):
+// Chrome/Edge-Chromium/Opera/Samsung (FCM), Firefox (autopush), Safari (APNs), legacy Edge (WNS)
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'push.services.mozilla.com',
+  'push.apple.com',
+  'notify.windows.com'
+];
+
+function isPushServiceHost(hostname) {
+  const host = hostname.toLowerCase();
+  return PUSH_SERVICE_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || null;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@open-dex.com';
+
+let configured = false;
+if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
+  try {
+    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+    configured = true;
+  } catch (err) {
+    console.error('[Push] Invalid VAPID configuration, push notifications disabled:', err.message);
+  }
+}
+
+function isConfigured() {
+  return configured;
+}
+
+function getPublicKey() {
+  return configured ? VAPID_PUBLIC_KEY : null;
+}
+
+// ==========================================
+// Validation
+// ==========================================
+
+/**
+ * Validate a PushSubscription (as serialized by the browser's toJSON()).
+ * @returns {{valid: boolean, error?: string, subscription?: {endpoint, p256dh, auth}}}
+ */
+function validateSubscription(subscription) {
+  if (!subscription || typeof subscription !== 'object') {
+    return { valid: false, error: 'subscription is required' };
+  }
+
+  const { endpoint, keys } = subscription;
+  if (typeof endpoint !== 'string' || endpoint.length > MAX_ENDPOINT_LENGTH) {
+    return { valid: false, error: 'Invalid subscription endpoint' };
+  }
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return { valid: false, error: 'Invalid subscription endpoint' };
+  }
+  if (url.protocol !== 'https:') {
+    return { valid: false, error: 'Subscription endpoint must use https' };
+  }
+  if (url.username || url.password || url.port || !isPushServiceHost(url.hostname)) {
+    return { valid: false, error: 'Unsupported push service' };
+  }
+
+  const base64url = /^[A-Za-z0-9_-]+={0,2}$/;
+  if (typeof keys?.p256dh !== 'string' || keys.p256dh.length > 200 || !base64url.test(keys.p256dh) ||
+      typeof keys?.auth !== 'string' || keys.auth.length > 100 || !base64url.test(keys.auth)) {
+    return { valid: false, error: 'Invalid subscription keys' };
+  }
+
+  return { valid: true, subscription: { endpoint, p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+/**
+ * Validate a rule's type and threshold.
+ * @returns {{valid: boolean, error?: string, threshold?: number|null}}
+ */
+function validateRule(type, threshold) {
+  if (!RULE_TYPES.includes(type)) {
+    return { valid: false, error: `type must be one of: ${RULE_TYPES.join(', ')}` };
+  }
+  if (type === 'banner') {
+    return { valid: true, threshold: null };
+  }
+
+  const value = Number(threshold);
+  if (threshold === null || threshold === '' || !Number.isFinite(value) || value <= 0) {
+    return { valid: false, error: 'threshold must be a positive number' };
+  }
+  if (type === 'pct_move' && (value < MIN_PCT_MOVE || value > MAX_PCT_MOVE)) {
+    return { valid: false, error: `threshold must be between ${MIN_PCT_MOVE}% and ${MAX_PCT_MOVE}%` };
+  }
+  if (value > 1e9) {
+    return { valid: false, error: 'threshold is too large' };
+  }
+
+  return { valid: true, threshold: value };
+}
+
+// ==========================================
+// Evaluation
+// ==========================================
+
+function formatUsd(value) {
+  if (value >= 1) return `$${value.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+  if (value >= 0.0001) return `$${value.toPrecision(4)}`;
+  return `$${value.toExponential(2)}`;
+}
+
+function tokenLabel(rule) {
+  return rule.symbol || rule.name || `${rule.token_mint.slice(0, 4)}...${rule.token_mint.slice(-4)}`;
+}
+
+/**
+ * Evaluate one rule against the latest data. Pure: the caller persists the new state.
+ *
+ * A rule with no baseline yet only records one. Price rules in their cooldown are left
+ * untouched, so a cross that is still true when the cooldown ends fires then.
+ *
+ * @param {Object} rule - Row from db.getActivePushAlertRules
+ * @param {{price?: number, bannerId?: number}} data - Latest price / approved banner id for the token
+ * @param {number} [now]
+ * @returns {{state: number, notification: Object|null}|null} null when nothing changed
+ */
+function evaluateRule(rule, data, now = Date.now()) {
+  const state = rule.state != null ? Number(rule.state) : null;
+  const threshold = rule.threshold != null ? Number(rule.threshold) : null;
+  const label = tokenLabel(rule);
+  const notify = (title, body) => ({
+    title,
+    body,
+    url: `/token.html?mint=${encodeURIComponent(rule.token_mint)}`,
+    tag: `rule-${rule.id}`,
+    icon: rule.logo_uri || '/icons/icon-192.png'
+  });
+
+  if (rule.rule_type === 'banner') {
+    const bannerId = data.bannerId;
+    if (bannerId == null) return null;
+    if (state == null) return { state: bannerId, notification: null };
+    if (bannerId <= state) return null;
+    return {
+      state: bannerId,
+      notification: notify(`${label}: new banner`, `A new community banner was approved for ${label}`)
+    };
+  }
+
+  const price = data.price;
+  if (!(price > 0)) return null;
+  if (state == null) return { state: price, notification: null };
+
+  const lastTriggered = rule.last_triggered_at ? new Date(rule.last_triggered_at).getTime() : 0;
+  if (now - lastTriggered < PRICE_ALERT_COOLDOWN_MS) return null;
+
+  if (rule.rule_type === 'price_above') {
+    const crossed = state < threshold && price >= threshold;
+    return {
+      state: price,
+      notification: crossed ? notify(`${label} above ${formatUsd(threshold)}`, `${label} is now ${formatUsd(price)}`) : null
+    };
+  }
+
+  if (rule.rule_type === 'price_below') {
+    const crossed = state > threshold && price <= threshold;
+    return {
+      state: price,
+      notification: crossed ? notify(`${label} below ${formatUsd(threshold)}`, `${label} is now ${formatUsd(price)}`) : null
+    };
+  }
+
+  if (rule.rule_type === 'pct_move') {
+    const changePct = ((price - state) / state) * 100;
+    if (Math.abs(changePct) < threshold) return null;
+    const direction = changePct > 0 ? 'up' : 'down';
+    return {
+      state: price,
+      notification: notify(
+        `${label} ${direction} ${Math.abs(changePct).toFixed(1)}%`,
+        `${label} moved from ${formatUsd(state)} to ${formatUsd(price)}`
+      )
+    };
+  }
+
+  return null;
+}
+
+// ==========================================
+// Delivery
+// ==========================================
+
+/**
+ * Send notifications to every browser subscribed for each wallet.
+ * Subscriptions the push service reports as gone (404 / 410) are deleted.
+ *
+ * @param {Map<string, Array<Object>>} notificationsByWallet - wallet -> notification payloads
+ * @returns {Promise<{sent: number, failed: number, removed: number}>}
+ */
+async function sendToWallets(notificationsByWallet) {
+  const stats = { sent: 0, failed: 0, removed: 0 };
+  if (!configured || notificationsByWallet.size === 0) return stats;
+
+  const subscriptions = await db.getPushSubscriptionsForWallets([...notificationsByWallet.keys()]);
+  const sends = [];
+  for (const sub of subscriptions) {
+    for (const payload of notificationsByWallet.get(sub.wallet_address) || []) {
+      sends.push({ sub, payload });
+    }
+  }
+
+  const delivered = new Set();
+  const gone = new Set();
+
+  for (let i = 0; i < sends.length; i += SEND_CONCURRENCY) {
+    const chunk = sends.slice(i, i + SEND_CONCURRENCY).filter(({ sub }) => !gone.has(sub.id));
+    const results = await Promise.allSettled(chunk.map(({ sub, payload }) =>
+      webpush.sendNotification(
+        { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+        JSON.stringify(payload),
+        // Same private-address-refusing agent as webhook delivery, in case a stored
+        // endpoint predates the host allowlist
+        { TTL: PUSH_TTL_SECONDS, urgency: 'high', topic: payload.tag, agent: deliveryAgents.https }
+      )
+    ));
+
+    results.forEach((result, idx) => {
+      const { sub } = chunk[idx];
+      if (result.status === 'fulfilled') {
+        stats.sent++;
+        delivered.add(sub.id);
+        return;
+      }
+      stats.failed++;
+      const status = result.reason?.statusCode;
+      if (status === 404 || status === 410) {
+        gone.add(sub.id);
+      } else {
+        console.warn(`[Push] Delivery to subscription ${sub.id} failed:`, status || result.reason?.message);
+      }
+    });
+  }
+
+  if (gone.size > 0) {
+    stats.removed = await db.deletePushSubscriptionsById([...gone]);
+  }
+  await db.markPushSubscriptionsDelivered([...delivered].filter(id => !gone.has(id)));
+
+  return stats;
+}
+
+module.exports = {
+  RULE_TYPES,
+  PRICE_RULE_TYPES,
+  PRICE_ALERT_COOLDOWN_MS,
+  isConfigured,
+  getPublicKey,
+  validateSubscription,
+  validateRule,
+  evaluateRule,
+  sendToWallets
+};
@@ -126,7 +126,10 @@ async function getPoolsByToken(mintAddress) {
       fee24h: pool.day?.volumeFee || 0,
       apr24h: pool.day?.apr || 0,
       apr7d: pool.week?.apr || 0,
-      apr30d: pool.month?.apr || 0
+      apr30d: pool.month?.apr || 0,
+      // Standard/CPMM pools only — concentrated pools have no LP mint
+      lpMint: pool.lpMint?.address || null,
+      burnPercent: pool.burnPercent ?? null
     }));
 
     // Cache the result
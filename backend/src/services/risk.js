@@ -0,0 +1,346 @@
+/**
+ * Token Risk Report — combines on-chain and market checks into one scored report.
+ *
+ * Each check resolves to pass / warn / fail / unknown with a short explanation.
+ * The score (0-100, higher = riskier) is the weighted share of failed checks;
+ * warnings count half and unknown checks are left out of the denominator, so a
+ * token is never marked safe just because a data source was unavailable.
+ */
+
+const solanaService = require('./solana');
+const raydiumService = require('./raydium');
+const geckoService = require('./geckoTerminal');
+const { cache, TTL, keys } = require('./cache');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const HONEYPOT_PROBE_LAMPORTS = 100000000; // 0.1 SOL round trip
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const CHECK_WEIGHTS = {
+  mintAuthority: 25,
+  freezeAuthority: 20,
+  honeypot: 20,
+  liquidityLock: 20,
+  concentration: 15,
+  devHoldings: 10,
+  tokenAge: 10
+};
+
+const LEVELS = [
+  { max: 25, level: 'low' },
+  { max: 50, level: 'medium' },
+  { max: Infinity, level: 'high' }
+];
+
+// Less than this share of total weight known → not enough data to rate the token
+const MIN_KNOWN_WEIGHT = 0.4;
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function check(id, label, status, summary, value = null) {
+  return { id, label, status, summary, value, weight: CHECK_WEIGHTS[id] };
+}
+
+// ==========================================
+// Individual checks
+// ==========================================
+
+function checkMintAuthority(mintInfo) {
+  if (!mintInfo) return check('mintAuthority', 'Mint authority', 'unknown', 'Mint account could not be read.');
+  if (mintInfo.mintAuthority) {
+    return check('mintAuthority', 'Mint authority', 'fail',
+      'Mint authority is active — the holder can create new tokens and dilute supply at any time.',
+      mintInfo.mintAuthority);
+  }
+  return check('mintAuthority', 'Mint authority', 'pass', 'Mint authority is revoked — supply is fixed.');
+}
+
+function checkFreezeAuthority(mintInfo) {
+  if (!mintInfo) return check('freezeAuthority', 'Freeze authority', 'unknown', 'Mint account could not be read.');
+  if (mintInfo.freezeAuthority) {
+    return check('freezeAuthority', 'Freeze authority', 'fail',
+      'Freeze authority is active — holder accounts can be frozen, which blocks selling.',
+      mintInfo.freezeAuthority);
+  }
+  return check('freezeAuthority', 'Freeze authority', 'pass', 'Freeze authority is revoked — accounts cannot be frozen.');
+}
+
+function checkConcentration(top10Pct) {
+  if (top10Pct == null) {
+    return check('concentration', 'Top 10 holders', 'unknown', 'Largest holder accounts could not be fetched.');
+  }
+  const value = round(top10Pct);
+  const status = top10Pct > 50 ? 'fail' : top10Pct > 30 ? 'warn' : 'pass';
+  const summary = status === 'pass'
+    ? `Top 10 wallets hold ${value}% of supply (excluding LP and burn addresses).`
+    : `Top 10 wallets hold ${value}% of supply — a few sellers can move the price sharply.`;
+  return check('concentration', 'Top 10 holders', status, summary, value);
+}
+
+function checkLiquidityLock(lp) {
+  if (!lp) {
+    return check('liquidityLock', 'LP burned / locked', 'unknown', 'No pool with an LP token was found for this token.');
+  }
+  if (lp.bondingCurve) {
+    return check('liquidityLock', 'LP burned / locked', 'pass',
+      'Liquidity sits in the pump.fun bonding curve and cannot be withdrawn by the creator.');
+  }
+  const secured = Math.min(100, (lp.burnedPct || 0) + (lp.lockedPct || 0));
+  const status = secured >= 90 ? 'pass' : secured >= 50 ? 'warn' : 'fail';
+  const parts = [`${round(lp.burnedPct || 0)}% burned`];
+  if (lp.lockedPct > 0) parts.push(`${round(lp.lockedPct)}% locked`);
+  const summary = status === 'pass'
+    ? `Main pool LP is ${parts.join(', ')} — liquidity cannot be pulled.`
+    : `Main pool LP is only ${parts.join(', ')} — the remaining liquidity can be withdrawn.`;
+  return check('liquidityLock', 'LP burned / locked', status, summary, round(secured));
+}
+
+function checkDevHoldings(dev) {
+  if (!dev) {
+    return check('devHoldings', 'Dev wallet', 'unknown', 'Creator wallet could not be identified from token metadata.');
+  }
+  if (dev.pct == null) {
+    return check('devHoldings', 'Dev wallet', 'unknown', 'Creator wallet balance could not be fetched.', null);
+  }
+  const value = round(dev.pct);
+  const status = dev.pct > 15 ? 'fail' : dev.pct > 5 ? 'warn' : 'pass';
+  const summary = status === 'pass'
+    ? `Creator wallet holds ${value}% of supply.`
+    : `Creator wallet still holds ${value}% of supply and could dump on buyers.`;
+  return { ...check('devHoldings', 'Dev wallet', status, summary, value), wallet: dev.wallet };
+}
+
+function checkHoneypot(roundTrip) {
+  if (!roundTrip) {
+    return check('honeypot', 'Sell simulation', 'unknown', 'No Raydium route to quote a buy for this token.');
+  }
+  if (!roundTrip.sellable) {
+    return check('honeypot', 'Sell simulation', 'fail',
+      'A buy can be quoted but selling it back cannot — possible honeypot.');
+  }
+  const value = round(roundTrip.lossPct, 1);
+  const status = roundTrip.lossPct >= 30 ? 'fail' : roundTrip.lossPct >= 10 ? 'warn' : 'pass';
+  const summary = status === 'pass'
+    ? `Buying and selling 0.1 SOL loses ${value}% to fees and price impact.`
+    : `Buying and selling 0.1 SOL loses ${value}% — high tax, fee or very thin liquidity.`;
+  return check('honeypot', 'Sell simulation', status, summary, value);
+}
+
+function checkTokenAge(createdAt) {
+  if (!createdAt) {
+    return check('tokenAge', 'Token age', 'unknown', 'Pool creation date is not available.');
+  }
+  const ageMs = Date.now() - createdAt;
+  const status = ageMs < DAY_MS ? 'fail' : ageMs < 7 * DAY_MS ? 'warn' : 'pass';
+  const days = Math.floor(ageMs / DAY_MS);
+  const age = days >= 1 ? `${days} day${days === 1 ? '' : 's'}` : `${Math.max(1, Math.floor(ageMs / HOUR_MS))}h`;
+  const summary = status === 'pass'
+    ? `First pool was created ${age} ago.`
+    : `First pool was created only ${age} ago — most rugs happen in a token's first days.`;
+  return check('tokenAge', 'Token age', status, summary, createdAt);
+}
+
+// ==========================================
+// Data gathering
+// ==========================================
+
+/**
+ * Share of supply held by the 10 largest wallets, excluding LP pools and burn addresses.
+ * Reuses the holders endpoint's cached analytics when present.
+ */
+async function getTop10Pct(mint, decimals, supply) {
+  const cached = await cache.get(`holder-analytics:${mint}`);
+  if (cached?.metrics?.top10Pct != null) return cached.metrics.top10Pct;
+  if (!supply) return null;
+
+  let accounts = await solanaService.getTokenLargestAccounts(mint);
+  if (!accounts) accounts = await solanaService.getTokenLargestAccountsDAS(mint, decimals);
+  if (!accounts || accounts.length === 0) return null;
+  accounts = accounts.slice(0, 20);
+
+  // Standard RPC returns token accounts — resolve them to owner wallets
+  const unresolved = accounts.filter(a => !a.wallet);
+  if (unresolved.length > 0) {
+    const tokenAccounts = await solanaService.getMultipleAccounts(unresolved.map(a => a.address));
+    (tokenAccounts?.value || []).forEach((acct, i) => {
+      unresolved[i].wallet = acct?.data?.parsed?.info?.owner || null;
+    });
+  }
+
+  // A wallet owned by an AMM program is a pool, not a holder
+  const wallets = [...new Set(accounts.map(a => a.wallet).filter(Boolean))];
+  const lpWallets = new Set();
+  if (wallets.length > 0) {
+    const walletAccounts = await solanaService.getMultipleAccounts(wallets);
+    (walletAccounts?.value || []).forEach((acct, i) => {
+      if (acct && solanaService.LP_PROGRAMS.has(acct.owner)) lpWallets.add(wallets[i]);
+    });
+  }
+
+  const held = accounts
+    .filter(a => a.wallet && !solanaService.BURN_WALLETS.has(a.wallet) && !lpWallets.has(a.wallet))
+    .slice(0, 10)
+    .reduce((sum, a) => sum + a.uiAmount, 0);
+  return (held / supply) * 100;
+}
+
+/**
+ * Burned and Streamflow-locked share of the main Raydium pool's LP supply.
+ * Falls back to the pump.fun bonding curve when the token has not migrated yet.
+ */
+async function getLiquidityLock(mint, pools) {
+  const raydiumPools = await raydiumService.getPoolsByToken(mint);
+  const mainPool = raydiumPools
+    .filter(p => p.lpMint)
+    .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))[0];
+
+  if (!mainPool) {
+    const mainGeckoPool = [...pools].sort((a, b) => (b.liquidity || 0) - (a.liquidity || 0))[0];
+    return mainGeckoPool?.dex === 'pump-fun' ? { bondingCurve: true } : null;
+  }
+
+  let lockedPct = 0;
+  const lpSupply = await solanaService.getTokenSupply(mainPool.lpMint).catch(() => null);
+  const lpTotal = parseFloat(lpSupply?.value?.uiAmountString || 0);
+  if (lpTotal > 0) {
+    const locked = await solanaService.getStreamflowLockedAmount(mainPool.lpMint, lpSupply.value.decimals);
+    lockedPct = (locked / lpTotal) * 100;
+  }
+
+  return { pool: mainPool.id, lpMint: mainPool.lpMint, burnedPct: mainPool.burnPercent || 0, lockedPct };
+}
+
+/**
+ * Creator wallet (first verified creator, else a non-launchpad update authority)
+ * and its share of supply.
+ */
+async function getDevHoldings(mint, supply) {
+  const tokenAuth = await solanaService.getTokenAuthorities(mint);
+  if (!tokenAuth) return null;
+
+  const creator = tokenAuth.creators.find(c => c.verified) || tokenAuth.creators[0];
+  const authority = tokenAuth.authorities.find(a => !solanaService.PUMP_FUN_AUTHORITIES.has(a.address));
+  const wallet = creator?.address || authority?.address;
+  if (!wallet || solanaService.PUMP_FUN_AUTHORITIES.has(wallet)) return null;
+
+  if (!supply) return { wallet, pct: null };
+  const result = await solanaService.getTokenAccountsByOwner(wallet, mint).catch(() => null);
+  if (!result) return { wallet, pct: null };
+
+  const balance = (result.value || []).reduce((sum, acct) =>
+    sum + (acct.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0), 0);
+  return { wallet, pct: (balance / supply) * 100 };
+}
+
+/**
+ * Quote SOL → token → SOL on Raydium. A token that can be bought but not sold
+ * back, or that loses most of the round trip, is likely a honeypot or taxed.
+ */
+async function getRoundTrip(mint) {
+  const buy = await raydiumService.getSwapQuote(WSOL_MINT, mint, HONEYPOT_PROBE_LAMPORTS);
+  if (!buy || !buy.outputAmount || Number(buy.outputAmount) === 0) return null;
+
+  const sell = await raydiumService.getSwapQuote(mint, WSOL_MINT, buy.outputAmount);
+  if (!sell || !sell.outputAmount || Number(sell.outputAmount) === 0) {
+    return { sellable: false };
+  }
+
+  const lossPct = Math.max(0, (1 - Number(sell.outputAmount) / HONEYPOT_PROBE_LAMPORTS) * 100);
+  return { sellable: true, lossPct };
+}
+
+function earliestPoolDate(pools) {
+  const dates = pools
+    .map(p => Date.parse(p.createdAt))
+    .filter(t => Number.isFinite(t));
+  return dates.length > 0 ? Math.min(...dates) : null;
+}
+
+// ==========================================
+// Report
+// ==========================================
+
+function scoreChecks(checks) {
+  const totalWeight = checks.reduce((sum, c) => sum + c.weight, 0);
+  const known = checks.filter(c => c.status !== 'unknown');
+  const knownWeight = known.reduce((sum, c) => sum + c.weight, 0);
+
+  if (knownWeight < totalWeight * MIN_KNOWN_WEIGHT) {
+    return { score: null, level: 'unknown' };
+  }
+
+  const penalty = known.reduce((sum, c) =>
+    sum + (c.status === 'fail' ? c.weight : c.status === 'warn' ? c.weight / 2 : 0), 0);
+  const score = Math.round((penalty / knownWeight) * 100);
+  return { score, level: LEVELS.find(l => score < l.max).level };
+}
+
+/**
+ * Build the full risk report for a token.
+ * Every data source is optional — a failed fetch marks its check as unknown.
+ *
+ * @param {string} mint - Token mint address
+ * @returns {Promise<Object>} { mint, score, level, checks[], counts, generatedAt }
+ */
+async function getRiskReport(mint) {
+  const [mintAccount, pools] = await Promise.all([
+    solanaService.getAccountInfo(mint).catch(() => null),
+    cache.getOrSet(keys.pools(mint), () => geckoService.getTokenPools(mint, { limit: 10 }), TTL.POOLS)
+      .catch(() => [])
+  ]);
+
+  const mintInfo = mintAccount?.value?.data?.parsed?.info || null;
+  const decimals = mintInfo?.decimals || 0;
+  const supply = mintInfo ? parseFloat(mintInfo.supply) / Math.pow(10, decimals) : null;
+
+  const [top10Pct, lp, dev, roundTrip] = await Promise.all([
+    getTop10Pct(mint, decimals, supply).catch(() => null),
+    getLiquidityLock(mint, pools || []).catch(() => null),
+    getDevHoldings(mint, supply).catch(() => null),
+    getRoundTrip(mint).catch(() => null)
+  ]);
+
+  const checks = [
+    checkMintAuthority(mintInfo),
+    checkFreezeAuthority(mintInfo),
+    checkHoneypot(roundTrip),
+    checkLiquidityLock(lp),
+    checkConcentration(top10Pct),
+    checkDevHoldings(dev),
+    checkTokenAge(earliestPoolDate(pools || []))
+  ];
+
+  const counts = { pass: 0, warn: 0, fail: 0, unknown: 0 };
+  for (const c of checks) counts[c.status]++;
+
+  return {
+    mint,
+    ...scoreChecks(checks),
+    checks,
+    counts,
+    generatedAt: Date.now()
+  };
+}
+
+/**
+ * Compact form used for list badges.
+ */
+function summarize(report) {
+  if (!report) return null;
+  return {
+    score: report.score,
+    level: report.level,
+    fails: report.checks.filter(c => c.status === 'fail').map(c => c.label)
+  };
+}
+
+module.exports = {
+  getRiskReport,
+  summarize,
+  scoreChecks,
+  CHECK_WEIGHTS
+};
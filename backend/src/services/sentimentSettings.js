@@ -0,0 +1,107 @@
+/**
+ * Sentiment settings — the admin's holder-verification and leaderboard ranking choice.
+ *
+ * Kept in the admin_settings table (like spike detection, services/spikes.js) so they
+ * survive restarts and every API instance applies the same values; each process
+ * re-reads them at most once a minute.
+ */
+
+const db = require('./database');
+
+const SETTINGS_KEY = 'sentiment';
+// How long a process trusts its copy of the settings before re-reading the DB
+const SETTINGS_REFRESH_MS = 60 * 1000;
+
+// 'raw' (one wallet, one vote) or 'weighted' (by the voter's holder weight)
+const RANKINGS = ['raw', 'weighted'];
+
+const DEFAULT_SETTINGS = {
+  // Sentiment votes snapshot the voter's balance and carry a holder weight
+  holderVerification: false,
+  // Which sentiment tally the leaderboards rank by
+  ranking: 'raw'
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+let settingsLoadedAt = 0;
+
+/**
+ * Copy of the current settings. Call loadSettings() first in request handlers
+ * to pick up changes made by other processes.
+ */
+function getSettings() {
+  return { ...settings };
+}
+
+/**
+ * Validate a partial settings update on top of base
+ * @param {Object} input - e.g. { ranking: 'weighted' }
+ * @param {Object} base - Settings to apply it to
+ * @returns {{settings?: Object, error?: string}}
+ */
+function mergeSettings(input, base) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'sentiment must be an object' };
+  }
+  if (input.ranking !== undefined && !RANKINGS.includes(input.ranking)) {
+    return { error: `sentiment.ranking must be one of: ${RANKINGS.join(', ')}` };
+  }
+  if (input.holderVerification !== undefined && typeof input.holderVerification !== 'boolean') {
+    return { error: 'sentiment.holderVerification must be a boolean' };
+  }
+
+  return {
+    settings: {
+      holderVerification: input.holderVerification ?? base.holderVerification,
+      ranking: input.ranking ?? base.ranking
+    }
+  };
+}
+
+/**
+ * Re-read the stored settings if this process's copy is older than SETTINGS_REFRESH_MS.
+ * Keeps the current copy when the database is unavailable or the stored value is invalid.
+ */
+async function loadSettings({ force = false } = {}) {
+  if (!force && Date.now() - settingsLoadedAt < SETTINGS_REFRESH_MS) return getSettings();
+  if (!db.isReady()) return getSettings();
+
+  try {
+    const stored = await db.getAdminSetting(SETTINGS_KEY);
+    if (stored) {
+      const merged = mergeSettings(stored, DEFAULT_SETTINGS);
+      if (merged.error) {
+        console.warn(`[Sentiment] Ignoring stored settings: ${merged.error}`);
+      } else {
+        settings = merged.settings;
+      }
+    }
+    settingsLoadedAt = Date.now();
+  } catch (err) {
+    console.warn('[Sentiment] Failed to load settings:', err.message);
+  }
+  return getSettings();
+}
+
+/**
+ * Validate, store and apply a partial settings update (admin only)
+ * @returns {Promise<string|null>} Error message, or null when applied
+ */
+async function updateSettings(input) {
+  await loadSettings({ force: true });
+  const merged = mergeSettings(input, settings);
+  if (merged.error) return merged.error;
+
+  await db.setAdminSetting(SETTINGS_KEY, merged.settings);
+  settings = merged.settings;
+  settingsLoadedAt = Date.now();
+  return null;
+}
+
+module.exports = {
+  RANKINGS,
+  DEFAULT_SETTINGS,
+  getSettings,
+  loadSettings,
+  updateSettings
+};
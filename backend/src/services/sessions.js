@@ -0,0 +1,68 @@
+/**
+ * Wallet Sessions
+ * Sign-In-With-Solana logins and activated device links share one session type:
+ * a short-lived access token (sent as `Authorization: Bearer`) plus a refresh
+ * token that is rotated on every use. Only SHA-256 hashes are stored.
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+const { hashSessionToken } = require('../middleware/validation');
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function formatSession(row, accessToken, refreshToken) {
+  return {
+    walletAddress: row.wallet_address,
+    source: row.source,
+    accessToken,
+    refreshToken,
+    accessExpiresAt: row.access_expires_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Issue a new session for a wallet that has just proven ownership
+ * @param {string} walletAddress
+ * @param {'siws'|'device'} source - How the wallet was proven
+ * @param {import('express').Request} req - Used for IP / user agent bookkeeping
+ * @returns {Promise<Object|null>} Session with plaintext tokens (shown once)
+ */
+async function issueSession(walletAddress, source, req) {
+  const accessToken = generateToken();
+  const refreshToken = generateToken();
+
+  const row = await db.createWalletSession(
+    walletAddress, source, hashSessionToken(accessToken), hashSessionToken(refreshToken),
+    req.ip, req.get('User-Agent')
+  );
+  return row ? formatSession(row, accessToken, refreshToken) : null;
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken
+ * @returns {Promise<Object|null>} New session tokens, or null if the refresh token is unknown or expired
+ */
+async function refreshSession(refreshToken) {
+  const accessToken = generateToken();
+  const newRefreshToken = generateToken();
+
+  const row = await db.rotateWalletSession(
+    hashSessionToken(refreshToken), hashSessionToken(accessToken), hashSessionToken(newRefreshToken)
+  );
+  return row ? formatSession(row, accessToken, newRefreshToken) : null;
+}
+
+async function revokeSession(refreshToken) {
+  return !!(await db.deleteWalletSessionByRefreshToken(hashSessionToken(refreshToken)));
+}
+
+module.exports = {
+  issueSession,
+  refreshSession,
+  revokeSession
+};
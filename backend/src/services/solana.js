@@ -63,6 +63,34 @@ function failoverToNextRpc() {
 // Legacy export for backwards compatibility
 const RPC_URL = RPC_ENDPOINTS[0];
 
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAxS7mTVsbWNfkWY5yBEkwcvs';
+
+// Known burn wallets and LP program IDs — used to classify top holder accounts
+const BURN_WALLETS = new Set([
+  '1nc1nerator11111111111111111111111111111111',  // Solana incinerator (most common)
+  '1111111111111111111111111111111111111111111',   // Null address (44 ones)
+  'burnedFi11111111111111111111111111111111111',   // burnedFi vanity address
+]);
+const LP_PROGRAMS = new Set([
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',  // Raydium AMM v4
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',  // Raydium CLMM
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',  // Raydium CPMM
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',  // Orca Whirlpool
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',  // Meteora DLMM
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',  // Meteora Pools
+  '2wT8Yq49kHgDzXuPxZSaeLaH1qbmGXtEyPy64bL7aD3c',  // Lifinity v2
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP',  // Orca Token Swap v2
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',  // Pump.fun AMM (bonding curve)
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',  // PumpSwap AMM
+]);
+// Authorities that mark a token as launched through pump.fun
+const PUMP_FUN_AUTHORITIES = new Set([
+  'TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM',  // pump.fun metadata authority
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',  // pump.fun program
+  '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg', // pump.fun fee account
+]);
+
 // Helius DAS API (Digital Asset Standard) — uses x-api-key header for auth
 // This is separate from standard Solana RPC which requires key in the URL
 const HELIUS_HEADERS = HELIUS_API_KEY ? { 'x-api-key': HELIUS_API_KEY } : {};
@@ -199,10 +227,11 @@ async function getMultipleAccounts(addresses) {
 }
 
 // Get token accounts by owner
-async function getTokenAccountsByOwner(ownerAddress, mintAddress = null) {
+// Pass programId = TOKEN_2022_PROGRAM_ID to list Token-2022 accounts (ignored when mintAddress is set)
+async function getTokenAccountsByOwner(ownerAddress, mintAddress = null, programId = TOKEN_PROGRAM_ID) {
   const filter = mintAddress
     ? { mint: mintAddress }
-    : { programId: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' };
+    : { programId };
 
   return rpcCall('getTokenAccountsByOwner', [
     ownerAddress,
@@ -224,11 +253,13 @@ async function getTransaction(signature) {
   ]);
 }
 
-// Get signatures for address
-async function getSignaturesForAddress(address, limit = 10) {
+// Get signatures for address (newest first; pass `before` to page further back)
+async function getSignaturesForAddress(address, limit = 10, { before } = {}) {
+  const options = { limit };
+  if (before) options.before = before;
   return rpcCall('getSignaturesForAddress', [
     address,
-    { limit }
+    options
   ]);
 }
 
@@ -441,7 +472,10 @@ async function getTokenMetadata(mintAddress) {
       // json_uri for off-chain metadata fetch (social links live here)
       jsonUri: (typeof content.json_uri === 'string' && content.json_uri) ? content.json_uri : null,
       // On-chain fallback links (extensions / content.links)
-      onchainLinks: Object.keys(onchainLinks).length > 0 ? onchainLinks : null
+      onchainLinks: Object.keys(onchainLinks).length > 0 ? onchainLinks : null,
+      // Launch provenance — used to resolve the deployer wallet
+      updateAuthority: asset.authorities?.[0]?.address || null,
+      creators: (asset.creators || []).map(c => ({ address: c.address, verified: !!c.verified }))
     };
 
     console.log(`[Solana] Token metadata for ${mintAddress}:`, {
@@ -730,6 +764,71 @@ async function getTokenHolderSample(mintAddress, count = 250, excludeAddresses =
   }
 }
 
+/**
+ * Get every holder's balance via Helius DAS, aggregated per owner wallet.
+ * DAS pages aren't sorted by balance, so the full account set is needed for
+ * accurate top-N shares. Stops after maxPages (1000 accounts each).
+ *
+ * @param {string} mintAddress - Token mint address
+ * @param {number} [maxPages=10] - Page budget
+ * @returns {Promise<{holders: Array<{wallet: string, amount: number}>, complete: boolean}|null>}
+ *   Raw amounts, sorted by balance desc; complete=false when the budget ran out
+ */
+async function getTokenHolderBalances(mintAddress, maxPages = 10) {
+  if (!HELIUS_DAS_URL) return null;
+
+  const balances = new Map();
+  let complete = false;
+
+  try {
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await withRpcRetry(() => rateLimitedRequest('helius', () =>
+        axios.post(HELIUS_DAS_URL, {
+          jsonrpc: '2.0',
+          id: 'holder-balances',
+          method: 'getTokenAccounts',
+          params: {
+            mint: mintAddress,
+            page,
+            limit: 1000,
+            options: { showZeroBalance: false }
+          }
+        }, {
+          timeout: 20000,
+          headers: HELIUS_HEADERS,
+          httpsAgent
+        })
+      ), 'getTokenHolderBalances');
+
+      if (response.data.error) {
+        console.error('[Solana] getTokenHolderBalances DAS error:', response.data.error.message);
+        return null;
+      }
+
+      const accounts = response.data.result?.token_accounts || [];
+      for (const a of accounts) {
+        const amount = Number(a.amount) || 0;
+        if (!a.owner || amount <= 0) continue;
+        balances.set(a.owner, (balances.get(a.owner) || 0) + amount);
+      }
+
+      if (accounts.length < 1000) {
+        complete = true;
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('[Solana] getTokenHolderBalances error:', error.message);
+    return null;
+  }
+
+  const holders = [...balances.entries()]
+    .map(([wallet, amount]) => ({ wallet, amount }))
+    .sort((a, b) => b.amount - a.amount);
+
+  return { holders, complete };
+}
+
 /**
  * Get token authorities from Helius DAS (update authority, creator, etc.)
  * Used to detect token origin (e.g. pump.fun) for supply analysis.
@@ -769,9 +868,10 @@ async function getTokenAuthorities(mintAddress) {
  * @param {Object} [options] - Query options
  * @param {number} [options.limit=100] - Max transactions to return (up to 100)
  * @param {string} [options.type] - Filter by transaction type (e.g. 'SWAP')
+ * @param {string} [options.before] - Only return transactions before this signature (pagination cursor)
  * @returns {Promise<Array|null>} - Array of parsed transactions or null
  */
-async function getTransactionsForAddress(walletAddress, { limit = 100, type } = {}) {
+async function getTransactionsForAddress(walletAddress, { limit = 100, type, before } = {}) {
   if (!HELIUS_API_KEY) {
     console.warn(`[Solana] getTransactionsForAddress skipped: no HELIUS_API_KEY`);
     return null;
@@ -780,6 +880,7 @@ async function getTransactionsForAddress(walletAddress, { limit = 100, type } =
   try {
     const params = { 'api-key': HELIUS_API_KEY, limit };
     if (type) params.type = type;
+    if (before) params.before = before;
 
     const response = await withRpcRetry(() => rateLimitedRequest('helius', () =>
       axios.get(
@@ -802,6 +903,158 @@ async function getTransactionsForAddress(walletAddress, { limit = 100, type } =
   }
 }
 
+/**
+ * Parse specific transactions with the Helius Enhanced Transactions API.
+ * Same output shape as getTransactionsForAddress, for callers that already
+ * know which signatures they need (e.g. the first slots of a launch).
+ *
+ * @param {string[]} signatures - Up to 100 transaction signatures
+ * @returns {Promise<Array|null>} - Array of parsed transactions or null
+ */
+async function parseTransactions(signatures) {
+  if (!HELIUS_API_KEY) {
+    console.warn(`[Solana] parseTransactions skipped: no HELIUS_API_KEY`);
+    return null;
+  }
+  if (!signatures || signatures.length === 0) return [];
+
+  try {
+    const response = await withRpcRetry(() => rateLimitedRequest('helius', () =>
+      axios.post(
+        'https://api.helius.xyz/v0/transactions',
+        { transactions: signatures.slice(0, 100) },
+        { params: { 'api-key': HELIUS_API_KEY }, timeout: 15000, httpsAgent }
+      )
+    ), 'parseTransactions');
+
+    return Array.isArray(response.data) ? response.data : null;
+  } catch (error) {
+    console.error(`[Solana] parseTransactions error: ${error.response?.status || error.code || error.message}`);
+    return null;
+  }
+}
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+
+// Net token / quote movement for the trader in a Helius swap event (raw amounts → UI units)
+function getSwapEventDeltas(swap, tokenMint, quoteMint) {
+  const deltas = { token: 0, quote: 0 };
+  const apply = (entries, sign) => {
+    for (const entry of entries || []) {
+      const raw = entry.rawTokenAmount;
+      if (!raw) continue;
+      const amount = Number(raw.tokenAmount) / Math.pow(10, raw.decimals || 0);
+      if (entry.mint === tokenMint) deltas.token += sign * amount;
+      else if (entry.mint === quoteMint) deltas.quote += sign * amount;
+    }
+  };
+
+  apply(swap.tokenInputs, -1);
+  apply(swap.tokenOutputs, 1);
+
+  if (quoteMint === WSOL_MINT) {
+    if (swap.nativeInput) deltas.quote -= Number(swap.nativeInput.amount) / LAMPORTS_PER_SOL;
+    if (swap.nativeOutput) deltas.quote += Number(swap.nativeOutput.amount) / LAMPORTS_PER_SOL;
+  }
+  return deltas;
+}
+
+// Same deltas derived from raw transfers — used when Helius didn't emit a swap event
+function getTransferDeltas(tx, wallet, tokenMint, quoteMint) {
+  const deltas = { token: 0, quote: 0 };
+
+  for (const transfer of tx.tokenTransfers || []) {
+    const amount = Number(transfer.tokenAmount) || 0;
+    const sign = transfer.toUserAccount === wallet ? 1 : transfer.fromUserAccount === wallet ? -1 : 0;
+    if (!sign) continue;
+    if (transfer.mint === tokenMint) deltas.token += sign * amount;
+    else if (transfer.mint === quoteMint) deltas.quote += sign * amount;
+  }
+
+  // Native SOL legs — only when no wSOL transfer was seen, otherwise wrapping would double count
+  if (quoteMint === WSOL_MINT && !deltas.quote) {
+    for (const transfer of tx.nativeTransfers || []) {
+      const amount = (Number(transfer.amount) || 0) / LAMPORTS_PER_SOL;
+      if (transfer.toUserAccount === wallet) deltas.quote += amount;
+      else if (transfer.fromUserAccount === wallet) deltas.quote -= amount;
+    }
+  }
+  return deltas;
+}
+
+/**
+ * Normalize a Helius enhanced transaction into a trade against a pool.
+ * The fee payer is treated as the trader. Returns null for transactions that
+ * aren't a token/quote swap (liquidity adds, transfers, failed routes).
+ *
+ * @param {Object} tx - Helius enhanced transaction
+ * @param {string} tokenMint - Token being traded
+ * @param {string} quoteMint - Pool's quote token (SOL, USDC, ...)
+ * @returns {Object|null}
+ */
+function normalizeSwap(tx, tokenMint, quoteMint) {
+  if (!tx || tx.transactionError || !tx.feePayer) return null;
+
+  const wallet = tx.feePayer;
+  const swap = tx.events && tx.events.swap;
+  let deltas = swap ? getSwapEventDeltas(swap, tokenMint, quoteMint) : null;
+  if (!deltas || !deltas.token || !deltas.quote) {
+    deltas = getTransferDeltas(tx, wallet, tokenMint, quoteMint);
+  }
+
+  // A swap moves token and quote in opposite directions
+  if (!deltas.token || !deltas.quote || Math.sign(deltas.token) === Math.sign(deltas.quote)) {
+    return null;
+  }
+
+  const amount = Math.abs(deltas.token);
+  const quoteAmount = Math.abs(deltas.quote);
+
+  return {
+    signature: tx.signature,
+    timestamp: (tx.timestamp || 0) * 1000,
+    side: deltas.token > 0 ? 'buy' : 'sell',
+    wallet,
+    amount,
+    quoteAmount,
+    quoteMint,
+    priceQuote: quoteAmount / amount,
+    source: tx.source || null
+  };
+}
+
+/**
+ * Get recent swaps against a liquidity pool, newest first.
+ * Uses the Helius Enhanced Transactions API on the pool address, so every
+ * router (Jupiter, direct AMM calls, bots) that touched the pool is included.
+ *
+ * @param {string} poolAddress - Pool (pair) address
+ * @param {string} tokenMint - Token being traded
+ * @param {string} quoteMint - Pool's quote token mint
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Transactions to scan (up to 100)
+ * @param {string} [options.before] - Pagination cursor from a previous call
+ * @returns {Promise<{trades: Array, nextCursor: string|null}|null>} - null when Helius is unavailable
+ */
+async function getPoolTrades(poolAddress, tokenMint, quoteMint, { limit = 50, before } = {}) {
+  const transactions = await getTransactionsForAddress(poolAddress, { limit, type: 'SWAP', before });
+  if (!transactions) return null;
+
+  const trades = [];
+  for (const tx of transactions) {
+    const trade = normalizeSwap(tx, tokenMint, quoteMint);
+    if (trade) trades.push(trade);
+  }
+
+  // Cursor is the last scanned transaction, not the last trade — skipped txs still advance the page
+  const nextCursor = transactions.length >= limit
+    ? transactions[transactions.length - 1].signature
+    : null;
+
+  return { trades, nextCursor };
+}
+
 /**
  * Get hold metrics for a wallet: average hold time across all tokens AND
  * how long the wallet has held a specific token. Uses a single Helius API call
@@ -982,13 +1235,21 @@ module.exports = {
   getTokenLargestAccounts,
   getTokenLargestAccountsDAS,
   getTokenHolderSample,
+  getTokenHolderBalances,
   getTokenMetadata,
   fetchOffchainLinks,
   getTokenMetadataBatch,
   getStreamflowLockedAmount,
   getTokenAuthorities,
   getTransactionsForAddress,
+  parseTransactions,
+  getPoolTrades,
   getWalletHoldMetrics,
   isHeliusConfigured,
-  checkHealth
+  checkHealth,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  BURN_WALLETS,
+  LP_PROGRAMS,
+  PUMP_FUN_AUTHORITIES
 };
@@ -0,0 +1,386 @@
+/**
+ * Spike Detection — established tokens (older than a day) with unusual activity.
+ *
+ * Trending tokens are scored on volume/mcap ratio, 24h price move, transaction
+ * count and holder count, with admin-tunable weights, caps and thresholds. The
+ * settings are kept in the admin_settings table so the API and the worker score
+ * with the same values; each process re-reads them at most once a minute.
+ *
+ * Detections at or above recordMinScore are recorded by the worker's spike job
+ * (and by GET /api/tokens/spikes) for history and backtesting.
+ */
+
+const geckoService = require('./geckoTerminal');
+const birdeyeService = require('./birdeye');
+const solanaService = require('./solana');
+const db = require('./database');
+const { cache, keys } = require('./cache');
+
+const SETTINGS_KEY = 'spike_detection';
+// How long a process trusts its copy of the settings before re-reading the DB
+const SETTINGS_REFRESH_MS = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  // Points per unit of each signal: volume/mcap ratio, |24h price change %|, 24h txns, holders
+  weights: { volume: 30, price: 0.5, transactions: 0.01, holders: 0.002 },
+  // Maximum points each signal can contribute
+  caps: { volume: 40, price: 30, transactions: 20, holders: 10 },
+  // Signal levels at which a spike is tagged with that type
+  thresholds: { volMcapRatio: 0.5, priceChange: 15, transactions: 500, holders: 1000 },
+  // Holder points only count above this many holders
+  holderBonusMin: 500,
+  // Spikes scoring at least this much are recorded for history and backtesting
+  recordMinScore: 40
+};
+
+let settings = copySettings(DEFAULT_SETTINGS);
+let settingsLoadedAt = 0;
+
+function copySettings(s) {
+  return {
+    weights: { ...s.weights },
+    caps: { ...s.caps },
+    thresholds: { ...s.thresholds },
+    holderBonusMin: s.holderBonusMin,
+    recordMinScore: s.recordMinScore
+  };
+}
+
+// ==========================================
+// Settings
+// ==========================================
+
+/**
+ * Copy of the current settings, safe to hand to callers that might mutate it.
+ * Call loadSettings() first in request handlers and jobs to pick up changes
+ * made by other processes.
+ */
+function getSettings() {
+  return copySettings(settings);
+}
+
+/**
+ * Validate a partial settings update on top of base
+ * @param {Object} input - e.g. { weights: { volume: 40 }, recordMinScore: 50 }
+ * @param {Object} base - Settings to apply it to
+ * @returns {{settings?: Object, error?: string}}
+ */
+function mergeSettings(input, base) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'spikes must be an object' };
+  }
+
+  const isValid = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+  const next = copySettings(base);
+
+  for (const group of ['weights', 'caps', 'thresholds']) {
+    if (input[group] === undefined) continue;
+    if (typeof input[group] !== 'object' || input[group] === null) {
+      return { error: `spikes.${group} must be an object` };
+    }
+    for (const [key, value] of Object.entries(input[group])) {
+      if (!(key in next[group])) {
+        return { error: `Unknown setting spikes.${group}.${key}` };
+      }
+      if (!isValid(value)) {
+        return { error: `spikes.${group}.${key} must be a non-negative number` };
+      }
+      next[group][key] = value;
+    }
+  }
+
+  for (const key of ['holderBonusMin', 'recordMinScore']) {
+    if (input[key] === undefined) continue;
+    if (!isValid(input[key])) {
+      return { error: `spikes.${key} must be a non-negative number` };
+    }
+    next[key] = input[key];
+  }
+
+  return { settings: next };
+}
+
+/**
+ * Re-read the stored settings if this process's copy is older than SETTINGS_REFRESH_MS.
+ * Keeps the current copy when the database is unavailable or the stored value is invalid.
+ */
+async function loadSettings({ force = false } = {}) {
+  if (!force && Date.now() - settingsLoadedAt < SETTINGS_REFRESH_MS) return getSettings();
+  if (!db.isReady()) return getSettings();
+
+  try {
+    const stored = await db.getAdminSetting(SETTINGS_KEY);
+    if (stored) {
+      const merged = mergeSettings(stored, DEFAULT_SETTINGS);
+      if (merged.error) {
+        console.warn(`[Spikes] Ignoring stored settings: ${merged.error}`);
+      } else {
+        settings = merged.settings;
+      }
+    }
+    settingsLoadedAt = Date.now();
+  } catch (err) {
+    console.warn('[Spikes] Failed to load settings:', err.message);
+  }
+  return getSettings();
+}
+
+/**
+ * Validate, store and apply a partial settings update (admin only)
+ * @returns {Promise<string|null>} Error message, or null when applied
+ */
+async function updateSettings(input) {
+  await loadSettings({ force: true });
+  const merged = mergeSettings(input, settings);
+  if (merged.error) return merged.error;
+
+  await db.setAdminSetting(SETTINGS_KEY, merged.settings);
+  settings = merged.settings;
+  settingsLoadedAt = Date.now();
+  return null;
+}
+
+// ==========================================
+// Scoring
+// ==========================================
+
+/**
+ * Score a token's spike signals
+ * Each signal earns weight points per unit, capped per signal; a signal past its
+ * threshold also tags the spike with that type.
+ * @param {{volMcapRatio: number, priceChange: number, transactions: number, holders: number|null}} signals
+ * @param {Object} settings - From getSettings()
+ * @returns {{spikeScore: number, spikeTypes: string[]}}
+ */
+function scoreSpike(signals, settings) {
+  const { weights, caps, thresholds, holderBonusMin } = settings;
+  const { volMcapRatio, priceChange, transactions, holders } = signals;
+
+  const volumeScore = Math.min(volMcapRatio * weights.volume, caps.volume);
+  const priceScore = Math.min(Math.abs(priceChange) * weights.price, caps.price);
+  const txnScore = Math.min(transactions * weights.transactions, caps.transactions);
+  const holderBonus = holders && holders > holderBonusMin ? Math.min(holders * weights.holders, caps.holders) : 0;
+
+  const spikeTypes = [];
+  if (volMcapRatio > thresholds.volMcapRatio) spikeTypes.push('volume');
+  if (Math.abs(priceChange) > thresholds.priceChange) spikeTypes.push('price');
+  if (transactions > thresholds.transactions) spikeTypes.push('transactions');
+  if (holders && holders > thresholds.holders) spikeTypes.push('holders');
+
+  return {
+    spikeScore: Math.round((volumeScore + priceScore + txnScore + holderBonus) * 10) / 10,
+    spikeTypes
+  };
+}
+
+// ==========================================
+// Detection
+// ==========================================
+
+/**
+ * Scan trending tokens for spikes, highest score first
+ * @param {Object} [options]
+ * @param {number} [options.minAgeDays=1] - Skip tokens younger than this
+ * @param {number} [options.limit=30] - Spikes returned
+ * @returns {Promise<{tokens: Array, totalScanned: number, totalEstablished: number}>}
+ */
+async function scanSpikes({ minAgeDays = 1, limit = 30 } = {}) {
+  await loadSettings();
+
+  // Step 1: Fetch trending pools from GeckoTerminal
+  // First try to reuse token list cache (populated by /api/tokens?filter=trending)
+  // to avoid redundant GeckoTerminal calls that compete for the shared rate limiter.
+  const useHeliusEnrichment = solanaService.isHeliusConfigured();
+  let allTokens = [];
+
+  // Check if the main token list already has cached trending data
+  // Deep-copy to avoid mutating the cached objects (we modify pairCreatedAt, name, etc. below)
+  const cachedList = await cache.getWithMeta(keys.tokenList('trending-volume-desc-50', 0));
+  if (cachedList && cachedList.value && cachedList.value.length > 0) {
+    allTokens = cachedList.value.map(t => ({ ...t }));
+  } else {
+    // No cached trending data — fetch from GeckoTerminal (2 pages, not 3, to reduce load)
+    const pageFetches = [1, 2].map(page =>
+      geckoService.getTrendingTokens({ limit: 20, skipEnrichment: useHeliusEnrichment, page })
+        .catch(catchUnlessOverloaded([]))
+    );
+    const pages = await Promise.all(pageFetches);
+    for (const pageTokens of pages) {
+      if (pageTokens) allTokens = allTokens.concat(pageTokens);
+    }
+  }
+
+  // Deduplicate by address
+  const seen = new Set();
+  allTokens = allTokens.filter(t => {
+    const addr = t.address || t.mintAddress;
+    if (!addr || seen.has(addr)) return false;
+    seen.add(addr);
+    return true;
+  });
+
+  if (allTokens.length === 0) {
+    return { tokens: [], totalScanned: 0, totalEstablished: 0 };
+  }
+
+  // Step 2: Get pool creation dates for age filtering
+  // GeckoTerminal trending pools don't always include pool_created_at,
+  // so fetch token overviews for tokens missing creation dates
+  const minAgeMs = minAgeDays * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  // For tokens without pairCreatedAt, try to get it from DB or GeckoTerminal overview
+  const needsCreationDate = allTokens.filter(t => !t.pairCreatedAt && !t.createdAt);
+  if (needsCreationDate.length > 0) {
+    const dbTokens = await db.getTokensBatch(needsCreationDate.map(t => t.address || t.mintAddress)).catch(() => []);
+    const dbMap = {};
+    if (dbTokens) {
+      dbTokens.forEach(t => {
+        if (t && t.mint_address && t.pair_created_at) {
+          dbMap[t.mint_address] = t.pair_created_at;
+        }
+      });
+    }
+    for (const token of needsCreationDate) {
+      const addr = token.address || token.mintAddress;
+      if (dbMap[addr]) {
+        token.pairCreatedAt = dbMap[addr];
+      }
+    }
+  }
+
+  // Step 3: Filter to tokens older than minAge
+  const established = allTokens.filter(t => {
+    const createdStr = t.pairCreatedAt || t.createdAt;
+    if (!createdStr) return false; // Skip tokens with unknown age
+    const createdMs = new Date(createdStr).getTime();
+    if (isNaN(createdMs)) return false;
+    return (now - createdMs) >= minAgeMs;
+  });
+
+  if (established.length === 0) {
+    return { tokens: [], totalScanned: allTokens.length, totalEstablished: 0 };
+  }
+
+  // Step 4: Enrich with Helius metadata (name, symbol, logo)
+  if (useHeliusEnrichment) {
+    const needsEnrichment = established.filter(t => !t.name || !t.symbol || (!t.logoUri && !t.logoURI));
+    if (needsEnrichment.length > 0) {
+      try {
+        const addresses = needsEnrichment.map(t => t.address || t.mintAddress);
+        const metadata = await solanaService.getTokenMetadataBatch(addresses);
+        for (const token of needsEnrichment) {
+          const addr = token.address || token.mintAddress;
+          const meta = metadata[addr];
+          if (meta) {
+            if (!token.name || token.name === token.symbol) token.name = meta.name || token.name;
+            if (!token.symbol || token.symbol === '???' || token.symbol === (addr || '').slice(0, 5).toUpperCase()) token.symbol = meta.symbol || token.symbol;
+            if (!token.logoUri && !token.logoURI) {
+              token.logoUri = meta.logoUri || null;
+              token.logoURI = meta.logoUri || null;
+            }
+          }
+        }
+      } catch (e) { /* non-critical */ }
+    }
+  }
+
+  // Step 5: Fetch holder counts from Birdeye using batch endpoint
+  // Uses getMultiTokenPrices which accepts up to 100 addresses in a single call,
+  // then falls back to individual getTokenOverview only for the top 5 candidates
+  // that need holder data (getMultiTokenPrices returns mc but not holder count).
+  const settings = getSettings();
+  const prelimScored = established.map(t => {
+    const { spikeScore } = scoreSpike({
+      volMcapRatio: (t.marketCap > 0) ? (t.volume24h || 0) / t.marketCap : 0,
+      priceChange: t.priceChange24h || 0,
+      transactions: t.transactions24h || 0,
+      holders: null
+    }, settings);
+    return { ...t, _prelimScore: spikeScore };
+  }).sort((a, b) => b._prelimScore - a._prelimScore);
+
+  const holderCounts = {};
+
+  // Only fetch individual overviews for top 5 candidates (5 * 200ms = ~1s through rate limiter)
+  const topCandidates = prelimScored.slice(0, 5);
+  const holderFetches = topCandidates.map(async (token) => {
+    const addr = token.address || token.mintAddress;
+    try {
+      const overview = await birdeyeService.getTokenOverview(addr);
+      if (overview && overview.holder) {
+        holderCounts[addr] = overview.holder;
+      }
+    } catch (e) { /* non-critical */ }
+  });
+  await Promise.all(holderFetches);
+
+  // Step 6: Calculate spike scores
+  const scored = prelimScored.map(token => {
+    const addr = token.address || token.mintAddress;
+    const volume = token.volume24h || 0;
+    const mcap = token.marketCap || 0;
+    const priceChange = token.priceChange24h || 0;
+    const txns = token.transactions24h || 0;
+    const holders = holderCounts[addr] || null;
+
+    // Volume/MCap ratio — a $500K mcap token with $2M volume is spiking hard
+    const volMcapRatio = mcap > 0 ? volume / mcap : 0;
+
+    const { spikeScore, spikeTypes } = scoreSpike({ volMcapRatio, priceChange, transactions: txns, holders }, settings);
+
+    // Calculate age in days
+    const createdStr = token.pairCreatedAt || token.createdAt;
+    const ageDays = createdStr ? Math.round((now - new Date(createdStr).getTime()) / 86400000 * 10) / 10 : null;
+
+    return {
+      mintAddress: addr,
+      address: addr,
+      name: token.name || `${addr.slice(0, 4)}...${addr.slice(-4)}`,
+      symbol: token.symbol || addr.slice(0, 5).toUpperCase(),
+      logoUri: token.logoUri || token.logoURI || null,
+      price: token.price || 0,
+      priceChange24h: priceChange,
+      volume24h: volume,
+      marketCap: mcap,
+      fdv: token.fdv || 0,
+      liquidity: token.liquidity || 0,
+      holders: holders,
+      transactions24h: txns,
+      volMcapRatio: Math.round(volMcapRatio * 1000) / 1000,
+      ageDays,
+      spikeScore,
+      spikeTypes,
+      poolAddress: token.poolAddress || null
+    };
+  });
+
+  // Sort by spike score descending, return top N
+  scored.sort((a, b) => b.spikeScore - a.spikeScore);
+  return {
+    tokens: scored.slice(0, limit),
+    totalScanned: allTokens.length,
+    totalEstablished: established.length
+  };
+}
+
+/**
+ * Scan and record the spikes at or above recordMinScore (worker spike job)
+ * @returns {Promise<{tokens: Array, recorded: number}>}
+ */
+async function detectSpikes() {
+  const { tokens } = await scanSpikes({ limit: 50 });
+  const { recordMinScore } = getSettings();
+  const recorded = await db.recordSpikeDetections(tokens.filter(t => t.spikeScore >= recordMinScore && t.price > 0));
+  return { tokens, recorded };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettings,
+  loadSettings,
+  updateSettings,
+  scoreSpike,
+  scanSpikes,
+  detectSpikes
+};
@@ -0,0 +1,357 @@
+/**
+ * Outbound webhooks for public API key holders.
+ *
+ * Events are recorded in webhook_deliveries and delivered by the worker via the
+ * notifications queue (jobQueue.enqueueWebhookDelivery), which retries with
+ * exponential backoff. Without Redis, a single inline attempt is made instead.
+ *
+ * Every request carries:
+ *   X-OpenDex-Event      event name
+ *   X-OpenDex-Delivery   delivery id (stable across retries — use it to dedupe)
+ *   X-OpenDex-Timestamp  unix seconds when the attempt was signed
+ *   X-OpenDex-Signature  sha256=HMAC_SHA256(secret, `${timestamp}.${body}`) as hex
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const db = require('./database');
+const jobQueue = require('./jobQueue');
+const { cache } = require('./cache');
+
+const EVENTS = {
+  SUBMISSION_APPROVED: 'submission.approved',
+  SUBMISSION_REJECTED: 'submission.rejected',
+  SENTIMENT_THRESHOLD: 'sentiment.threshold',
+  SPIKE_DETECTED: 'spike.detected',
+  PING: 'ping'
+};
+
+// Events a webhook can subscribe to (ping is sent on demand only)
+const SUBSCRIBABLE_EVENTS = [
+  EVENTS.SUBMISSION_APPROVED,
+  EVENTS.SUBMISSION_REJECTED,
+  EVENTS.SENTIMENT_THRESHOLD,
+  EVENTS.SPIKE_DETECTED
+];
+
+const MAX_WEBHOOKS_PER_KEY = 5;
+const MAX_MINT_FILTERS = 100;
+const DELIVERY_TIMEOUT_MS = 10000;
+const USER_AGENT = 'OpenDex-Webhooks/1.0';
+
+// A token stays "announced" as a spike for this long before it can fire again
+const SPIKE_SEEN_TTL = 6 * 60 * 60 * 1000;
+const spikeSeenKey = (mint) => `webhooks:spike:${mint}`;
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// ==========================================
+// URL validation (SSRF protection)
+// ==========================================
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||  // Carrier-grade NAT
+      (a === 169 && b === 254) ||             // Link-local / cloud metadata
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224;                               // Multicast / reserved
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1' ||
+      lower.startsWith('fc') || lower.startsWith('fd') || // Unique local
+      lower.startsWith('fe8') || lower.startsWith('fe9') ||
+      lower.startsWith('fea') || lower.startsWith('feb'); // Link-local
+  }
+  return true;
+}
+
+/**
+ * Validate a webhook URL at registration time.
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateWebhookUrl(urlString) {
+  if (typeof urlString !== 'string' || urlString.length > 500) {
+    return { valid: false, error: 'url must be a string of at most 500 characters' };
+  }
+
+  let url;
+  try {
+    url = new URL(urlString);
+  } catch {
+    return { valid: false, error: 'Invalid URL' };
+  }
+
+  // Plain http is only allowed outside production (local testing)
+  if (url.protocol !== 'https:' && (isProduction || url.protocol !== 'http:')) {
+    return { valid: false, error: 'Webhook URL must use https' };
+  }
+  if (url.username || url.password) {
+    return { valid: false, error: 'Webhook URL must not contain credentials' };
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal')) {
+    return { valid: false, error: 'Webhook URL must be publicly reachable' };
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return { valid: false, error: 'Webhook URL must be publicly reachable' };
+  }
+
+  return { valid: true };
+}
+
+// DNS lookup that refuses private addresses. Used by the delivery agents so the
+// check applies to the address actually connected to (defeats DNS rebinding).
+// Handles both lookup shapes: single address, or `all: true` (used by autoSelectFamily).
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new Error(`Refusing to deliver to private address for ${hostname}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const deliveryAgents = {
+  http: new http.Agent({ lookup: publicOnlyLookup, keepAlive: false }),
+  https: new https.Agent({ lookup: publicOnlyLookup, keepAlive: false })
+};
+
+// ==========================================
+// Signing
+// ==========================================
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ==========================================
+// Emitting events
+// ==========================================
+
+async function queueDelivery(webhookId, event, data) {
+  const delivery = await db.createWebhookDelivery(webhookId, event, data);
+  if (!delivery) return null;
+
+  const job = await jobQueue.enqueueWebhookDelivery(delivery.id);
+  if (!job) {
+    // No queue (Redis not configured) — one best-effort attempt, no retries
+    deliver(delivery.id, { isFinal: true }).catch(() => { /* recorded in delivery log */ });
+  }
+  return delivery;
+}
+
+/**
+ * Record and queue an event for every subscribed webhook.
+ * Fire-and-forget from request handlers: never throws.
+ *
+ * @param {string} event - One of EVENTS
+ * @param {Object} data - Event payload (`mint` is used for per-token filters)
+ * @param {Function} [filter] - Optional per-webhook predicate (e.g. sentiment threshold)
+ */
+async function emit(event, data, filter = null) {
+  if (!db.isReady()) return 0;
+
+  try {
+    const webhooks = await db.getWebhooksForEvent(event, data.mint || null);
+    const targets = filter ? webhooks.filter(filter) : webhooks;
+
+    await Promise.all(targets.map(w => queueDelivery(w.id, event, data)));
+    return targets.length;
+  } catch (err) {
+    console.error(`[Webhooks] Failed to emit ${event}:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Submission moderated (admin action or auto-moderation).
+ */
+function emitSubmissionStatus(submission) {
+  if (!submission || !['approved', 'rejected'].includes(submission.status)) return;
+
+  const event = submission.status === 'approved' ? EVENTS.SUBMISSION_APPROVED : EVENTS.SUBMISSION_REJECTED;
+  emit(event, {
+    mint: submission.token_mint,
+    submission: {
+      id: submission.id,
+      type: submission.submission_type,
+      url: submission.content_url,
+      status: submission.status,
+      submittedAt: submission.created_at
+    }
+  });
+}
+
+/**
+ * Sentiment vote changed a token's tally. Fires for webhooks whose threshold
+ * was crossed by this vote: score reached +threshold (bullish) or -threshold (bearish).
+ */
+function emitSentimentChange(mint, previousScore, tally) {
+  const score = tally.score || 0;
+  if (score === previousScore) return;
+
+  emit(EVENTS.SENTIMENT_THRESHOLD, {
+    mint,
+    direction: score > previousScore ? 'bullish' : 'bearish',
+    previousScore,
+    tally: { bullish: tally.bullish, bearish: tally.bearish, score }
+  }, (webhook) => {
+    const threshold = webhook.sentiment_threshold || 10;
+    return (score >= threshold && previousScore < threshold) ||
+      (score <= -threshold && previousScore > -threshold);
+  });
+}
+
+/**
+ * Spike scan finished. Emits for tokens not announced in the last SPIKE_SEEN_TTL.
+ */
+async function emitSpikes(tokens) {
+  if (!tokens || tokens.length === 0 || !db.isReady()) return;
+
+  try {
+    // One key per mint, so each announcement expires on its own
+    const fresh = [];
+    for (const t of tokens) {
+      if (await cache.has(spikeSeenKey(t.mintAddress))) continue;
+      await cache.set(spikeSeenKey(t.mintAddress), true, SPIKE_SEEN_TTL);
+      fresh.push(t);
+    }
+    if (fresh.length === 0) return;
+
+    for (const t of fresh) {
+      await emit(EVENTS.SPIKE_DETECTED, {
+        mint: t.mintAddress,
+        token: {
+          name: t.name,
+          symbol: t.symbol,
+          price: t.price,
+          marketCap: t.marketCap,
+          volume24h: t.volume24h,
+          priceChange24h: t.priceChange24h
+        },
+        spikeScore: t.spikeScore,
+        spikeTypes: t.spikeTypes
+      });
+    }
+  } catch (err) {
+    console.error('[Webhooks] Failed to emit spikes:', err.message);
+  }
+}
+
+/**
+ * Queue a ping to one webhook (owner-triggered test).
+ */
+function sendPing(webhookId) {
+  return queueDelivery(webhookId, EVENTS.PING, { message: 'Webhook test from OpenDex' });
+}
+
+// ==========================================
+// Delivery (worker)
+// ==========================================
+
+/**
+ * Attempt one delivery. Throws on a retryable failure so BullMQ schedules the
+ * next attempt; on the final attempt the delivery is marked failed instead.
+ *
+ * @param {number} deliveryId
+ * @param {{isFinal: boolean}} options
+ */
+async function deliver(deliveryId, { isFinal }) {
+  const delivery = await db.getWebhookDelivery(deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return { skipped: true };
+  }
+
+  if (!delivery.webhook_active) {
+    await db.recordWebhookAttempt(deliveryId, { status: 'failed', error: 'Webhook disabled' });
+    return { skipped: true };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    id: String(delivery.id),
+    event: delivery.event,
+    createdAt: new Date(delivery.created_at).toISOString(),
+    data: delivery.payload
+  });
+
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-OpenDex-Event': delivery.event,
+        'X-OpenDex-Delivery': String(delivery.id),
+        'X-OpenDex-Timestamp': String(timestamp),
+        'X-OpenDex-Signature': `sha256=${sign(delivery.secret, timestamp, body)}`
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      httpAgent: deliveryAgents.http,
+      httpsAgent: deliveryAgents.https,
+      validateStatus: () => true
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.code || err.message;
+  }
+
+  if (!error) {
+    await db.recordWebhookAttempt(deliveryId, { status: 'success', responseStatus });
+    return { delivered: true, responseStatus };
+  }
+
+  const disabled = await db.recordWebhookAttempt(deliveryId, {
+    status: isFinal ? 'failed' : 'pending',
+    responseStatus,
+    error
+  });
+  if (disabled && !disabled.is_active) {
+    console.warn(`[Webhooks] Webhook ${disabled.id} disabled after ${disabled.consecutive_failures} failed deliveries`);
+  }
+
+  if (isFinal) {
+    return { delivered: false, responseStatus, error };
+  }
+  throw new Error(`Webhook delivery ${deliveryId} failed: ${error}`);
+}
+
+module.exports = {
+  EVENTS,
+  SUBSCRIBABLE_EVENTS,
+  MAX_WEBHOOKS_PER_KEY,
+  MAX_MINT_FILTERS,
+  validateWebhookUrl,
+  generateSecret,
+  sign,
+  emit,
+  emitSubmissionStatus,
+  emitSentimentChange,
+  emitSpikes,
+  sendPing,
+  deliver,
+  deliveryAgents
+};
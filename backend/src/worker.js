@@ -12,6 +12,11 @@
  * - View count batching
  * - Stats aggregation
  * - Daily Brief refresh (PumpSwap graduation discovery, every 3 min)
+ * - OHLCV candle sync + rollup (viewed/watchlisted tokens, every 5 min)
+ * - Outbound webhook delivery (retried with exponential backoff)
+ * - Launch bundle / sniper analysis (per token, on demand)
+ * - Holder distribution snapshots (viewed/watchlisted tokens, hourly)
+ * - Call performance sampling (market cap of tokens with open calls, every 10 min)
  */
 
 require('dotenv').config();
@@ -22,6 +27,12 @@ const db = require('./services/database');
 const geckoService = require('./services/geckoTerminal');
 const solanaService = require('./services/solana');
 const { cache, TTL, keys } = require('./services/cache');
+const candleService = require('./services/candles');
+const webhookService = require('./services/webhooks');
+const pushService = require('./services/push');
+const bundlesService = require('./services/bundles');
+const holderSnapshotService = require('./services/holderSnapshots');
+const spikeService = require('./services/spikes');
 
 // Allowed DEXes for similar-tokens anti-spoofing filter
 const SIMILAR_TOKEN_DEX_PREFIXES = ['raydium', 'pump', 'bonk'];
@@ -202,7 +213,29 @@ const jobProcessors = {
     const count = await db.cleanupExpiredAdminSessions();
     console.log(`[Worker] Cleaned up ${count} expired sessions`);
 
-    return { cleanedSessions: count };
+    // Webhook delivery log, sentiment event and spike detection retention ride along with session cleanup
+    const prunedDeliveries = await db.pruneWebhookDeliveries();
+    if (prunedDeliveries > 0) {
+      console.log(`[Worker] Pruned ${prunedDeliveries} old webhook deliveries`);
+    }
+
+    const prunedSentimentEvents = await db.pruneSentimentEvents();
+    if (prunedSentimentEvents > 0) {
+      console.log(`[Worker] Pruned ${prunedSentimentEvents} old sentiment events`);
+    }
+
+    const prunedSpikeDetections = await db.pruneSpikeDetections();
+    if (prunedSpikeDetections > 0) {
+      console.log(`[Worker] Pruned ${prunedSpikeDetections} old spike detections`);
+    }
+
+    // Paid requests that never settled (restart mid-request) get their Burn Credits back
+    const expiredReservations = await db.expireBurnCreditReservations();
+    if (expiredReservations > 0) {
+      console.log(`[Worker] Refunded ${expiredReservations} expired Burn Credit reservations`);
+    }
+
+    return { cleanedSessions: count, prunedDeliveries, prunedSentimentEvents, prunedSpikeDetections, expiredReservations };
   },
 
   /**
@@ -293,6 +326,156 @@ const jobProcessors = {
     return { stats };
   },
 
+  /**
+   * Sync OHLCV candles for tracked tokens (viewed in the last 24h or watchlisted)
+   * Pulls new 1m candles, pages back through 1h/1d history until it is backfilled, rolls up 1m → 5m → 1h → 1d.
+   * Tokens are processed sequentially, least recently synced first, to stay inside
+   * GeckoTerminal's shared rate limit.
+   */
+  'sync-candles': async (job) => {
+    if (!db.isReady()) {
+      throw new Error('Database not ready');
+    }
+
+    const batchSize = parseInt(process.env.CANDLE_SYNC_BATCH_SIZE, 10) || 15;
+    const targets = await db.getCandleSyncTargets(batchSize);
+
+    let synced = 0;
+    let failed = 0;
+    let minuteCandles = 0;
+    let rolledUp = 0;
+
+    for (const target of targets) {
+      try {
+        const stats = await candleService.syncToken(target);
+        synced++;
+        minuteCandles += stats.minute;
+        rolledUp += stats.rolledUp;
+      } catch (err) {
+        failed++;
+        console.error(`[Candles] Sync failed for ${target.mint}:`, err.message);
+        // Stop early when upstream is overloaded — remaining tokens are picked up next run
+        if (err.isOverloaded || err.isCircuitBreakerError) break;
+      }
+    }
+
+    const pruned = await db.pruneCandles();
+
+    console.log(`[Candles] Synced ${synced}/${targets.length} tokens (${minuteCandles} 1m candles, ${rolledUp} rollups, ${pruned} pruned)`);
+    return { synced, failed, minuteCandles, rolledUp, pruned };
+  },
+
+  /**
+   * Snapshot holder count, top-10/top-50 concentration and diamond-hands
+   * distribution for tracked tokens that are due, into holder_snapshots.
+   * Sequential, least recently snapshotted first (DAS paging is Helius-heavy).
+   */
+  'snapshot-holders': async (job) => {
+    if (!db.isReady()) {
+      throw new Error('Database not ready');
+    }
+
+    const batchSize = parseInt(process.env.HOLDER_SNAPSHOT_BATCH_SIZE, 10) || 10;
+    const targets = await db.getHolderSnapshotTargets(batchSize, holderSnapshotService.SNAPSHOT_INTERVAL_MINUTES);
+
+    let stored = 0;
+    let failed = 0;
+
+    for (const mint of targets) {
+      try {
+        const snapshot = await holderSnapshotService.takeSnapshot(mint);
+        if (snapshot) stored++;
+      } catch (err) {
+        failed++;
+        console.error(`[HolderSnapshots] Snapshot failed for ${mint}:`, err.message);
+        if (err.isOverloaded || err.isCircuitBreakerError) break;
+      }
+    }
+
+    const pruned = await db.pruneHolderSnapshots();
+
+    console.log(`[HolderSnapshots] Stored ${stored}/${targets.length} snapshots (${failed} failed, ${pruned} pruned)`);
+    return { stored, failed, pruned };
+  },
+
+  /**
+   * Sample market caps for tokens with open calls (called in the last 30 days)
+   * so each call's peak and current multiple can be scored.
+   * One GeckoTerminal multi-token request per 30 mints.
+   */
+  'sample-call-mcaps': async (job) => {
+    if (!db.isReady()) {
+      throw new Error('Database not ready');
+    }
+
+    const mints = await db.getOpenCallMints();
+    let updated = 0;
+    let sampled = 0;
+
+    for (let i = 0; i < mints.length; i += GECKO_MULTI_BATCH_SIZE) {
+      const batch = mints.slice(i, i + GECKO_MULTI_BATCH_SIZE);
+      try {
+        const info = await geckoService.getMultiTokenInfo(batch);
+        const samples = batch
+          .map(mint => ({ mint, marketCap: info[mint]?.marketCap || info[mint]?.fdv || null }))
+          .filter(s => s.marketCap > 0);
+        sampled += samples.length;
+        updated += await db.recordCallMarketCaps(samples);
+      } catch (err) {
+        console.error('[Calls] Market cap sampling failed:', err.message);
+        if (err.isOverloaded || err.isCircuitBreakerError) break;
+      }
+    }
+
+    console.log(`[Calls] Sampled ${sampled}/${mints.length} called tokens (${updated} calls updated)`);
+    return { tokens: mints.length, sampled, updated };
+  },
+
+  /**
+   * Record new spike detections, then sample prices for recent ones
+   * Detection runs here so spikes are recorded whether or not anyone loads
+   * /api/tokens/spikes; the samples fill the +1h / +24h prices the backtest replays against.
+   */
+  'sample-spike-prices': async (job) => {
+    if (!db.isReady()) {
+      throw new Error('Database not ready');
+    }
+
+    let detected = 0;
+    try {
+      const { tokens, recorded } = await spikeService.detectSpikes();
+      detected = recorded;
+      // Deduped per mint, so spikes the API already announced don't fire twice
+      await webhookService.emitSpikes(tokens);
+    } catch (err) {
+      // Sampling doesn't depend on detection — keep going unless upstream is overloaded
+      console.error('[Spikes] Detection failed:', err.message);
+      if (err.isOverloaded || err.isCircuitBreakerError) throw err;
+    }
+
+    const mints = await db.getOpenSpikeMints();
+    let updated = 0;
+    let sampled = 0;
+
+    for (let i = 0; i < mints.length; i += GECKO_MULTI_BATCH_SIZE) {
+      const batch = mints.slice(i, i + GECKO_MULTI_BATCH_SIZE);
+      try {
+        const info = await geckoService.getMultiTokenInfo(batch);
+        const samples = batch
+          .map(mint => ({ mint, price: info[mint]?.price || null }))
+          .filter(s => s.price > 0);
+        sampled += samples.length;
+        updated += await db.recordSpikePrices(samples);
+      } catch (err) {
+        console.error('[Spikes] Price sampling failed:', err.message);
+        if (err.isOverloaded || err.isCircuitBreakerError) break;
+      }
+    }
+
+    console.log(`[Spikes] Recorded ${detected} new spikes; sampled ${sampled}/${mints.length} spiked tokens (${updated} detections updated)`);
+    return { detected, tokens: mints.length, sampled, updated };
+  },
+
   // ==========================================
   // Search Jobs
   // ==========================================
@@ -557,6 +740,26 @@ const jobProcessors = {
     return { computed, skipped };
   },
 
+  /**
+   * Launch bundle / sniper analysis for one token.
+   * Walks the launch window, clusters early buyers, persists to the tokens row
+   * and refreshes the `bundles:${mint}` cache read by the holders endpoint.
+   */
+  'compute-bundle-analysis': async (job) => {
+    const { mint } = job.data;
+    try {
+      const report = await bundlesService.refreshBundleAnalysis(mint);
+      if (!report.available) {
+        console.log(`[Worker] Bundle analysis for ${mint}: unavailable (${report.reason})`);
+        return { available: false };
+      }
+      console.log(`[Worker] Bundle analysis for ${mint}: ${report.summary.clusters} clusters, ${report.summary.bundledPct}% bundled`);
+      return { available: true, clusters: report.summary.clusters };
+    } finally {
+      await cache.delete(`bundles-pending:${mint}`);
+    }
+  },
+
   // ==========================================
   // Daily Brief Jobs
   // ==========================================
@@ -700,6 +903,82 @@ const jobProcessors = {
     const cleared = await db.clearDailyBriefTokens();
     console.log(`[DailyBrief] Admin clear: ${cleared} tokens`);
     return { tokensCleared: cleared };
+  },
+
+  // ==========================================
+  // Notification Jobs
+  // ==========================================
+
+  /**
+   * Deliver one webhook event. Throwing lets BullMQ retry with backoff;
+   * the final attempt records the delivery as failed instead.
+   */
+  'deliver-webhook': async (job) => {
+    const { deliveryId } = job.data;
+
+    if (!db.isReady()) {
+      throw new Error('Database not ready');
+    }
+
+    const isFinal = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    return webhookService.deliver(deliveryId, { isFinal });
+  },
+
+  /**
+   * Evaluate browser push alert rules and deliver whatever fired.
+   * Prices come from GeckoTerminal in batches; banner rules compare approved banner ids.
+   */
+  'dispatch-push-alerts': async (job) => {
+    if (!db.isReady()) {
+      throw new Error('Database not ready');
+    }
+    if (!pushService.isConfigured()) {
+      return { skipped: 'VAPID keys not configured' };
+    }
+
+    const rules = await db.getActivePushAlertRules();
+    if (rules.length === 0) return { rules: 0 };
+
+    const priceMints = [...new Set(rules.filter(r => r.rule_type !== 'banner').map(r => r.token_mint))];
+    const bannerMints = [...new Set(rules.filter(r => r.rule_type === 'banner').map(r => r.token_mint))];
+
+    const prices = {};
+    for (let i = 0; i < priceMints.length; i += GECKO_MULTI_BATCH_SIZE) {
+      const batch = priceMints.slice(i, i + GECKO_MULTI_BATCH_SIZE);
+      try {
+        const info = await geckoService.getMultiTokenInfo(batch);
+        for (const mint of batch) {
+          if (info[mint]?.price > 0) prices[mint] = info[mint].price;
+        }
+      } catch (err) {
+        console.error('[Push] Price fetch failed:', err.message);
+        if (err.isOverloaded || err.isCircuitBreakerError) break;
+      }
+    }
+    const bannerIds = await db.getLatestApprovedBannerIds(bannerMints);
+
+    const updates = [];
+    const notificationsByWallet = new Map();
+    for (const rule of rules) {
+      const outcome = pushService.evaluateRule(rule, { price: prices[rule.token_mint], bannerId: bannerIds[rule.token_mint] });
+      if (!outcome) continue;
+
+      updates.push({ id: rule.id, state: outcome.state, triggered: !!outcome.notification });
+      if (outcome.notification) {
+        if (!notificationsByWallet.has(rule.wallet_address)) notificationsByWallet.set(rule.wallet_address, []);
+        notificationsByWallet.get(rule.wallet_address).push(outcome.notification);
+      }
+    }
+
+    // Persist first: a failed send must not re-fire the same alert next run
+    await db.updatePushAlertRuleStates(updates);
+    const stats = await pushService.sendToWallets(notificationsByWallet);
+
+    const fired = updates.filter(u => u.triggered).length;
+    if (fired > 0 || stats.removed > 0) {
+      console.log(`[Push] ${fired} alerts fired: ${stats.sent} sent, ${stats.failed} failed, ${stats.removed} expired subscriptions removed`);
+    }
+    return { rules: rules.length, fired, ...stats };
   }
 };
 
@@ -113,6 +113,24 @@ const adminApi = {
     });
   },
 
+  // Webhooks
+  async getWebhooks(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/admin/webhooks${query ? `?${query}` : ''}`);
+  },
+
+  async getWebhookDeliveries(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/admin/webhooks/deliveries${query ? `?${query}` : ''}`);
+  },
+
+  async setWebhookActive(id, isActive) {
+    return this.request(`/admin/webhooks/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ isActive })
+    });
+  },
+
   // Tokens
   async getTokens(params = {}) {
     const query = new URLSearchParams(params).toString();
@@ -152,10 +170,42 @@ const adminApi = {
     });
   },
 
+  async getBurnFeatures() {
+    return this.request('/admin/burn-features');
+  },
+
+  async updateBurnFeature(key, changes) {
+    return this.request(`/admin/burn-features/${encodeURIComponent(key)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+  },
+
+  async getAiUsage(days = 30) {
+    return this.request(`/admin/ai-usage?days=${encodeURIComponent(days)}`);
+  },
+
   async lookupBurnCredits(wallet) {
     return this.request(`/admin/burn-credits/lookup/${encodeURIComponent(wallet)}`);
   },
 
+  async getBurnReconciliation(onchain = false) {
+    return this.request(`/admin/burn-credits/reconciliation${onchain ? '?onchain=true' : ''}`);
+  },
+
+  async revokeBurnCredit(id) {
+    return this.request(`/admin/burn-credits/${encodeURIComponent(id)}/revoke`, {
+      method: 'POST'
+    });
+  },
+
+  async refundBurnSpend(id, reason) {
+    return this.request(`/admin/burn-credits/spends/${encodeURIComponent(id)}/refund`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  },
+
   // Database management
   async getDatabaseStatus() {
     return this.request('/admin/database/status');
@@ -306,12 +356,17 @@ const adminApi = {
   }
 };
 
+// Spike detection settings: one input per group × signal (spike-<group>-<signal>)
+const SPIKE_SETTING_GROUPS = ['weights', 'caps', 'thresholds'];
+const SPIKE_SIGNALS = ['volume', 'price', 'transactions', 'holders'];
+
 // Admin Panel Manager
 const adminPanel = {
   currentTab: 'dashboard',
   pagination: {
     submissions: { page: 1, limit: 20, total: 0 },
     apikeys: { page: 1, limit: 20, total: 0 },
+    deliveries: { page: 1, limit: 25, total: 0 },
     tokens: { page: 1, limit: 20, total: 0 },
     bugreports: { page: 1, limit: 20, total: 0 }
   },
@@ -368,6 +423,7 @@ const adminPanel = {
     document.getElementById('refresh-stats')?.addEventListener('click', () => this.loadDashboard());
     document.getElementById('refresh-submissions')?.addEventListener('click', () => this.loadSubmissions());
     document.getElementById('refresh-apikeys')?.addEventListener('click', () => this.loadApiKeys());
+    document.getElementById('refresh-webhooks')?.addEventListener('click', () => this.loadWebhooks());
     document.getElementById('refresh-tokens')?.addEventListener('click', () => this.loadTokens());
 
     // Token search (debounced)
@@ -386,6 +442,12 @@ const adminPanel = {
       this.loadSubmissions();
     });
 
+    // Webhook delivery filter
+    document.getElementById('delivery-filter')?.addEventListener('change', () => {
+      this.pagination.deliveries.page = 1;
+      this.loadWebhookDeliveries();
+    });
+
     // Bug report refresh and filter
     document.getElementById('refresh-bugreports')?.addEventListener('click', () => this.loadBugReports());
     document.getElementById('bugreport-filter')?.addEventListener('change', () => {
@@ -396,6 +458,7 @@ const adminPanel = {
     // Pagination
     this.bindPagination('submissions');
     this.bindPagination('apikeys');
+    this.bindPagination('deliveries');
     this.bindPagination('tokens');
     this.bindPagination('bugreports');
 
@@ -409,13 +472,32 @@ const adminPanel = {
 
     // Development mode toggle
     document.getElementById('dev-mode-toggle')?.addEventListener('change', (e) => this.toggleDevMode(e.target.checked));
+    document.getElementById('sentiment-holder-toggle')?.addEventListener('change', (e) => this.updateSentimentSettings({ holderVerification: e.target.checked }));
+    document.getElementById('sentiment-ranking-select')?.addEventListener('change', (e) => this.updateSentimentSettings({ ranking: e.target.value }));
 
     // Burn config save button
     document.getElementById('save-burn-config-btn')?.addEventListener('click', () => this.saveBurnConfig());
+    document.getElementById('save-spike-settings-btn')?.addEventListener('click', () => this.saveSpikeSettings());
+
+    document.getElementById('burn-features-table')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action="save-burn-feature"]');
+      if (btn) this.saveBurnFeature(btn.closest('tr'));
+    });
 
     // Burn credit grant buttons
     document.getElementById('grant-bc-btn')?.addEventListener('click', () => this.grantBurnCredits());
     document.getElementById('grant-bc-lookup-btn')?.addEventListener('click', () => this.lookupBurnCredits());
+    document.getElementById('grant-bc-lookup')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action="refund-burn-spend"]');
+      if (btn) this.refundBurnSpend(btn.dataset.id);
+    });
+
+    // Burn credit reconciliation
+    document.getElementById('reconcile-bc-btn')?.addEventListener('click', () => this.runBurnReconciliation());
+    document.getElementById('reconcile-bc-result')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action="revoke-burn-credit"]');
+      if (btn) this.revokeBurnCredit(btn.dataset.id);
+    });
 
     // Database management buttons
     document.getElementById('check-database-btn')?.addEventListener('click', () => this.checkDatabaseStatus());
@@ -493,6 +575,15 @@ const adminPanel = {
       if (btn.dataset.action === 'revoke-key') this.revokeApiKey(id);
       else if (btn.dataset.action === 'delete-key') this.deleteApiKey(id);
     });
+
+    document.getElementById('webhooks-table')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      const id = parseInt(btn.dataset.id, 10);
+      if (!id) return;
+      if (btn.dataset.action === 'enable-webhook') this.setWebhookActive(id, true);
+      else if (btn.dataset.action === 'disable-webhook') this.setWebhookActive(id, false);
+    });
   },
 
   bindPagination(type) {
@@ -520,6 +611,9 @@ const adminPanel = {
       case 'apikeys':
         this.loadApiKeys();
         break;
+      case 'deliveries':
+        this.loadWebhookDeliveries();
+        break;
       case 'tokens':
         this.loadTokens();
         break;
@@ -595,6 +689,9 @@ const adminPanel = {
       case 'api-keys':
         this.loadApiKeys();
         break;
+      case 'webhooks':
+        this.loadWebhooks();
+        break;
       case 'tokens':
         this.loadTokens();
         break;
@@ -859,6 +956,132 @@ const adminPanel = {
     }
   },
 
+  // Load webhooks and the delivery log
+  async loadWebhooks() {
+    const tbody = document.getElementById('webhooks-table');
+    tbody.innerHTML = `
+      <tr class="loading-row">
+        <td colspan="8">
+          <div class="loading-state">
+            <div class="loading-spinner"></div>
+            <span>Loading webhooks...</span>
+          </div>
+        </td>
+      </tr>
+    `;
+
+    this.loadWebhookDeliveries();
+
+    try {
+      const result = await adminApi.getWebhooks({ limit: 100 });
+      const { webhooks } = result.data;
+
+      if (webhooks.length === 0) {
+        tbody.innerHTML = `
+          <tr class="empty-row">
+            <td colspan="8">No webhooks registered</td>
+          </tr>
+        `;
+        return;
+      }
+
+      tbody.innerHTML = webhooks.map(hook => {
+        const id = parseInt(hook.id, 10) || 0;
+        const status = hook.is_active
+          ? '<span class="status-badge active">Active</span>'
+          : `<span class="status-badge revoked">Disabled</span>`;
+        return `
+          <tr>
+            <td>${id}</td>
+            <td class="url-cell" title="${this.escapeHtml(hook.url)}">${this.escapeHtml(hook.url)}</td>
+            <td><code>${this.escapeHtml(hook.key_prefix)}...</code></td>
+            <td>${(hook.events || []).map(e => this.escapeHtml(e)).join('<br>')}</td>
+            <td>${parseInt(hook.delivered_24h, 10) || 0} / ${parseInt(hook.failed_24h, 10) || 0}</td>
+            <td>${status}${hook.consecutive_failures > 0 ? ` <small>(${parseInt(hook.consecutive_failures, 10)} failing)</small>` : ''}</td>
+            <td>${hook.last_delivery_at ? this.formatDate(hook.last_delivery_at) : '-'}</td>
+            <td>
+              <div class="table-actions">
+                ${hook.is_active
+                  ? `<button class="action-btn revoke" data-action="disable-webhook" data-id="${id}">Disable</button>`
+                  : `<button class="action-btn approve" data-action="enable-webhook" data-id="${id}">Enable</button>`}
+              </div>
+            </td>
+          </tr>
+        `;
+      }).join('');
+
+    } catch (error) {
+      console.error('Failed to load webhooks:', error);
+      tbody.innerHTML = `
+        <tr class="empty-row">
+          <td colspan="8">Failed to load webhooks: ${this.escapeHtml(error.message)}</td>
+        </tr>
+      `;
+    }
+  },
+
+  async loadWebhookDeliveries() {
+    const tbody = document.getElementById('deliveries-table');
+
+    try {
+      const { page, limit } = this.pagination.deliveries;
+      const offset = (page - 1) * limit;
+      const status = document.getElementById('delivery-filter')?.value || '';
+
+      const params = { limit, offset };
+      if (status) params.status = status;
+
+      const result = await adminApi.getWebhookDeliveries(params);
+      const { deliveries, total } = result.data;
+
+      this.pagination.deliveries.total = total;
+      this.updatePaginationUI('deliveries');
+
+      if (deliveries.length === 0) {
+        tbody.innerHTML = `
+          <tr class="empty-row">
+            <td colspan="8">No deliveries found</td>
+          </tr>
+        `;
+        return;
+      }
+
+      const statusClass = { success: 'approved', pending: 'pending', failed: 'rejected' };
+      const statusLabel = { success: 'Delivered', pending: 'Pending', failed: 'Failed' };
+
+      tbody.innerHTML = deliveries.map(d => `
+        <tr>
+          <td>${parseInt(d.id, 10) || 0}</td>
+          <td class="url-cell" title="${this.escapeHtml(d.url)}">#${parseInt(d.webhook_id, 10) || 0} ${this.escapeHtml(d.url)}</td>
+          <td>${this.escapeHtml(d.event)}</td>
+          <td><span class="status-badge ${statusClass[d.status] || ''}">${statusLabel[d.status] || this.escapeHtml(d.status)}</span></td>
+          <td>${parseInt(d.attempts, 10) || 0}</td>
+          <td>${d.response_status ? parseInt(d.response_status, 10) : '-'}</td>
+          <td>${this.escapeHtml(d.error || '-')}</td>
+          <td>${this.formatDate(d.created_at)}</td>
+        </tr>
+      `).join('');
+
+    } catch (error) {
+      console.error('Failed to load webhook deliveries:', error);
+      tbody.innerHTML = `
+        <tr class="empty-row">
+          <td colspan="8">Failed to load deliveries: ${this.escapeHtml(error.message)}</td>
+        </tr>
+      `;
+    }
+  },
+
+  async setWebhookActive(id, isActive) {
+    try {
+      await adminApi.setWebhookActive(id, isActive);
+      toast.success(isActive ? 'Webhook enabled' : 'Webhook disabled');
+      this.loadWebhooks();
+    } catch (error) {
+      toast.error(`Failed to update webhook: ${error.message}`);
+    }
+  },
+
   // Load tokens
   async loadTokens() {
     const tbody = document.getElementById('tokens-table');
@@ -1156,7 +1379,7 @@ const adminPanel = {
   async loadSettings() {
     try {
       const result = await adminApi.getSettings();
-      const { developmentMode, burnConfig } = result.data;
+      const { developmentMode, sentiment, spikes, burnConfig } = result.data;
 
       // Update toggle state
       const toggle = document.getElementById('dev-mode-toggle');
@@ -1167,15 +1390,16 @@ const adminPanel = {
       // Update warning visibility
       this.updateDevModeWarning(developmentMode);
 
+      if (sentiment) this.renderSentimentSettings(sentiment);
+      if (spikes) this.renderSpikeSettings(spikes);
+
       // Load burn config values
       if (burnConfig) {
         const rateInput = document.getElementById('burn-conversion-rate');
-        const costInput = document.getElementById('ai-analysis-cost');
-        const advCostInput = document.getElementById('ai-advanced-analysis-cost');
         if (rateInput) rateInput.value = burnConfig.conversionRate;
-        if (costInput) costInput.value = burnConfig.aiAnalysisCost;
-        if (advCostInput) advCostInput.value = burnConfig.aiAdvancedAnalysisCost;
       }
+      this.loadBurnFeatures();
+      this.loadAiUsage();
 
       // Also load database status when settings tab is opened
       this.checkDatabaseStatus();
@@ -1207,40 +1431,103 @@ const adminPanel = {
     }
   },
 
+  renderSentimentSettings(sentiment) {
+    const holderToggle = document.getElementById('sentiment-holder-toggle');
+    const rankingSelect = document.getElementById('sentiment-ranking-select');
+    if (holderToggle) holderToggle.checked = sentiment.holderVerification;
+    if (rankingSelect) rankingSelect.value = sentiment.ranking;
+  },
+
+  // Update sentiment voting settings (holder verification / leaderboard ranking)
+  async updateSentimentSettings(changes) {
+    try {
+      const result = await adminApi.updateSettings({ sentiment: changes });
+      this.renderSentimentSettings(result.data.sentiment);
+      toast.success('Sentiment settings saved');
+    } catch (error) {
+      console.error('Failed to update sentiment settings:', error);
+      toast.error('Failed to update sentiment settings');
+      // Reload to revert the control to the server value
+      this.loadSettings();
+    }
+  },
+
+  renderSpikeSettings(spikes) {
+    for (const group of SPIKE_SETTING_GROUPS) {
+      for (const signal of SPIKE_SIGNALS) {
+        const input = document.getElementById(`spike-${group}-${signal}`);
+        if (input) input.value = spikes[group][signal];
+      }
+    }
+    const bonusInput = document.getElementById('spike-holder-bonus-min');
+    const recordInput = document.getElementById('spike-record-min-score');
+    if (bonusInput) bonusInput.value = spikes.holderBonusMin;
+    if (recordInput) recordInput.value = spikes.recordMinScore;
+  },
+
+  // Save spike detection weights, caps and thresholds
+  async saveSpikeSettings() {
+    const spikes = {};
+    const readValue = (id) => {
+      const input = document.getElementById(id);
+      if (!input || input.value === '') return undefined;
+      return parseFloat(input.value);
+    };
+
+    for (const group of SPIKE_SETTING_GROUPS) {
+      spikes[group] = {};
+      for (const signal of SPIKE_SIGNALS) {
+        const value = readValue(`spike-${group}-${signal}`);
+        if (value === undefined) continue;
+        if (isNaN(value) || value < 0) {
+          toast.error(`Spike ${signal} ${group} cannot be negative`);
+          return;
+        }
+        spikes[group][signal] = value;
+      }
+    }
+
+    const holderBonusMin = readValue('spike-holder-bonus-min');
+    const recordMinScore = readValue('spike-record-min-score');
+    if (holderBonusMin !== undefined && (isNaN(holderBonusMin) || holderBonusMin < 0)) {
+      toast.error('Holder bonus minimum cannot be negative');
+      return;
+    }
+    if (recordMinScore !== undefined && (isNaN(recordMinScore) || recordMinScore < 0)) {
+      toast.error('Record score cannot be negative');
+      return;
+    }
+    if (holderBonusMin !== undefined) spikes.holderBonusMin = holderBonusMin;
+    if (recordMinScore !== undefined) spikes.recordMinScore = recordMinScore;
+
+    try {
+      const result = await adminApi.updateSettings({ spikes });
+      this.renderSpikeSettings(result.data.spikes);
+      toast.success('Spike settings saved');
+    } catch (error) {
+      console.error('Failed to save spike settings:', error);
+      toast.error(error.message || 'Failed to save spike settings');
+    }
+  },
+
   // Save burn config
   async saveBurnConfig() {
     const rateInput = document.getElementById('burn-conversion-rate');
-    const costInput = document.getElementById('ai-analysis-cost');
-    const advancedCostInput = document.getElementById('ai-advanced-analysis-cost');
     const conversionRate = rateInput ? parseFloat(rateInput.value) : null;
-    const aiAnalysisCost = costInput ? parseFloat(costInput.value) : null;
-    const aiAdvancedAnalysisCost = advancedCostInput ? parseFloat(advancedCostInput.value) : null;
 
     if (conversionRate !== null && (isNaN(conversionRate) || conversionRate < 1)) {
       toast.error('Conversion rate must be at least 1');
       return;
     }
-    if (aiAnalysisCost !== null && (isNaN(aiAnalysisCost) || aiAnalysisCost < 0)) {
-      toast.error('AI analysis cost cannot be negative');
-      return;
-    }
-    if (aiAdvancedAnalysisCost !== null && (isNaN(aiAdvancedAnalysisCost) || aiAdvancedAnalysisCost < 0)) {
-      toast.error('Advanced AI analysis cost cannot be negative');
-      return;
-    }
 
     try {
       const burnConfig = {};
       if (conversionRate !== null) burnConfig.conversionRate = conversionRate;
-      if (aiAnalysisCost !== null) burnConfig.aiAnalysisCost = aiAnalysisCost;
-      if (aiAdvancedAnalysisCost !== null) burnConfig.aiAdvancedAnalysisCost = aiAdvancedAnalysisCost;
 
       const result = await adminApi.updateSettings({ burnConfig });
       const updated = result.data.burnConfig;
 
       if (rateInput && updated) rateInput.value = updated.conversionRate;
-      if (costInput && updated) costInput.value = updated.aiAnalysisCost;
-      if (advancedCostInput && updated) advancedCostInput.value = updated.aiAdvancedAnalysisCost;
 
       toast.success('Burn config saved');
     } catch (error) {
@@ -1249,6 +1536,115 @@ const adminPanel = {
     }
   },
 
+  // Load paid features with their costs, limits and usage
+  async loadBurnFeatures() {
+    const tbody = document.getElementById('burn-features-table');
+    if (!tbody) return;
+
+    try {
+      const result = await adminApi.getBurnFeatures();
+      const features = result.data;
+
+      if (features.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No paid features registered</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = features.map(f => `
+        <tr data-feature="${this.escapeHtml(f.key)}">
+          <td>
+            <div>${this.escapeHtml(f.label)}</div>
+            <code class="mono text-muted" style="font-size: 0.7rem;">${this.escapeHtml(f.key)}</code>
+          </td>
+          <td>
+            <div class="setting-input-group">
+              <input type="number" class="setting-input" data-field="cost" min="0" step="1" value="${f.cost}" placeholder="${f.defaultCost}">
+              <span class="setting-input-suffix">BC</span>
+            </div>
+          </td>
+          <td>
+            <input type="number" class="setting-input" data-field="dailyLimit" min="0" step="1" value="${f.dailyLimit ?? ''}" placeholder="None">
+          </td>
+          <td>${f.usage.uses24h.toLocaleString()} <span class="text-muted">/ ${f.usage.uses.toLocaleString()}</span></td>
+          <td class="mono">${f.usage.creditsSpent.toLocaleString()}</td>
+          <td>${f.usage.refunds.toLocaleString()}</td>
+          <td><button class="btn btn-primary btn-xs" data-action="save-burn-feature">Save</button></td>
+        </tr>
+      `).join('');
+    } catch (error) {
+      tbody.innerHTML = `<tr><td colspan="7" class="error-state">Failed to load paid features: ${this.escapeHtml(error.message)}</td></tr>`;
+    }
+  },
+
+  // Load AI provider status and per-feature token usage
+  async loadAiUsage() {
+    const tbody = document.getElementById('ai-usage-table');
+    const statusEl = document.getElementById('ai-provider-status');
+    if (!tbody) return;
+
+    try {
+      const result = await adminApi.getAiUsage();
+      const d = result.data;
+
+      if (statusEl) {
+        const templates = d.templates.map(t =>
+          `${this.escapeHtml(t.name)} v${t.version}${t.offline ? '' : ' (no offline fallback)'}`
+        ).join(', ');
+        statusEl.innerHTML = `
+          <div><strong>Provider:</strong> ${d.provider ? `${this.escapeHtml(d.provider)} (${this.escapeHtml(d.model)})` : 'not configured'}</div>
+          <div><strong>Fallback:</strong> ${d.fallbackProvider ? this.escapeHtml(d.fallbackProvider) : 'none'}</div>
+          <div><strong>Prompts:</strong> ${templates || 'none'}</div>
+        `;
+      }
+
+      if (d.usage.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="7" class="empty-state">No AI requests in the last ${d.days} days</td></tr>`;
+        return;
+      }
+
+      tbody.innerHTML = d.usage.map(u => `
+        <tr>
+          <td><code class="mono">${this.escapeHtml(u.feature)}</code></td>
+          <td>${this.escapeHtml(u.provider)} <span class="text-muted">${this.escapeHtml(u.model)}</span></td>
+          <td>v${u.promptVersion}</td>
+          <td>${u.requests.toLocaleString()}</td>
+          <td>${u.cacheHits.toLocaleString()}</td>
+          <td>${u.failures.toLocaleString()}</td>
+          <td class="mono">${u.inputTokens.toLocaleString()} / ${u.outputTokens.toLocaleString()}</td>
+        </tr>
+      `).join('');
+    } catch (error) {
+      tbody.innerHTML = `<tr><td colspan="7" class="error-state">Failed to load AI usage: ${this.escapeHtml(error.message)}</td></tr>`;
+    }
+  },
+
+  // Save one paid feature row
+  async saveBurnFeature(row) {
+    const key = row.dataset.feature;
+    const costValue = row.querySelector('[data-field="cost"]').value;
+    const limitValue = row.querySelector('[data-field="dailyLimit"]').value;
+
+    const cost = parseFloat(costValue);
+    if (costValue === '' || isNaN(cost) || cost < 0) {
+      toast.error('Cost cannot be negative');
+      return;
+    }
+    const dailyLimit = limitValue === '' ? null : parseInt(limitValue, 10);
+    if (dailyLimit !== null && (isNaN(dailyLimit) || dailyLimit < 0)) {
+      toast.error('Daily limit cannot be negative');
+      return;
+    }
+
+    try {
+      await adminApi.updateBurnFeature(key, { cost, dailyLimit });
+      toast.success('Feature pricing saved');
+      this.loadBurnFeatures();
+    } catch (error) {
+      console.error('Failed to save feature pricing:', error);
+      toast.error(error.message || 'Failed to save feature pricing');
+    }
+  },
+
   // Lookup burn credit balance for a wallet
   async lookupBurnCredits() {
     const walletInput = document.getElementById('grant-bc-wallet');
@@ -1267,7 +1663,7 @@ const adminPanel = {
       const result = await adminApi.lookupBurnCredits(wallet);
       const d = result.data;
       const spendRows = (d.recentSpends || []).map(s =>
-        `<div style="font-size:0.75rem;color:var(--text-muted);">&minus;${s.amount} BC &mdash; ${this.escapeHtml(s.feature)} (${this.formatDate(s.created_at)})</div>`
+        `<div style="font-size:0.75rem;color:var(--text-muted);">&minus;${s.amount} BC &mdash; ${this.escapeHtml(s.feature)} (${this.formatDate(s.created_at)}) &mdash; ${this.escapeHtml(s.status)}${s.status !== 'refunded' ? ` <button class="btn btn-ghost btn-xs" data-action="refund-burn-spend" data-id="${s.id}">Refund</button>` : ''}</div>`
       ).join('') || '<div style="font-size:0.75rem;color:var(--text-muted);">No recent spends</div>';
 
       lookupEl.innerHTML = `
@@ -1281,6 +1677,104 @@ const adminPanel = {
     }
   },
 
+  // Refund one spend from the lookup panel
+  refundBurnSpend(id) {
+    this.showConfirmModal(
+      'Refund Spend',
+      `Refund spend <strong>#${this.escapeHtml(String(id))}</strong> to its wallet?`,
+      async () => {
+        try {
+          await adminApi.refundBurnSpend(id, 'admin refund');
+          toast.success('Spend refunded');
+          this.lookupBurnCredits();
+        } catch (error) {
+          toast.error(error.message || 'Failed to refund spend');
+        }
+      }
+    );
+  },
+
+  // Check the Burn Credit ledger (and optionally recent burns on-chain)
+  async runBurnReconciliation() {
+    const resultEl = document.getElementById('reconcile-bc-result');
+    const btn = document.getElementById('reconcile-bc-btn');
+    const onchain = document.getElementById('reconcile-onchain-toggle')?.checked;
+    if (!resultEl) return;
+
+    resultEl.style.display = 'block';
+    resultEl.innerHTML = '<div class="loading-spinner small"></div>';
+    if (btn) btn.disabled = true;
+
+    try {
+      const result = await adminApi.getBurnReconciliation(onchain);
+      resultEl.innerHTML = this.renderBurnReconciliation(result.data);
+    } catch (error) {
+      resultEl.innerHTML = `<span style="color:#fca5a5;">${this.escapeHtml(error.message)}</span>`;
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  },
+
+  renderBurnReconciliation(d) {
+    const short = (addr) => addr ? `${this.escapeHtml(addr.slice(0, 6))}...${this.escapeHtml(addr.slice(-4))}` : '&mdash;';
+    const line = (text) => `<div style="font-size:0.75rem;color:var(--text-muted);">${text}</div>`;
+    const t = d.totals;
+
+    const sections = [
+      `<div><strong>Status:</strong> ${d.healthy ? '<span style="color:#6ee7b7;">Balanced</span>' : '<span style="color:#fca5a5;">Issues found</span>'}</div>`,
+      `<div><strong>Credited:</strong> ${t.creditsFromBurns.toLocaleString()} BC from burns, ${t.creditsGranted.toLocaleString()} BC granted</div>`,
+      `<div><strong>Spent:</strong> ${t.creditsCaptured.toLocaleString()} BC captured, ${t.creditsRefunded.toLocaleString()} BC refunded</div>`,
+      `<div><strong>Wallet Balances:</strong> ${t.walletBalances.toLocaleString()} BC &mdash; <strong>Held:</strong> ${d.holds.held.toLocaleString()} BC for ${d.holds.reserved.toLocaleString()} BC reserved (${d.holds.staleReservations} stale)</div>`
+    ];
+
+    if (d.unbalancedTransactions.length > 0) {
+      sections.push('<div style="margin-top:0.5rem;"><strong>Unbalanced Transactions:</strong></div>');
+      sections.push(...d.unbalancedTransactions.map(u =>
+        line(`Txn #${u.txnId} (${this.escapeHtml(u.entryType)}) off by ${u.imbalance} BC &mdash; ${short(u.walletAddress)}`)
+      ));
+    }
+
+    if (d.missingPostings.length > 0) {
+      sections.push('<div style="margin-top:0.5rem;"><strong>Missing Ledger Postings:</strong></div>');
+      sections.push(...d.missingPostings.map(m =>
+        line(`${this.escapeHtml(m.kind)} #${m.id} (${m.amount} BC) &mdash; no ${this.escapeHtml(m.missing)} posting &mdash; ${short(m.walletAddress)}`)
+      ));
+    }
+
+    if (d.balanceDrift.length > 0) {
+      sections.push('<div style="margin-top:0.5rem;"><strong>Balance Drift:</strong></div>');
+      sections.push(...d.balanceDrift.map(b =>
+        line(`${short(b.walletAddress)} &mdash; records say ${b.expected} BC, ledger has ${b.ledger} BC`)
+      ));
+    }
+
+    if (d.onChain) {
+      sections.push(`<div style="margin-top:0.5rem;"><strong>On-Chain:</strong> ${d.onChain.verified} of ${d.onChain.checked} recent burns verified</div>`);
+      sections.push(...d.onChain.issues.map(i =>
+        line(`#${i.id} ${short(i.walletAddress)} &mdash; ${this.escapeHtml(i.issue)}: ${this.escapeHtml(i.detail || '')} (${i.credits} BC)${i.issue !== 'RPC_ERROR' ? ` <button class="btn btn-ghost btn-xs" data-action="revoke-burn-credit" data-id="${i.id}">Revoke</button>` : ''}`)
+      ));
+    }
+
+    return sections.join('');
+  },
+
+  // Take back the credits of a burn that failed on-chain verification
+  revokeBurnCredit(id) {
+    this.showConfirmModal(
+      'Revoke Burn Credits',
+      `Revoke the credits awarded for burn <strong>#${this.escapeHtml(String(id))}</strong>? The wallet balance may go negative.`,
+      async () => {
+        try {
+          const result = await adminApi.revokeBurnCredit(id);
+          toast.success(`Revoked ${result.data.revoked} BC`);
+          this.runBurnReconciliation();
+        } catch (error) {
+          toast.error(error.message || 'Failed to revoke burn credits');
+        }
+      }
+    );
+  },
+
   // Grant burn credits to a wallet
   async grantBurnCredits() {
     const walletInput = document.getElementById('grant-bc-wallet');
@@ -208,15 +208,11 @@ const api = {
       const timeoutId = setTimeout(() => controller.abort(), timeout);
 
       try {
-        // Inject device session header if present and no real wallet is connected
         const headers = {
           'Content-Type': 'application/json',
           ...options.headers
         };
-        const deviceSession = localStorage.getItem('opendex_device_session');
-        if (deviceSession && !headers['X-Device-Session']) {
-          headers['X-Device-Session'] = deviceSession;
-        }
+        Object.assign(headers, await api.session.authHeaders(headers));
 
         const response = await fetch(url, {
           ...options,
@@ -240,6 +236,12 @@ const api = {
         }
 
         if (!response.ok) {
+          // Session revoked or expired server-side — refresh once and replay (signed out if that fails)
+          if (response.status === 401 && data.code === 'SESSION_EXPIRED' && headers.Authorization && !options._sessionRetry) {
+            await api.session.refresh();
+            return api.request(endpoint, { ...options, _sessionRetry: true });
+          }
+
           // Check for Retry-After header on 429/503 errors
           const retryAfter = response.headers.get('Retry-After');
           const error = new Error(data.error || `HTTP ${response.status}`);
@@ -370,6 +372,30 @@ const api = {
       );
     },
 
+    // Subscribe to live price ticks over SSE. Returns the EventSource (call .close() to stop),
+    // or null when the browser has no EventSource support — callers should fall back to polling.
+    streamPrices(mints, onPrice, onError) {
+      if (typeof EventSource === 'undefined') return null;
+
+      const list = (Array.isArray(mints) ? mints : [mints]).join(',');
+      const source = new EventSource(`${API_BASE_URL}/api/stream/prices?mints=${encodeURIComponent(list)}`);
+
+      source.addEventListener('price', (event) => {
+        try {
+          const tick = JSON.parse(event.data);
+          // Keep the REST price cache warm so other callers see the streamed value
+          apiCache.set(`tokens:price:${tick.mint}`, tick, apiCache.TTL.price);
+          onPrice(tick);
+        } catch (err) {
+          console.warn('[PriceStream] Bad event:', err.message);
+        }
+      });
+
+      if (onError) source.onerror = () => onError(source);
+
+      return source;
+    },
+
     async getChart(mint, params = {}) {
       const query = new URLSearchParams(params).toString();
       const cacheKey = apiCache.key(`tokens:chart:${mint}`, params);
@@ -504,6 +530,16 @@ const api = {
       );
     },
 
+    // Recent swaps on the token's main pool. Not cached client-side — the backend
+    // caches the latest page briefly and older pages (by cursor) for longer.
+    async getTrades(mint, { before, limit } = {}) {
+      const params = new URLSearchParams();
+      if (before) params.set('before', before);
+      if (limit) params.set('limit', limit);
+      const query = params.toString();
+      return api.request(`/api/tokens/${mint}/trades${query ? `?${query}` : ''}`);
+    },
+
     async getHolderHoldTimes(mint) {
       const cacheKey = `tokens:hold-times:${mint}`;
       return apiCache.getOrFetch(
@@ -524,6 +560,55 @@ const api = {
       );
     },
 
+    async getRisk(mint) {
+      const cacheKey = `tokens:risk:${mint}`;
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/tokens/${mint}/risk`),
+        apiCache.TTL.pools, // reuse pools TTL (5min) — backend caches for 15min
+        true
+      );
+    },
+
+    // Holder distribution time series (hourly worker snapshots)
+    async getHolderHistory(mint, range = '7d') {
+      const cacheKey = `tokens:holder-history:${mint}:${range}`;
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/tokens/${mint}/holders/history?range=${encodeURIComponent(range)}`),
+        apiCache.TTL.pools,
+        true
+      );
+    },
+
+    // Stored AI analyses of a token, newest first (not cached — new analyses append to it)
+    async getAiAnalyses(mint, { before = null, limit = 10 } = {}) {
+      const params = new URLSearchParams({ limit: String(limit) });
+      if (before) params.set('before', String(before));
+      return api.request(`/api/tokens/${mint}/ai-analyses?${params}`);
+    },
+
+    async getCreator(mint) {
+      const cacheKey = `tokens:creator:${mint}`;
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/tokens/${mint}/creator`),
+        apiCache.TTL.pools,
+        true
+      );
+    },
+
+    // Risk summaries for list badges. Tokens without a computed report come back
+    // in `pending` and are computed server-side in the background.
+    async getRiskBatch(mints) {
+      if (!mints || mints.length === 0) return { risks: {}, pending: [] };
+      return api.request('/api/tokens/risk/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mints })
+      });
+    },
+
     async getHolderBalance(mint, wallet) {
       // Don't cache holder balances - need fresh data for voting
       return api.request(`/api/tokens/${mint}/holder/${wallet}`);
@@ -604,6 +689,28 @@ const api = {
       );
     },
 
+    // Side-by-side metrics and normalized price series for 2-3 tokens
+    async compare(mints, interval = '1h') {
+      const query = new URLSearchParams({ mints: mints.join(','), interval }).toString();
+      return apiCache.getOrFetch(
+        `tokens:compare:${query}`,
+        () => api.request(`/api/tokens/compare?${query}`),
+        apiCache.TTL.chart,
+        true
+      );
+    },
+
+    async leaderboardSentimentMomentum(params = {}) {
+      const query = new URLSearchParams(params).toString();
+      const cacheKey = `tokens:leaderboard:sentiment-momentum:${query}`;
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/tokens/leaderboard/sentiment-momentum?${query}`),
+        apiCache.TTL.tokenList,
+        true
+      );
+    },
+
     async leaderboardCalls(params = {}) {
       const query = new URLSearchParams(params).toString();
       const cacheKey = `tokens:leaderboard:calls:${query}`;
@@ -615,6 +722,17 @@ const api = {
       );
     },
 
+    async leaderboardCallers(params = {}) {
+      const query = new URLSearchParams(params).toString();
+      const cacheKey = `tokens:leaderboard:callers:${query}`;
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/tokens/leaderboard/callers?${query}`),
+        apiCache.TTL.tokenList,
+        true
+      );
+    },
+
     async leaderboardConviction(params = {}) {
       const query = new URLSearchParams(params).toString();
       const cacheKey = `tokens:leaderboard:conviction:${query}`;
@@ -638,6 +756,17 @@ const api = {
         apiCache.TTL.tokenList,
         true
       );
+    },
+
+    async backtest(params = {}) {
+      const query = new URLSearchParams(params).toString();
+      const cacheKey = `tokens:spikes:backtest:${query}`;
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/tokens/spikes/backtest?${query}`),
+        apiCache.TTL.tokenList,
+        true
+      );
     }
   },
 
@@ -728,6 +857,10 @@ const api = {
       return api.request(`/api/burn-credits/spend-history/${wallet}`);
     },
 
+    async getLedger(wallet) {
+      return api.request(`/api/burn-credits/ledger/${wallet}`);
+    },
+
     async submit(data) {
       return api.request('/api/burn-credits/submit', {
         method: 'POST',
@@ -859,6 +992,62 @@ const api = {
 
     async getCount(wallet) {
       return api.request(`/api/watchlist/${wallet}/count`);
+    },
+
+    // changes: { groupId?, note?, targetPrice? } — null clears a field
+    // auth: { signature, signatureTimestamp } — omitted when a wallet session authenticates the request
+    // Signatures are single-use, so these requests are never retried
+    async update(wallet, tokenMint, changes, auth = {}) {
+      return api.request('/api/watchlist', {
+        method: 'PATCH',
+        body: JSON.stringify({ wallet, tokenMint, ...changes, ...auth }),
+        retries: 1
+      });
+    },
+
+    async createGroup(wallet, name, auth = {}) {
+      return api.request('/api/watchlist/groups', {
+        method: 'POST',
+        body: JSON.stringify({ wallet, name, ...auth }),
+        retries: 1
+      });
+    },
+
+    async renameGroup(wallet, id, name, auth = {}) {
+      return api.request(`/api/watchlist/groups/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ wallet, name, ...auth }),
+        retries: 1
+      });
+    },
+
+    async deleteGroup(wallet, id, auth = {}) {
+      return api.request(`/api/watchlist/groups/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ wallet, ...auth }),
+        retries: 1
+      });
+    },
+
+    // format: 'json' (data = entry array or export object) or 'csv' (data = file text)
+    async import(wallet, format, data, auth = {}) {
+      return api.request('/api/watchlist/import', {
+        method: 'POST',
+        body: JSON.stringify({ wallet, format, data, ...auth }),
+        retries: 1
+      });
+    },
+
+    // Download the watchlist as a file Blob. Sent with the session so the
+    // owner's notes and prices are included.
+    async export(wallet, format) {
+      const url = `${API_BASE_URL}/api/watchlist/${encodeURIComponent(wallet)}/export?format=${format}`;
+      const response = await fetch(url, { headers: await api.session.authHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      return response.blob();
     }
   },
 
@@ -875,6 +1064,16 @@ const api = {
       return data;
     },
 
+    // Bucketed tally over time; window: '1h' | '24h' | '7d'
+    async getHistory(tokenMint, window = '24h') {
+      const cacheKey = `sentiment:${tokenMint}:history:${window}`;
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/sentiment/${tokenMint}/history?window=${encodeURIComponent(window)}`),
+        60000
+      );
+    },
+
     async cast(tokenMint, sentimentType, voterWallet) {
       // Invalidate cached sentiment so re-fetch gets server-confirmed tally
       apiCache.clearPattern(`sentiment:${tokenMint}`);
@@ -901,6 +1100,113 @@ const api = {
     async getWalletCalls(wallet, params = {}) {
       const query = new URLSearchParams(params).toString();
       return api.request(`/api/calls/wallet/${encodeURIComponent(wallet)}${query ? `?${query}` : ''}`);
+    },
+
+    // Public caller profile (pass params.viewer to learn whether that wallet follows the caller)
+    async getCaller(wallet, params = {}) {
+      const query = new URLSearchParams(params).toString();
+      return api.request(`/api/calls/caller/${encodeURIComponent(wallet)}${query ? `?${query}` : ''}`);
+    },
+
+    async getFeed(wallet, params = {}) {
+      const query = new URLSearchParams(params).toString();
+      return api.request(`/api/calls/feed/${encodeURIComponent(wallet)}${query ? `?${query}` : ''}`);
+    },
+
+    async getFollowing(wallet) {
+      return api.request(`/api/calls/following/${encodeURIComponent(wallet)}`);
+    },
+
+    // auth: { signature, signatureTimestamp } — omitted when a wallet session authenticates the request
+    // Signatures are single-use, so these requests are never retried
+    async follow(wallet, callerWallet, auth = {}) {
+      return api.request('/api/calls/follow', {
+        method: 'POST',
+        body: JSON.stringify({ wallet, callerWallet, ...auth }),
+        retries: 1
+      });
+    },
+
+    async unfollow(wallet, callerWallet, auth = {}) {
+      return api.request('/api/calls/follow', {
+        method: 'DELETE',
+        body: JSON.stringify({ wallet, callerWallet, ...auth }),
+        retries: 1
+      });
+    }
+  },
+
+  // Screener endpoints
+  screener: {
+    // params: { q, sort, order, limit, offset } — q is the filter DSL, e.g. "mcap:100k-5m liq:>50k"
+    async run(params = {}) {
+      const query = new URLSearchParams(params).toString();
+      return api.request(`/api/screener?${query}`);
+    },
+
+    async getSaved(wallet) {
+      return api.request(`/api/screener/saved/${encodeURIComponent(wallet)}`);
+    },
+
+    // auth: { signature, signatureTimestamp } — omitted when a wallet session authenticates the request
+    async save(wallet, name, query, auth = {}) {
+      return api.request('/api/screener/saved', {
+        method: 'POST',
+        body: JSON.stringify({ wallet, name, query, ...auth }),
+        retries: 1
+      });
+    },
+
+    async remove(wallet, name, auth = {}) {
+      return api.request('/api/screener/saved', {
+        method: 'DELETE',
+        body: JSON.stringify({ wallet, name, ...auth }),
+        retries: 1
+      });
+    }
+  },
+
+  // Browser push notification endpoints (watchlist alerts)
+  push: {
+    async getVapidKey() {
+      return api.request('/api/push/vapid-key');
+    },
+
+    // subscription: PushSubscription.toJSON(); auth: { signature, signatureTimestamp } — omitted when a wallet session authenticates the request
+    async subscribe(wallet, subscription, auth = {}) {
+      return api.request('/api/push/subscriptions', {
+        method: 'POST',
+        body: JSON.stringify({ wallet, subscription, ...auth }),
+        retries: 1
+      });
+    },
+
+    async unsubscribe(endpoint) {
+      return api.request('/api/push/subscriptions', {
+        method: 'DELETE',
+        body: JSON.stringify({ endpoint })
+      });
+    },
+
+    async getRules(wallet) {
+      return api.request(`/api/push/rules/${encodeURIComponent(wallet)}`);
+    },
+
+    // rule: { tokenMint, type, threshold? } — type is price_above, price_below, pct_move or banner
+    async addRule(wallet, rule, auth = {}) {
+      return api.request('/api/push/rules', {
+        method: 'POST',
+        body: JSON.stringify({ wallet, ...rule, ...auth }),
+        retries: 1
+      });
+    },
+
+    async removeRule(wallet, id, auth = {}) {
+      return api.request(`/api/push/rules/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ wallet, ...auth }),
+        retries: 1
+      });
     }
   },
 
@@ -975,6 +1281,20 @@ const api = {
     }
   },
 
+  // Wallet endpoints
+  wallets: {
+    async getPortfolio(address, { fresh = false } = {}) {
+      const cacheKey = `wallets:portfolio:${address}`;
+      if (fresh) apiCache.clearPattern(cacheKey);
+      return apiCache.getOrFetch(
+        cacheKey,
+        () => api.request(`/api/wallets/${address}/portfolio`, { timeout: 30000 }),
+        60000, // Matches the backend's 1 minute portfolio cache
+        true
+      );
+    }
+  },
+
   // Bags platform endpoints
   bags: {
     async list() {
@@ -1007,6 +1327,144 @@ const api = {
         headers: { 'X-Device-Session': token }
       });
     }
+  },
+
+  // Sign-In-With-Solana endpoints (wallet.ensureSession() drives the flow)
+  auth: {
+    // Returns { nonce, message, expiresAt } — message is what the wallet signs
+    async getNonce(wallet) {
+      return api.request(`/api/auth/nonce?wallet=${encodeURIComponent(wallet)}`, { retries: 1 });
+    },
+
+    async signIn(walletAddress, nonce, signature) {
+      return api.request('/api/auth/session', {
+        method: 'POST',
+        body: JSON.stringify({ walletAddress, nonce, signature }),
+        retries: 1
+      });
+    },
+
+    async getSessions() {
+      return api.request('/api/auth/sessions');
+    },
+
+    async signOutEverywhere() {
+      const result = await api.request('/api/auth/sessions', { method: 'DELETE', retries: 1 });
+      api.session.clear();
+      return result;
+    }
+  },
+
+  // Stored wallet session: a short-lived access token plus a single-use refresh token.
+  // Kept in localStorage so one sign-in lasts across tabs and restarts.
+  session: {
+    STORAGE_KEY: 'opendex_session',
+    _refreshing: null,
+
+    get() {
+      try {
+        const session = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        if (!session?.accessToken || !session.refreshToken) return null;
+        if (new Date(session.expiresAt).getTime() <= Date.now()) {
+          this.clear();
+          return null;
+        }
+        return session;
+      } catch {
+        return null;
+      }
+    },
+
+    save(session) {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+        walletAddress: session.walletAddress,
+        source: session.source,
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        accessExpiresAt: session.accessExpiresAt,
+        expiresAt: session.expiresAt
+      }));
+    },
+
+    clear() {
+      localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    // Session auth: a wallet session (signed in or linked device), else a legacy device token.
+    // Headers already set by the caller are left alone.
+    async authHeaders(existing = {}) {
+      const session = await this.current();
+      if (session && !existing.Authorization) {
+        return { Authorization: `Bearer ${session.accessToken}` };
+      }
+      const deviceSession = localStorage.getItem('opendex_device_session');
+      if (deviceSession && !existing['X-Device-Session']) {
+        return { 'X-Device-Session': deviceSession };
+      }
+      return {};
+    },
+
+    // Session with a usable access token, refreshing it first if it's about to expire
+    async current() {
+      const session = this.get();
+      if (!session) return null;
+      if (new Date(session.accessExpiresAt).getTime() - 30000 > Date.now()) return session;
+      return this.refresh();
+    },
+
+    async refresh() {
+      if (this._refreshing) return this._refreshing;
+
+      this._refreshing = (async () => {
+        const session = this.get();
+        if (!session) return null;
+
+        try {
+          const response = await fetch(`${API_BASE_URL}/api/auth/session/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: session.refreshToken })
+          });
+          const data = await response.json().catch(() => ({}));
+
+          if (response.ok && data.data) {
+            this.save(data.data);
+            return this.get();
+          }
+
+          // Another tab may have rotated the tokens first — use its session
+          const latest = this.get();
+          if (latest && latest.refreshToken !== session.refreshToken) return latest;
+
+          if (response.status === 400 || response.status === 401) {
+            this.clear();
+            window.dispatchEvent(new CustomEvent('walletSessionEnded'));
+          }
+          return null;
+        } catch {
+          // Network error — keep the session and let the request go out unauthenticated
+          return null;
+        }
+      })();
+
+      try {
+        return await this._refreshing;
+      } finally {
+        this._refreshing = null;
+      }
+    },
+
+    // Sign out this browser (fire and forget — works even with an expired access token)
+    signOut() {
+      const session = this.get();
+      this.clear();
+      if (!session) return;
+      fetch(`${API_BASE_URL}/api/auth/session`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: session.refreshToken })
+      }).catch(() => {});
+    }
   }
 };
 
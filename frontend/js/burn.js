@@ -216,17 +216,17 @@ const burnPage = {
     const mainForm = document.getElementById('burn-main-form');
     const statsSection = document.getElementById('burn-stats-section');
     const historySection = document.getElementById('burn-history-section');
-    const spendHistorySection = document.getElementById('burn-spend-history-section');
+    const ledgerSection = document.getElementById('burn-ledger-section');
 
     if (connectPrompt) connectPrompt.style.display = 'none';
     if (mainForm) mainForm.style.display = 'block';
     if (statsSection) statsSection.style.display = 'block';
     if (historySection) historySection.style.display = 'block';
-    if (spendHistorySection) spendHistorySection.style.display = 'block';
+    if (ledgerSection) ledgerSection.style.display = 'block';
 
     this.loadBalance();
     this.loadHistory();
-    this.loadSpendHistory();
+    this.loadLedger();
     this.loadOdBalance();
   },
 
@@ -235,13 +235,13 @@ const burnPage = {
     const mainForm = document.getElementById('burn-main-form');
     const statsSection = document.getElementById('burn-stats-section');
     const historySection = document.getElementById('burn-history-section');
-    const spendHistorySection = document.getElementById('burn-spend-history-section');
+    const ledgerSection = document.getElementById('burn-ledger-section');
 
     if (connectPrompt) connectPrompt.style.display = '';
     if (mainForm) mainForm.style.display = 'none';
     if (statsSection) statsSection.style.display = 'none';
     if (historySection) historySection.style.display = 'none';
-    if (spendHistorySection) spendHistorySection.style.display = 'none';
+    if (ledgerSection) ledgerSection.style.display = 'none';
 
     // Reset balance display
     const balVal = document.getElementById('burn-od-balance-val');
@@ -614,46 +614,75 @@ const burnPage = {
     }
   },
 
-  async loadSpendHistory() {
+  async loadLedger() {
     if (!this.walletAddress) return;
 
-    const tbody = document.getElementById('burn-spend-history-body');
+    const tbody = document.getElementById('burn-ledger-body');
     if (!tbody) return;
 
     try {
-      const data = await api.burnCredits.getSpendHistory(this.walletAddress);
-      const history = data.history || [];
+      const data = await api.burnCredits.getLedger(this.walletAddress);
+      const entries = data.entries || [];
 
-      if (history.length === 0) {
+      if (entries.length === 0) {
         tbody.innerHTML = `
           <tr class="empty-row">
-            <td colspan="4">
-              <div class="empty-state"><span>No spending history yet</span></div>
+            <td colspan="6">
+              <div class="empty-state"><span>No ledger entries yet</span></div>
             </td>
           </tr>`;
         return;
       }
 
-      tbody.innerHTML = history.map(entry => {
-        const date = new Date(entry.created_at);
+      tbody.innerHTML = entries.map(entry => {
+        const date = new Date(entry.createdAt);
         const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-        const featureLabel = this.formatFeatureName(entry.feature);
-        const details = this.formatSpendDetails(entry.feature, entry.metadata);
+        const sign = entry.amount > 0 ? '+' : '\u2212';
+        const amountClass = entry.amount > 0 ? 'burn-ledger-credit' : 'burn-ledger-debit';
+        const status = entry.status || 'confirmed';
 
         return `
-          <tr>
+          <tr${status === 'refunded' && entry.type === 'reserve' ? ' class="burn-spend-row-refunded"' : ''}>
             <td>${this.escapeHtml(dateStr)}</td>
-            <td class="burn-history-bc">${this.formatBC(parseFloat(entry.amount))}</td>
-            <td>${this.escapeHtml(featureLabel)}</td>
-            <td class="burn-spend-details">${details}</td>
+            <td>${this.escapeHtml(this.formatLedgerEntry(entry))}</td>
+            <td class="burn-history-bc ${amountClass}">${sign}${this.formatBC(Math.abs(entry.amount))}</td>
+            <td><span class="burn-ledger-status burn-ledger-status-${this.escapeHtml(status)}">${this.escapeHtml(status)}</span></td>
+            <td class="burn-history-rate">${this.formatBC(entry.balanceAfter)}</td>
+            <td class="burn-spend-details">${this.formatLedgerDetails(entry)}</td>
           </tr>`;
       }).join('');
     } catch (error) {
-      console.error('Failed to load spend history:', error);
+      console.error('Failed to load burn credit ledger:', error);
+    }
+  },
+
+  formatLedgerEntry(entry) {
+    switch (entry.type) {
+      case 'burn': return 'Burn';
+      case 'grant': return 'Grant';
+      case 'revoke': return 'Revoked';
+      case 'refund': return `Refund \u00b7 ${this.formatFeatureName(entry.feature || '')}`;
+      case 'reserve': return this.formatFeatureName(entry.feature || '');
+      default: return entry.type;
+    }
+  },
+
+  formatLedgerDetails(entry) {
+    if (entry.txSignature) {
+      const sig = entry.txSignature;
+      const shortSig = sig.slice(0, 8) + '...' + sig.slice(-6);
+      const solscanUrl = `https://solscan.io/tx/${encodeURIComponent(sig)}`;
+      return `<a href="${solscanUrl}" target="_blank" rel="noopener" class="burn-history-link">${this.escapeHtml(shortSig)}</a>`;
+    }
+    if (entry.type === 'refund' && entry.metadata?.refundReason) {
+      return this.escapeHtml(entry.metadata.refundReason);
     }
+    return this.formatSpendDetails(entry.feature, entry.metadata);
   },
 
   formatFeatureName(feature) {
+    const registered = this.config?.features?.find(f => f.key === feature);
+    if (registered) return registered.label;
     const names = {
       'ai_holder_analysis': 'AI Holder Analysis',
       'ai_advanced_analysis': 'Advanced AI Analysis',
@@ -0,0 +1,383 @@
+/* global api, utils, wallet, toast */
+
+const callerPage = {
+  address: null,
+  isLoading: false,
+  reloadPending: false,
+  isFollowing: false,
+  followBusy: false,
+
+  init() {
+    document.getElementById('caller-lookup')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('caller-address');
+      const address = input ? input.value.trim() : '';
+      if (!utils.isValidSolanaAddress(address)) {
+        this.showState('error', 'Invalid wallet address');
+        return;
+      }
+      this.setAddress(address);
+    });
+
+    document.getElementById('caller-retry')?.addEventListener('click', () => this.load());
+    document.getElementById('caller-follow-btn')?.addEventListener('click', () => this.toggleFollow());
+
+    // Delegated click handler for token rows
+    document.querySelector('.caller-page')?.addEventListener('click', (e) => {
+      if (e.target.closest('a')) return;
+      const row = e.target.closest('.token-row[data-mint]');
+      if (row) {
+        window.location.href = 'token.html?mint=' + encodeURIComponent(row.dataset.mint);
+      }
+    });
+
+    // Connecting changes the follow button and (on your own profile) shows the feed
+    window.addEventListener('walletConnected', (e) => {
+      if (!this.address && e.detail?.address) {
+        this.setAddress(e.detail.address);
+      } else if (this.address) {
+        this.load();
+      }
+    });
+    window.addEventListener('walletDisconnected', () => {
+      if (this.address) this.load();
+    });
+
+    const params = new URLSearchParams(window.location.search);
+    const address = params.get('wallet');
+    if (address && utils.isValidSolanaAddress(address)) {
+      this.setAddress(address);
+    } else if (typeof wallet !== 'undefined' && wallet.connected && wallet.address) {
+      this.setAddress(wallet.address);
+    } else {
+      this.showState('prompt');
+    }
+  },
+
+  setAddress(address) {
+    this.address = address;
+
+    const input = document.getElementById('caller-address');
+    if (input) input.value = address;
+
+    const url = new URL(window.location);
+    url.searchParams.set('wallet', address);
+    window.history.replaceState({}, '', url);
+
+    this.load();
+  },
+
+  viewer() {
+    return typeof wallet !== 'undefined' && wallet.connected && wallet.address ? wallet.address : null;
+  },
+
+  async load() {
+    if (!this.address) return;
+    // Wallet auto-reconnect can land mid-load — reload once it finishes so the viewer is current
+    if (this.isLoading) {
+      this.reloadPending = true;
+      return;
+    }
+    this.isLoading = true;
+
+    this.showState('loading');
+
+    try {
+      const viewer = this.viewer();
+      const isOwn = viewer === this.address;
+      const [caller, feed] = await Promise.all([
+        api.calls.getCaller(this.address, viewer && !isOwn ? { viewer } : {}),
+        isOwn ? api.calls.getFeed(this.address, { limit: 25 }).catch(() => null) : Promise.resolve(null)
+      ]);
+      this.render(caller);
+      this.renderFeed(isOwn ? feed : null, caller.following);
+      this.showState('content');
+    } catch (error) {
+      console.error('Failed to load caller:', error);
+      this.showState('error', 'Failed to load caller');
+    } finally {
+      this.isLoading = false;
+      if (this.reloadPending) {
+        this.reloadPending = false;
+        this.load();
+      }
+    }
+  },
+
+  showState(state, errorMsg) {
+    const els = {
+      loading: document.getElementById('caller-loading'),
+      content: document.getElementById('caller-content'),
+      prompt: document.getElementById('caller-prompt'),
+      error: document.getElementById('caller-error')
+    };
+
+    Object.values(els).forEach(el => { if (el) el.style.display = 'none'; });
+
+    if (els[state]) els[state].style.display = '';
+
+    const actions = document.getElementById('caller-actions');
+    if (actions) actions.style.display = state === 'content' ? '' : 'none';
+
+    if (state === 'error' && errorMsg) {
+      const msgEl = document.getElementById('caller-error-msg');
+      if (msgEl) msgEl.textContent = errorMsg;
+    }
+  },
+
+  render(caller) {
+    const walletEl = document.getElementById('caller-wallet');
+    if (walletEl) walletEl.textContent = utils.truncateAddress(caller.wallet, 6, 6);
+
+    const portfolioLink = document.getElementById('caller-portfolio-link');
+    if (portfolioLink) portfolioLink.href = `portfolio.html?wallet=${encodeURIComponent(caller.wallet)}`;
+
+    const profile = caller.profile;
+    this.setValue('caller-win-rate', profile?.winRate != null ? `${profile.winRate.toFixed(1)}%` : '--');
+    this.setSigned('caller-median-roi', profile?.medianRoiPct);
+    this.setValue('caller-total-calls', (caller.total || 0).toLocaleString());
+    this.setValue('caller-followers', (caller.followers || 0).toLocaleString());
+    this.setValue('caller-watchlist', `${caller.watchlistCount || 0} tokens`);
+
+    const noteEl = document.getElementById('caller-note');
+    if (noteEl) {
+      const best = profile?.bestCall;
+      const bestCall = best ? caller.calls.find(c => c.tokenMint === best.tokenMint) : null;
+      noteEl.textContent = profile
+        ? `${profile.scoredCalls} scored call${profile.scoredCalls !== 1 ? 's' : ''} in the last 30 days — a call wins once it peaks at 2x its market cap at call time.`
+          + (best?.peakMultiple != null ? ` Best call: ${bestCall?.symbol || best.tokenMint.slice(0, 5).toUpperCase()} at ${best.peakMultiple.toFixed(2)}x.` : '')
+          + (profile.avgTimeToPeakMs != null ? ` Calls peak after ${this.formatDuration(profile.avgTimeToPeakMs)} on average.` : '')
+        : 'No scored calls yet — calls are scored once their market cap has been sampled after the call.';
+    }
+
+    this.isFollowing = !!caller.isFollowing;
+    this.updateFollowButton();
+
+    this.renderCalls(caller.calls || []);
+    this.renderSentiment(caller.sentimentVotes || []);
+    this.renderSubmissions(caller.submissions || []);
+  },
+
+  updateFollowButton() {
+    const btn = document.getElementById('caller-follow-btn');
+    if (!btn) return;
+
+    const viewer = this.viewer();
+    // No follow button on your own profile; disconnected visitors are prompted to connect
+    if (viewer && viewer === this.address) {
+      btn.style.display = 'none';
+      return;
+    }
+
+    btn.style.display = '';
+    btn.disabled = this.followBusy;
+    btn.textContent = this.isFollowing ? 'Following' : 'Follow';
+    btn.classList.toggle('btn-secondary', this.isFollowing);
+  },
+
+  async toggleFollow() {
+    if (this.followBusy || !this.address) return;
+
+    if (!wallet.connected || !wallet.address) {
+      wallet.connect();
+      return;
+    }
+
+    const action = this.isFollowing ? 'unfollow' : 'follow';
+    this.followBusy = true;
+    this.updateFollowButton();
+
+    try {
+      // A wallet session authenticates instead; sign only if sign-in isn't available
+      let auth = {};
+      if (!(await wallet.ensureSession())) {
+        const timestamp = Date.now();
+        const message = `OpenDex Follow: ${action} ${this.address} for ${wallet.address} at ${timestamp}`;
+        const { signature } = await wallet.signMessage(message);
+        auth = { signature, signatureTimestamp: timestamp };
+      }
+
+      if (action === 'follow') {
+        await api.calls.follow(wallet.address, this.address, auth);
+      } else {
+        await api.calls.unfollow(wallet.address, this.address, auth);
+      }
+
+      this.isFollowing = action === 'follow';
+      const followersEl = document.getElementById('caller-followers');
+      if (followersEl) {
+        const current = parseInt(followersEl.textContent.replace(/,/g, '')) || 0;
+        followersEl.textContent = Math.max(0, current + (this.isFollowing ? 1 : -1)).toLocaleString();
+      }
+      if (typeof toast !== 'undefined') {
+        toast.success(this.isFollowing ? 'Following caller — their new calls appear in your feed' : 'Caller unfollowed');
+      }
+    } catch (error) {
+      if (typeof toast !== 'undefined') toast.error(error.message || `Failed to ${action}`);
+    } finally {
+      this.followBusy = false;
+      this.updateFollowButton();
+    }
+  },
+
+  renderCalls(calls) {
+    const tbody = document.getElementById('caller-calls-body');
+    if (!tbody) return;
+
+    if (calls.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No calls yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = calls.map(c => `
+      <tr class="token-row clickable" data-mint="${this.esc(c.tokenMint)}">
+        <td class="cell-token">${this.tokenCell(c)}</td>
+        <td class="cell-mcap">${c.mcapAtCall ? utils.formatNumber(c.mcapAtCall) : '--'}</td>
+        <td class="cell-mcap">${c.peakMcap ? utils.formatNumber(c.peakMcap) : '--'}</td>
+        <td class="cell-change ${c.isWin ? 'positive' : ''}">${this.formatMultiple(c.peakMultiple)}</td>
+        <td class="cell-change ${this.multipleClass(c.currentMultiple)}">${this.formatMultiple(c.currentMultiple)}</td>
+        <td class="cell-mcap">${utils.formatTimeAgo(c.calledAt)}</td>
+      </tr>
+    `).join('');
+
+    this.bindLogoFallbacks(tbody);
+  },
+
+  renderFeed(feed, followingCount) {
+    const section = document.getElementById('caller-feed-section');
+    const tbody = document.getElementById('caller-feed-body');
+    if (!section || !tbody) return;
+
+    if (!feed) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+
+    const countEl = document.getElementById('caller-following-count');
+    if (countEl) countEl.textContent = `following ${followingCount || 0} caller${followingCount !== 1 ? 's' : ''}`;
+
+    const calls = feed.calls || [];
+    if (calls.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="6" class="empty-state">${followingCount
+        ? 'No calls from the callers you follow yet'
+        : 'Follow callers from their profile or the <a href="community.html">Top Callers</a> leaderboard to build your feed'}</td></tr>`;
+      return;
+    }
+
+    tbody.innerHTML = calls.map(c => `
+      <tr class="token-row clickable" data-mint="${this.esc(c.tokenMint)}">
+        <td class="cell-token">${this.tokenCell(c)}</td>
+        <td class="cell-price"><a class="caller-wallet" href="caller.html?wallet=${encodeURIComponent(c.callerWallet)}">${this.esc(utils.truncateAddress(c.callerWallet, 4, 4))}</a></td>
+        <td class="cell-mcap">${c.mcapAtCall ? utils.formatNumber(c.mcapAtCall) : '--'}</td>
+        <td class="cell-change ${c.isWin ? 'positive' : ''}">${this.formatMultiple(c.peakMultiple)}</td>
+        <td class="cell-change ${this.multipleClass(c.currentMultiple)}">${this.formatMultiple(c.currentMultiple)}</td>
+        <td class="cell-mcap">${utils.formatTimeAgo(c.calledAt)}</td>
+      </tr>
+    `).join('');
+
+    this.bindLogoFallbacks(tbody);
+  },
+
+  renderSentiment(votes) {
+    const section = document.getElementById('caller-sentiment-section');
+    const tbody = document.getElementById('caller-sentiment-body');
+    if (!section || !tbody) return;
+
+    section.style.display = votes.length > 0 ? '' : 'none';
+
+    tbody.innerHTML = votes.map(v => `
+      <tr class="token-row clickable" data-mint="${this.esc(v.tokenMint)}">
+        <td class="cell-token">${this.tokenCell(v)}</td>
+        <td class="cell-change ${v.sentiment === 'bullish' ? 'positive' : 'negative'}">${v.sentiment === 'bullish' ? 'Bullish' : 'Bearish'}</td>
+        <td class="cell-mcap">${utils.formatTimeAgo(v.votedAt)}</td>
+      </tr>
+    `).join('');
+
+    this.bindLogoFallbacks(tbody);
+  },
+
+  renderSubmissions(submissions) {
+    const section = document.getElementById('caller-submissions-section');
+    const tbody = document.getElementById('caller-submissions-body');
+    if (!section || !tbody) return;
+
+    section.style.display = submissions.length > 0 ? '' : 'none';
+
+    tbody.innerHTML = submissions.map(s => `
+      <tr class="token-row clickable" data-mint="${this.esc(s.tokenMint)}">
+        <td class="cell-token">${this.tokenCell({ tokenMint: s.tokenMint })}</td>
+        <td class="cell-price">${this.esc(s.submissionType.charAt(0).toUpperCase() + s.submissionType.slice(1))}</td>
+        <td class="cell-change ${s.score > 0 ? 'positive' : s.score < 0 ? 'negative' : ''}">${s.score > 0 ? '+' : ''}${s.score}</td>
+        <td class="cell-mcap">${utils.formatTimeAgo(s.createdAt)}</td>
+      </tr>
+    `).join('');
+  },
+
+  tokenCell(t) {
+    const mint = t.tokenMint || '';
+    const name = t.name || `${mint.slice(0, 4)}...${mint.slice(-4)}`;
+    const symbol = t.symbol || mint.slice(0, 5).toUpperCase();
+    const logo = t.logoUri
+      ? `<img src="${this.esc(t.logoUri)}" alt="${this.esc(symbol)}" class="token-logo" width="24" height="24" loading="lazy">`
+      : '';
+    return `
+      <div class="token-identity">
+        ${logo}
+        <div class="token-names">
+          <span class="token-name">${this.esc(name)}</span>
+          <span class="token-symbol">${this.esc(symbol)}</span>
+        </div>
+      </div>
+    `;
+  },
+
+  formatMultiple(value) {
+    return value != null ? `${value.toFixed(2)}x` : '--';
+  },
+
+  multipleClass(value) {
+    if (value == null || value === 1) return '';
+    return value > 1 ? 'positive' : 'negative';
+  },
+
+  formatDuration(ms) {
+    const hours = ms / 3600000;
+    if (hours < 1) return `${Math.max(1, Math.round(ms / 60000))}m`;
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${Math.round(hours / 24)}d`;
+  },
+
+  setValue(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  },
+
+  setSigned(id, pct) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.textContent = pct != null ? `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%` : '--';
+    el.classList.remove('positive', 'negative');
+    if (pct) el.classList.add(pct > 0 ? 'positive' : 'negative');
+  },
+
+  // Attach onerror handlers via JS (CSP-safe) instead of inline handlers
+  bindLogoFallbacks(container) {
+    container.querySelectorAll('img.token-logo').forEach(img => {
+      img.onerror = function() { this.style.display = 'none'; };
+    });
+  },
+
+  esc(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => callerPage.init());
+} else {
+  callerPage.init();
+}
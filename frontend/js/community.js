@@ -2,11 +2,13 @@
 
 const communityPage = {
   currentTab: 'watchlist',
+  sentimentWeighted: false,
   currentPage: 1,
   pageSize: 25,
   totalItems: 0,
   tokens: [],
   yourCalls: [],
+  yourProfile: null,
   yourCallsLoaded: false,
 
   init() {
@@ -28,6 +30,7 @@ const communityPage = {
     };
     this._onWalletDisconnected = () => {
       this.yourCalls = [];
+      this.yourProfile = null;
       this.yourCallsLoaded = false;
       this.hideYourCalls();
     };
@@ -68,14 +71,7 @@ const communityPage = {
         this.currentTab = newTab;
         this.currentPage = 1;
 
-        // Update metric column header
-        const header = document.getElementById('leaderboard-metric-header');
-        if (header) {
-          header.textContent = newTab === 'watchlist' ? 'Watchlists'
-            : newTab === 'sentiment' ? 'Sentiment'
-            : 'Calls (24h)';
-        }
-
+        this.renderTableHead();
         this.loadData();
 
         // Show/hide Your Calls based on tab
@@ -88,6 +84,37 @@ const communityPage = {
     });
   },
 
+  // Token tabs share one column layout; the callers tab ranks wallets instead
+  renderTableHead() {
+    const head = document.getElementById('community-table-head');
+    if (!head) return;
+
+    if (this.currentTab === 'callers') {
+      head.innerHTML = `
+        <th class="cell-rank">#</th>
+        <th class="cell-token">Caller</th>
+        <th class="cell-price">Scored Calls</th>
+        <th class="cell-mcap">Win Rate</th>
+        <th class="cell-volume">Median ROI</th>
+        <th class="cell-metric">Best Call</th>
+      `;
+      return;
+    }
+
+    const metric = this.currentTab === 'watchlist' ? 'Watchlists'
+      : this.currentTab === 'sentiment' ? 'Sentiment'
+      : this.currentTab === 'momentum' ? 'Score Change (24h)'
+      : 'Calls (24h)';
+    head.innerHTML = `
+      <th class="cell-rank">#</th>
+      <th class="cell-token">Token</th>
+      <th class="cell-price">Price</th>
+      <th class="cell-mcap">Market Cap</th>
+      <th class="cell-volume">24h Volume</th>
+      <th id="leaderboard-metric-header" class="cell-metric">${metric}</th>
+    `;
+  },
+
   bindPagination() {
     const prev = document.getElementById('community-prev');
     const next = document.getElementById('community-next');
@@ -208,12 +235,18 @@ const communityPage = {
         result = await api.tokens.leaderboardWatchlist(params);
       } else if (this.currentTab === 'sentiment') {
         result = await api.tokens.leaderboardSentiment(params);
+      } else if (this.currentTab === 'momentum') {
+        result = await api.tokens.leaderboardSentimentMomentum({ ...params, window: '24h' });
       } else if (this.currentTab === 'calls') {
         result = await api.tokens.leaderboardCalls(params);
+      } else if (this.currentTab === 'callers') {
+        result = await api.tokens.leaderboardCallers(params);
       }
 
-      this.tokens = result.tokens || [];
+      this.tokens = (this.currentTab === 'callers' ? result.callers : result.tokens) || [];
       this.totalItems = result.total || 0;
+      // Sentiment leaderboards rank by raw or holder-weighted votes (admin setting)
+      this.sentimentWeighted = result.ranking === 'weighted';
 
       this.render();
       this.updatePagination();
@@ -246,6 +279,10 @@ const communityPage = {
         ? 'No watchlisted tokens yet. Be the first to add tokens to your watchlist!'
         : this.currentTab === 'sentiment'
         ? 'No sentiment votes yet. Be the first to vote on a token!'
+        : this.currentTab === 'momentum'
+        ? 'No token has turned more bullish in the last 24 hours.'
+        : this.currentTab === 'callers'
+        ? 'No callers ranked yet. Callers need at least 3 scored calls to appear here.'
         : 'No token calls yet. Be the first to call a token!';
       tbody.innerHTML = `
         <tr class="empty-row">
@@ -265,6 +302,11 @@ const communityPage = {
       return;
     }
 
+    if (this.currentTab === 'callers') {
+      this.renderCallers(tbody);
+      return;
+    }
+
     const defaultLogo = utils.getDefaultLogo();
     const offset = (this.currentPage - 1) * this.pageSize;
 
@@ -283,17 +325,28 @@ const communityPage = {
         const count = token.watchlistCount || 0;
         metricHtml = `<span class="community-watchlist-count">${count.toLocaleString()}</span>`;
       } else if (this.currentTab === 'sentiment') {
-        const score = token.sentimentScore || 0;
-        const bull = token.sentimentBullish || 0;
-        const bear = token.sentimentBearish || 0;
+        const w = this.sentimentWeighted;
+        const score = (w ? token.sentimentWeightedScore : token.sentimentScore) || 0;
+        const bull = (w ? token.sentimentWeightedBullish : token.sentimentBullish) || 0;
+        const bear = (w ? token.sentimentWeightedBearish : token.sentimentBearish) || 0;
         const cls = score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
         const sign = score > 0 ? '+' : '';
         metricHtml = `
-          <div class="community-sentiment">
+          <div class="community-sentiment"${w ? ' title="Holder-weighted"' : ''}>
             <span class="sentiment-chip ${cls}">${sign}${score}</span>
             <span class="sentiment-breakdown">${bull} / ${bear}</span>
           </div>
         `;
+      } else if (this.currentTab === 'momentum') {
+        const change = token.sentimentChange || 0;
+        const score = token.sentimentScore || 0;
+        const cls = change > 0 ? 'positive' : change < 0 ? 'negative' : 'neutral';
+        metricHtml = `
+          <div class="community-sentiment">
+            <span class="sentiment-chip ${cls}">${change > 0 ? '+' : ''}${change}</span>
+            <span class="sentiment-breakdown">now ${score > 0 ? '+' : ''}${score}</span>
+          </div>
+        `;
       } else {
         const count = token.callCount || 0;
         metricHtml = `<span class="community-call-count">${count.toLocaleString()}</span>`;
@@ -334,6 +387,78 @@ const communityPage = {
     });
   },
 
+  renderCallers(tbody) {
+    const defaultLogo = utils.getDefaultLogo();
+    const offset = (this.currentPage - 1) * this.pageSize;
+
+    tbody.innerHTML = this.tokens.map((caller, index) => {
+      const rank = offset + index + 1;
+      const address = caller.wallet || '';
+      if (!address) return '';
+
+      const safeWallet = this.escapeHtml(address);
+      const shortWallet = this.escapeHtml(`${address.slice(0, 4)}...${address.slice(-4)}`);
+
+      const winRate = caller.winRate != null ? `${caller.winRate.toFixed(1)}%` : '--';
+      const roi = caller.medianRoiPct;
+      const roiClass = roi == null ? '' : roi >= 0 ? 'positive' : 'negative';
+      const roiText = roi == null ? '--' : `${roi >= 0 ? '+' : ''}${roi.toFixed(1)}%`;
+
+      let bestHtml = '<span class="caller-best-empty">--</span>';
+      const best = caller.bestCall;
+      if (best?.tokenMint) {
+        const safeMint = this.escapeHtml(best.tokenMint);
+        const safeSymbol = this.escapeHtml(best.symbol || best.tokenMint.slice(0, 5).toUpperCase());
+        const safeLogo = this.escapeHtml(best.logoUri || defaultLogo);
+        const multiple = best.peakMultiple != null ? `${best.peakMultiple.toFixed(2)}x` : '--';
+        const peakIn = caller.avgTimeToPeakMs != null
+          ? `<span class="caller-best-peak" title="Average time from call to peak">avg peak ${this.formatDuration(caller.avgTimeToPeakMs)}</span>`
+          : '';
+        bestHtml = `
+          <div class="caller-best" data-navigate="${safeMint}">
+            <img class="token-logo caller-best-logo" src="${safeLogo}" alt="${safeSymbol}" loading="lazy">
+            <div class="caller-best-info">
+              <span class="caller-best-symbol">${safeSymbol} <strong>${multiple}</strong></span>
+              ${peakIn}
+            </div>
+          </div>
+        `;
+      }
+
+      return `
+        <tr class="token-row caller-row">
+          <td class="cell-rank">${rank}</td>
+          <td class="cell-token">
+            <a class="caller-wallet" href="caller.html?wallet=${encodeURIComponent(address)}" title="${safeWallet}">${shortWallet}</a>
+          </td>
+          <td class="cell-price">${(caller.scoredCalls || 0).toLocaleString()}</td>
+          <td class="cell-mcap">${winRate}</td>
+          <td class="cell-volume"><span class="${roiClass}">${roiText}</span></td>
+          <td class="cell-metric">${bestHtml}</td>
+        </tr>
+      `;
+    }).join('');
+
+    tbody.querySelectorAll('.token-logo').forEach(img => {
+      img.onerror = function() { this.onerror = null; this.src = defaultLogo; };
+    });
+
+    tbody.querySelectorAll('[data-navigate]').forEach(el => {
+      el.addEventListener('click', () => {
+        const mint = el.dataset.navigate;
+        if (mint) window.location.href = `token.html?mint=${encodeURIComponent(mint)}`;
+      });
+      el.style.cursor = 'pointer';
+    });
+  },
+
+  formatDuration(ms) {
+    const hours = ms / 3600000;
+    if (hours < 1) return `${Math.max(1, Math.round(ms / 60000))}m`;
+    if (hours < 48) return `${Math.round(hours)}h`;
+    return `${Math.round(hours / 24)}d`;
+  },
+
   goToPage(page) {
     const totalPages = Math.max(1, Math.ceil(this.totalItems / this.pageSize));
     if (page < 1 || page > totalPages) return;
@@ -616,6 +741,7 @@ const communityPage = {
     try {
       const result = await api.calls.getWalletCalls(wallet.address);
       this.yourCalls = result.calls || [];
+      this.yourProfile = result.profile || null;
       this.yourCallsLoaded = true;
       this.renderYourCalls(container);
     } catch {
@@ -650,6 +776,10 @@ const communityPage = {
     }
 
     const defaultLogo = utils.getDefaultLogo();
+    const profile = this.yourProfile;
+    const profileText = profile?.winRate != null
+      ? ` &middot; ${profile.winRate.toFixed(1)}% win rate over ${profile.scoredCalls} scored`
+      : '';
 
     const cardsHtml = this.yourCalls.map(call => {
       const safeName = this.escapeHtml(call.name);
@@ -694,6 +824,10 @@ const communityPage = {
               <span class="your-call-stat-label">Change</span>
               <span class="your-call-stat-value ${pctClass}">${pctText}</span>
             </div>
+            <div class="your-call-stat">
+              <span class="your-call-stat-label">Peak</span>
+              <span class="your-call-stat-value${call.isWin ? ' positive' : ''}">${call.peakMultiple != null ? `${call.peakMultiple.toFixed(2)}x` : '--'}</span>
+            </div>
             <div class="your-call-stat">
               <span class="your-call-stat-label">Called</span>
               <span class="your-call-stat-value" title="${dateStr}">${utils.formatTimeAgo(call.calledAt)}</span>
@@ -719,7 +853,8 @@ const communityPage = {
           </svg>
           Your Calls
         </h3>
-        <span class="your-calls-count">${this.yourCalls.length} call${this.yourCalls.length !== 1 ? 's' : ''}</span>
+        <span class="your-calls-count">${this.yourCalls.length} call${this.yourCalls.length !== 1 ? 's' : ''}${profileText}</span>
+        <a class="your-calls-profile-link" href="caller.html?wallet=${encodeURIComponent(wallet.address)}">Profile &amp; feed</a>
       </div>
       <div class="your-calls-grid">${cardsHtml}</div>
     `;
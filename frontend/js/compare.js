@@ -0,0 +1,315 @@
+/* global api, utils, toast, LightweightCharts */
+
+const MAX_COMPARE_TOKENS = 3;
+const COMPARE_COLORS = ['#6366f1', '#22c55e', '#f59e0b'];
+
+// Metric rows: label, value getter, formatter, and which direction is "better" (for highlighting)
+const COMPARE_METRICS = [
+  { label: 'Price', get: t => t.price, format: v => utils.formatPrice(v) },
+  { label: '24h Change', get: t => t.priceChange24h, format: v => utils.formatChange(v), signed: true, better: 'high' },
+  { label: 'Market Cap', get: t => t.marketCap, format: v => utils.formatNumber(v), better: 'high' },
+  { label: 'Liquidity', get: t => t.liquidity, format: v => utils.formatNumber(v), better: 'high' },
+  { label: '24h Volume', get: t => t.volume24h, format: v => utils.formatNumber(v), better: 'high' },
+  { label: 'Holders', get: t => t.holders, format: v => v.toLocaleString(), better: 'high' },
+  { label: 'Top 10 Share', get: t => t.top10Pct, format: v => `${v.toFixed(1)}%`, better: 'low' },
+  { label: 'Top 50 Share', get: t => t.top50Pct, format: v => `${v.toFixed(1)}%`, better: 'low' },
+  { label: 'Diamond Hands (1m+)', get: t => t.conviction1m, format: v => `${v.toFixed(1)}%`, better: 'high' },
+  { label: 'Sentiment', get: t => (t.sentimentBullish + t.sentimentBearish > 0 ? t.sentimentScore : null), format: (v, t) => `${v > 0 ? '+' : ''}${v} (${t.sentimentBullishPct}% bullish)`, better: 'high' },
+  { label: 'Calls (24h)', get: t => t.calls24h, format: v => v.toLocaleString(), better: 'high' },
+  { label: 'Calls (all time)', get: t => t.callsTotal, format: v => v.toLocaleString(), better: 'high' },
+  { label: 'Views', get: t => t.views, format: v => v.toLocaleString() },
+  { label: 'Age', get: t => t.pairCreatedAt, format: v => utils.formatAge(v) }
+];
+
+const comparePage = {
+  mints: [],
+  interval: '1h',
+  data: null,
+  chart: null,
+  series: [],
+  isLoading: false,
+  reloadPending: false,
+
+  init() {
+    document.getElementById('compare-lookup')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('compare-input');
+      this.addMints(input ? input.value : '');
+      if (input) input.value = '';
+    });
+
+    document.getElementById('compare-chips')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-remove]');
+      if (btn) this.setMints(this.mints.filter(m => m !== btn.dataset.remove));
+    });
+
+    document.querySelectorAll('.compare-interval').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.interval === this.interval) return;
+        this.interval = btn.dataset.interval;
+        document.querySelectorAll('.compare-interval').forEach(b => {
+          b.classList.toggle('active', b === btn);
+        });
+        this.load();
+      });
+    });
+
+    document.getElementById('compare-retry')?.addEventListener('click', () => this.load());
+
+    window.addEventListener('resize', () => {
+      const container = document.getElementById('compare-chart');
+      if (this.chart && container) this.chart.applyOptions({ width: container.clientWidth });
+    });
+
+    const params = new URLSearchParams(window.location.search);
+    const mints = (params.get('mints') || '').split(',').map(m => m.trim()).filter(m => utils.isValidSolanaAddress(m));
+    this.setMints([...new Set(mints)].slice(0, MAX_COMPARE_TOKENS));
+  },
+
+  // Accepts one address or several separated by commas / whitespace
+  addMints(text) {
+    const entered = text.split(/[\s,]+/).filter(Boolean);
+    if (entered.length === 0) return;
+
+    const invalid = entered.find(m => !utils.isValidSolanaAddress(m));
+    if (invalid) {
+      toast.error('Invalid token address');
+      return;
+    }
+
+    const next = [...new Set([...this.mints, ...entered])];
+    if (next.length > MAX_COMPARE_TOKENS) {
+      toast.error(`Compare up to ${MAX_COMPARE_TOKENS} tokens at a time`);
+      return;
+    }
+    this.setMints(next);
+  },
+
+  setMints(mints) {
+    this.mints = mints;
+
+    const url = new URL(window.location);
+    if (mints.length > 0) {
+      url.searchParams.set('mints', mints.join(','));
+    } else {
+      url.searchParams.delete('mints');
+    }
+    window.history.replaceState({}, '', url);
+
+    this.renderChips();
+    this.load();
+  },
+
+  async load() {
+    if (this.mints.length < 2) {
+      this.showState('prompt', this.mints.length === 1 ? 'Add one more token to compare' : null);
+      return;
+    }
+    if (this.isLoading) {
+      this.reloadPending = true;
+      return;
+    }
+    this.isLoading = true;
+
+    this.showState('loading');
+
+    try {
+      this.data = await api.tokens.compare(this.mints, this.interval);
+      // Chart needs a laid-out container, so show content before drawing
+      this.showState('content');
+      this.renderChips();
+      this.renderChart();
+      this.renderTable();
+    } catch (error) {
+      console.error('Failed to load comparison:', error);
+      this.showState('error', error.message || 'Failed to load comparison');
+    } finally {
+      this.isLoading = false;
+      if (this.reloadPending) {
+        this.reloadPending = false;
+        this.load();
+      }
+    }
+  },
+
+  showState(state, message) {
+    const els = {
+      loading: document.getElementById('compare-loading'),
+      content: document.getElementById('compare-content'),
+      prompt: document.getElementById('compare-prompt'),
+      error: document.getElementById('compare-error')
+    };
+
+    Object.values(els).forEach(el => { if (el) el.style.display = 'none'; });
+
+    if (els[state]) els[state].style.display = '';
+
+    if (state === 'error' && message) {
+      const msgEl = document.getElementById('compare-error-msg');
+      if (msgEl) msgEl.textContent = message;
+    }
+    if (state === 'prompt') {
+      const msgEl = document.getElementById('compare-prompt-msg');
+      if (msgEl) msgEl.textContent = message || 'Add two or three tokens to compare';
+    }
+  },
+
+  // Loaded token info for a mint (symbols appear once the comparison has loaded)
+  tokenFor(mint) {
+    return this.data?.tokens?.find(t => t.mint === mint) || null;
+  },
+
+  renderChips() {
+    const container = document.getElementById('compare-chips');
+    if (!container) return;
+
+    container.innerHTML = this.mints.map((mint, i) => {
+      const token = this.tokenFor(mint);
+      const label = token ? token.symbol : utils.truncateAddress(mint, 4, 4);
+      return `
+        <span class="compare-chip">
+          <span class="compare-dot" style="background: ${COMPARE_COLORS[i]};"></span>
+          ${this.esc(label)}
+          <button type="button" class="compare-chip-remove" data-remove="${this.esc(mint)}" aria-label="Remove">&times;</button>
+        </span>
+      `;
+    }).join('');
+  },
+
+  renderChart() {
+    const container = document.getElementById('compare-chart');
+    if (!container || typeof LightweightCharts === 'undefined') return;
+
+    if (!this.chart) {
+      this.chart = LightweightCharts.createChart(container, {
+        width: container.clientWidth || 600,
+        height: container.clientHeight || 320,
+        layout: {
+          background: { type: 'solid', color: 'transparent' },
+          textColor: '#6b6b73',
+          fontFamily: 'Inter, sans-serif',
+          fontSize: 11
+        },
+        grid: {
+          vertLines: { visible: false },
+          horzLines: { color: 'rgba(255, 255, 255, 0.04)' }
+        },
+        rightPriceScale: { borderVisible: false },
+        timeScale: { borderVisible: false, timeVisible: true, secondsVisible: false },
+        crosshair: { mode: LightweightCharts.CrosshairMode.Normal },
+        localization: {
+          priceFormatter: (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`
+        }
+      });
+    }
+
+    this.series.forEach(s => this.chart.removeSeries(s));
+    this.series = [];
+
+    const tokens = this.data.tokens || [];
+    tokens.forEach((token, i) => {
+      if (!token.series || token.series.length === 0) return;
+      const series = this.chart.addSeries(LightweightCharts.LineSeries, {
+        color: COMPARE_COLORS[i],
+        lineWidth: 2,
+        priceLineVisible: false,
+        title: token.symbol
+      });
+      // Lightweight Charts uses seconds
+      series.setData(token.series.map(p => ({ time: Math.floor(p.time / 1000), value: p.value })));
+      this.series.push(series);
+    });
+    this.chart.timeScale().fitContent();
+
+    const legend = document.getElementById('compare-legend');
+    if (legend) {
+      legend.innerHTML = tokens.map((token, i) => {
+        const last = token.series?.length ? token.series[token.series.length - 1].value : null;
+        const cls = last == null ? '' : last >= 0 ? 'positive' : 'negative';
+        return `
+          <span class="compare-legend-item">
+            <span class="compare-dot" style="background: ${COMPARE_COLORS[i]};"></span>
+            ${this.esc(token.symbol)}
+            <span class="${cls}">${last != null ? utils.formatChange(last) : 'no chart data'}</span>
+          </span>
+        `;
+      }).join('');
+    }
+
+    const note = document.getElementById('compare-chart-note');
+    if (note) {
+      note.textContent = this.data.since
+        ? `Close prices as % change since ${new Date(this.data.since).toLocaleString()} — the latest start shared by all charted tokens.`
+        : 'No price history available for these tokens.';
+    }
+  },
+
+  renderTable() {
+    const head = document.getElementById('compare-head');
+    const tbody = document.getElementById('compare-body');
+    if (!head || !tbody) return;
+
+    const tokens = this.data.tokens || [];
+
+    head.innerHTML = `
+      <th class="cell-token">Metric</th>
+      ${tokens.map((t, i) => `
+        <th class="compare-token-col">
+          <a href="token.html?mint=${encodeURIComponent(t.mint)}" class="compare-token-link">
+            <span class="compare-dot" style="background: ${COMPARE_COLORS[i]};"></span>
+            ${t.logoUri ? `<img src="${this.esc(t.logoUri)}" alt="" class="token-logo" width="20" height="20" loading="lazy">` : ''}
+            ${this.esc(t.symbol)}
+          </a>
+        </th>
+      `).join('')}
+    `;
+
+    tbody.innerHTML = COMPARE_METRICS.map(metric => {
+      const values = tokens.map(t => {
+        const v = metric.get(t);
+        return v == null || Number.isNaN(v) ? null : v;
+      });
+      const best = this.bestIndex(values, metric.better);
+
+      return `
+        <tr>
+          <td class="cell-token compare-metric-label">${metric.label}</td>
+          ${values.map((v, i) => {
+            const classes = ['compare-value'];
+            if (i === best) classes.push('compare-best');
+            if (metric.signed && v) classes.push(v > 0 ? 'positive' : 'negative');
+            return `<td class="${classes.join(' ')}">${v == null ? '--' : this.esc(metric.format(v, tokens[i]))}</td>`;
+          }).join('')}
+        </tr>
+      `;
+    }).join('');
+
+    head.querySelectorAll('img.token-logo').forEach(img => {
+      img.onerror = function() { this.style.display = 'none'; };
+    });
+  },
+
+  // Index of the best value in a row, or -1 when the row isn't ranked or lacks two values
+  bestIndex(values, better) {
+    if (!better) return -1;
+    let best = -1;
+    values.forEach((v, i) => {
+      if (v == null) return;
+      if (best === -1 || (better === 'high' ? v > values[best] : v < values[best])) best = i;
+    });
+    return values.filter(v => v != null).length >= 2 ? best : -1;
+  },
+
+  esc(str) {
+    if (str == null || str === '') return '';
+    const div = document.createElement('div');
+    div.textContent = String(str);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => comparePage.init());
+} else {
+  comparePage.init();
+}
@@ -426,6 +426,7 @@
     renderLoading(containerEl, cfg);
 
     // Fetch and render
+    var lastData = null;
     function loadAndRender() {
       fetchAllData(cfg.mint, cfg.apiKey, cfg._show)
         .then(function (data) {
@@ -433,7 +434,9 @@
             renderError(containerEl, cfg, 'Token not found — check the mint address');
             return;
           }
+          lastData = data;
           containerEl.innerHTML = buildHTML(data, cfg);
+          if (cfg.live !== false) startPriceStream();
         })
         .catch(function (err) {
           console.error('[OpenDexWidget] Fetch error:', err);
@@ -441,6 +444,28 @@
         });
     }
 
+    // Live price/mcap updates over SSE — one shared upstream fetch per mint on the server
+    var priceStream = null;
+    function startPriceStream() {
+      if (priceStream || typeof EventSource === 'undefined') return;
+      if (!cfg._show.price && !cfg._show.mcap) return;
+
+      priceStream = new EventSource(API_BASE + '/api/stream/prices?mints=' + encodeURIComponent(cfg.mint));
+      priceStream.addEventListener('price', function (event) {
+        if (!lastData || !lastData.token) return;
+        try {
+          var tick = JSON.parse(event.data);
+          if (!tick.price) return;
+          lastData.token.price = tick.price;
+          lastData.token.priceChange24h = tick.priceChange24h;
+          if (tick.marketCap) lastData.token.marketCap = tick.marketCap;
+          containerEl.innerHTML = buildHTML(lastData, cfg);
+        } catch (e) {
+          // Ignore malformed events
+        }
+      });
+    }
+
     loadAndRender();
 
     // Auto-refresh
@@ -0,0 +1,235 @@
+/* global api, utils, wallet */
+
+const portfolioPage = {
+  address: null,
+  isLoading: false,
+
+  init() {
+    document.getElementById('portfolio-lookup')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('portfolio-address');
+      const address = input ? input.value.trim() : '';
+      if (!utils.isValidSolanaAddress(address)) {
+        this.showState('error', 'Invalid wallet address');
+        return;
+      }
+      this.setAddress(address);
+    });
+
+    document.getElementById('portfolio-refresh')?.addEventListener('click', () => this.load(true));
+    document.getElementById('portfolio-retry')?.addEventListener('click', () => this.load());
+
+    // Delegated click handler for token rows
+    document.querySelector('.portfolio-page')?.addEventListener('click', (e) => {
+      const row = e.target.closest('.token-row[data-mint]');
+      if (row) {
+        window.location.href = 'token.html?mint=' + encodeURIComponent(row.dataset.mint);
+      }
+    });
+
+    // Default to the connected wallet when no address is in the URL
+    window.addEventListener('walletConnected', (e) => {
+      if (!this.address && e.detail?.address) this.setAddress(e.detail.address);
+    });
+
+    const params = new URLSearchParams(window.location.search);
+    const address = params.get('wallet');
+    if (address && utils.isValidSolanaAddress(address)) {
+      this.setAddress(address);
+    } else if (typeof wallet !== 'undefined' && wallet.connected && wallet.address) {
+      this.setAddress(wallet.address);
+    } else {
+      this.showState('prompt');
+    }
+  },
+
+  setAddress(address) {
+    this.address = address;
+
+    const input = document.getElementById('portfolio-address');
+    if (input) input.value = address;
+
+    const url = new URL(window.location);
+    url.searchParams.set('wallet', address);
+    window.history.replaceState({}, '', url);
+
+    this.load();
+  },
+
+  async load(fresh = false) {
+    if (this.isLoading || !this.address) return;
+    this.isLoading = true;
+
+    this.showState('loading');
+
+    try {
+      const portfolio = await api.wallets.getPortfolio(this.address, { fresh });
+      this.render(portfolio);
+      this.showState('content');
+    } catch (error) {
+      console.error('Failed to load portfolio:', error);
+      this.showState('error', 'Failed to load portfolio');
+    } finally {
+      this.isLoading = false;
+    }
+  },
+
+  showState(state, errorMsg) {
+    const els = {
+      loading: document.getElementById('portfolio-loading'),
+      content: document.getElementById('portfolio-content'),
+      prompt: document.getElementById('portfolio-prompt'),
+      error: document.getElementById('portfolio-error')
+    };
+
+    Object.values(els).forEach(el => { if (el) el.style.display = 'none'; });
+
+    if (els[state]) els[state].style.display = '';
+
+    const refreshBtn = document.getElementById('portfolio-refresh');
+    if (refreshBtn) refreshBtn.style.display = state === 'content' ? '' : 'none';
+
+    if (state === 'error' && errorMsg) {
+      const msgEl = document.getElementById('portfolio-error-msg');
+      if (msgEl) msgEl.textContent = errorMsg;
+    }
+  },
+
+  render(portfolio) {
+    const walletEl = document.getElementById('portfolio-wallet');
+    if (walletEl) walletEl.textContent = utils.truncateAddress(portfolio.wallet, 6, 6);
+
+    this.setValue('portfolio-total', utils.formatNumber(portfolio.totalValueUsd));
+    this.setPnl('portfolio-unrealized', portfolio.unrealizedPnl);
+    this.setPnl('portfolio-realized', portfolio.realizedPnl);
+
+    const noteEl = document.getElementById('portfolio-note');
+    if (noteEl) {
+      const history = portfolio.history || {};
+      noteEl.textContent = !history.available
+        ? 'Swap history unavailable — PnL cannot be calculated right now.'
+        : history.complete
+          ? `PnL from ${history.swapsScanned} swaps. Tokens received by transfer have no cost basis.`
+          : `PnL from the latest ${history.swapsScanned} swaps — older history is not included, so figures marked * are partial.`;
+    }
+
+    this.renderHoldings(portfolio.holdings || []);
+    this.renderClosed(portfolio.closedPositions || []);
+  },
+
+  renderHoldings(holdings) {
+    const tbody = document.getElementById('portfolio-holdings-body');
+    if (!tbody) return;
+
+    if (holdings.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No token balances</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = holdings.map(h => {
+      const change = h.priceChange24h;
+      const changeStr = change != null ? `${change >= 0 ? '+' : ''}${Number(change).toFixed(1)}%` : '--';
+      const changeClass = change != null ? (change >= 0 ? 'positive' : 'negative') : '';
+      const partial = h.partial && h.costUsd != null ? '*' : '';
+
+      return `
+        <tr class="token-row clickable" data-mint="${this.esc(h.mint)}">
+          <td class="cell-token">${this.tokenCell(h)}</td>
+          <td class="cell-price">${h.price ? utils.formatPrice(h.price) : '--'}</td>
+          <td class="cell-change ${changeClass}">${changeStr}</td>
+          <td class="cell-price">${utils.formatNumber(h.balance, '')}</td>
+          <td class="cell-mcap">${utils.formatNumber(h.valueUsd)}</td>
+          <td class="cell-mcap">${h.costUsd != null ? utils.formatNumber(h.costUsd) + partial : '--'}</td>
+          <td class="cell-change ${this.pnlClass(h.unrealizedPnl)}">${this.formatPnl(h.unrealizedPnl, h.unrealizedPnlPct)}</td>
+          <td class="cell-change ${this.pnlClass(h.realizedPnl)}">${this.formatPnl(h.realizedPnl)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    this.bindLogoFallbacks(tbody);
+  },
+
+  renderClosed(positions) {
+    const section = document.getElementById('portfolio-closed-section');
+    const tbody = document.getElementById('portfolio-closed-body');
+    if (!section || !tbody) return;
+
+    section.style.display = positions.length > 0 ? '' : 'none';
+
+    tbody.innerHTML = positions.map(p => `
+      <tr class="token-row clickable" data-mint="${this.esc(p.mint)}">
+        <td class="cell-token">${this.tokenCell(p)}</td>
+        <td class="cell-price">${p.trades}</td>
+        <td class="cell-change ${this.pnlClass(p.realizedPnl)}">${this.formatPnl(p.realizedPnl)}${p.partial ? '*' : ''}</td>
+        <td class="cell-mcap">${p.lastTradeAt ? utils.formatTimeAgo(p.lastTradeAt) : '--'}</td>
+      </tr>
+    `).join('');
+
+    this.bindLogoFallbacks(tbody);
+  },
+
+  tokenCell(t) {
+    const mint = t.mint || '';
+    const name = t.name || `${mint.slice(0, 4)}...${mint.slice(-4)}`;
+    const symbol = t.symbol || mint.slice(0, 5).toUpperCase();
+    const logo = t.logoUri
+      ? `<img src="${this.esc(t.logoUri)}" alt="${this.esc(symbol)}" class="token-logo" width="24" height="24" loading="lazy">`
+      : '';
+    return `
+      <div class="token-identity">
+        ${logo}
+        <div class="token-names">
+          <span class="token-name">${this.esc(name)}</span>
+          <span class="token-symbol">${this.esc(symbol)}</span>
+        </div>
+      </div>
+    `;
+  },
+
+  // Signed, abbreviated USD (formatNumber only abbreviates positive values)
+  formatPnl(value, pct) {
+    if (value == null) return '--';
+    const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+    const pctStr = pct != null ? ` (${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%)` : '';
+    return `${sign}${utils.formatNumber(Math.abs(value))}${pctStr}`;
+  },
+
+  pnlClass(value) {
+    if (!value) return '';
+    return value > 0 ? 'positive' : 'negative';
+  },
+
+  setValue(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  },
+
+  setPnl(id, value) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.textContent = this.formatPnl(value);
+    el.classList.remove('positive', 'negative');
+    const cls = this.pnlClass(value);
+    if (cls) el.classList.add(cls);
+  },
+
+  // Attach onerror handlers via JS (CSP-safe) instead of inline handlers
+  bindLogoFallbacks(container) {
+    container.querySelectorAll('img.token-logo').forEach(img => {
+      img.onerror = function() { this.style.display = 'none'; };
+    });
+  },
+
+  esc(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => portfolioPage.init());
+} else {
+  portfolioPage.init();
+}
@@ -0,0 +1,316 @@
+/* global api, utils, toast, wallet, watchlist */
+
+// Browser push notifications for watchlist tokens (Web Push via sw.js)
+const pushAlerts = {
+  isOpen: false,
+  vapidKey: null, // null until fetched; '' when the server has push disabled
+  subscription: null,
+  rules: [],
+  busy: false,
+
+  TYPE_LABELS: {
+    price_above: 'Price above',
+    price_below: 'Price below',
+    pct_move: 'Moves by',
+    banner: 'New banner approved'
+  },
+
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  },
+
+  init() {
+    const btn = document.getElementById('watchlist-alerts-btn');
+    if (!btn) return;
+
+    btn.addEventListener('click', () => this.toggle());
+    document.getElementById('push-toggle')?.addEventListener('click', () => {
+      if (this.subscription) this.disable();
+      else this.enable();
+    });
+    document.getElementById('push-rule-type')?.addEventListener('change', () => this.updateThresholdInput());
+    document.getElementById('push-rule-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addRule();
+    });
+    document.getElementById('push-rule-list')?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-remove-rule]');
+      if (removeBtn) this.removeRule(parseInt(removeBtn.dataset.removeRule));
+    });
+
+    window.addEventListener('walletConnected', () => { if (this.isOpen) this.load(); });
+    window.addEventListener('walletDisconnected', () => { if (this.isOpen) this.load(); });
+  },
+
+  toggle() {
+    this.isOpen = !this.isOpen;
+    const panel = document.getElementById('watchlist-alerts-panel');
+    if (panel) panel.style.display = this.isOpen ? '' : 'none';
+    document.getElementById('watchlist-alerts-btn')?.setAttribute('aria-expanded', String(this.isOpen));
+    if (this.isOpen) this.load();
+  },
+
+  async load() {
+    this.updateThresholdInput();
+    this.renderTokenOptions();
+
+    if (!this.isSupported()) {
+      this.renderStatus('This browser does not support push notifications');
+      this.renderRules();
+      return;
+    }
+
+    try {
+      if (this.vapidKey === null) {
+        const result = await api.push.getVapidKey();
+        this.vapidKey = result.enabled ? result.publicKey : '';
+      }
+      const registration = await navigator.serviceWorker.ready;
+      this.subscription = await registration.pushManager.getSubscription();
+    } catch (error) {
+      console.error('Failed to check push subscription:', error);
+    }
+
+    await this.loadRules();
+    this.renderStatus();
+  },
+
+  async loadRules() {
+    if (!wallet.connected || !wallet.address) {
+      this.rules = [];
+      this.renderRules();
+      return;
+    }
+
+    try {
+      const result = await api.push.getRules(wallet.address);
+      this.rules = result.rules || [];
+    } catch (error) {
+      console.error('Failed to load alerts:', error);
+      this.rules = [];
+    }
+    this.renderRules();
+  },
+
+  renderStatus(message) {
+    const status = document.getElementById('push-status');
+    const btn = document.getElementById('push-toggle');
+    if (!status || !btn) return;
+
+    let text = message;
+    let action = null;
+    if (!text) {
+      if (this.vapidKey === '') {
+        text = 'Push notifications are not enabled on this server';
+      } else if (!wallet.connected) {
+        text = 'Connect your wallet to get alerts in this browser';
+      } else if (Notification.permission === 'denied') {
+        text = 'Notifications are blocked for this site — allow them in your browser settings';
+      } else if (this.subscription) {
+        text = 'Notifications are on for this browser';
+        action = 'Turn off';
+      } else {
+        text = 'Get a notification in this browser when an alert fires';
+        action = 'Enable notifications';
+      }
+    }
+
+    status.textContent = text;
+    btn.style.display = action ? '' : 'none';
+    btn.textContent = action || '';
+    btn.classList.toggle('btn-primary', !this.subscription);
+    btn.classList.toggle('btn-ghost', !!this.subscription);
+  },
+
+  renderTokenOptions() {
+    const select = document.getElementById('push-rule-token');
+    if (!select) return;
+
+    const previous = select.value;
+    const tokens = [...watchlist.items.values()];
+    select.innerHTML = tokens.length === 0
+      ? '<option value="">Watchlist is empty</option>'
+      : tokens.map(t => `<option value="${utils.escapeHtml(t.mint)}">${utils.escapeHtml(t.symbol || t.name || t.mint.slice(0, 8))}</option>`).join('');
+    if (previous && watchlist.items.has(previous)) select.value = previous;
+  },
+
+  updateThresholdInput() {
+    const type = document.getElementById('push-rule-type')?.value;
+    const input = document.getElementById('push-rule-threshold');
+    if (!input) return;
+
+    input.style.display = type === 'banner' ? 'none' : '';
+    input.placeholder = type === 'pct_move' ? 'Percent (e.g. 20)' : 'Price (USD)';
+  },
+
+  describeRule(rule) {
+    if (rule.type === 'banner') return this.TYPE_LABELS.banner;
+    if (rule.type === 'pct_move') {
+      const from = rule.basePrice ? ` from ${utils.formatPrice(rule.basePrice, 6)}` : '';
+      return `${this.TYPE_LABELS.pct_move} ${rule.threshold}%${from}`;
+    }
+    return `${this.TYPE_LABELS[rule.type]} ${utils.formatPrice(rule.threshold, 6)}`;
+  },
+
+  renderRules() {
+    const list = document.getElementById('push-rule-list');
+    if (!list) return;
+
+    if (!wallet.connected) {
+      list.innerHTML = '';
+      return;
+    }
+    if (this.rules.length === 0) {
+      list.innerHTML = '<li class="push-rule-empty">No alerts yet — pick a watchlist token above</li>';
+      return;
+    }
+
+    list.innerHTML = this.rules.map(rule => {
+      const token = rule.token || {};
+      const label = token.symbol || token.name || rule.tokenMint.slice(0, 8);
+      const fired = rule.lastTriggeredAt ? `<span class="push-rule-fired">last fired ${utils.formatTimeAgo(rule.lastTriggeredAt)}</span>` : '';
+      return `
+        <li class="push-rule">
+          <a href="token.html?mint=${encodeURIComponent(rule.tokenMint)}" class="push-rule-token">${utils.escapeHtml(label)}</a>
+          <span class="push-rule-desc">${utils.escapeHtml(this.describeRule(rule))}</span>
+          ${fired}
+          <button type="button" class="watchlist-group-manage" data-remove-rule="${rule.id}" aria-label="Remove alert">Remove</button>
+        </li>
+      `;
+    }).join('');
+  },
+
+  // A wallet session (signed in or linked device) authenticates instead of a per-request signature
+  async signPushAction(action, subject) {
+    if (await wallet.ensureSession()) return {};
+    const timestamp = Date.now();
+    const message = `OpenDex Push: ${action} ${subject} for ${wallet.address} at ${timestamp}`;
+    const { signature } = await wallet.signMessage(message);
+    return { signature, signatureTimestamp: timestamp };
+  },
+
+  // VAPID keys are base64url; PushManager wants the raw bytes
+  urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const raw = atob((base64String + padding).replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(raw, c => c.charCodeAt(0));
+  },
+
+  async enable() {
+    if (this.busy || !this.vapidKey) return;
+    if (!wallet.connected || !wallet.address) {
+      wallet.connect();
+      return;
+    }
+
+    this.busy = true;
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        this.renderStatus();
+        return;
+      }
+
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: this.urlBase64ToUint8Array(this.vapidKey)
+      });
+
+      try {
+        const auth = await this.signPushAction('subscribe', 'alerts');
+        const result = await api.push.subscribe(wallet.address, subscription.toJSON(), auth);
+        this.subscription = subscription;
+        toast.success(result.message || 'Notifications enabled');
+      } catch (error) {
+        // Don't leave a browser subscription the server doesn't know about
+        await subscription.unsubscribe().catch(() => {});
+        throw error;
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to enable notifications');
+    } finally {
+      this.busy = false;
+      this.renderStatus();
+    }
+  },
+
+  async disable() {
+    if (this.busy || !this.subscription) return;
+
+    this.busy = true;
+    try {
+      const { endpoint } = this.subscription;
+      await this.subscription.unsubscribe();
+      this.subscription = null;
+      await api.push.unsubscribe(endpoint);
+      toast.success('Notifications turned off for this browser');
+    } catch (error) {
+      toast.error(error.message || 'Failed to turn off notifications');
+    } finally {
+      this.busy = false;
+      this.renderStatus();
+    }
+  },
+
+  async addRule() {
+    if (this.busy) return;
+    if (!wallet.connected || !wallet.address) {
+      wallet.connect();
+      return;
+    }
+
+    const tokenMint = document.getElementById('push-rule-token')?.value;
+    const type = document.getElementById('push-rule-type')?.value;
+    const thresholdInput = document.getElementById('push-rule-threshold');
+    if (!tokenMint) {
+      toast.error('Add a token to your watchlist first');
+      return;
+    }
+
+    const rule = { tokenMint, type };
+    if (type !== 'banner') {
+      const threshold = parseFloat(thresholdInput?.value);
+      if (!(threshold > 0)) {
+        toast.error(type === 'pct_move' ? 'Enter a percentage' : 'Enter a price');
+        return;
+      }
+      rule.threshold = threshold;
+    }
+
+    this.busy = true;
+    try {
+      const auth = await this.signPushAction('add', `${type} ${tokenMint}`);
+      await api.push.addRule(wallet.address, rule, auth);
+      if (thresholdInput) thresholdInput.value = '';
+      toast.success(this.subscription ? 'Alert added' : 'Alert added — enable notifications to receive it');
+      await this.loadRules();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add alert');
+    } finally {
+      this.busy = false;
+    }
+  },
+
+  async removeRule(id) {
+    if (this.busy || !wallet.connected || !id) return;
+
+    this.busy = true;
+    try {
+      const auth = await this.signPushAction('delete', `rule ${id}`);
+      await api.push.removeRule(wallet.address, id, auth);
+      this.rules = this.rules.filter(r => r.id !== id);
+      this.renderRules();
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove alert');
+    } finally {
+      this.busy = false;
+    }
+  }
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => pushAlerts.init());
+} else {
+  pushAlerts.init();
+}
@@ -0,0 +1,344 @@
+/* global api, utils, toast, wallet */
+
+const SCREENER_PAGE_SIZE = 50;
+
+const screenerPage = {
+  query: '',
+  sort: 'mcap',
+  order: 'desc',
+  offset: 0,
+  data: null,
+  savedScreens: [],
+  isLoading: false,
+  reloadPending: false,
+  saveBusy: false,
+
+  init() {
+    document.getElementById('screener-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('screener-input');
+      this.setQuery(input ? input.value : '');
+    });
+
+    document.getElementById('screener-sort')?.addEventListener('change', (e) => {
+      this.sort = e.target.value;
+      // Ages sort youngest first; everything else largest first
+      this.order = this.sort === 'age' ? 'asc' : 'desc';
+      this.offset = 0;
+      this.updateUrl();
+      this.load();
+    });
+
+    document.getElementById('screener-presets')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-query]');
+      if (btn) this.setQuery(btn.dataset.query);
+    });
+
+    document.getElementById('screener-saved-list')?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-remove]');
+      if (removeBtn) {
+        this.removeScreen(removeBtn.dataset.remove);
+        return;
+      }
+      const runBtn = e.target.closest('[data-run]');
+      if (runBtn) {
+        const screen = this.savedScreens.find(s => String(s.id) === runBtn.dataset.run);
+        if (screen) this.setQuery(screen.query);
+      }
+    });
+
+    document.getElementById('screener-save-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveScreen();
+    });
+
+    document.getElementById('screener-prev')?.addEventListener('click', () => {
+      this.offset = Math.max(0, this.offset - SCREENER_PAGE_SIZE);
+      this.load();
+    });
+    document.getElementById('screener-next')?.addEventListener('click', () => {
+      this.offset += SCREENER_PAGE_SIZE;
+      this.load();
+    });
+
+    document.getElementById('screener-retry')?.addEventListener('click', () => this.load());
+
+    document.querySelector('.screener-page')?.addEventListener('click', (e) => {
+      if (e.target.closest('a')) return;
+      const row = e.target.closest('.token-row[data-mint]');
+      if (row) {
+        window.location.href = 'token.html?mint=' + encodeURIComponent(row.dataset.mint);
+      }
+    });
+
+    window.addEventListener('walletConnected', () => this.loadSaved());
+    window.addEventListener('walletDisconnected', () => this.loadSaved());
+
+    const params = new URLSearchParams(window.location.search);
+    const sort = params.get('sort');
+    const sortSelect = document.getElementById('screener-sort');
+    if (sort && sortSelect && [...sortSelect.options].some(o => o.value === sort)) {
+      this.sort = sort;
+      this.order = sort === 'age' ? 'asc' : 'desc';
+      sortSelect.value = sort;
+    }
+
+    this.loadSaved();
+    this.setQuery(params.get('q') || '');
+  },
+
+  setQuery(query) {
+    this.query = query.trim().replace(/\s+/g, ' ');
+    this.offset = 0;
+
+    const input = document.getElementById('screener-input');
+    if (input) input.value = this.query;
+
+    this.updateUrl();
+    this.load();
+  },
+
+  updateUrl() {
+    const url = new URL(window.location);
+    if (this.query) {
+      url.searchParams.set('q', this.query);
+    } else {
+      url.searchParams.delete('q');
+    }
+    if (this.sort !== 'mcap') {
+      url.searchParams.set('sort', this.sort);
+    } else {
+      url.searchParams.delete('sort');
+    }
+    window.history.replaceState({}, '', url);
+  },
+
+  async load() {
+    if (!this.query) {
+      this.showState('prompt');
+      return;
+    }
+    if (this.isLoading) {
+      this.reloadPending = true;
+      return;
+    }
+    this.isLoading = true;
+
+    this.showState('loading');
+
+    try {
+      this.data = await api.screener.run({
+        q: this.query,
+        sort: this.sort,
+        order: this.order,
+        limit: SCREENER_PAGE_SIZE,
+        offset: this.offset
+      });
+      this.showState('content');
+      this.renderResults();
+    } catch (error) {
+      console.error('Failed to run screen:', error);
+      this.showState('error', error.message || 'Failed to run screen');
+    } finally {
+      this.isLoading = false;
+      if (this.reloadPending) {
+        this.reloadPending = false;
+        this.load();
+      }
+    }
+  },
+
+  showState(state, message) {
+    const els = {
+      loading: document.getElementById('screener-loading'),
+      content: document.getElementById('screener-content'),
+      prompt: document.getElementById('screener-prompt'),
+      error: document.getElementById('screener-error')
+    };
+
+    Object.values(els).forEach(el => { if (el) el.style.display = 'none'; });
+
+    if (els[state]) els[state].style.display = '';
+
+    if (state === 'error' && message) {
+      const msgEl = document.getElementById('screener-error-msg');
+      if (msgEl) msgEl.textContent = message;
+    }
+  },
+
+  renderResults() {
+    const tbody = document.getElementById('screener-body');
+    if (!tbody) return;
+
+    const tokens = this.data.tokens || [];
+    const total = this.data.total || 0;
+
+    const summary = document.getElementById('screener-summary');
+    if (summary) {
+      summary.textContent = total === 0
+        ? 'No tokens match this screen'
+        : `${total.toLocaleString()} token${total === 1 ? '' : 's'} match`;
+    }
+
+    if (tokens.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="10" class="empty-state">No tokens match — try loosening a filter</td></tr>';
+    } else {
+      tbody.innerHTML = tokens.map(t => `
+        <tr class="token-row clickable" data-mint="${this.esc(t.mint)}">
+          <td class="cell-token">${this.tokenCell(t)}</td>
+          <td class="cell-mcap">${t.marketCap ? utils.formatNumber(t.marketCap) : '--'}</td>
+          <td class="cell-mcap">${t.liquidity ? utils.formatNumber(t.liquidity) : '--'}</td>
+          <td class="cell-mcap">${t.volume24h ? utils.formatNumber(t.volume24h) : '--'}</td>
+          <td class="cell-change ${t.priceChange24h > 0 ? 'positive' : t.priceChange24h < 0 ? 'negative' : ''}">${t.priceChange24h != null ? utils.formatChange(t.priceChange24h) : '--'}</td>
+          <td class="cell-mcap">${t.pairCreatedAt ? utils.formatAge(t.pairCreatedAt) : '--'}</td>
+          <td class="cell-mcap">${t.holders != null ? t.holders.toLocaleString() : '--'}</td>
+          <td class="cell-mcap">${t.top10Pct != null ? `${t.top10Pct.toFixed(1)}%` : '--'}</td>
+          <td class="cell-mcap">${t.bullishPct != null ? `${t.bullishPct}% <span class="screener-muted">(${t.sentimentVotes})</span>` : '--'}</td>
+          <td class="cell-mcap">${t.calls24h.toLocaleString()}</td>
+        </tr>
+      `).join('');
+    }
+
+    tbody.querySelectorAll('img.token-logo').forEach(img => {
+      img.onerror = function() { this.style.display = 'none'; };
+    });
+
+    const page = Math.floor(this.offset / SCREENER_PAGE_SIZE) + 1;
+    const pages = Math.max(1, Math.ceil(total / SCREENER_PAGE_SIZE));
+    const pageEl = document.getElementById('screener-page');
+    if (pageEl) pageEl.textContent = `Page ${page} of ${pages}`;
+    const prev = document.getElementById('screener-prev');
+    const next = document.getElementById('screener-next');
+    if (prev) prev.disabled = this.offset === 0;
+    if (next) next.disabled = this.offset + SCREENER_PAGE_SIZE >= total;
+  },
+
+  tokenCell(t) {
+    const logo = t.logoUri
+      ? `<img src="${this.esc(t.logoUri)}" alt="${this.esc(t.symbol)}" class="token-logo" width="24" height="24" loading="lazy">`
+      : '';
+    const banner = t.hasBanner ? ' <span class="screener-banner-badge" title="Has an approved community banner">banner</span>' : '';
+    return `
+      <div class="token-identity">
+        ${logo}
+        <div class="token-names">
+          <span class="token-name">${this.esc(t.name)}${banner}</span>
+          <span class="token-symbol">${this.esc(t.symbol)}</span>
+        </div>
+      </div>
+    `;
+  },
+
+  // ---- Saved screens ----
+
+  async loadSaved() {
+    if (typeof wallet === 'undefined' || !wallet.connected || !wallet.address) {
+      this.savedScreens = [];
+      this.renderSaved();
+      return;
+    }
+
+    try {
+      const result = await api.screener.getSaved(wallet.address);
+      this.savedScreens = result.screens || [];
+    } catch (error) {
+      console.error('Failed to load saved screens:', error);
+      this.savedScreens = [];
+    }
+    this.renderSaved();
+  },
+
+  renderSaved() {
+    const list = document.getElementById('screener-saved-list');
+    if (!list) return;
+
+    const connected = typeof wallet !== 'undefined' && wallet.connected && wallet.address;
+    if (!connected) {
+      list.innerHTML = '<p class="screener-muted">Connect your wallet to save screens</p>';
+      return;
+    }
+    if (this.savedScreens.length === 0) {
+      list.innerHTML = '<p class="screener-muted">No saved screens yet — run a screen and give it a name</p>';
+      return;
+    }
+
+    list.innerHTML = this.savedScreens.map(s => `
+      <span class="compare-chip screener-saved-chip">
+        <button type="button" class="screener-saved-run" data-run="${s.id}" title="${this.esc(s.query)}">${this.esc(s.name)}</button>
+        <button type="button" class="compare-chip-remove" data-remove="${this.esc(s.name)}" aria-label="Delete">&times;</button>
+      </span>
+    `).join('');
+  },
+
+  // A wallet session (signed in or linked device) authenticates instead of a per-request signature
+  async signScreenAction(action, name) {
+    if (await wallet.ensureSession()) return {};
+    const timestamp = Date.now();
+    const message = `OpenDex Screen: ${action} "${name}" for ${wallet.address} at ${timestamp}`;
+    const { signature } = await wallet.signMessage(message);
+    return { signature, signatureTimestamp: timestamp };
+  },
+
+  async saveScreen() {
+    if (this.saveBusy) return;
+
+    if (!wallet.connected || !wallet.address) {
+      wallet.connect();
+      return;
+    }
+    if (!this.query) {
+      toast.error('Run a screen before saving it');
+      return;
+    }
+
+    const nameInput = document.getElementById('screener-save-name');
+    const name = (nameInput?.value || '').trim();
+    if (!name) {
+      toast.error('Give the screen a name');
+      return;
+    }
+
+    this.saveBusy = true;
+    const btn = document.getElementById('screener-save-btn');
+    if (btn) btn.disabled = true;
+
+    try {
+      const auth = await this.signScreenAction('save', name);
+      const result = await api.screener.save(wallet.address, name, this.query, auth);
+      if (nameInput) nameInput.value = '';
+      toast.success(result.message || 'Screen saved');
+      await this.loadSaved();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save screen');
+    } finally {
+      this.saveBusy = false;
+      if (btn) btn.disabled = false;
+    }
+  },
+
+  async removeScreen(name) {
+    if (!wallet.connected || !wallet.address) return;
+
+    try {
+      const auth = await this.signScreenAction('delete', name);
+      await api.screener.remove(wallet.address, name, auth);
+      toast.success('Screen deleted');
+      await this.loadSaved();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete screen');
+    }
+  },
+
+  esc(str) {
+    if (str == null || str === '') return '';
+    const div = document.createElement('div');
+    div.textContent = String(str);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => screenerPage.init());
+} else {
+  screenerPage.init();
+}
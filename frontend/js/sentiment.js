@@ -103,6 +103,44 @@
       text-decoration: none;
     }
     .sentiment-hint a:hover { text-decoration: underline; }
+    .sentiment-trend {
+      margin-bottom: 0.85rem;
+    }
+    .sentiment-trend-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 0.35rem;
+    }
+    .sentiment-trend-change {
+      font-size: 0.78rem;
+      color: var(--text-muted);
+    }
+    .sentiment-trend-change.bullish { color: #22c55e; }
+    .sentiment-trend-change.bearish { color: #ef4444; }
+    .sentiment-trend-windows {
+      display: flex;
+      gap: 0.25rem;
+    }
+    .sentiment-trend-window {
+      padding: 0.1rem 0.45rem;
+      border-radius: var(--radius-sm);
+      border: 1px solid var(--border-subtle);
+      background: transparent;
+      color: var(--text-muted);
+      font-size: 0.7rem;
+      cursor: pointer;
+    }
+    .sentiment-trend-window.active {
+      color: var(--text-primary);
+      border-color: var(--border-default);
+      background: var(--bg-tertiary);
+    }
+    .sentiment-sparkline {
+      display: block;
+      width: 100%;
+      height: 36px;
+    }
   `;
   document.head.appendChild(style);
 })();
@@ -111,6 +149,8 @@ const sentiment = {
   currentMint: null,
   userVote: null,
   tally: { bullish: 0, bearish: 0, score: 0 },
+  holderVerification: false,
+  historyWindow: '24h',
   _casting: false,
   _bound: false,
 
@@ -123,6 +163,17 @@ const sentiment = {
     const bearishBtn = document.getElementById('sentiment-bearish-btn');
     const connectLink = document.getElementById('sentiment-connect-link');
 
+    document.querySelectorAll('.sentiment-trend-window').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.window === this.historyWindow) return;
+        this.historyWindow = btn.dataset.window;
+        document.querySelectorAll('.sentiment-trend-window').forEach(b => {
+          b.classList.toggle('active', b === btn);
+        });
+        this.loadHistory();
+      });
+    });
+
     if (bullishBtn) bullishBtn.addEventListener('click', () => this.castVote('bullish'));
     if (bearishBtn) bearishBtn.addEventListener('click', () => this.castVote('bearish'));
     if (connectLink) {
@@ -150,11 +201,71 @@ const sentiment = {
       const data = await api.sentiment.get(mint, walletAddr);
       this.tally = data.tally || { bullish: 0, bearish: 0, score: 0 };
       this.userVote = data.userVote || null;
+      this.holderVerification = !!data.holderVerification;
       this.updateUI();
     } catch (err) {
       // Non-fatal — section stays visible with zero state
       this.updateUI();
     }
+
+    this.loadHistory();
+  },
+
+  async loadHistory() {
+    const mint = this.currentMint;
+    const trendEl = document.getElementById('sentiment-trend');
+    if (!mint || !trendEl) return;
+
+    try {
+      const history = await api.sentiment.getHistory(mint, this.historyWindow);
+      // Token or window changed while loading
+      if (mint !== this.currentMint || history.window !== this.historyWindow) return;
+      this.renderTrend(history);
+    } catch (err) {
+      trendEl.style.display = 'none';
+    }
+  },
+
+  // Sparkline of the running score (bullish - bearish) across the window
+  renderTrend(history) {
+    const trendEl = document.getElementById('sentiment-trend');
+    const svg = document.getElementById('sentiment-sparkline');
+    const changeEl = document.getElementById('sentiment-trend-change');
+    if (!trendEl || !svg) return;
+
+    const buckets = history.buckets || [];
+    const tally = history.tally || {};
+    if (buckets.length < 2 || (tally.bullish || 0) + (tally.bearish || 0) === 0) {
+      trendEl.style.display = 'none';
+      return;
+    }
+    trendEl.style.display = '';
+
+    const change = history.change?.score || 0;
+    const label = { '1h': '1h', '24h': '24h', '7d': '7d' }[history.window] || history.window;
+    if (changeEl) {
+      changeEl.textContent = change === 0
+        ? `No change in ${label}`
+        : `${change > 0 ? '+' : ''}${change} score in ${label}`;
+      changeEl.className = `sentiment-trend-change${change > 0 ? ' bullish' : change < 0 ? ' bearish' : ''}`;
+    }
+
+    const W = 200, H = 36, PAD = 3;
+    const scores = buckets.map(b => b.score);
+    const min = Math.min(0, ...scores);
+    const max = Math.max(0, ...scores);
+    const range = max - min || 1;
+    const x = (i) => (i / (buckets.length - 1)) * W;
+    const y = (v) => H - PAD - ((v - min) / range) * (H - PAD * 2);
+
+    const points = scores.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+    const color = change < 0 ? '#ef4444' : '#22c55e';
+    const zeroY = y(0).toFixed(1);
+
+    svg.innerHTML = `
+      <line x1="0" y1="${zeroY}" x2="${W}" y2="${zeroY}" stroke="var(--border-subtle)" stroke-width="1" stroke-dasharray="2 3" vector-effect="non-scaling-stroke"/>
+      <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" vector-effect="non-scaling-stroke"/>
+    `;
   },
 
   async castVote(sentimentType) {
@@ -216,6 +327,7 @@ const sentiment = {
       this.tally = result.tally || this.tally;
       this.userVote = result.action === 'removed' ? null : sentimentType;
       this.updateUI();
+      this.loadHistory();
     } catch (err) {
       // Revert optimistic update
       this.userVote = prevVote;
@@ -265,11 +377,23 @@ const sentiment = {
       }
     }
 
-    // Counts
+    // Counts (plus the holder-weighted split when holder verification is on)
     if (countsEl) {
-      countsEl.textContent = total > 0
+      let text = total > 0
         ? `${bullish} Bullish · ${bearish} Bearish`
         : 'Be the first to vote';
+      const weighted = this.tally.weighted;
+      const weightedTotal = weighted ? weighted.bullish + weighted.bearish : 0;
+      if (this.holderVerification && weightedTotal > 0) {
+        const wPct = Math.round((weighted.bullish / weightedTotal) * 100);
+        text += weighted.bullish >= weighted.bearish
+          ? ` · Holders ${wPct}% Bullish`
+          : ` · Holders ${100 - wPct}% Bearish`;
+      }
+      countsEl.textContent = text;
+      countsEl.title = this.holderVerification
+        ? 'Holder-weighted: votes count by the voter\'s share of supply (non-holders count zero)'
+        : '';
     }
 
     // Button counts
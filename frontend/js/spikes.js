@@ -1,6 +1,7 @@
 /**
  * Spike Detector — Finds established tokens (>1d old) with unusual activity spikes.
- * Displays results in a sortable table with spike type badges and auto-refresh.
+ * Displays results in a sortable table with spike type badges and auto-refresh,
+ * plus a backtest panel showing how past detections performed +1h / +24h later.
  */
 var spikeDetector = (function() {
   'use strict';
@@ -33,6 +34,9 @@ var spikeDetector = (function() {
     els.ageDropdown = document.getElementById('spikes-age-dropdown');
     els.typeDropdown = document.getElementById('spikes-type-dropdown');
     els.refreshBtn = document.getElementById('spikes-refresh-btn');
+    els.backtest = document.getElementById('spikes-backtest');
+    els.backtestBody = document.getElementById('spikes-backtest-body');
+    els.backtestSummary = document.getElementById('spikes-backtest-summary');
   }
 
   // --- Custom dropdown logic ---
@@ -225,7 +229,17 @@ var spikeDetector = (function() {
           html += '<span class="spike-badge spike-badge-' + badgeType + '">' + escapeHtml(t.spikeTypes[j]) + '</span>';
         }
       }
-      html += '</div></div></td>';
+      html += '</div>';
+      if (t.detectedAt) {
+        html += '<span class="spike-detected">detected ' + formatDetectedAgo(t.detectedAt);
+        if (t.changeSinceDetection != null) {
+          var since = parseFloat(t.changeSinceDetection);
+          html += ', since then <span class="' + (since >= 0 ? 'change-up' : 'change-down') + '">' +
+            (since >= 0 ? '+' : '') + since.toFixed(1) + '%</span>';
+        }
+        html += '</span>';
+      }
+      html += '</div></td>';
 
       html += '</tr>';
     }
@@ -233,6 +247,43 @@ var spikeDetector = (function() {
     els.tableBody.innerHTML = html;
   }
 
+  // --- Backtest ---
+
+  async function loadBacktest() {
+    if (!els.backtest) return;
+
+    try {
+      var data = await api.spikes.backtest({ days: 7 });
+      if (!data || !data.horizons || data.detections === 0) {
+        els.backtest.style.display = 'none';
+        return;
+      }
+
+      els.backtestSummary.textContent = data.detections + ' detection' + (data.detections === 1 ? '' : 's') +
+        ' scoring ' + data.minScore + '+ in the last ' + data.days + ' days';
+
+      var html = '';
+      var horizons = ['1h', '24h'];
+      for (var i = 0; i < horizons.length; i++) {
+        var h = data.horizons[horizons[i]];
+        html += '<div class="spikes-stat">';
+        html += '<span class="spikes-stat-label">Hit rate +' + horizons[i] + '</span>';
+        html += '<span class="spikes-stat-value">' + (h.hitRate != null ? h.hitRate.toFixed(0) + '%' : '--') + '</span>';
+        html += '<span class="spikes-backtest-detail">' + h.hits + '/' + h.samples + ' up';
+        if (h.medianReturnPct != null) {
+          html += ', median ' + (h.medianReturnPct >= 0 ? '+' : '') + h.medianReturnPct.toFixed(1) + '%';
+        }
+        html += '</span></div>';
+      }
+      els.backtestBody.innerHTML = html;
+      els.backtest.style.display = '';
+    } catch (err) {
+      // Track record is supplementary; hide it rather than surface an error
+      console.warn('[SpikeDetector] Backtest unavailable:', err.message);
+      els.backtest.style.display = 'none';
+    }
+  }
+
   // --- Formatting helpers ---
 
   function formatPrice(price) {
@@ -274,6 +325,13 @@ var spikeDetector = (function() {
     return Math.round(diff / 3600000) + 'h ago';
   }
 
+  function formatDetectedAgo(timestamp) {
+    var hours = (Date.now() - timestamp) / 3600000;
+    if (hours < 1) return Math.max(1, Math.round(hours * 60)) + 'm ago';
+    if (hours < 48) return Math.round(hours) + 'h ago';
+    return Math.round(hours / 24) + 'd ago';
+  }
+
   function escapeHtml(str) {
     if (!str) return '';
     return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
@@ -388,6 +446,7 @@ var spikeDetector = (function() {
 
     // Initial load
     load();
+    loadBacktest();
     startAutoRefresh();
   }
 
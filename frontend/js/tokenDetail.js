@@ -9,7 +9,11 @@ const tokenDetail = {
   chartData: null,
   pools: [],
   submissions: [],
+  trades: [],
+  tradesCursor: null,
+  tradesFilter: 'all', // 'all' | 'buy' | 'sell' | 'whale'
   priceRefreshInterval: null,
+  priceStream: null, // EventSource for live price ticks (polling is the fallback)
   freshnessInterval: null,
   lastPriceUpdate: null,
   _consecutivePriceErrors: 0, // Circuit breaker for price refresh
@@ -73,6 +77,9 @@ const tokenDetail = {
       await Promise.all([
         this.loadChart(this.currentInterval),
         this.loadPools(),
+        this.loadTrades(),
+        this.loadRiskReport(),
+        this.loadCreatorHistory(),
         this.loadSubmissions(),
         sentiment.loadForToken(this.mint), // Load community sentiment
         this.loadSimilarTokens(), // Load similar tokens (anti-spoofing)
@@ -81,8 +88,8 @@ const tokenDetail = {
       ]);
       await voting.initForPage(); // Initialize voting after submissions are rendered
 
-      // Start price refresh and freshness timer
-      this.startPriceRefresh();
+      // Start live price stream (falls back to polling) and freshness timer
+      this.startPriceStream();
       this.startFreshnessTimer();
     } catch (error) {
       console.error('Failed to initialize token page:', error);
@@ -301,6 +308,24 @@ const tokenDetail = {
       bindHandler(tab, 'click', handler);
     });
 
+    // Trade filter tabs
+    const tradeTabs = document.querySelectorAll('.trades-tab');
+    tradeTabs.forEach(tab => {
+      const handler = () => {
+        tradeTabs.forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+        this.tradesFilter = tab.dataset.filter;
+        this._renderTradesTable();
+      };
+      bindHandler(tab, 'click', handler);
+    });
+
+    // Trades refresh / load more
+    const tradesRefreshBtn = document.getElementById('trades-refresh');
+    bindHandler(tradesRefreshBtn, 'click', () => this.loadTrades());
+    const tradesMoreBtn = document.getElementById('trades-more');
+    bindHandler(tradesMoreBtn, 'click', () => this.loadTrades(true));
+
     // Similar tokens toggle (collapsed by default)
     const similarToggleBtn = document.getElementById('similar-tokens-toggle');
     const similarToggleHandler = () => {
@@ -403,6 +428,12 @@ const tokenDetail = {
       bindHandler(aiAdvancedBtn, 'click', () => this._openAdvancedAIAnalysis());
     }
 
+    // AI analysis history (free — no wallet needed)
+    const aiHistoryBtn = document.getElementById('ai-history-btn');
+    if (aiHistoryBtn) {
+      bindHandler(aiHistoryBtn, 'click', () => this._openAIHistory());
+    }
+
     // Holders expand/collapse button
     const holdersExpandBtn = document.getElementById('holders-expand');
     const holdersExpandHandler = () => {
@@ -421,6 +452,15 @@ const tokenDetail = {
     };
     bindHandler(holdersExpandBtn, 'click', holdersExpandHandler);
 
+    // Holder trend range buttons
+    const holderHistoryRanges = document.getElementById('holder-history-ranges');
+    bindHandler(holderHistoryRanges, 'click', (e) => {
+      const btn = e.target.closest('.holder-history-range');
+      if (!btn || btn.classList.contains('active')) return;
+      holderHistoryRanges.querySelectorAll('.holder-history-range').forEach(b => b.classList.toggle('active', b === btn));
+      this.loadHolderHistory(btn.dataset.range);
+    });
+
     // Submit link with token pre-filled (use encodeURIComponent for safety)
     const submitLink = document.getElementById('submit-link');
     if (submitLink) {
@@ -430,7 +470,8 @@ const tokenDetail = {
     // Visibility change handler for pausing/resuming intervals
     this.visibilityHandler = () => {
       if (document.visibilityState === 'hidden') {
-        // Page is hidden, clear intervals to save resources
+        // Page is hidden, close the stream and clear intervals to save resources
+        this.stopPriceStream();
         if (this.priceRefreshInterval) {
           clearInterval(this.priceRefreshInterval);
           this.priceRefreshInterval = null;
@@ -440,10 +481,10 @@ const tokenDetail = {
           this.freshnessInterval = null;
         }
       } else if (document.visibilityState === 'visible') {
-        // Page is visible again, restart intervals if needed
-        if (!this.priceRefreshInterval && this.mint) {
-          this.refreshPrice(); // Immediate refresh when becoming visible
-          this.startPriceRefresh();
+        // Page is visible again, restart stream/intervals if needed
+        // (the stream sends a snapshot on connect, so no separate refresh is needed)
+        if (!this.priceStream && !this.priceRefreshInterval && this.mint) {
+          this.startPriceStream();
         }
         if (!this.freshnessInterval && this.lastPriceUpdate) {
           this.updateFreshnessDisplay();
@@ -470,6 +511,53 @@ const tokenDetail = {
     }
   },
 
+  // Subscribe to the server-sent price stream. One upstream fetch per mint is shared
+  // by every viewer, so this replaces per-tab polling. Falls back to startPriceRefresh()
+  // when EventSource is unavailable or the server rejects the stream.
+  startPriceStream() {
+    this.stopPriceStream();
+
+    const source = typeof api.tokens.streamPrices === 'function'
+      ? api.tokens.streamPrices(this.mint, (tick) => this.applyPriceTick(tick), (src) => {
+          // EventSource reconnects by itself unless the server closed the stream for good
+          if (src.readyState === EventSource.CLOSED && this.priceStream === src) {
+            this.priceStream = null;
+            this.startPriceRefresh();
+          }
+        })
+      : null;
+
+    if (!source) {
+      this.startPriceRefresh();
+      return;
+    }
+
+    this.priceStream = source;
+    if (this.priceRefreshInterval) {
+      clearInterval(this.priceRefreshInterval);
+      this.priceRefreshInterval = null;
+    }
+  },
+
+  stopPriceStream() {
+    if (this.priceStream) {
+      this.priceStream.close();
+      this.priceStream = null;
+    }
+  },
+
+  // Apply a streamed price tick to the header
+  applyPriceTick(tick) {
+    if (!this.token || !tick || !tick.price) return;
+    this.token.price = tick.price;
+    if (tick.priceChange24h !== undefined) {
+      this.token.priceChange24h = tick.priceChange24h;
+    }
+    this.updatePriceDisplay();
+    this.lastPriceUpdate = Date.now();
+    this.updateFreshnessDisplay();
+  },
+
   // Start price refresh (configurable via config.cache.priceRefresh)
   // Circuit breaker: after 3 consecutive failures, double interval (up to 10min)
   startPriceRefresh() {
@@ -634,6 +722,11 @@ const tokenDetail = {
       bubblemapsLink.href = `https://app.bubblemaps.io/sol/token/${this.mint}`;
     }
 
+    const compareLink = document.getElementById('compare-link');
+    if (compareLink) {
+      compareLink.href = `compare.html?mints=${encodeURIComponent(this.mint)}`;
+    }
+
     // Price
     this.updatePriceDisplay();
 
@@ -742,6 +835,201 @@ const tokenDetail = {
     }
   },
 
+  // Load recent trades on the main pool. `more` appends the next page using the cursor.
+  async loadTrades(more = false) {
+    if (this._tradesLoading) return;
+    if (more && !this.tradesCursor) return;
+
+    const sectionEl = document.getElementById('trades-section');
+    const refreshBtn = document.getElementById('trades-refresh');
+    const moreBtn = document.getElementById('trades-more');
+
+    this._tradesLoading = true;
+    if (refreshBtn && !more) refreshBtn.classList.add('spinning');
+    if (moreBtn && more) moreBtn.disabled = true;
+
+    try {
+      const data = await api.tokens.getTrades(this.mint, { before: more ? this.tradesCursor : undefined });
+      if (!data) return;
+
+      this.trades = more ? this.trades.concat(data.trades || []) : (data.trades || []);
+      this.tradesCursor = data.nextCursor || null;
+      if (data.whaleThresholdUsd) this._whaleThresholdUsd = data.whaleThresholdUsd;
+
+      if (sectionEl) sectionEl.style.display = '';
+      this._renderTradesTable();
+    } catch (error) {
+      // Trade feed is optional (requires Helius on the backend) — keep the section hidden
+      console.warn('[TokenDetail] Trades failed:', error.message);
+    } finally {
+      this._tradesLoading = false;
+      if (refreshBtn) refreshBtn.classList.remove('spinning');
+      if (moreBtn) moreBtn.disabled = false;
+    }
+  },
+
+  // Render trade rows for the active filter. Wallets in the top-holders list get a rank badge.
+  _renderTradesTable() {
+    const tbody = document.getElementById('trades-tbody');
+    const emptyEl = document.getElementById('trades-empty');
+    const moreBtn = document.getElementById('trades-more');
+    if (!tbody) return;
+
+    const holderRanks = new Map();
+    (this._holdersData || []).forEach(h => {
+      if (!h.isLP && !h.isBurnt) holderRanks.set(h.address, h.rank);
+    });
+
+    const filter = this.tradesFilter;
+    const trades = this.trades.filter(t =>
+      filter === 'all' ? true : filter === 'whale' ? t.isWhale : t.side === filter
+    );
+
+    tbody.innerHTML = trades.map(t => {
+      const amount = t.amount >= 1e9 ? (t.amount / 1e9).toFixed(2) + 'B'
+        : t.amount >= 1e6 ? (t.amount / 1e6).toFixed(2) + 'M'
+        : t.amount >= 1e3 ? (t.amount / 1e3).toFixed(2) + 'K'
+        : t.amount.toFixed(2);
+      const price = t.priceUsd != null ? utils.formatPrice(t.priceUsd) : '--';
+      const value = t.valueUsd != null ? utils.formatNumber(t.valueUsd) : '--';
+      const wallet = this.escapeHtml(t.wallet);
+      const rank = holderRanks.get(t.wallet);
+      const labels = (t.isWhale ? ' <span class="holder-label whale-label" title="Trade value above $' + (this._whaleThresholdUsd || 10000).toLocaleString() + '">🐋 Whale</span>' : '')
+        + (rank ? ' <span class="holder-label top-holder-label" title="Top holder">Top #' + rank + '</span>' : '');
+      const time = new Date(t.timestamp);
+      return `<tr${t.isWhale ? ' class="trade-whale"' : ''}>
+        <td class="trades-time"><a href="https://solscan.io/tx/${this.escapeHtml(t.signature)}" target="_blank" rel="noopener" class="holder-address" title="${time.toLocaleString()}">${utils.formatTimeAgo(time)}</a></td>
+        <td><span class="trade-side ${t.side === 'buy' ? 'buy' : 'sell'}">${t.side === 'buy' ? 'Buy' : 'Sell'}</span></td>
+        <td class="text-right mono">${amount}</td>
+        <td class="text-right mono">${price}</td>
+        <td class="text-right mono">${value}</td>
+        <td><a href="https://solscan.io/account/${wallet}" target="_blank" rel="noopener" class="holder-address" title="${wallet}">${utils.truncateAddress(t.wallet, 4, 4)}</a>${labels}</td>
+      </tr>`;
+    }).join('');
+
+    if (emptyEl) emptyEl.style.display = trades.length === 0 ? 'block' : 'none';
+    if (moreBtn) moreBtn.style.display = this.tradesCursor ? '' : 'none';
+  },
+
+  // Load the rug-risk report: header badge + per-check panel
+  async loadRiskReport() {
+    const sectionEl = document.getElementById('risk-section');
+    const badgeEl = document.getElementById('risk-badge');
+    if (!sectionEl) return;
+
+    let report;
+    try {
+      report = await api.tokens.getRisk(this.mint);
+    } catch (error) {
+      console.warn('[TokenDetail] Risk report failed:', error.message);
+      return;
+    }
+    if (!report || !Array.isArray(report.checks)) return;
+
+    const levelLabels = { low: 'Low risk', medium: 'Medium risk', high: 'High risk', unknown: 'Not enough data' };
+    const level = levelLabels[report.level] ? report.level : 'unknown';
+
+    const levelEl = document.getElementById('risk-level');
+    if (levelEl) {
+      levelEl.className = `risk-badge ${level}`;
+      levelEl.textContent = levelLabels[level];
+    }
+
+    const fillEl = document.getElementById('risk-meter-fill');
+    if (fillEl) {
+      fillEl.className = `risk-meter-fill ${level}`;
+      fillEl.style.width = `${report.score ?? 0}%`;
+    }
+
+    const scoreEl = document.getElementById('risk-score-label');
+    if (scoreEl) {
+      const { pass = 0, warn = 0, fail = 0 } = report.counts || {};
+      scoreEl.textContent = report.score != null
+        ? `Score ${report.score}/100 · ${pass} passed · ${warn} warnings · ${fail} failed`
+        : 'Too few checks could be completed to score this token';
+    }
+
+    const icons = { pass: '✓', warn: '!', fail: '✕', unknown: '?' };
+    const listEl = document.getElementById('risk-checks');
+    if (listEl) {
+      listEl.innerHTML = report.checks.map(c => {
+        const status = icons[c.status] ? c.status : 'unknown';
+        return `<li class="risk-check ${status}">
+          <span class="risk-check-icon">${icons[status]}</span>
+          <div>
+            <div class="risk-check-label">${this.escapeHtml(c.label)}</div>
+            <div class="risk-check-summary">${this.escapeHtml(c.summary)}</div>
+          </div>
+        </li>`;
+      }).join('');
+    }
+
+    if (badgeEl && level !== 'unknown') {
+      badgeEl.className = `risk-badge ${level}`;
+      badgeEl.textContent = levelLabels[level];
+      badgeEl.title = `Risk score ${report.score}/100 — see Risk Report`;
+      badgeEl.style.display = '';
+    }
+    sectionEl.style.display = '';
+  },
+
+  // Load the deployer wallet and the fate of its previous launches
+  async loadCreatorHistory() {
+    const sectionEl = document.getElementById('creator-section');
+    if (!sectionEl) return;
+
+    let report;
+    try {
+      report = await api.tokens.getCreator(this.mint);
+    } catch (error) {
+      console.warn('[TokenDetail] Creator history failed:', error.message);
+      return;
+    }
+    if (!report || !report.creator) return;
+
+    const wallet = this.escapeHtml(report.creator.wallet);
+    const summary = report.summary || {};
+    const summaryEl = document.getElementById('creator-summary');
+    if (summaryEl) {
+      const verdict = summary.serialRugger
+        ? '<span class="risk-badge high" title="Most previous launches collapsed from their peak">Serial rugger</span>'
+        : '';
+      const unknown = summary.unknown > 0 ? ` · ${summary.unknown} unknown` : '';
+      const counts = summary.totalLaunches > 0
+        ? `${summary.totalLaunches} other launch${summary.totalLaunches === 1 ? '' : 'es'} · ${summary.rugged} rugged or dead${unknown}`
+        : 'No other launches found';
+      const partial = report.history && !report.history.complete
+        ? ` <span title="Only the most recent ${report.history.transactionsScanned} transactions were scanned">(recent history)</span>`
+        : '';
+      summaryEl.innerHTML = `Dev <a href="https://solscan.io/account/${wallet}" target="_blank" rel="noopener" class="holder-address" title="${wallet}">${utils.truncateAddress(report.creator.wallet, 4, 4)}</a> · ${counts}${partial} ${verdict}`;
+    }
+
+    const tbody = document.getElementById('creator-tbody');
+    const emptyEl = document.getElementById('creator-empty');
+    const wrapEl = document.getElementById('creator-table-wrap');
+    const launches = report.launches || [];
+    const statusLabels = { active: 'Active', rugged: 'Rugged', dead: 'Dead', unknown: 'Unknown' };
+
+    if (tbody) {
+      tbody.innerHTML = launches.map(l => {
+        const mint = this.escapeHtml(l.mint);
+        const name = l.symbol || l.name || utils.truncateAddress(l.mint, 4, 4);
+        const drawdown = l.drawdownPct != null ? ` <span class="text-muted">(-${l.drawdownPct}%)</span>` : '';
+        const status = statusLabels[l.status] ? l.status : 'unknown';
+        return `<tr>
+          <td><a href="token.html?mint=${encodeURIComponent(l.mint)}" class="holder-address" title="${mint}">${this.escapeHtml(name)}</a></td>
+          <td>${l.createdAt ? utils.formatTimeAgo(new Date(l.createdAt)) : '--'}</td>
+          <td class="text-right mono">${l.marketCap != null ? utils.formatNumber(l.marketCap) : '--'}${drawdown}</td>
+          <td class="text-right mono">${l.peakMarketCap != null ? utils.formatNumber(l.peakMarketCap) : '--'}</td>
+          <td><span class="creator-status ${status}">${statusLabels[status]}</span></td>
+        </tr>`;
+      }).join('');
+    }
+    if (wrapEl) wrapEl.style.display = launches.length > 0 ? '' : 'none';
+    if (emptyEl) emptyEl.style.display = launches.length > 0 ? 'none' : 'block';
+    sectionEl.style.display = '';
+  },
+
   // Load similar tokens (anti-spoofing section)
   // Response format: { results: [...], enriched: boolean }
   async loadSimilarTokens() {
@@ -1198,6 +1486,7 @@ const tokenDetail = {
       this._holdTimesLoaded = false;
       this._diamondHandsData = null;
       this._diamondHandsLoaded = false;
+      this._bundlesLoaded = false;
       this._aiAnalysisCache = null;
       const aiBtn = document.getElementById('ai-analysis-btn');
       if (aiBtn) { aiBtn.disabled = true; aiBtn.title = 'Waiting for holder data...'; }
@@ -1349,6 +1638,9 @@ const tokenDetail = {
         }
       }
 
+      // Re-render trades so top-holder wallets get their rank badge
+      if (this.trades.length > 0) this._renderTradesTable();
+
       // Enable share button now that holder data is rendered
       const shareBtnDone = document.getElementById('holders-share');
       if (shareBtnDone) { shareBtnDone.disabled = false; shareBtnDone.title = 'Share holder analytics'; }
@@ -1357,6 +1649,8 @@ const tokenDetail = {
       // First call triggers backend computation; subsequent polls pick up results.
       this._loadHoldTimes();
       if (holders.length > 0) this._loadDiamondHands();
+      if (holders.length > 0 && !this._bundlesLoaded) this._loadBundles();
+      if (!this._holderHistoryLoaded) this.loadHolderHistory();
     } catch (error) {
       console.warn('[TokenDetail] Holder analytics failed:', error.message);
     } finally {
@@ -1399,7 +1693,8 @@ const tokenDetail = {
           ? this._formatHoldTime(this._tokenHoldTimesData[h.address])
           : this._holdTimesLoaded ? '--'
           : '<span class="token-hold-pending" data-wallet="' + h.address + '">...</span>';
-      return `<tr${rowClass}>
+      // id/data-address are citation targets for AI analysis flags
+      return `<tr id="holder-row-${h.rank}" data-address="${h.address}"${rowClass}>
         <td>${h.rank}</td>
         <td><a href="https://solscan.io/account/${h.address}" target="_blank" rel="noopener" class="holder-address" title="${h.address}">${shortAddr}</a>${label}</td>
         <td class="text-right mono">${bal}</td>
@@ -1798,12 +2093,29 @@ const tokenDetail = {
     return metrics;
   },
 
+  // Show the holder AI modal with all phases hidden (shared by analysis and history views)
+  _showAIAnalysisOverlay() {
+    const overlay = document.getElementById('ai-analysis-overlay');
+
+    // Close handler (stable reference for cleanup)
+    const close = () => {
+      overlay.style.display = 'none';
+      document.removeEventListener('keydown', escHandler);
+    };
+    const escHandler = (e) => { if (e.key === 'Escape') close(); };
+    document.addEventListener('keydown', escHandler);
+    document.getElementById('ai-analysis-close').onclick = close;
+    overlay.onclick = (e) => { if (e.target === overlay) close(); };
+
+    document.getElementById('ai-analysis-loading').style.display = 'none';
+    document.getElementById('ai-analysis-result').style.display = 'none';
+    document.getElementById('ai-analysis-error').style.display = 'none';
+    overlay.style.display = 'flex';
+  },
+
   // Open AI analysis modal and fetch/display results
   async _openAIAnalysis() {
     const overlay = document.getElementById('ai-analysis-overlay');
-    const loading = document.getElementById('ai-analysis-loading');
-    const result = document.getElementById('ai-analysis-result');
-    const errorEl = document.getElementById('ai-analysis-error');
     if (!overlay) return;
 
     // Check wallet connection
@@ -1817,35 +2129,28 @@ const tokenDetail = {
       return;
     }
 
-    // Close handler (stable reference for cleanup)
-    const close = () => {
-      overlay.style.display = 'none';
-      document.removeEventListener('keydown', escHandler);
-    };
-    const escHandler = (e) => { if (e.key === 'Escape') close(); };
-    document.addEventListener('keydown', escHandler);
-    document.getElementById('ai-analysis-close').onclick = close;
-    overlay.onclick = (e) => { if (e.target === overlay) close(); };
+    this._showAIAnalysisOverlay();
+    this._loadAIHistory();
 
     // Show cached result immediately (no loading flash, no BC charge)
     if (this._aiAnalysisCache) {
-      loading.style.display = 'none';
-      result.style.display = 'none';
-      errorEl.style.display = 'none';
-      overlay.style.display = 'flex';
       this._renderAIResult(this._aiAnalysisCache);
       return;
     }
 
     // Show loading state
-    loading.style.display = 'flex';
-    result.style.display = 'none';
-    errorEl.style.display = 'none';
-    overlay.style.display = 'flex';
+    document.getElementById('ai-analysis-loading').style.display = 'flex';
 
     await this._fetchAIAnalysis();
   },
 
+  // Open the holder AI modal showing only previous analyses of this token
+  _openAIHistory() {
+    if (!document.getElementById('ai-analysis-overlay')) return;
+    this._showAIAnalysisOverlay();
+    this._loadAIHistory();
+  },
+
   // Fetch AI analysis from backend (separated for retry support)
   async _fetchAIAnalysis() {
     const loading = document.getElementById('ai-analysis-loading');
@@ -1867,6 +2172,8 @@ const tokenDetail = {
       if (data.error) throw new Error(data.error);
       this._aiAnalysisCache = data;
       this._renderAIResult(data);
+      // A new analysis was stored — refresh the history list
+      if (!data.cached) this._loadAIHistory();
 
       // Refresh header BC badge after spending
       const badge = document.getElementById('header-bc-badge');
@@ -1894,10 +2201,13 @@ const tokenDetail = {
     }
   },
 
-  // Render AI analysis score and text into the modal
+  // Render an AI analysis (fresh or from history) into the holder modal:
+  // score ring, verdict, summary and cited flag cards
   _renderAIResult(data) {
     const loading = document.getElementById('ai-analysis-loading');
     const result = document.getElementById('ai-analysis-result');
+    const questionEl = document.getElementById('ai-analysis-question');
+    const ring = document.getElementById('ai-score-ring');
     const scoreVal = document.getElementById('ai-score-value');
     const scoreCircle = document.getElementById('ai-score-circle');
     const ratingEl = document.getElementById('ai-score-rating');
@@ -1905,8 +2215,16 @@ const tokenDetail = {
     loading.style.display = 'none';
     result.style.display = 'flex';
 
+    // Advanced questions opened from history show the question they answered
+    const question = data.question || data.userPrompt || '';
+    questionEl.textContent = question;
+    questionEl.style.display = question ? 'block' : 'none';
+
     const score = data.score != null ? data.score : null;
+    // Advanced answers may be unscored
+    ring.style.display = score != null || !question ? '' : 'none';
     scoreVal.textContent = score != null ? score : '--';
+    if (ratingEl) ratingEl.textContent = '';
 
     if (score != null) {
       // Reset dashoffset to full before animating (so reopens animate too)
@@ -1932,7 +2250,184 @@ const tokenDetail = {
       if (ratingEl) { ratingEl.textContent = rating; ratingEl.style.color = color; }
     }
 
-    textEl.textContent = data.analysis || '';
+    // Results cached before structured analyses only have `analysis` text
+    textEl.textContent = data.summary || data.analysis || '';
+    this._renderAIMeta(document.getElementById('ai-analysis-meta'), data);
+    this._renderAIFlags(document.getElementById('ai-analysis-flags'), data.flags);
+  },
+
+  // Verdict badge, confidence and date line above the summary
+  _renderAIMeta(el, data) {
+    if (!el) return;
+    if (!data.verdict) {
+      el.innerHTML = '';
+      return;
+    }
+    const verdictLabels = { healthy: 'Healthy', caution: 'Caution', high_risk: 'High Risk' };
+    const verdict = verdictLabels[data.verdict] ? data.verdict : 'caution';
+    const confidence = ['low', 'medium', 'high'].includes(data.confidence) ? data.confidence : 'low';
+    const date = data.createdAt ? new Date(data.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '';
+    el.innerHTML = `<span class="ai-verdict ai-verdict-${verdict}">${verdictLabels[verdict]}</span>
+      <span class="ai-confidence">${confidence} confidence</span>
+      ${data.provider === 'template' ? '<span class="ai-confidence">offline estimate</span>' : ''}
+      ${date ? `<span class="ai-analysis-date">${date}</span>` : ''}`;
+  },
+
+  // Flag cards. Every flag cites the holders/metrics it's based on; citation chips
+  // scroll to the holder row or metric on the page.
+  _renderAIFlags(container, flags) {
+    if (!container) return;
+    if (!Array.isArray(flags) || flags.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+    const severityLabels = { info: 'Info', warning: 'Warning', critical: 'Critical' };
+
+    container.innerHTML = flags.map(flag => {
+      const severity = severityLabels[flag.severity] ? flag.severity : 'info';
+      const refs = (flag.refs || []).map(ref => {
+        if (ref.type === 'holder') {
+          const addr = ref.address ? ref.address.slice(0, 4) + '...' + ref.address.slice(-4) : '';
+          const pct = ref.percentage != null ? ` · ${Number(ref.percentage).toFixed(2)}%` : '';
+          return `<button type="button" class="ai-cite ai-cite-holder" data-cite-type="holder" data-rank="${parseInt(ref.rank) || 0}" data-address="${this.escapeHtml(ref.address || '')}" title="${this.escapeHtml(ref.address || '')}">#${parseInt(ref.rank) || '?'} ${this.escapeHtml(addr)}${ref.label ? ' ' + this.escapeHtml(ref.label) : ''}${pct}</button>`;
+        }
+        // Figures the requesting page sent, not checked by the server
+        const reported = ref.clientReported ? ' title="Reported by the page that requested this analysis"' : '';
+        return `<button type="button" class="ai-cite ai-cite-metric" data-cite-type="metric" data-key="${this.escapeHtml(ref.key || '')}"${reported}>${this.escapeHtml(ref.label || ref.key || '')}: ${this.escapeHtml(String(ref.value ?? '--'))}${ref.clientReported ? ' (reported)' : ''}</button>`;
+      }).join('');
+
+      return `<div class="ai-flag ai-flag-${severity}">
+        <div class="ai-flag-header">
+          <span class="ai-flag-severity">${severityLabels[severity]}</span>
+          <span class="ai-flag-title">${this.escapeHtml(flag.title || '')}</span>
+        </div>
+        ${flag.detail ? `<p class="ai-flag-detail">${this.escapeHtml(flag.detail)}</p>` : ''}
+        ${refs ? `<div class="ai-flag-refs">${refs}</div>` : ''}
+      </div>`;
+    }).join('');
+
+    container.onclick = (e) => {
+      const chip = e.target.closest('.ai-cite');
+      if (chip) this._focusAICitation(chip.dataset);
+    };
+  },
+
+  // Element each citable metric key points at
+  _aiMetricTargets: {
+    marketCap: 'stat-mcap',
+    volume24h: 'stat-volume',
+    holders: 'stat-holders',
+    age: 'holders-token-age',
+    locked: 'holders-locked',
+    top1: 'holders-table',
+    top5: 'holders-top5',
+    top10: 'holders-top10',
+    top20: 'holders-top20',
+    avgHold: 'holders-avg-hold-time',
+    freshWallets: 'holders-fresh-wallets',
+    conviction: 'diamond-hands-section',
+    riskLevel: 'holders-risk-row'
+  },
+
+  // Close the AI modals and scroll to (and flash) the cited holder row or metric
+  _focusAICitation({ citeType, rank, address, key }) {
+    let target = null;
+
+    if (citeType === 'holder') {
+      // Ranks shift as balances change — find the cited wallet first, then its old rank
+      const holders = this._holdersData || [];
+      const holder = holders.find(h => h.address === address) || holders.find(h => h.rank === parseInt(rank));
+      if (holder) {
+        // Expand the table if the holder is below the top 10
+        if (!document.getElementById(`holder-row-${holder.rank}`) && !this._holdersExpanded) {
+          const expandBtn = document.getElementById('holders-expand');
+          if (expandBtn) expandBtn.click();
+        }
+        target = document.getElementById(`holder-row-${holder.rank}`);
+      }
+    } else {
+      const el = document.getElementById(this._aiMetricTargets[key]);
+      target = el && (el.closest('.holder-metric, .stat-card') || el);
+    }
+
+    if (!target || target.offsetParent === null) {
+      if (typeof toast !== 'undefined') {
+        toast.info(citeType === 'holder' ? 'That wallet is no longer in the top holders' : 'That metric is not shown right now');
+      }
+      return;
+    }
+
+    ['ai-analysis-close', 'ai-advanced-close'].forEach(id => {
+      const overlay = document.getElementById(id.replace('-close', '-overlay'));
+      if (overlay && overlay.style.display !== 'none') document.getElementById(id).click();
+    });
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    // Restart the highlight animation if the same element is cited twice in a row
+    target.classList.remove('ai-cite-target');
+    void target.offsetWidth;
+    target.classList.add('ai-cite-target');
+    setTimeout(() => target.classList.remove('ai-cite-target'), 2400);
+  },
+
+  // Load previous analyses of this token into the holder modal (older=true pages back)
+  async _loadAIHistory(older = false) {
+    const section = document.getElementById('ai-history');
+    const list = document.getElementById('ai-history-list');
+    const moreBtn = document.getElementById('ai-history-more');
+    if (!section || !list) return;
+
+    const before = older && this._aiHistory && this._aiHistory.length > 0
+      ? this._aiHistory[this._aiHistory.length - 1].id
+      : null;
+    if (!older) {
+      section.style.display = 'block';
+      list.innerHTML = '<div class="ai-history-empty">Loading...</div>';
+      if (moreBtn) moreBtn.style.display = 'none';
+    }
+
+    try {
+      const data = await api.tokens.getAiAnalyses(this.mint, { before });
+      const analyses = (data && data.analyses) || [];
+      this._aiHistory = older ? (this._aiHistory || []).concat(analyses) : analyses;
+
+      if (this._aiHistory.length === 0) {
+        list.innerHTML = '<div class="ai-history-empty">No analyses of this token yet.</div>';
+      } else {
+        list.innerHTML = this._aiHistory.map(a => this._renderAIHistoryItem(a)).join('');
+      }
+      if (moreBtn) {
+        moreBtn.style.display = data && data.hasMore ? 'block' : 'none';
+        moreBtn.onclick = () => this._loadAIHistory(true);
+      }
+      list.onclick = (e) => {
+        const item = e.target.closest('.ai-history-item');
+        if (!item) return;
+        const entry = this._aiHistory.find(a => String(a.id) === item.dataset.id);
+        if (entry) {
+          this._renderAIResult(entry);
+          document.getElementById('ai-analysis-error').style.display = 'none';
+          document.getElementById('ai-analysis-body').scrollTop = 0;
+        }
+      };
+    } catch (err) {
+      if (!older) list.innerHTML = '<div class="ai-history-empty">History unavailable.</div>';
+    }
+  },
+
+  _renderAIHistoryItem(a) {
+    const verdictLabels = { healthy: 'Healthy', caution: 'Caution', high_risk: 'High Risk' };
+    const verdict = verdictLabels[a.verdict] ? a.verdict : 'caution';
+    const date = new Date(a.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const label = a.kind === 'advanced' ? `"${this.escapeHtml(a.question || '')}"` : 'Holder analysis';
+    return `<button type="button" class="ai-history-item" data-id="${parseInt(a.id)}">
+      <span class="ai-history-label">${label}</span>
+      <span class="ai-history-meta">
+        ${a.score != null ? `<span class="ai-history-score">${parseInt(a.score)}</span>` : ''}
+        <span class="ai-verdict ai-verdict-${verdict}">${verdictLabels[verdict]}</span>
+        <span class="ai-analysis-date">${date}</span>
+      </span>
+    </button>`;
   },
 
   // --- Advanced AI Analysis ---
@@ -2075,8 +2570,11 @@ const tokenDetail = {
     loading.style.display = 'none';
     result.style.display = 'flex';
 
-    promptEcho.textContent = data.userPrompt || '';
-    textEl.textContent = data.analysis || '';
+    promptEcho.textContent = data.userPrompt || data.question || '';
+    // Results cached before structured analyses only have `analysis` text
+    textEl.textContent = data.summary || data.analysis || '';
+    this._renderAIMeta(document.getElementById('ai-advanced-meta'), data);
+    this._renderAIFlags(document.getElementById('ai-advanced-flags'), data.flags);
   },
 
   // Load diamond hands distribution with polling
@@ -2190,6 +2688,236 @@ const tokenDetail = {
     }
   },
 
+  // Load holder distribution history (hourly snapshots) and draw the trend chart
+  async loadHolderHistory(range = '7d') {
+    const section = document.getElementById('holder-history-section');
+    if (!section) return;
+
+    try {
+      const data = await api.tokens.getHolderHistory(this.mint, range);
+      this._holderHistoryLoaded = true;
+      const snapshots = data?.snapshots || [];
+
+      // Hide until the worker has recorded something for this token
+      if (snapshots.length === 0 && range === '7d') {
+        section.style.display = 'none';
+        return;
+      }
+      section.style.display = '';
+      this._renderHolderHistoryStats(snapshots);
+      this._renderHolderHistoryChart(snapshots);
+    } catch (error) {
+      console.warn('[HolderHistory] Failed:', error.message);
+    }
+  },
+
+  _renderHolderHistoryStats(snapshots) {
+    const el = document.getElementById('holder-history-stats');
+    if (!el) return;
+
+    const first = (key) => snapshots.find(s => s[key] != null)?.[key] ?? null;
+    const last = (key) => [...snapshots].reverse().find(s => s[key] != null)?.[key] ?? null;
+    const stat = (label, from, to, fmt, unit) => {
+      if (to == null) return '';
+      let change = '';
+      if (from != null && from !== to) {
+        const diff = unit === '%' ? to - from : ((to - from) / from) * 100;
+        const cls = diff > 0 ? 'up' : 'down';
+        change = ` <span class="${cls}">${diff > 0 ? '+' : ''}${diff.toFixed(1)}${unit === '%' ? 'pt' : '%'}</span>`;
+      }
+      return `<span>${label} <strong>${fmt(to)}</strong>${change}</span>`;
+    };
+
+    el.innerHTML =
+      stat('Holders', first('holderCount'), last('holderCount'), v => v >= 1000 ? utils.formatNumber(v, '') : String(v), 'count') +
+      stat('Top 10', first('top10Pct'), last('top10Pct'), v => `${v.toFixed(1)}%`, '%') +
+      stat('Top 50', first('top50Pct'), last('top50Pct'), v => `${v.toFixed(1)}%`, '%');
+  },
+
+  _renderHolderHistoryChart(snapshots) {
+    const container = document.getElementById('holder-history-chart');
+    if (!container) return;
+
+    const points = snapshots.filter(s => s.top10Pct != null || s.top50Pct != null);
+    if (points.length < 2) {
+      container.innerHTML = '<div class="holder-history-empty">Not enough snapshots yet for this range.</div>';
+      return;
+    }
+
+    const W = 360;
+    const H = 120;
+    const PAD_L = 28;
+    const PAD_Y = 8;
+    const t0 = points[0].timestamp;
+    const t1 = points[points.length - 1].timestamp;
+    const values = points.flatMap(p => [p.top10Pct, p.top50Pct]).filter(v => v != null);
+    const maxY = Math.min(100, Math.ceil(Math.max(...values) / 10) * 10 || 10);
+    const minY = Math.max(0, Math.floor(Math.min(...values) / 10) * 10);
+    const spanY = Math.max(maxY - minY, 1);
+
+    const x = (t) => PAD_L + ((t - t0) / Math.max(t1 - t0, 1)) * (W - PAD_L - 4);
+    const y = (v) => H - PAD_Y - ((v - minY) / spanY) * (H - 2 * PAD_Y);
+    const line = (key) => points
+      .filter(p => p[key] != null)
+      .map(p => `${x(p.timestamp).toFixed(1)},${y(p[key]).toFixed(1)}`)
+      .join(' ');
+
+    let svg = `<svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" role="img" aria-label="Holder concentration over time">`;
+    for (const v of [minY, (minY + maxY) / 2, maxY]) {
+      svg += `<line class="grid-line" x1="${PAD_L}" x2="${W - 4}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}"/>`;
+      svg += `<text class="axis-label" x="${PAD_L - 4}" y="${(y(v) + 3).toFixed(1)}" text-anchor="end">${Math.round(v)}%</text>`;
+    }
+    svg += `<polyline class="series-top50" points="${line('top50Pct')}"/>`;
+    svg += `<polyline class="series-top10" points="${line('top10Pct')}"/>`;
+    svg += '</svg>';
+    container.innerHTML = svg;
+  },
+
+  // Load launch bundle / sniper analysis with polling (computed by the worker)
+  async _loadBundles(attempt = 0) {
+    const MAX_POLLS = 8;
+    const POLL_DELAYS = [8000, 8000, 10000, 12000, 15000, 20000, 25000, 30000];
+
+    if (attempt === 0 && this._bundlesTimer) {
+      clearTimeout(this._bundlesTimer);
+      this._bundlesTimer = null;
+    }
+
+    try {
+      const data = await api.request(`/api/tokens/${this.mint}/holders/bundles`);
+      if (!data) return;
+
+      if (!data.computed) {
+        this._renderBundlesPending();
+        if (attempt < MAX_POLLS) {
+          this._bundlesTimer = setTimeout(() => this._loadBundles(attempt + 1), POLL_DELAYS[attempt]);
+        }
+        return;
+      }
+
+      this._bundlesLoaded = true;
+      this._renderBundles(data);
+    } catch (error) {
+      console.warn('[Bundles] Failed:', error.message);
+    }
+  },
+
+  _renderBundlesPending() {
+    const section = document.getElementById('bundles-section');
+    const statusEl = document.getElementById('bundles-status');
+    if (!section) return;
+    section.style.display = '';
+    if (statusEl) statusEl.textContent = 'Analyzing launch...';
+  },
+
+  _renderBundles(data) {
+    const section = document.getElementById('bundles-section');
+    if (!section) return;
+
+    // Launch out of scan range, no Helius, etc. — nothing useful to show
+    if (!data.available || !data.summary) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+
+    const { summary, launch } = data;
+    const fmtPct = (v) => v != null ? `${v.toFixed(v < 10 ? 2 : 1)}%` : '--';
+
+    const statusEl = document.getElementById('bundles-status');
+    if (statusEl) {
+      statusEl.textContent = `First ${launch.windowSlots} slots · ${summary.earlyBuyers} buyers`;
+    }
+
+    const pctEl = document.getElementById('bundles-pct');
+    if (pctEl) {
+      pctEl.textContent = fmtPct(summary.bundledPct);
+      pctEl.classList.remove('concentration-low', 'concentration-medium', 'concentration-high');
+      const pct = summary.bundledPct || 0;
+      pctEl.classList.add(pct >= 20 ? 'concentration-high' : pct >= 5 ? 'concentration-medium' : 'concentration-low');
+    }
+
+    const heldEl = document.getElementById('bundles-held-pct');
+    if (heldEl) heldEl.textContent = fmtPct(summary.bundledHeldPct);
+
+    const snipersEl = document.getElementById('bundles-snipers');
+    if (snipersEl) {
+      snipersEl.textContent = `${summary.snipersHolding}/${summary.analyzedBuyers}`;
+      snipersEl.title = `Still holding ${fmtPct(summary.sniperHeldPct)} of supply`;
+    }
+
+    const clustersEl = document.getElementById('bundles-clusters');
+    if (clustersEl) clustersEl.textContent = summary.clusters;
+
+    this._renderBundlesGraph(data);
+  },
+
+  // Cluster graph: one cell per cluster, funders in the middle, wallets on a ring
+  _renderBundlesGraph(data) {
+    const container = document.getElementById('bundles-graph');
+    const legend = document.getElementById('bundles-legend');
+    if (!container) return;
+
+    const MAX_CLUSTERS = 6;
+    const clusters = (data.clusters || []).slice(0, MAX_CLUSTERS);
+    if (clusters.length === 0) {
+      container.innerHTML = '<div class="bundles-empty">No coordinated wallets found in the launch window.</div>';
+      if (legend) legend.style.display = 'none';
+      return;
+    }
+
+    const COLS = 3;
+    const CELL_W = 120;
+    const CELL_H = 130;
+    const RING = 38;
+    const rows = Math.ceil(clusters.length / COLS);
+    const nodesById = new Map((data.graph?.nodes || []).map(n => [n.id, n]));
+    const positions = new Map();
+    const radius = (node) => node.type === 'funder' ? 5 : Math.min(12, 3 + Math.sqrt(node.boughtPct || 0) * 3);
+
+    let svg = `<svg viewBox="0 0 ${COLS * CELL_W} ${rows * CELL_H}" role="img" aria-label="Launch wallet clusters">`;
+
+    clusters.forEach((cluster, i) => {
+      const cx = (i % COLS) * CELL_W + CELL_W / 2;
+      const cy = Math.floor(i / COLS) * CELL_H + CELL_H / 2 - 6;
+
+      cluster.funders.forEach((funder, j) => {
+        const offset = (j - (cluster.funders.length - 1) / 2) * 14;
+        positions.set(funder, { x: cx + offset, y: cy });
+      });
+      cluster.wallets.forEach((wallet, j) => {
+        const angle = (2 * Math.PI * j) / cluster.wallets.length - Math.PI / 2;
+        positions.set(wallet, { x: cx + RING * Math.cos(angle), y: cy + RING * Math.sin(angle) });
+      });
+
+      svg += `<text class="cluster-label" x="${cx}" y="${cy + RING + 24}" text-anchor="middle">#${cluster.id} · ${cluster.boughtPct ?? '--'}% bought</text>`;
+    });
+
+    for (const edge of data.graph?.edges || []) {
+      const a = positions.get(edge.source);
+      const b = positions.get(edge.target);
+      if (!a || !b) continue;
+      const cls = edge.type === 'funded' ? 'edge-funded' : 'edge-same-slot';
+      svg += `<line class="${cls}" x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"/>`;
+    }
+
+    for (const [id, pos] of positions) {
+      const node = nodesById.get(id) || { id, type: 'funder' };
+      let cls = node.type === 'funder' ? 'node-funder' : (node.heldPct > 0 ? 'node-holding' : 'node-sold');
+      if (node.isCreator) cls += ' node-creator';
+
+      const label = node.type === 'funder'
+        ? `Funder ${id}`
+        : `${id}${node.isCreator ? ' (creator)' : ''}\nBought ${node.boughtPct ?? '--'}% · holds ${node.heldPct ?? '--'}%\nSlot +${node.slotOffset}`;
+      const href = `portfolio.html?wallet=${encodeURIComponent(id)}`;
+      svg += `<a href="${href}"><circle class="${cls}" cx="${pos.x.toFixed(1)}" cy="${pos.y.toFixed(1)}" r="${radius(node).toFixed(1)}"><title>${utils.escapeHtml(label)}</title></circle></a>`;
+    }
+
+    svg += '</svg>';
+    container.innerHTML = svg;
+    if (legend) legend.style.display = '';
+  },
+
   // Load chart data
   async loadChart(interval = '1h') {
     const _t0 = performance.now();
@@ -3303,7 +4031,9 @@ const tokenDetail = {
     // Format countdown to next refresh
     const countdown = container.querySelector('.countdown');
     if (countdown) {
-      if (timeUntilRefresh > 0) {
+      if (this.priceStream) {
+        countdown.textContent = '(live)';
+      } else if (timeUntilRefresh > 0) {
         const mins = Math.floor(timeUntilRefresh / 60000);
         const secs = Math.floor((timeUntilRefresh % 60000) / 1000);
         countdown.textContent = mins > 0 ? `(${mins}m ${secs}s)` : `(${secs}s)`;
@@ -3342,6 +4072,9 @@ const tokenDetail = {
 
   // Cleanup on page unload
   destroy() {
+    // Close live price stream
+    this.stopPriceStream();
+
     // Clear all intervals
     if (this.priceRefreshInterval) {
       clearInterval(this.priceRefreshInterval);
@@ -3359,6 +4092,7 @@ const tokenDetail = {
     // Clear polling timers
     if (this._holdTimesTimer) { clearTimeout(this._holdTimesTimer); this._holdTimesTimer = null; }
     if (this._diamondHandsTimer) { clearTimeout(this._diamondHandsTimer); this._diamondHandsTimer = null; }
+    if (this._bundlesTimer) { clearTimeout(this._bundlesTimer); this._bundlesTimer = null; }
 
     // Stop chart auto-refresh
     this._stopChartRefresh();
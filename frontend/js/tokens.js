@@ -17,6 +17,8 @@ const tokenList = {
   hasMorePages: true, // Track if there are more pages available
   _consecutiveRefreshErrors: 0, // Circuit breaker for auto-refresh
   _requestGeneration: 0, // Stale request cancellation counter
+  riskSummaries: {}, // mint -> { score, level, fails } for row badges
+  _riskRetryTimeout: null,
 
   // Get refresh interval from config (with fallback)
   get refreshIntervalMs() {
@@ -76,6 +78,14 @@ const tokenList = {
         return;
       }
 
+      // Handle watchlist entry editor (note / target / group)
+      const editBtn = target.closest('.watchlist-edit-btn');
+      if (editBtn) {
+        e.stopPropagation();
+        if (typeof watchlist !== 'undefined') watchlist.toggleEditor(editBtn.dataset.mint);
+        return;
+      }
+
       // Handle watchlist button clicks
       const watchlistBtn = target.closest('.watchlist-btn');
       if (watchlistBtn) {
@@ -130,7 +140,7 @@ const tokenList = {
     }
 
     // Restore sort from URL (overrides tab default if present)
-    if (sort && ['price', 'change', 'volume', 'mcap', 'views', 'sentiment'].includes(sort)) {
+    if (sort && ['price', 'change', 'volume', 'mcap', 'views', 'sentiment', 'pnl'].includes(sort)) {
       this.currentSort = sort;
       this.sortOrder = order === 'asc' ? 'asc' : 'desc';
     }
@@ -450,14 +460,27 @@ const tokenList = {
 
       // Get watchlist from server
       const watchlistResponse = await api.watchlist.get(wallet.address);
-      const watchlistTokens = watchlistResponse.tokens || [];
+      const allWatchlistTokens = watchlistResponse.tokens || [];
+      if (typeof watchlist !== 'undefined') watchlist.setGroups(watchlistResponse.groups, allWatchlistTokens.length);
 
-      if (watchlistTokens.length === 0) {
+      if (allWatchlistTokens.length === 0) {
         this.tokens = [];
         this.showWatchlistEmpty(false);
         return;
       }
 
+      // Narrow to the selected group tab
+      const activeGroup = typeof watchlist !== 'undefined' ? watchlist.activeGroup : null;
+      const watchlistTokens = activeGroup
+        ? allWatchlistTokens.filter(item => item.groupId === activeGroup)
+        : allWatchlistTokens;
+
+      if (watchlistTokens.length === 0) {
+        this.tokens = [];
+        this.showWatchlistEmpty(false, true);
+        return;
+      }
+
       // Use batch API to fetch all watchlist tokens in one request
       // This reduces N individual requests to 1 batch request
       const mints = watchlistTokens.map(item => item.mint);
@@ -475,14 +498,10 @@ const tokenList = {
         this.tokens = watchlistTokens.map(item => {
           const tokenData = tokenMap.get(item.mint);
           if (tokenData) {
-            return {
-              ...tokenData,
-              inWatchlist: true,
-              watchlistAddedAt: item.addedAt
-            };
+            return this.withWatchlistEntry({ ...tokenData, inWatchlist: true }, item);
           }
           // Return minimal data if token not found in batch
-          return {
+          return this.withWatchlistEntry({
             mintAddress: item.mint,
             address: item.mint,
             name: item.name || `${item.mint.slice(0, 4)}...${item.mint.slice(-4)}`,
@@ -493,12 +512,12 @@ const tokenList = {
             volume24h: null,
             marketCap: null,
             inWatchlist: true
-          };
+          }, item);
         });
       } catch (error) {
         console.warn('[TokenList] Batch fetch failed, falling back to cached data:', error.message);
         // Fallback: use locally stored watchlist data
-        this.tokens = watchlistTokens.map(item => ({
+        this.tokens = watchlistTokens.map(item => this.withWatchlistEntry({
           mintAddress: item.mint,
           address: item.mint,
           name: item.name || `${item.mint.slice(0, 4)}...${item.mint.slice(-4)}`,
@@ -509,7 +528,7 @@ const tokenList = {
           volume24h: null,
           marketCap: null,
           inWatchlist: true
-        }));
+        }, item));
       }
 
       // Apply user's sort preference to watchlist
@@ -528,11 +547,51 @@ const tokenList = {
     }
   },
 
-  // Show empty watchlist state
-  showWatchlistEmpty(needsWallet) {
+  // Attach watchlist entry fields and performance since the token was added
+  withWatchlistEntry(token, item) {
+    const pnl = token.price > 0 && item.entryPrice > 0
+      ? (token.price / item.entryPrice - 1) * 100
+      : null;
+    return {
+      ...token,
+      watchlistAddedAt: item.addedAt,
+      watchlistNote: item.note,
+      entryPrice: item.entryPrice,
+      targetPrice: item.targetPrice,
+      pnlSinceAdded: pnl
+    };
+  },
+
+  // Performance-since-added cell (watchlist view only)
+  renderPnlCell(token, safeAddress) {
+    const pnl = token.pnlSinceAdded;
+    const pnlClass = pnl == null ? '' : (pnl >= 0 ? 'change-positive' : 'change-negative');
+    let detail = '';
+    if (token.entryPrice > 0) {
+      detail += `<span class="watchlist-pnl-detail">from ${utils.formatPrice(token.entryPrice, 6)}</span>`;
+    }
+    if (token.targetPrice > 0) {
+      const hit = token.price > 0 && token.price >= token.targetPrice;
+      const toGo = token.price > 0 && !hit ? ` (${utils.formatChange((token.targetPrice / token.price - 1) * 100)})` : '';
+      detail += `<span class="watchlist-pnl-detail ${hit ? 'target-hit' : ''}">target ${utils.formatPrice(token.targetPrice, 6)}${hit ? ' hit' : toGo}</span>`;
+    }
+    return `<td class="cell-pnl ${pnlClass}" data-navigate="${safeAddress}">${pnl == null ? '--' : utils.formatChange(pnl)}${detail}</td>`;
+  },
+
+  // Toggle watchlist-only chrome (group tabs toolbar, performance column)
+  updateWatchlistChrome(show) {
+    document.querySelector('.token-table')?.classList.toggle('watchlist-mode', show);
+    const toolbar = document.getElementById('watchlist-toolbar');
+    if (toolbar) toolbar.style.display = show ? '' : 'none';
+  },
+
+  // Show empty watchlist state (inGroup: the selected group tab has no tokens)
+  showWatchlistEmpty(needsWallet, inGroup = false) {
     const tbody = document.getElementById('token-list');
     if (!tbody) return;
 
+    this.updateWatchlistChrome(!needsWallet);
+
     if (needsWallet) {
       tbody.innerHTML = `
         <tr class="loading-row">
@@ -560,9 +619,11 @@ const tokenList = {
                   <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
                 </svg>
               </span>
-              <span class="empty-title">Your watchlist is empty</span>
-              <span class="empty-text">Click the star icon on any token to add it to your watchlist</span>
-              <button class="btn btn-secondary" data-action="browse-trending">Browse Tokens</button>
+              <span class="empty-title">${inGroup ? 'No tokens in this group' : 'Your watchlist is empty'}</span>
+              <span class="empty-text">${inGroup
+                ? 'Use the edit button on a watchlisted token to move it into this group'
+                : 'Click the star icon on any token to add it to your watchlist, or import a saved list'}</span>
+              ${inGroup ? '' : '<button class="btn btn-secondary" data-action="browse-trending">Browse Tokens</button>'}
             </div>
           </td>
         </tr>
@@ -737,7 +798,8 @@ const tokenList = {
       'volume': 'volume24h',
       'mcap': 'marketCap',
       'views': 'views',
-      'sentiment': 'sentimentScore'
+      'sentiment': 'sentimentScore',
+      'pnl': 'pnlSinceAdded'
     };
 
     const field = sortFieldMap[this.currentSort] || 'marketCap';
@@ -777,6 +839,9 @@ const tokenList = {
     const tbody = document.getElementById('token-list');
     if (!tbody) return;
 
+    const isWatchlistView = this.currentFilter === 'watchlist' && !this.isSearchMode;
+    this.updateWatchlistChrome(isWatchlistView);
+
     // Update result count
     const countEl = document.getElementById('result-count');
     if (countEl) {
@@ -841,8 +906,9 @@ const tokenList = {
                 data-fallback="${defaultLogo}"
               >
               <div class="token-info">
-                <span class="token-name">${this.escapeHtml(token.name || (safeAddress.slice(0, 4) + '...' + safeAddress.slice(-4)))}${token.hasCommunityUpdates ? '<span class="community-badge" title="Has community updates"><svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/></path></svg></span>' : ''}</span>
+                <span class="token-name">${this.escapeHtml(token.name || (safeAddress.slice(0, 4) + '...' + safeAddress.slice(-4)))}${token.hasCommunityUpdates ? '<span class="community-badge" title="Has community updates"><svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/></path></svg></span>' : ''}${this.renderRiskBadge(address)}</span>
                 <span class="token-symbol-cell ${!token.symbol ? 'symbol-pending' : ''}">${this.escapeHtml(token.symbol || safeAddress.slice(0, 5).toUpperCase())}</span>
+                ${isWatchlistView && token.watchlistNote ? `<span class="watchlist-note" title="${this.escapeHtml(token.watchlistNote)}">${this.escapeHtml(token.watchlistNote)}</span>` : ''}
               </div>
             </div>
           </td>
@@ -860,7 +926,11 @@ const tokenList = {
             const txt = s > 0 ? `+${s}` : `${s}`;
             return `<span class="sentiment-chip ${cls}" title="${b} bullish · ${r} bearish">${txt}</span>`;
           })()}</td>
+          ${isWatchlistView ? this.renderPnlCell(token, safeAddress) : ''}
           <td class="cell-watchlist">
+            ${isWatchlistView ? `<button class="btn-icon watchlist-edit-btn" data-mint="${safeAddress}" title="Edit note, target and group" aria-label="Edit watchlist entry">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.12 2.12 0 013 3L7 19l-4 1 1-4 12.5-12.5z"/></svg>
+            </button>` : ''}
             <button
               class="watchlist-btn ${inWatchlist ? 'active' : ''}"
               data-watchlist-token="${safeAddress}"
@@ -890,9 +960,54 @@ const tokenList = {
     }
 
     this.updatePagination();
+    this.loadRiskBadges();
     if (typeof latencyTracker !== 'undefined') latencyTracker.record('tokenList.render', performance.now() - _t0, true, 'frontend');
   },
 
+  // Risk badge for a row — empty until the backend has a report for the token
+  renderRiskBadge(mint) {
+    const risk = this.riskSummaries[mint];
+    if (!risk || risk.level === 'unknown') return '';
+    const labels = { low: 'Low risk', medium: 'Med risk', high: 'High risk' };
+    const title = risk.fails && risk.fails.length > 0
+      ? `Risk score ${risk.score}/100 · Failed: ${risk.fails.join(', ')}`
+      : `Risk score ${risk.score}/100`;
+    return `<span class="risk-badge ${risk.level}" title="${this.escapeHtml(title)}">${labels[risk.level] || ''}</span>`;
+  },
+
+  // Fetch risk summaries for visible rows and patch badges in place.
+  // Reports the backend hasn't computed yet come back as pending — ask again a few times.
+  async loadRiskBadges(attempt = 0) {
+    clearTimeout(this._riskRetryTimeout);
+    const mints = this.tokens
+      .map(t => t.mintAddress || t.address || t.mint)
+      .filter(m => m && !this.riskSummaries[m]);
+    if (mints.length === 0) return;
+
+    const generation = this._requestGeneration;
+    let result;
+    try {
+      result = await api.tokens.getRiskBatch(mints.slice(0, 50));
+    } catch (error) {
+      if (config.app.debug) console.warn('[TokenList] Risk badges failed:', error.message);
+      return;
+    }
+    if (generation !== this._requestGeneration) return;
+
+    Object.assign(this.riskSummaries, result.risks || {});
+    const tbody = document.getElementById('token-list');
+    for (const [mint, risk] of Object.entries(result.risks || {})) {
+      if (!risk) continue;
+      const nameEl = tbody?.querySelector(`.token-row[data-mint="${mint}"] .token-name`);
+      if (!nameEl || nameEl.querySelector('.risk-badge')) continue;
+      nameEl.insertAdjacentHTML('beforeend', this.renderRiskBadge(mint));
+    }
+
+    if (result.pending && result.pending.length > 0 && attempt < 3) {
+      this._riskRetryTimeout = setTimeout(() => this.loadRiskBadges(attempt + 1), 10000);
+    }
+  },
+
   // Escape HTML to prevent XSS - delegates to shared utils
   escapeHtml(text) {
     return utils.escapeHtml(text);
@@ -1071,6 +1186,7 @@ const tokenList = {
     if (this.autoRefreshInterval) {
       clearInterval(this.autoRefreshInterval);
     }
+    clearTimeout(this._riskRetryTimeout);
     if (this.freshnessInterval) {
       clearInterval(this.freshnessInterval);
     }
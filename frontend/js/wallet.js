@@ -236,9 +236,8 @@ const wallet = {
 
       if (isMobile) {
         // Check for existing device session
-        const deviceToken = localStorage.getItem('opendex_device_session');
-        const deviceWallet = localStorage.getItem('opendex_device_wallet');
-        if (deviceToken && deviceWallet) {
+        const deviceWallet = this.getLinkedDeviceWallet();
+        if (deviceWallet) {
           // Already linked — just reconnect
           this.connected = true;
           this.address = deviceWallet;
@@ -369,6 +368,7 @@ const wallet = {
       this.address = response.publicKey.toString();
       this.provider = provider;
       this.providerName = walletId;
+      this.endOtherWalletSession();
 
       this.updateUI();
       this.saveConnection();
@@ -422,7 +422,7 @@ const wallet = {
       const token = localStorage.getItem('opendex_device_session');
       localStorage.removeItem('opendex_device_session');
       localStorage.removeItem('opendex_device_wallet');
-      // Revoke server-side (fire and forget)
+      // Revoke a legacy device token server-side (fire and forget)
       if (token) {
         try {
           fetch(`${API_BASE_URL}/api/auth/device-session`, {
@@ -439,6 +439,9 @@ const wallet = {
       }
     }
 
+    // Disconnecting signs this browser out
+    api.session.signOut();
+
     const wasConnected = this.connected;
     this.connected = false;
     this.address = null;
@@ -460,6 +463,67 @@ const wallet = {
     }
   },
 
+  // Wallet of a linked device (QR link from desktop), if this browser is one
+  getLinkedDeviceWallet() {
+    const deviceWallet = localStorage.getItem('opendex_device_wallet');
+    if (!deviceWallet) return null;
+    const linked = api.session.get()?.walletAddress === deviceWallet
+      || localStorage.getItem('opendex_device_session'); // legacy device token
+    return linked ? deviceWallet : null;
+  },
+
+  // Whether this browser's requests are authenticated for the connected wallet
+  hasSession() {
+    if (!this.connected || !this.address) return false;
+    if (this.providerName === 'device-session') return true;
+    return api.session.get()?.walletAddress === this.address;
+  },
+
+  // A session for one wallet must not ride along with another wallet's requests
+  endOtherWalletSession() {
+    const session = api.session.get();
+    if (session && session.walletAddress !== this.address) {
+      api.session.signOut();
+    }
+  },
+
+  // Sign-In-With-Solana: sign one login message and let the session authenticate
+  // writes instead of a wallet popup per request. Resolves true when a session
+  // covers the connected wallet, false when sign-in isn't available (callers then
+  // sign the request itself). Throws if the user cancels the signature.
+  async ensureSession() {
+    if (this.hasSession()) return true;
+    if (!this.connected || !this.provider) return false;
+    if (this._signingIn) return this._signingIn;
+
+    this._signingIn = (async () => {
+      const address = this.address;
+
+      let challenge;
+      try {
+        challenge = (await api.auth.getNonce(address)).data;
+      } catch (error) {
+        console.error('Sign-in unavailable:', error.message);
+        return false;
+      }
+
+      const { signature } = await this.signMessage(challenge.message);
+      const result = await api.auth.signIn(address, challenge.nonce, signature);
+
+      // Wallet switched while the popup was open
+      if (this.address !== address) return false;
+
+      api.session.save(result.data);
+      return true;
+    })();
+
+    try {
+      return await this._signingIn;
+    } finally {
+      this._signingIn = null;
+    }
+  },
+
   // Sign message (for vote/submission verification)
   async signMessage(message) {
     if (this.providerName === 'device-session') {
@@ -713,6 +777,19 @@ const wallet = {
       window.open(`https://solscan.io/account/${this.address}`, '_blank');
     };
 
+    const portfolioBtn = document.createElement('button');
+    portfolioBtn.className = 'btn btn-secondary';
+    portfolioBtn.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M21.21 15.89A10 10 0 1 1 8 2.83"/>
+        <path d="M22 12A10 10 0 0 0 12 2v10z"/>
+      </svg>
+      My Portfolio
+    `;
+    portfolioBtn.onclick = () => {
+      window.location.href = `portfolio.html?wallet=${encodeURIComponent(this.address)}`;
+    };
+
     const disconnectBtn = document.createElement('button');
     disconnectBtn.className = 'btn btn-danger';
     disconnectBtn.innerHTML = `
@@ -728,6 +805,7 @@ const wallet = {
       menu.remove();
     };
 
+    actions.appendChild(portfolioBtn);
     actions.appendChild(copyBtn);
     actions.appendChild(viewBtn);
 
@@ -770,33 +848,29 @@ const wallet = {
 
   // Show modal to generate QR code for mobile device linking
   async showDeviceLinkModal() {
-    // 1. Sign a message proving wallet ownership
-    const timestamp = Date.now();
-    const message = `Link mobile device to ${this.address} at ${timestamp}`;
-
-    let signResult;
+    // 1. Prove wallet ownership — the sign-in session covers it, otherwise sign a link message
+    const body = { walletAddress: this.address };
     try {
-      signResult = await this.signMessage(message);
+      if (!(await this.ensureSession())) {
+        const timestamp = Date.now();
+        const message = `Link mobile device to ${this.address} at ${timestamp}`;
+        const { signature } = await this.signMessage(message);
+        body.signature = signature;
+        body.signatureTimestamp = timestamp;
+      }
     } catch (err) {
       if (typeof toast !== 'undefined') toast.error(err.message || 'Signature rejected');
       return;
     }
 
-    // 2. Request device session from backend
+    // 2. Request device link from backend
     let response;
     try {
-      response = await fetch(`${API_BASE_URL}/api/auth/device-session`, {
+      response = await api.request('/api/auth/device-session', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          walletAddress: this.address,
-          signature: signResult.signature,
-          signatureTimestamp: timestamp
-        })
+        body: JSON.stringify(body),
+        retries: 1
       });
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.error || 'Failed to create device link');
-      response = data;
     } catch (err) {
       if (typeof toast !== 'undefined') toast.error(err.message || 'Failed to create device link');
       return;
@@ -1166,6 +1240,7 @@ const wallet = {
     provider.on('accountChanged', (publicKey) => {
       if (publicKey) {
         this.address = publicKey.toString();
+        this.endOtherWalletSession();
         this.updateUI();
         this.saveConnection();
         this.broadcastConnectionChange('connected');
@@ -1218,9 +1293,8 @@ const wallet = {
 
     // If not connected via wallet, check for device session (mobile linked device)
     if (!this.connected) {
-      const deviceWallet = localStorage.getItem('opendex_device_wallet');
-      const deviceToken = localStorage.getItem('opendex_device_session');
-      if (deviceWallet && deviceToken) {
+      const deviceWallet = this.getLinkedDeviceWallet();
+      if (deviceWallet) {
         this.connected = true;
         this.address = deviceWallet;
         this.providerName = 'device-session';
@@ -1233,6 +1307,13 @@ const wallet = {
       }
     }
 
+    // A linked device whose session has ended is no longer connected
+    window.addEventListener('walletSessionEnded', () => {
+      if (this.providerName === 'device-session' && !this.getLinkedDeviceWallet()) {
+        this.disconnect();
+      }
+    });
+
     // Mark as initialized and emit ready event
     this.initialized = true;
     window.dispatchEvent(new CustomEvent('walletReady', {
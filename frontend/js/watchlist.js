@@ -1,9 +1,16 @@
 // Watchlist Manager
 const watchlist = {
-  // Local cache of watchlist items (mint -> true)
+  // Local cache of watchlist items (mint -> entry)
   items: new Map(),
   isLoaded: false,
   isLoading: false,
+  // Named groups ({ id, name, count }) shown as tabs on the watchlist filter
+  groups: [],
+  activeGroup: null, // group id, or null for all tokens
+  // Notes and entry/target prices are only returned to a signed-in owner
+  isOwner: false,
+  groupFormMode: null, // 'create' | 'rename' while the group name form is open
+  MAX_IMPORT_BYTES: 90 * 1024,
 
   // Initialize watchlist from server
   async init() {
@@ -30,6 +37,8 @@ const watchlist = {
         });
       }
       this.isLoaded = true;
+      this.isOwner = response?.owner === true;
+      this.setGroups(response?.groups, this.items.size);
       this.updateAllButtons();
       this.updateWatchlistCount();
     } catch (error) {
@@ -46,7 +55,10 @@ const watchlist = {
   // Clear local cache
   clear() {
     this.items.clear();
+    this.groups = [];
+    this.activeGroup = null;
     this.isLoaded = false;
+    this.isOwner = false;
     this.updateAllButtons();
     this.updateWatchlistCount();
   },
@@ -197,6 +209,277 @@ const watchlist = {
     return btn;
   },
 
+  // Reload entries and groups, then refresh the watchlist view if it's showing
+  async reload() {
+    this.isLoaded = false;
+    await this.init();
+    if (typeof tokenList !== 'undefined' && tokenList.currentFilter === 'watchlist') {
+      tokenList.loadTokens();
+    }
+  },
+
+  // ---- Groups ----
+
+  setGroups(groups, total) {
+    this.groups = Array.isArray(groups) ? groups : [];
+    if (this.activeGroup && !this.groups.some(g => g.id === this.activeGroup)) {
+      this.activeGroup = null;
+    }
+    this.renderGroups(total);
+  },
+
+  renderGroups(total = this.items.size) {
+    const container = document.getElementById('watchlist-groups');
+    if (!container) return;
+
+    const tabs = [{ id: null, name: 'All', count: total }, ...this.groups];
+    container.innerHTML = tabs.map(g => {
+      const active = g.id === this.activeGroup;
+      let html = `<button type="button" class="watchlist-group-tab ${active ? 'active' : ''}" role="tab" aria-selected="${active}" data-group="${g.id ?? ''}">
+        ${utils.escapeHtml(g.name)} <span class="watchlist-group-count">${g.count ?? 0}</span>
+      </button>`;
+      if (active && g.id) {
+        html += `<button type="button" class="watchlist-group-manage" data-group-rename title="Rename group">Rename</button>`;
+        html += `<button type="button" class="watchlist-group-manage" data-group-delete title="Delete group">Delete</button>`;
+      }
+      return html;
+    }).join('');
+  },
+
+  selectGroup(id) {
+    this.activeGroup = id;
+    this.renderGroups();
+    if (typeof tokenList !== 'undefined' && tokenList.currentFilter === 'watchlist') {
+      tokenList.currentPage = 1;
+      tokenList.loadTokens();
+    }
+  },
+
+  openGroupForm(mode) {
+    const form = document.getElementById('watchlist-group-form');
+    const input = document.getElementById('watchlist-group-name');
+    if (!form || !input) return;
+
+    this.groupFormMode = mode;
+    const group = this.groups.find(g => g.id === this.activeGroup);
+    input.value = mode === 'rename' && group ? group.name : '';
+    form.style.display = '';
+    input.focus();
+  },
+
+  closeGroupForm() {
+    const form = document.getElementById('watchlist-group-form');
+    if (form) form.style.display = 'none';
+    this.groupFormMode = null;
+  },
+
+  // A wallet session (signed in or linked device) authenticates instead of a per-request signature
+  async signWatchlistAction(action, subject) {
+    if (await wallet.ensureSession()) return {};
+    const timestamp = Date.now();
+    const message = `OpenDex Watchlist: ${action} ${subject} for ${wallet.address} at ${timestamp}`;
+    const { signature } = await wallet.signMessage(message);
+    return { signature, signatureTimestamp: timestamp };
+  },
+
+  async submitGroupForm() {
+    const input = document.getElementById('watchlist-group-name');
+    const name = (input?.value || '').trim();
+    if (!name) {
+      toast.error('Give the group a name');
+      return;
+    }
+
+    try {
+      if (this.groupFormMode === 'rename' && this.activeGroup) {
+        const auth = await this.signWatchlistAction('rename', `group ${this.activeGroup} to "${name}"`);
+        await api.watchlist.renameGroup(wallet.address, this.activeGroup, name, auth);
+        toast.success('Group renamed');
+      } else {
+        const auth = await this.signWatchlistAction('create', `group "${name}"`);
+        const result = await api.watchlist.createGroup(wallet.address, name, auth);
+        this.activeGroup = result.group?.id ?? this.activeGroup;
+        toast.success('Group created');
+      }
+      this.closeGroupForm();
+      await this.reload();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save group');
+    }
+  },
+
+  async deleteActiveGroup() {
+    const group = this.groups.find(g => g.id === this.activeGroup);
+    if (!group) return;
+    if (!confirm(`Delete the "${group.name}" group? Its tokens stay on your watchlist.`)) return;
+
+    try {
+      const auth = await this.signWatchlistAction('delete', `group ${group.id}`);
+      await api.watchlist.deleteGroup(wallet.address, group.id, auth);
+      this.activeGroup = null;
+      toast.success('Group deleted');
+      await this.reload();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete group');
+    }
+  },
+
+  // ---- Entry editor (note / target price / group) ----
+
+  toggleEditor(mint) {
+    const tbody = document.getElementById('token-list');
+    const row = tbody?.querySelector(`.token-row[data-mint="${mint}"]`);
+    if (!row) return;
+
+    const open = tbody.querySelector('.watchlist-edit-row');
+    const wasOpen = open && open.dataset.mint === mint;
+    if (open) open.remove();
+    if (wasOpen) return;
+
+    const entry = this.items.get(mint) || {};
+    // Without a session the server hides notes and prices — don't offer to overwrite them blind
+    const privateFields = this.isOwner ? '' : 'disabled title="Sign in with your wallet to see and edit notes and prices"';
+    const groupOptions = this.groups.map(g =>
+      `<option value="${g.id}" ${entry.groupId === g.id ? 'selected' : ''}>${utils.escapeHtml(g.name)}</option>`
+    ).join('');
+
+    row.insertAdjacentHTML('afterend', `
+      <tr class="watchlist-edit-row" data-mint="${utils.escapeHtml(mint)}">
+        <td colspan="${row.children.length}">
+          <form class="watchlist-editor" data-mint="${utils.escapeHtml(mint)}">
+            <input type="text" name="note" class="watchlist-input" maxlength="280" placeholder="Note" value="${utils.escapeHtml(entry.note || '')}" ${privateFields}>
+            <input type="number" name="targetPrice" class="watchlist-input" min="0" step="any" placeholder="Target price ($)" value="${entry.targetPrice ?? ''}" ${privateFields}>
+            <select name="groupId" class="watchlist-input">
+              <option value="">No group</option>
+              ${groupOptions}
+            </select>
+            <button type="submit" class="btn btn-primary btn-sm">Save</button>
+            <button type="button" class="btn btn-ghost btn-sm" data-editor-cancel>Cancel</button>
+          </form>
+        </td>
+      </tr>
+    `);
+  },
+
+  async saveEntry(form) {
+    const mint = form.dataset.mint;
+    const note = form.elements.note.value.trim();
+    const target = form.elements.targetPrice.value;
+    const groupId = form.elements.groupId.value;
+
+    const changes = { groupId: groupId === '' ? null : parseInt(groupId) };
+    if (this.isOwner) {
+      changes.note = note || null;
+      changes.targetPrice = target === '' ? null : parseFloat(target);
+    }
+
+    try {
+      const auth = await this.signWatchlistAction('update', mint);
+      await api.watchlist.update(wallet.address, mint, changes, auth);
+      toast.success('Watchlist entry saved');
+      await this.reload();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save watchlist entry');
+    }
+  },
+
+  // ---- Import / export ----
+
+  async exportAs(format) {
+    if (!wallet.connected) return;
+    try {
+      const blob = await api.watchlist.export(wallet.address, format);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `opendex-watchlist-${wallet.address.slice(0, 8)}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+      toast.error(error.message || 'Export failed');
+    }
+  },
+
+  async importFile(file) {
+    if (!file || !wallet.connected) return;
+    if (file.size > this.MAX_IMPORT_BYTES) {
+      toast.error('Import file is too large');
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+      let data = text;
+      if (isJson) {
+        try {
+          data = JSON.parse(text);
+        } catch (_) {
+          toast.error('Import file is not valid JSON');
+          return;
+        }
+      }
+
+      const format = isJson ? 'json' : 'csv';
+      const auth = await this.signWatchlistAction('import', format);
+      const result = await api.watchlist.import(wallet.address, format, data, auth);
+      const skipped = result.skipped?.length ? ` (${result.skipped.length} skipped — watchlist full)` : '';
+      toast.success(`${result.message}${skipped}`);
+      await this.reload();
+    } catch (error) {
+      toast.error(error.message || 'Failed to import watchlist');
+    }
+  },
+
+  bindToolbar() {
+    document.getElementById('watchlist-groups')?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-group-rename]')) {
+        this.openGroupForm('rename');
+        return;
+      }
+      if (e.target.closest('[data-group-delete]')) {
+        this.deleteActiveGroup();
+        return;
+      }
+      const tab = e.target.closest('[data-group]');
+      if (tab) {
+        const id = tab.dataset.group ? parseInt(tab.dataset.group) : null;
+        if (id !== this.activeGroup) this.selectGroup(id);
+      }
+    });
+
+    document.getElementById('watchlist-new-group')?.addEventListener('click', () => this.openGroupForm('create'));
+    document.getElementById('watchlist-group-cancel')?.addEventListener('click', () => this.closeGroupForm());
+    document.getElementById('watchlist-group-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitGroupForm();
+    });
+
+    const fileInput = document.getElementById('watchlist-import-file');
+    document.getElementById('watchlist-import-btn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      this.importFile(file);
+    });
+
+    document.querySelectorAll('[data-watchlist-export]').forEach(btn => {
+      btn.addEventListener('click', () => this.exportAs(btn.dataset.watchlistExport));
+    });
+
+    const tbody = document.getElementById('token-list');
+    tbody?.addEventListener('submit', (e) => {
+      const form = e.target.closest('.watchlist-editor');
+      if (!form) return;
+      e.preventDefault();
+      this.saveEntry(form);
+    });
+    tbody?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-editor-cancel]')) {
+        e.target.closest('.watchlist-edit-row')?.remove();
+      }
+    });
+  },
+
   // Get watchlist tokens for display
   async getTokensWithData() {
     if (!wallet.connected) return [];
@@ -233,6 +516,8 @@ const watchlist = {
 
 // Initialize watchlist when wallet connects
 document.addEventListener('DOMContentLoaded', () => {
+  watchlist.bindToolbar();
+
   if (typeof wallet !== 'undefined') {
     // Listen for wallet connection via CustomEvent (works with both single-wallet and multi-wallet selector)
     window.addEventListener('walletConnected', () => {
@@ -1,5 +1,5 @@
-// OpenDex Service Worker — lightweight app-shell caching
-const CACHE_NAME = 'opendex-v8';
+// OpenDex Service Worker — lightweight app-shell caching and watchlist push alerts
+const CACHE_NAME = 'opendex-v19';
 
 // App shell: static assets worth caching for offline/fast loads
 const APP_SHELL = [
@@ -9,8 +9,10 @@ const APP_SHELL = [
   '/js/config.js',
   '/js/api.js',
   '/js/tokens.js',
+  '/js/screener.js',
   '/js/wallet.js',
   '/js/watchlist.js',
+  '/js/pushAlerts.js',
   '/js/voting.js',
   '/js/bugReport.js',
   '/js/announcements.js',
@@ -94,3 +96,40 @@ self.addEventListener('fetch', (event) => {
     })
   );
 });
+
+// Push: show a watchlist alert sent by the backend dispatcher ({ title, body, url, tag, icon })
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (_) {
+    data = { body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'OpenDex alert', {
+      body: data.body || '',
+      icon: data.icon || '/icons/icon-192.png',
+      badge: '/icons/icon-192.png',
+      tag: data.tag,
+      renotify: !!data.tag,
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+// Notification click: focus an open OpenDex tab on the alert's page, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const existing = windows.find(w => w.url === target) || windows.find(w => new URL(w.url).origin === self.location.origin);
+      if (existing) {
+        return existing.focus().then(w => (w && w.url !== target && 'navigate' in w ? w.navigate(target) : w));
+      }
+      return self.clients.openWindow(target);
+    })
+  );
+});
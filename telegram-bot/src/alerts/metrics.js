@@ -0,0 +1,55 @@
+const tokensApi = require('../api/tokens');
+
+// Snapshot fields read by rules.evaluate(): price-feed metrics plus the
+// optional sources a rule may need (holders, submissions, sentiment)
+function fromPriceData(priceData) {
+  return {
+    mcap: priceData?.marketCap || priceData?.fdv || 0,
+    price: priceData?.price || 0,
+    volume: priceData?.volume24h || 0,
+    liquidity: priceData?.liquidity || 0
+  };
+}
+
+/**
+ * Fetch the extra sources a rule needs on top of price data.
+ * Failed sources are left unset so rules depending on them are skipped.
+ *
+ * @param {string} mint
+ * @param {Set<string>} needs - From rules.requirements()
+ * @returns {Promise<{holders?, latestSubmissionId?, sentimentScore?}>}
+ */
+async function fetchExtras(mint, needs) {
+  const extras = {};
+  const tasks = [];
+
+  if (needs.has('holders')) {
+    tasks.push(tokensApi.getToken(mint).then(token => {
+      if (token?.holders) extras.holders = token.holders;
+    }));
+  }
+
+  if (needs.has('submissions')) {
+    tasks.push(tokensApi.getSubmissions(mint, { status: 'approved' }).then(submissions => {
+      const ids = (Array.isArray(submissions) ? submissions : []).map(s => s.id || 0);
+      extras.latestSubmissionId = ids.length > 0 ? Math.max(...ids) : 0;
+    }));
+  }
+
+  if (needs.has('sentiment')) {
+    tasks.push(tokensApi.getSentiment(mint).then(sentiment => {
+      if (sentiment?.tally) extras.sentimentScore = sentiment.tally.score || 0;
+    }));
+  }
+
+  const results = await Promise.allSettled(tasks);
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error(`[Alerts] Failed to fetch rule data for ${mint}:`, result.reason?.message);
+    }
+  }
+
+  return extras;
+}
+
+module.exports = { fromPriceData, fetchExtras };
@@ -1,4 +1,5 @@
 const { formatNumber, escapeHtml } = require('../utils/format');
+const rules = require('./rules');
 const config = require('../config');
 
 // Throttle to stay under Telegram's 30 msg/sec limit
@@ -15,18 +16,25 @@ async function throttle() {
 }
 
 module.exports = {
-  async sendAlertNotification(bot, alert, currentMcap) {
-    const conditionText = alert.condition === 'change'
-      ? `changed by ${alert.target_value}%`
-      : `went ${alert.condition} ${formatNumber(alert.target_value)}`;
+  async sendAlertNotification(bot, alert, rule, snapshot) {
+    // Current value of every metric the rule mentions (market cap always shown)
+    const metrics = rules.metricsOf(rule);
+    metrics.add('mcap');
+    const currentLines = [...metrics]
+      .filter(metric => snapshot[metric])
+      .map(metric => `Current ${rules.METRIC_LABELS[metric]}: ${rules.formatMetricValue(metric, snapshot[metric])}`)
+      .join('\n');
+
+    const cooldown = rules.formatCooldown(alert.cooldown_seconds);
 
     const text =
-      `<b>Market Cap Alert Triggered!</b>\n\n` +
+      `<b>Alert Triggered!</b>\n\n` +
       `<b>${escapeHtml(alert.token_name || 'Unknown')}</b> (${escapeHtml(alert.token_symbol || '???')})\n` +
-      `Market cap ${conditionText}\n\n` +
-      `Current market cap: ${formatNumber(currentMcap)}\n` +
-      `Market cap when set: ${formatNumber(alert.mcap_at_creation)}\n\n` +
-      `<a href="${config.FRONTEND_URL}/token.html?mint=${encodeURIComponent(alert.mint)}">View on OpenDEX</a>`;
+      `${escapeHtml(rules.describe(rule))}\n\n` +
+      `${currentLines}\n` +
+      `Market cap when set: ${formatNumber(alert.mcap_at_creation)}\n` +
+      (cooldown ? `Fires again once this clears (at most every ${cooldown}) — /removealert ${alert.id} to stop\n` : '') +
+      `\n<a href="${config.FRONTEND_URL}/token.html?mint=${encodeURIComponent(alert.mint)}">View on OpenDEX</a>`;
 
     try {
       await throttle();
@@ -43,7 +51,7 @@ module.exports = {
         error.description?.includes('deactivated');
       if (permanent) {
         console.warn(`[Alerts] Chat ${alert.chat_id} unreachable, alert will be deactivated`);
-        return true; // Allow trigger() to deactivate it
+        return 'unreachable'; // Truthy — lets the poller deactivate it instead of re-arming
       }
       return false; // Transient error — retry next cycle
     }
@@ -1,6 +1,9 @@
 const alertStore = require('./store');
 const notifications = require('./notifications');
+const rules = require('./rules');
+const metrics = require('./metrics');
 const tokensApi = require('../api/tokens');
+const priceStream = require('../api/priceStream');
 const config = require('../config');
 
 let pollIntervalId = null;
@@ -36,12 +39,26 @@ async function _doCheckAlerts(bot) {
   const distinctMints = await alertStore.getDistinctMints();
   if (distinctMints.length === 0) return;
 
-  // Fetch fresh price data for each alerted token individually.
+  // Prefer ticks from the backend price stream; fetch individually only for
+  // mints the stream hasn't delivered recently (new alerts, reconnects).
   const tokenData = {};
+  const missing = [];
+
+  if (config.PRICE_STREAM_ENABLED) {
+    priceStream.setMints(distinctMints);
+    for (const mint of distinctMints) {
+      const tick = priceStream.getLatest(mint, config.PRICE_STREAM_MAX_AGE_MS);
+      if (tick) tokenData[mint] = tick;
+      else missing.push(mint);
+    }
+  } else {
+    missing.push(...distinctMints);
+  }
+
   const CONCURRENCY = 20;
 
-  for (let i = 0; i < distinctMints.length; i += CONCURRENCY) {
-    const chunk = distinctMints.slice(i, i + CONCURRENCY);
+  for (let i = 0; i < missing.length; i += CONCURRENCY) {
+    const chunk = missing.slice(i, i + CONCURRENCY);
     const results = await Promise.allSettled(
       chunk.map(async (mint) => {
         const priceData = await tokensApi.getPrice(mint);
@@ -59,52 +76,85 @@ async function _doCheckAlerts(bot) {
     }
   }
 
-  // Check each active alert against current market cap
+  // Skip repeating alerts still cooling down (disarmed ones are still checked,
+  // to see their rule clear), then work out which extra sources (holders,
+  // submissions, sentiment) each mint's rules need
   const alerts = await alertStore.getAllActive();
+  const now = Date.now();
+  const due = [];
+  const needsByMint = new Map();
 
   for (const alert of alerts) {
-    const priceData = tokenData[alert.mint];
-    const currentMcap = priceData?.marketCap || priceData?.fdv || 0;
-    if (!currentMcap) {
-      console.warn(`[Alerts] No market cap data for ${alert.mint}, skipping alert #${alert.id}`);
+    if (alert.armed !== false && alert.cooldown_seconds && alert.last_triggered_at &&
+        now - new Date(alert.last_triggered_at).getTime() < alert.cooldown_seconds * 1000) {
       continue;
     }
 
-    let triggered = false;
-
-    switch (alert.condition) {
-      case 'above':
-        triggered = currentMcap >= alert.target_value;
-        break;
-      case 'below':
-        triggered = currentMcap <= alert.target_value;
-        break;
-      case 'change': {
-        if (alert.mcap_at_creation > 0) {
-          const pctChange = Math.abs(
-            ((currentMcap - alert.mcap_at_creation) / alert.mcap_at_creation) * 100
-          );
-          triggered = pctChange >= alert.target_value;
-        }
-        break;
-      }
+    const rule = rules.fromAlert(alert);
+    if (!rule) continue;
+    due.push({ alert, rule });
+
+    const needs = needsByMint.get(alert.mint) || new Set();
+    for (const source of rules.requirements(rule)) {
+      if (source !== 'price') needs.add(source);
     }
+    needsByMint.set(alert.mint, needs);
+  }
+
+  const extrasByMint = {};
+  const extraMints = [...needsByMint.keys()].filter(mint => needsByMint.get(mint).size > 0);
+
+  for (let i = 0; i < extraMints.length; i += CONCURRENCY) {
+    const chunk = extraMints.slice(i, i + CONCURRENCY);
+    await Promise.all(chunk.map(async (mint) => {
+      extrasByMint[mint] = await metrics.fetchExtras(mint, needsByMint.get(mint));
+    }));
+  }
 
-    if (triggered) {
-      console.log(`[Alerts] Alert #${alert.id} triggered: ${alert.condition} ${alert.target_value} (current mcap: ${currentMcap})`);
-      const sent = await notifications.sendAlertNotification(bot, alert, currentMcap);
-      if (sent) {
-        await alertStore.trigger(alert.id);
-      } else {
-        console.warn(`[Alerts] Alert #${alert.id} triggered but notification failed, will retry`);
+  for (const { alert, rule } of due) {
+    const snapshot = {
+      ...metrics.fromPriceData(tokenData[alert.mint]),
+      ...extrasByMint[alert.mint]
+    };
+    const baseline = rules.baselineFor(alert);
+
+    // null = data this rule depends on is missing; try again next cycle
+    const triggered = rules.evaluate(rule, snapshot, baseline);
+    if (triggered === null) {
+      if (process.env.LOG_LEVEL === 'debug') {
+        console.debug(`[Alerts] Missing data for ${alert.mint}, skipping alert #${alert.id}`);
       }
+      continue;
+    }
+
+    // A repeating alert fires again only after its rule has stopped matching,
+    // not every cooldown while it keeps matching
+    if (alert.armed === false) {
+      if (!triggered) await alertStore.arm(alert.id);
+      continue;
+    }
+
+    if (!triggered) {
+      const tracked = rules.track(rule, snapshot, baseline);
+      if (tracked) await alertStore.updateBaseline(alert.id, tracked);
+      continue;
+    }
+
+    console.log(`[Alerts] Alert #${alert.id} triggered: ${rules.describe(rule)} (current mcap: ${snapshot.mcap})`);
+    const sent = await notifications.sendAlertNotification(bot, alert, rule, snapshot);
+    if (!sent) {
+      console.warn(`[Alerts] Alert #${alert.id} triggered but notification failed, will retry`);
+    } else if (alert.cooldown_seconds && sent !== 'unreachable') {
+      await alertStore.rearm(alert.id, rules.rebase(baseline, snapshot));
+    } else {
+      await alertStore.trigger(alert.id);
     }
   }
 }
 
 module.exports = {
   start(bot) {
-    console.log(`[Alerts] Starting market cap polling every ${config.ALERT_POLL_INTERVAL_MS / 1000}s`);
+    console.log(`[Alerts] Starting alert polling every ${config.ALERT_POLL_INTERVAL_MS / 1000}s`);
     checkAlerts(bot).catch(err => console.error('[Alerts] Initial poll error:', err.message));
     pollIntervalId = setInterval(() => {
       checkAlerts(bot).catch(err => console.error('[Alerts] Poll error:', err.message));
@@ -117,6 +167,7 @@ module.exports = {
   },
 
   stop() {
+    priceStream.stop();
     if (pollIntervalId) {
       clearInterval(pollIntervalId);
       pollIntervalId = null;
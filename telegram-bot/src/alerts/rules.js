@@ -0,0 +1,365 @@
+const { formatNumber, formatPrice } = require('../utils/format');
+
+// ── Alert rule language ──────────────────────────────────────────────
+//
+//   rule      := expr [option ...]
+//   expr      := andExpr ('or' andExpr)*
+//   andExpr   := term ('and' term)*
+//   term      := '(' expr ')' | condition
+//   condition := metric ('>' | '>=' | '<' | '<=' | 'above' | 'below') value
+//              | metric ('change' | 'up' | 'down') percent
+//              | 'submission'
+//              | 'sentiment' 'flip'
+//   option    := 'cooldown' duration | 'once'
+//
+// Examples:
+//   mcap > 1m and volume > 250k
+//   liquidity down 30% or sentiment flip cooldown 1h
+//   price < 0.0005 or (holders up 20% and submission)
+//
+// The legacy forms `above <mcap>`, `below <mcap>` and `change <pct>` still
+// parse, as market cap conditions.
+
+const METRICS = {
+  mcap: 'mcap', marketcap: 'mcap', mc: 'mcap',
+  price: 'price',
+  volume: 'volume', vol: 'volume',
+  liquidity: 'liquidity', liq: 'liquidity',
+  holders: 'holders'
+};
+
+const METRIC_LABELS = {
+  mcap: 'market cap',
+  price: 'price',
+  volume: '24h volume',
+  liquidity: 'liquidity',
+  holders: 'holders'
+};
+
+const OPERATORS = { '>': '>', '>=': '>=', '<': '<', '<=': '<=', above: '>=', below: '<=' };
+const CHANGE_WORDS = {
+  change: 'any',
+  up: 'up', rise: 'up', pump: 'up',
+  down: 'down', drop: 'down', dump: 'down'
+};
+
+const MAX_CONDITIONS = 5;
+const MIN_COOLDOWN_SEC = 5 * 60;
+const MAX_COOLDOWN_SEC = 7 * 24 * 60 * 60;
+const DURATION_UNITS = { m: 60, h: 3600, d: 86400 };
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+class RuleError extends Error {}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/\(|\)|&&|\|\||>=|<=|>|<|[^\s()<>&|]+/g) || []);
+}
+
+function parseNumber(raw, label) {
+  const match = /^\$?(\d+(?:\.\d+)?)([kmb])?$/.exec(raw || '');
+  if (!match) throw new RuleError(`Expected a number for ${label}, got "${raw || 'nothing'}" (e.g. 250k, 1.5m, 0.0004)`);
+  const value = parseFloat(match[1]) * (match[2] ? NUMBER_SUFFIXES[match[2]] : 1);
+  if (value <= 0) throw new RuleError(`${label} must be greater than zero`);
+  if (value > 1e15) throw new RuleError(`${label} is too large`);
+  return value;
+}
+
+function parsePercent(raw, label) {
+  const match = /^(\d+(?:\.\d+)?)%?$/.exec(raw || '');
+  if (!match) throw new RuleError(`Expected a percentage for ${label}, got "${raw || 'nothing'}" (e.g. 25%)`);
+  const pct = parseFloat(match[1]);
+  if (pct < 1 || pct > 10000) throw new RuleError('Change percentage must be between 1% and 10,000%');
+  return pct;
+}
+
+function parseDuration(raw) {
+  const match = /^(\d+)([mhd])$/.exec(raw || '');
+  if (!match) throw new RuleError(`Expected a cooldown like 30m, 4h or 1d, got "${raw || 'nothing'}"`);
+  const seconds = parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+  if (seconds < MIN_COOLDOWN_SEC || seconds > MAX_COOLDOWN_SEC) {
+    throw new RuleError('Cooldown must be between 5m and 7d');
+  }
+  return seconds;
+}
+
+/**
+ * Parse rule text into { expr, cooldownSeconds }.
+ * Throws RuleError with a user-facing message on invalid input.
+ */
+function parse(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+  let conditions = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function parseCondition() {
+    const word = next();
+    if (word === undefined) throw new RuleError('Rule ended early — expected a condition');
+
+    conditions++;
+    if (conditions > MAX_CONDITIONS) throw new RuleError(`A rule can have at most ${MAX_CONDITIONS} conditions`);
+
+    if (word === 'submission' || word === 'submissions') return { type: 'submission' };
+
+    if (word === 'sentiment') {
+      const flip = next();
+      if (flip !== 'flip' && flip !== 'flips') throw new RuleError('Use "sentiment flip" to alert when community sentiment changes direction');
+      return { type: 'sentiment_flip' };
+    }
+
+    // Legacy: "above 1000000" / "below ..." / "change 50" are market cap conditions
+    let metric = METRICS[word];
+    let operatorWord;
+    if (!metric && (word === 'above' || word === 'below' || word === 'change')) {
+      metric = 'mcap';
+      operatorWord = word;
+    } else if (!metric) {
+      throw new RuleError(`Unknown condition "${word}". Use one of: mcap, price, volume, liquidity, holders, submission, sentiment flip`);
+    } else {
+      operatorWord = next();
+    }
+
+    const label = METRIC_LABELS[metric];
+
+    if (OPERATORS[operatorWord]) {
+      return { type: 'threshold', metric, op: OPERATORS[operatorWord], value: parseNumber(next(), label) };
+    }
+    if (CHANGE_WORDS[operatorWord]) {
+      return { type: 'change', metric, direction: CHANGE_WORDS[operatorWord], pct: parsePercent(next(), label) };
+    }
+    throw new RuleError(`After "${word}" expect >, <, above, below, change, up or down — got "${operatorWord || 'nothing'}"`);
+  }
+
+  function parseTerm() {
+    if (peek() === '(') {
+      next();
+      const expr = parseOr();
+      if (next() !== ')') throw new RuleError('Missing closing ")"');
+      return expr;
+    }
+    return parseCondition();
+  }
+
+  function parseAnd() {
+    const terms = [parseTerm()];
+    while (peek() === 'and' || peek() === '&&') {
+      next();
+      terms.push(parseTerm());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  }
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (peek() === 'or' || peek() === '||') {
+      next();
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  }
+
+  if (tokens.length === 0) throw new RuleError('Rule is empty');
+
+  const expr = parseOr();
+  let cooldownSeconds = null;
+
+  while (pos < tokens.length) {
+    const word = next();
+    if (word === 'cooldown' || word === 'every') {
+      cooldownSeconds = parseDuration(next());
+    } else if (word === 'once') {
+      cooldownSeconds = null;
+    } else if (word === ')') {
+      throw new RuleError('Unexpected ")"');
+    } else {
+      throw new RuleError(`Unexpected "${word}" — join conditions with "and" / "or"`);
+    }
+  }
+
+  return { expr, cooldownSeconds };
+}
+
+/**
+ * Build the rule for an alert row. Pre-rule alerts (above/below/change on
+ * market cap) are mapped onto the equivalent expression.
+ */
+function fromAlert(alert) {
+  if (alert.rule) return alert.rule;
+  switch (alert.condition) {
+    case 'above': return { type: 'threshold', metric: 'mcap', op: '>=', value: alert.target_value };
+    case 'below': return { type: 'threshold', metric: 'mcap', op: '<=', value: alert.target_value };
+    case 'change': return { type: 'change', metric: 'mcap', direction: 'any', pct: alert.target_value };
+    default: return null;
+  }
+}
+
+// Baseline for change / flip / submission conditions (legacy rows only stored mcap)
+function baselineFor(alert) {
+  return alert.baseline || { mcap: alert.mcap_at_creation };
+}
+
+// Direction sentiment flips are measured from: the last non-zero sign seen, so a
+// neutral reading neither counts as a direction nor clears the one before it
+function sentimentSign(baseline) {
+  if (baseline.sentimentSign) return baseline.sentimentSign;
+  return Math.sign(baseline.sentimentScore || 0);
+}
+
+/**
+ * Baseline after a fire: change / submission conditions measure from the new
+ * snapshot, the sentiment direction from its last non-zero sign.
+ */
+function rebase(baseline, snapshot) {
+  const sign = Math.sign(snapshot.sentimentScore || 0) || sentimentSign(baseline);
+  return { ...baseline, ...snapshot, sentimentSign: sign || null };
+}
+
+/**
+ * Baseline update between fires: a rule created while sentiment was neutral
+ * takes the first direction it sees as the one to flip from.
+ * Returns the updated baseline, or null when nothing changed.
+ */
+function track(node, snapshot, baseline) {
+  if (!requirements(node).has('sentiment') || snapshot.sentimentScore == null) return null;
+  const sign = Math.sign(snapshot.sentimentScore);
+  if (sign === 0 || sentimentSign(baseline) !== 0) return null;
+  return { ...baseline, sentimentSign: sign };
+}
+
+/** Data sources the poller must fetch to evaluate a rule */
+function requirements(node, needs = new Set()) {
+  if (node.type === 'and' || node.type === 'or') {
+    node.terms.forEach(term => requirements(term, needs));
+  } else if (node.type === 'submission') {
+    needs.add('submissions');
+  } else if (node.type === 'sentiment_flip') {
+    needs.add('sentiment');
+  } else if (node.metric === 'holders') {
+    needs.add('holders');
+  } else {
+    needs.add('price');
+  }
+  return needs;
+}
+
+/**
+ * Evaluate a rule against a metrics snapshot.
+ * Returns true/false, or null when required data is missing (skip, don't fire).
+ */
+function evaluate(node, snapshot, baseline) {
+  switch (node.type) {
+    case 'and': {
+      let missing = false;
+      for (const term of node.terms) {
+        const result = evaluate(term, snapshot, baseline);
+        if (result === false) return false;
+        if (result === null) missing = true;
+      }
+      return missing ? null : true;
+    }
+    case 'or': {
+      let missing = false;
+      for (const term of node.terms) {
+        const result = evaluate(term, snapshot, baseline);
+        if (result === true) return true;
+        if (result === null) missing = true;
+      }
+      return missing ? null : false;
+    }
+    case 'threshold': {
+      const current = snapshot[node.metric];
+      if (!current) return null;
+      switch (node.op) {
+        case '>': return current > node.value;
+        case '>=': return current >= node.value;
+        case '<': return current < node.value;
+        case '<=': return current <= node.value;
+        default: return null;
+      }
+    }
+    case 'change': {
+      const current = snapshot[node.metric];
+      const start = baseline[node.metric];
+      if (!current || !start) return null;
+      const pct = ((current - start) / start) * 100;
+      if (node.direction === 'up') return pct >= node.pct;
+      if (node.direction === 'down') return -pct >= node.pct;
+      return Math.abs(pct) >= node.pct;
+    }
+    case 'submission': {
+      if (snapshot.latestSubmissionId == null) return null;
+      return snapshot.latestSubmissionId > (baseline.latestSubmissionId || 0);
+    }
+    case 'sentiment_flip': {
+      if (snapshot.sentimentScore == null) return null;
+      const before = sentimentSign(baseline);
+      const now = Math.sign(snapshot.sentimentScore);
+      return before !== 0 && now !== 0 && before !== now;
+    }
+    default:
+      return null;
+  }
+}
+
+function formatMetricValue(metric, value) {
+  if (metric === 'price') return formatPrice(value);
+  if (metric === 'holders') return formatNumber(value, '');
+  return formatNumber(value);
+}
+
+/** Human-readable rule, e.g. "market cap ≥ $1.00M AND sentiment flips" */
+function describe(node, nested = false) {
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      const text = node.terms.map(term => describe(term, true)).join(` ${node.type.toUpperCase()} `);
+      return nested ? `(${text})` : text;
+    }
+    case 'threshold': {
+      const op = { '>': '>', '>=': '≥', '<': '<', '<=': '≤' }[node.op];
+      return `${METRIC_LABELS[node.metric]} ${op} ${formatMetricValue(node.metric, node.value)}`;
+    }
+    case 'change': {
+      const verb = node.direction === 'up' ? 'up' : node.direction === 'down' ? 'down' : 'changes';
+      return `${METRIC_LABELS[node.metric]} ${verb} ${node.pct}%`;
+    }
+    case 'submission':
+      return 'new approved community submission';
+    case 'sentiment_flip':
+      return 'sentiment flips';
+    default:
+      return '?';
+  }
+}
+
+/** Metrics referenced by a rule, for showing current values in notifications */
+function metricsOf(node, metrics = new Set()) {
+  if (node.type === 'and' || node.type === 'or') node.terms.forEach(term => metricsOf(term, metrics));
+  else if (node.metric) metrics.add(node.metric);
+  return metrics;
+}
+
+function formatCooldown(seconds) {
+  if (!seconds) return null;
+  if (seconds % 86400 === 0) return `${seconds / 86400}d`;
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  return `${Math.round(seconds / 60)}m`;
+}
+
+module.exports = {
+  parse,
+  fromAlert,
+  baselineFor,
+  rebase,
+  track,
+  requirements,
+  evaluate,
+  describe,
+  metricsOf,
+  formatMetricValue,
+  formatCooldown,
+  RuleError,
+  METRIC_LABELS
+};
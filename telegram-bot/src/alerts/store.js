@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const config = require('../config');
+const { CARD_SECTIONS } = require('../utils/format');
 
 // ── Connection pool ──────────────────────────────────────────────────
 let pool = null;
@@ -36,8 +37,8 @@ async function ensureTable() {
       mint          TEXT NOT NULL,
       token_name    TEXT,
       token_symbol  TEXT,
-      condition     TEXT NOT NULL CHECK (condition IN ('above', 'below', 'change')),
-      target_value  DOUBLE PRECISION NOT NULL,
+      condition     TEXT NOT NULL CHECK (condition IN ('above', 'below', 'change', 'rule')),
+      target_value  DOUBLE PRECISION,
       mcap_at_creation DOUBLE PRECISION DEFAULT 0,
       is_active     BOOLEAN NOT NULL DEFAULT TRUE,
       triggered_at  TIMESTAMPTZ,
@@ -48,9 +49,36 @@ async function ensureTable() {
     CREATE INDEX IF NOT EXISTS idx_telegram_alerts_active
       ON telegram_alerts (is_active) WHERE is_active = TRUE;
   `);
+  // Rule alerts (see rules.js) — columns added after the table was first created
+  await db.query(`
+    ALTER TABLE telegram_alerts ADD COLUMN IF NOT EXISTS expression TEXT;
+    ALTER TABLE telegram_alerts ADD COLUMN IF NOT EXISTS rule JSONB;
+    ALTER TABLE telegram_alerts ADD COLUMN IF NOT EXISTS baseline JSONB;
+    ALTER TABLE telegram_alerts ADD COLUMN IF NOT EXISTS cooldown_seconds INTEGER;
+    ALTER TABLE telegram_alerts ADD COLUMN IF NOT EXISTS last_triggered_at TIMESTAMPTZ;
+    ALTER TABLE telegram_alerts ADD COLUMN IF NOT EXISTS trigger_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE telegram_alerts ADD COLUMN IF NOT EXISTS armed BOOLEAN NOT NULL DEFAULT TRUE;
+    ALTER TABLE telegram_alerts ALTER COLUMN target_value DROP NOT NULL;
+  `);
+  // Widen the condition CHECK on tables created before rule alerts existed
+  await db.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'telegram_alerts'::regclass
+          AND conname = 'telegram_alerts_condition_check'
+          AND pg_get_constraintdef(oid) NOT LIKE '%rule%'
+      ) THEN
+        ALTER TABLE telegram_alerts DROP CONSTRAINT telegram_alerts_condition_check;
+        ALTER TABLE telegram_alerts ADD CONSTRAINT telegram_alerts_condition_check
+          CHECK (condition IN ('above', 'below', 'change', 'rule'));
+      END IF;
+    END $$;
+  `);
 }
 
-// ── Group settings table ─────────────────────────────────────────────
+// ── Group settings table (legacy: CA detection only) ─────────────────
 async function ensureGroupSettingsTable() {
   const db = getPool();
   await db.query(`
@@ -62,6 +90,29 @@ async function ensureGroupSettingsTable() {
   `);
 }
 
+// ── Chat settings table (/settings) ──────────────────────────────────
+async function ensureChatSettingsTable() {
+  const db = getPool();
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS telegram_chat_settings (
+      chat_id       BIGINT PRIMARY KEY,
+      ca_detect     BOOLEAN NOT NULL DEFAULT FALSE,
+      card_sections TEXT[],
+      brief_hour    SMALLINT CHECK (brief_hour BETWEEN 0 AND 23),
+      timezone      TEXT NOT NULL DEFAULT 'UTC',
+      admin_only    BOOLEAN NOT NULL DEFAULT FALSE,
+      watchlist     TEXT[] NOT NULL DEFAULT '{}',
+      updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  // Carry CA detection over from the legacy table (no-op once a chat has a row here)
+  await db.query(`
+    INSERT INTO telegram_chat_settings (chat_id, ca_detect)
+    SELECT chat_id, ca_detect FROM telegram_group_settings WHERE ca_detect = TRUE
+    ON CONFLICT (chat_id) DO NOTHING;
+  `);
+}
+
 // ── CRUD operations ──────────────────────────────────────────────────
 
 async function create(alertData) {
@@ -85,11 +136,16 @@ async function create(alertData) {
   }
 
   const res = await db.query(
-    `INSERT INTO telegram_alerts (user_id, chat_id, mint, token_name, token_symbol, condition, target_value, mcap_at_creation)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `INSERT INTO telegram_alerts (user_id, chat_id, mint, token_name, token_symbol, condition, target_value,
+       mcap_at_creation, expression, rule, baseline, cooldown_seconds)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
      RETURNING *`,
     [alertData.userId, alertData.chatId, alertData.mint, alertData.tokenName,
-     alertData.tokenSymbol, alertData.condition, alertData.targetValue, alertData.mcapAtCreation]
+     alertData.tokenSymbol, alertData.condition, alertData.targetValue ?? null, alertData.mcapAtCreation,
+     alertData.expression || null,
+     alertData.rule ? JSON.stringify(alertData.rule) : null,
+     alertData.baseline ? JSON.stringify(alertData.baseline) : null,
+     alertData.cooldownSeconds || null]
   );
   return res.rows[0];
 }
@@ -128,6 +184,33 @@ function trigger(id) {
   );
 }
 
+// Repeating alerts stay active: record the fire and reset the baseline so
+// change / flip / submission conditions measure from this point on. The alert
+// stays disarmed until its rule stops matching (see arm).
+function rearm(id, baseline) {
+  const db = getPool();
+  return db.query(
+    `UPDATE telegram_alerts
+     SET last_triggered_at = NOW(), trigger_count = trigger_count + 1, baseline = $2, armed = FALSE
+     WHERE id = $1`,
+    [id, JSON.stringify(baseline)]
+  );
+}
+
+// The rule no longer matches — the next match fires again (cooldown permitting)
+function arm(id) {
+  const db = getPool();
+  return db.query('UPDATE telegram_alerts SET armed = TRUE WHERE id = $1', [id]);
+}
+
+function updateBaseline(id, baseline) {
+  const db = getPool();
+  return db.query(
+    'UPDATE telegram_alerts SET baseline = $2 WHERE id = $1',
+    [id, JSON.stringify(baseline)]
+  );
+}
+
 function countAll() {
   const db = getPool();
   return db.query('SELECT COUNT(*) AS cnt FROM telegram_alerts').then(r => parseInt(r.rows[0].cnt));
@@ -149,22 +232,71 @@ async function pruneOld() {
   }
 }
 
-// ── Group settings ───────────────────────────────────────────────────
+// ── Chat settings ────────────────────────────────────────────────────
+
+const MAX_GROUP_WATCHLIST = 20;
+// Columns updateChatSettings may write
+const CHAT_SETTING_COLUMNS = ['ca_detect', 'card_sections', 'brief_hour', 'timezone', 'admin_only', 'watchlist'];
+
+// Settings are read on every group command and CA paste — cache briefly per chat
+const chatSettingsCache = new Map();
+const CHAT_SETTINGS_TTL_MS = 60 * 1000;
+
+function defaultChatSettings(chatId) {
+  return {
+    chat_id: chatId,
+    ca_detect: false,
+    card_sections: [...CARD_SECTIONS],
+    brief_hour: null,
+    timezone: 'UTC',
+    admin_only: false,
+    watchlist: []
+  };
+}
+
+async function getChatSettings(chatId) {
+  const cached = chatSettingsCache.get(chatId);
+  if (cached && Date.now() - cached.fetchedAt < CHAT_SETTINGS_TTL_MS) {
+    return cached.settings;
+  }
 
-async function getGroupSetting(chatId) {
   const db = getPool();
-  const res = await db.query('SELECT ca_detect FROM telegram_group_settings WHERE chat_id = $1', [chatId]);
-  return res.rows[0] || { ca_detect: false };
+  const res = await db.query('SELECT * FROM telegram_chat_settings WHERE chat_id = $1', [chatId]);
+  const row = res.rows[0];
+  const settings = row
+    ? { ...defaultChatSettings(chatId), ...row, card_sections: row.card_sections || [...CARD_SECTIONS] }
+    : defaultChatSettings(chatId);
+
+  chatSettingsCache.set(chatId, { settings, fetchedAt: Date.now() });
+  return settings;
 }
 
-async function setGroupCaDetect(chatId, enabled) {
+// Upsert the given settings (keys from CHAT_SETTING_COLUMNS) and return the full row
+async function updateChatSettings(chatId, changes) {
+  const columns = Object.keys(changes).filter(k => CHAT_SETTING_COLUMNS.includes(k));
+  if (columns.length === 0) return getChatSettings(chatId);
+
   const db = getPool();
+  const values = columns.map(c => changes[c]);
   await db.query(
-    `INSERT INTO telegram_group_settings (chat_id, ca_detect, updated_at)
-     VALUES ($1, $2, NOW())
-     ON CONFLICT (chat_id) DO UPDATE SET ca_detect = $2, updated_at = NOW()`,
-    [chatId, enabled]
+    `INSERT INTO telegram_chat_settings (chat_id, ${columns.join(', ')}, updated_at)
+     VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')}, NOW())
+     ON CONFLICT (chat_id) DO UPDATE SET
+       ${columns.map(c => `${c} = EXCLUDED.${c}`).join(', ')}, updated_at = NOW()`,
+    [chatId, ...values]
   );
+
+  chatSettingsCache.delete(chatId);
+  return getChatSettings(chatId);
+}
+
+async function getGroupSetting(chatId) {
+  const settings = await getChatSettings(chatId);
+  return { ca_detect: settings.ca_detect };
+}
+
+async function setGroupCaDetect(chatId, enabled) {
+  await updateChatSettings(chatId, { ca_detect: enabled });
 }
 
 // ── Daily brief subscriptions ────────────────────────────────────────
@@ -236,12 +368,23 @@ async function removeBriefSub(chatId) {
   return res.rowCount > 0;
 }
 
+// Subs with a brief hour set (chat settings) send on the hours that line up with it in the
+// chat's timezone — e.g. every 6h from 09:00 is 03:00, 09:00, 15:00, 21:00 local. Frequencies
+// all divide 24, and the 90 minute gap keeps a slot from sending twice.
 async function getDueBriefSubs() {
   const db = getPool();
   const res = await db.query(
-    `SELECT * FROM telegram_brief_subs
-     WHERE is_active = TRUE
-       AND (last_sent_at IS NULL OR last_sent_at < NOW() - make_interval(hours => frequency_hrs))`
+    `SELECT b.*, cs.brief_hour, cs.timezone
+     FROM telegram_brief_subs b
+     LEFT JOIN telegram_chat_settings cs ON cs.chat_id = b.chat_id
+     WHERE b.is_active = TRUE
+       AND (
+         (cs.brief_hour IS NULL
+           AND (b.last_sent_at IS NULL OR b.last_sent_at < NOW() - make_interval(hours => b.frequency_hrs)))
+         OR (cs.brief_hour IS NOT NULL
+           AND MOD(EXTRACT(HOUR FROM NOW() AT TIME ZONE cs.timezone)::int - cs.brief_hour + 24, b.frequency_hrs) = 0
+           AND (b.last_sent_at IS NULL OR b.last_sent_at < NOW() - INTERVAL '90 minutes'))
+       )`
   );
   return res.rows;
 }
@@ -256,6 +399,7 @@ async function markBriefSent(id) {
 async function init() {
   await ensureTable();
   await ensureGroupSettingsTable();
+  await ensureChatSettingsTable();
   await ensureBriefSubsTable();
   console.log('[Store] PostgreSQL tables ready');
 }
@@ -275,9 +419,15 @@ module.exports = {
   getAllActive,
   getDistinctMints,
   trigger,
+  rearm,
+  arm,
+  updateBaseline,
   countAll,
   countActive,
   pruneOld,
+  MAX_GROUP_WATCHLIST,
+  getChatSettings,
+  updateChatSettings,
   getGroupSetting,
   setGroupCaDetect,
   upsertBriefSub,
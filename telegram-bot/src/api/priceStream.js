@@ -0,0 +1,176 @@
+const axios = require('axios');
+const config = require('../config');
+
+// Must match the backend's caps (services/priceFeed.js). With PRICE_STREAM_KEY set the
+// backend treats the bot as a service client: bigger streams, no per-IP stream cap.
+// (Service streams are capped by the mint list fitting in the GET request line.)
+const MAX_MINTS_PER_STREAM = config.PRICE_STREAM_KEY ? 250 : 25;
+const MAX_STREAMS = config.PRICE_STREAM_KEY ? 40 : 5;
+const RECONNECT_BASE_MS = 5000;
+const RECONNECT_MAX_MS = 60000;
+// Backend sends a heartbeat every 25s — treat 60s of silence as a dead connection
+const IDLE_TIMEOUT_MS = 60000;
+
+// mint -> latest tick (with receivedAt)
+const latest = new Map();
+let connections = [];
+let warnedCapacity = false;
+
+// Parse one SSE frame ("event: x\ndata: y") and record price ticks
+function handleFrame(raw) {
+  let event = 'message';
+  let data = '';
+  for (const line of raw.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data += line.slice(5).trim();
+  }
+  if (event !== 'price' || !data) return;
+
+  try {
+    const tick = JSON.parse(data);
+    if (tick.mint) latest.set(tick.mint, { ...tick, receivedAt: Date.now() });
+  } catch (err) {
+    console.warn('[PriceStream] Bad event:', err.message);
+  }
+}
+
+function scheduleReconnect(conn) {
+  if (conn.closed || conn.reconnectTimer) return;
+  clearTimeout(conn.idleTimer);
+  const delay = Math.min(RECONNECT_BASE_MS * Math.pow(2, conn.attempts), RECONNECT_MAX_MS);
+  conn.attempts++;
+  conn.reconnectTimer = setTimeout(() => {
+    conn.reconnectTimer = null;
+    connect(conn);
+  }, delay);
+}
+
+function connect(conn) {
+  if (conn.closed) return;
+  const controller = new AbortController();
+  conn.controller = controller;
+
+  const resetIdle = () => {
+    clearTimeout(conn.idleTimer);
+    conn.idleTimer = setTimeout(() => controller.abort(), IDLE_TIMEOUT_MS);
+  };
+
+  // Plain axios (not the shared client) — no request timeout, retries or circuit breaker on a long-lived stream
+  axios.get(`${config.API_BASE_URL}/api/stream/prices`, {
+    params: { mints: conn.mints.join(',') },
+    headers: {
+      Accept: 'text/event-stream',
+      ...(config.PRICE_STREAM_KEY ? { 'X-Stream-Key': config.PRICE_STREAM_KEY } : {})
+    },
+    responseType: 'stream',
+    timeout: 0,
+    signal: controller.signal
+  }).then((response) => {
+    conn.attempts = 0;
+    resetIdle();
+
+    let buffer = '';
+    response.data.setEncoding('utf8');
+    response.data.on('data', (chunk) => {
+      resetIdle();
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf('\n\n')) !== -1) {
+        handleFrame(buffer.slice(0, idx));
+        buffer = buffer.slice(idx + 2);
+      }
+    });
+    response.data.on('end', () => scheduleReconnect(conn));
+    response.data.on('error', () => scheduleReconnect(conn));
+  }).catch((err) => {
+    if (conn.closed) return;
+    console.warn(`[PriceStream] Connection failed (${conn.mints.length} mints):`, err.message);
+    scheduleReconnect(conn);
+  });
+}
+
+function close(conn) {
+  conn.closed = true;
+  clearTimeout(conn.reconnectTimer);
+  clearTimeout(conn.idleTimer);
+  if (conn.controller) conn.controller.abort();
+}
+
+function closeAll() {
+  connections.forEach(close);
+  connections = [];
+}
+
+function open(mints) {
+  const conn = {
+    mints,
+    attempts: 0,
+    closed: false,
+    controller: null,
+    reconnectTimer: null,
+    idleTimer: null
+  };
+  connect(conn);
+  return conn;
+}
+
+module.exports = {
+  /**
+   * Keep streams open for exactly this set of mints.
+   * Only connections whose mints change are reopened: removed mints shrink (or
+   * close) their connection, added mints get new connections while under
+   * MAX_STREAMS, then top up connections with room. Mints beyond capacity
+   * aren't streamed — the poller fetches those directly.
+   */
+  setMints(mints) {
+    const wanted = new Set(mints);
+
+    for (const mint of latest.keys()) {
+      if (!wanted.has(mint)) latest.delete(mint);
+    }
+
+    // Drop removed mints
+    const kept = [];
+    for (const conn of connections) {
+      const remaining = conn.mints.filter(m => wanted.has(m));
+      if (remaining.length === conn.mints.length) {
+        kept.push(conn);
+        continue;
+      }
+      close(conn);
+      if (remaining.length > 0) kept.push(open(remaining));
+    }
+    connections = kept;
+
+    // Stream added mints
+    const streamed = new Set(connections.flatMap(c => c.mints));
+    const added = [...wanted].filter(m => !streamed.has(m));
+
+    while (added.length > 0 && connections.length < MAX_STREAMS) {
+      connections.push(open(added.splice(0, MAX_MINTS_PER_STREAM)));
+    }
+    for (let i = 0; i < connections.length && added.length > 0; i++) {
+      const room = MAX_MINTS_PER_STREAM - connections[i].mints.length;
+      if (room <= 0) continue;
+      close(connections[i]);
+      connections[i] = open(connections[i].mints.concat(added.splice(0, room)));
+    }
+
+    if (added.length > 0 && !warnedCapacity) {
+      warnedCapacity = true;
+      console.warn(`[PriceStream] ${added.length} mints over stream capacity (${MAX_STREAMS} x ${MAX_MINTS_PER_STREAM}) — polling them directly. Set PRICE_STREAM_KEY to raise the limit.`);
+    }
+  },
+
+  /** Latest streamed tick for a mint, or null if none within maxAgeMs */
+  getLatest(mint, maxAgeMs) {
+    const tick = latest.get(mint);
+    if (!tick || Date.now() - tick.receivedAt > maxAgeMs) return null;
+    return tick;
+  },
+
+  stop() {
+    closeAll();
+    latest.clear();
+  }
+};
@@ -21,8 +21,14 @@ module.exports = {
     return data;
   },
 
-  async getSubmissions(mint) {
-    const { data } = await client.get(`/api/tokens/${mint}/submissions`);
+  async getSubmissions(mint, params = {}) {
+    const { data } = await client.get(`/api/tokens/${mint}/submissions`, { params });
+    return data;
+  },
+
+  // Deployer wallet + previous launches. Can be slow when uncached — callers treat it as optional
+  async getCreator(mint) {
+    const { data } = await client.get(`/api/tokens/${mint}/creator`, { timeout: 8000 });
     return data;
   },
 
@@ -46,6 +52,11 @@ module.exports = {
     return data;
   },
 
+  async leaderboardCallers(params = {}) {
+    const { data } = await client.get('/api/tokens/leaderboard/callers', { params });
+    return data;
+  },
+
   async getSentiment(mint) {
     const { data } = await client.get(`/api/sentiment/${mint}`);
     return data;
@@ -59,5 +70,21 @@ module.exports = {
   async getDailyBrief(params = {}) {
     const { data } = await client.get('/api/daily-brief', { params });
     return data;
+  },
+
+  // params: { q, sort, order, limit, offset } — q is the screener filter DSL
+  async runScreen(params = {}) {
+    const { data } = await client.get('/api/screener', { params });
+    return data;
+  },
+
+  async getSavedScreens(wallet) {
+    const { data } = await client.get(`/api/screener/saved/${wallet}`);
+    return data;
+  },
+
+  async runSavedScreen(id, params = {}) {
+    const { data } = await client.get(`/api/screener/run/${id}`, { params });
+    return data;
   }
 };
@@ -1,44 +1,49 @@
 const alertStore = require('../../alerts/store');
+const rules = require('../../alerts/rules');
+const metrics = require('../../alerts/metrics');
 const tokensApi = require('../../api/tokens');
 const { isValidSolanaAddress } = require('../../utils/solana');
-const { formatNumber } = require('../../utils/format');
+const { formatNumber, escapeHtml } = require('../../utils/format');
 const { enrichWithPrice } = require('../../utils/enrichToken');
 const config = require('../../config');
 
+const USAGE =
+  'Usage: /alert &lt;CA&gt; &lt;rule&gt; [cooldown &lt;30m|4h|1d&gt;]\n\n' +
+  '<b>Conditions</b>\n' +
+  'mcap / price / volume / liquidity / holders  &gt; or &lt; &lt;value&gt;\n' +
+  'mcap / price / volume / liquidity / holders  up, down or change &lt;percent&gt;\n' +
+  'submission - new approved community submission\n' +
+  'sentiment flip - community sentiment changes direction\n\n' +
+  'Combine with <b>and</b> / <b>or</b> and parentheses. Values accept k / m / b.\n\n' +
+  '<b>Examples</b>\n' +
+  '/alert &lt;CA&gt; mcap &gt; 1m\n' +
+  '/alert &lt;CA&gt; volume &gt; 500k and liquidity &gt; 100k\n' +
+  '/alert &lt;CA&gt; liquidity down 30% or sentiment flip cooldown 1h\n\n' +
+  'Without a cooldown the alert fires once. With one, it fires again each time the rule starts matching, at most once per cooldown.';
+
 module.exports = (bot) => {
   bot.command('alert', async (ctx) => {
-    const args = ctx.match?.trim().split(/\s+/);
+    const input = ctx.match?.trim() || '';
+    const [mint, ...ruleWords] = input.split(/\s+/);
 
-    if (!args || args.length < 3) {
-      return ctx.reply(
-        'Usage:\n' +
-        '/alert &lt;CA&gt; above &lt;mcap&gt; - Alert when market cap goes above (e.g. 1000000)\n' +
-        '/alert &lt;CA&gt; below &lt;mcap&gt; - Alert when market cap goes below\n' +
-        '/alert &lt;CA&gt; change &lt;percent&gt; - Alert on market cap % change',
-        { parse_mode: 'HTML' }
-      );
+    if (!mint || ruleWords.length === 0) {
+      return ctx.reply(USAGE, { parse_mode: 'HTML' });
     }
 
-    const [mint, condition, valueStr] = args;
-
     if (!isValidSolanaAddress(mint)) {
       return ctx.reply('Invalid Solana contract address.');
     }
 
-    if (!['above', 'below', 'change'].includes(condition)) {
-      return ctx.reply('Condition must be: above, below, or change');
-    }
-
-    const value = parseFloat(valueStr);
-    if (isNaN(value) || value <= 0) {
-      return ctx.reply('Value must be a positive number.');
-    }
-    // Enforce sensible bounds
-    if (condition === 'change' && (value < 1 || value > 10000)) {
-      return ctx.reply('Change percentage must be between 1% and 10,000%.');
-    }
-    if ((condition === 'above' || condition === 'below') && value > 1e15) {
-      return ctx.reply('Market cap value is too large. Maximum: $1,000,000,000,000,000.');
+    const expression = ruleWords.join(' ');
+    let parsed;
+    try {
+      parsed = rules.parse(expression);
+    } catch (error) {
+      if (!(error instanceof rules.RuleError)) throw error;
+      return ctx.reply(
+        `Invalid alert rule: ${escapeHtml(error.message)}\n\nSend /alert for the rule syntax.`,
+        { parse_mode: 'HTML' }
+      );
     }
 
     const userId = ctx.from.id;
@@ -55,37 +60,49 @@ module.exports = (bot) => {
 
     try {
       let token = await tokensApi.getToken(mint);
-      // Ensure fresh market data for accurate mcap_at_creation
+      // Ensure fresh market data for an accurate baseline
       token = await enrichWithPrice(token);
       const currentMcap = token.marketCap || 0;
 
-      if (currentMcap === 0) {
+      const needs = rules.requirements(parsed.expr);
+      if (needs.has('price') && currentMcap === 0) {
+        return ctx.api.editMessageText(
+          ctx.chat.id,
+          statusMsg.message_id,
+          'This token has no market data available. Cannot set alert.'
+        );
+      }
+      if (needs.has('holders') && !token.holders) {
         return ctx.api.editMessageText(
           ctx.chat.id,
           statusMsg.message_id,
-          'This token has no market cap data available. Cannot set alert.'
+          'Holder count is not available for this token yet. Try a different condition.'
         );
       }
 
+      // Baseline for change / flip / submission conditions; holders already came with the token
+      needs.delete('holders');
+      const baseline = {
+        ...metrics.fromPriceData(token),
+        holders: token.holders || null,
+        ...await metrics.fetchExtras(mint, needs)
+      };
+
       const alert = await alertStore.create({
         userId,
         chatId: ctx.chat.id,
         mint,
         tokenName: token.name || 'Unknown',
         tokenSymbol: token.symbol || '???',
-        condition,
-        targetValue: value,
-        mcapAtCreation: currentMcap
+        condition: 'rule',
+        mcapAtCreation: currentMcap,
+        expression,
+        rule: parsed.expr,
+        baseline,
+        cooldownSeconds: parsed.cooldownSeconds
       });
 
-      let description;
-      if (condition === 'above') {
-        description = `market cap goes above ${formatNumber(value)}`;
-      } else if (condition === 'below') {
-        description = `market cap goes below ${formatNumber(value)}`;
-      } else {
-        description = `market cap changes by ${value}%`;
-      }
+      const cooldown = rules.formatCooldown(parsed.cooldownSeconds);
 
       await ctx.api.editMessageText(
         ctx.chat.id,
@@ -93,7 +110,8 @@ module.exports = (bot) => {
         `Alert #${alert.id} created!\n\n` +
         `Token: ${token.name || 'Unknown'} (${token.symbol || '???'})\n` +
         `Current market cap: ${formatNumber(currentMcap)}\n` +
-        `Alert when: ${description}`
+        `Alert when: ${rules.describe(parsed.expr)}\n` +
+        (cooldown ? `Repeats: each time it starts matching, at most every ${cooldown}` : 'Repeats: no (fires once)')
       );
     } catch (error) {
       await ctx.api.editMessageText(
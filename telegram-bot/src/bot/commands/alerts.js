@@ -1,4 +1,5 @@
 const alertStore = require('../../alerts/store');
+const rules = require('../../alerts/rules');
 const { formatNumber, escapeHtml } = require('../../utils/format');
 
 module.exports = (bot) => {
@@ -13,17 +14,16 @@ module.exports = (bot) => {
     let text = '<b>Your Active Alerts</b>\n\n';
 
     for (const alert of alerts) {
-      let conditionText;
-      if (alert.condition === 'above') {
-        conditionText = `above ${formatNumber(alert.target_value)}`;
-      } else if (alert.condition === 'below') {
-        conditionText = `below ${formatNumber(alert.target_value)}`;
-      } else {
-        conditionText = `change ${alert.target_value}%`;
-      }
+      const rule = rules.fromAlert(alert);
+      const cooldown = rules.formatCooldown(alert.cooldown_seconds);
 
-      text += `#${alert.id} | <b>${escapeHtml(alert.token_symbol || '???')}</b> | mcap ${conditionText}\n`;
-      text += `  Set at: ${formatNumber(alert.mcap_at_creation)}\n\n`;
+      text += `#${alert.id} | <b>${escapeHtml(alert.token_symbol || '???')}</b> | ${escapeHtml(rule ? rules.describe(rule) : alert.condition)}\n`;
+      text += `  Set at: ${formatNumber(alert.mcap_at_creation)} mcap`;
+      if (cooldown) {
+        text += ` | repeats every ${cooldown}`;
+        if (alert.trigger_count > 0) text += ` | fired ${alert.trigger_count}x`;
+      }
+      text += '\n\n';
     }
 
     text += `Use /removealert &lt;id&gt; to remove an alert.`;
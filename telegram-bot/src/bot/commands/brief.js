@@ -2,6 +2,7 @@ const { InlineKeyboard } = require('grammy');
 const tokensApi = require('../../api/tokens');
 const store = require('../../alerts/store');
 const { escapeHtml, formatNumber, formatChange, formatPrice, truncateHtml, TELEGRAM_MSG_LIMIT } = require('../../utils/format');
+const { isGroupChat, isChatAdmin } = require('../../utils/chatSettings');
 const config = require('../../config');
 
 // ── Filter / frequency labels (HTML-safe — used in parse_mode HTML) ──
@@ -110,23 +111,10 @@ function formatBriefMessage(tokens, hours, filterMcap, filterVol, filterRatio) {
 
 // ── Helpers ──────────────────────────────────────────────────────────
 
-function isGroup(ctx) {
-  return ctx.chat.type === 'group' || ctx.chat.type === 'supergroup';
-}
-
-async function isAdmin(ctx) {
-  try {
-    const member = await ctx.getChatMember(ctx.from.id);
-    return ['creator', 'administrator'].includes(member.status);
-  } catch {
-    return false;
-  }
-}
-
 // Check admin for group chats; always allow in DMs
 async function requireAdminIfGroup(ctx) {
-  if (!isGroup(ctx)) return true;
-  if (await isAdmin(ctx)) return true;
+  if (!isGroupChat(ctx)) return true;
+  if (await isChatAdmin(ctx)) return true;
   await ctx.reply('Only group admins can manage the Daily Brief subscription.');
   return false;
 }
@@ -152,15 +140,20 @@ module.exports = (bot) => {
       if (!sub) {
         return ctx.reply('No active Daily Brief subscription.\nUse /brief to set one up, or /brief now for a one-shot.');
       }
+      // Groups can anchor the schedule to an hour of day via /settings
+      const settings = isGroupChat(ctx) ? await store.getChatSettings(chatId) : null;
+      const schedule = settings?.brief_hour != null
+        ? ` from ${String(settings.brief_hour).padStart(2, '0')}:00 ${settings.timezone}`
+        : '';
       return ctx.reply(
         `<b>Daily Brief Subscription</b>\n\n` +
-        `Frequency: ${FREQ_LABELS[sub.frequency_hrs] || sub.frequency_hrs + 'h'}\n` +
+        `Frequency: ${FREQ_LABELS[sub.frequency_hrs] || sub.frequency_hrs + 'h'}${schedule}\n` +
         `Time window: ${sub.hours_window}h\n` +
         `MCap: ${MCAP_LABELS[sub.filter_mcap] || sub.filter_mcap}\n` +
         `Min Volume: ${VOL_LABELS[String(sub.filter_vol)] || '$' + sub.filter_vol}\n` +
         `Min Vol/MCap: ${RATIO_LABELS[String(sub.filter_ratio)] || sub.filter_ratio + 'x'}\n` +
         `Last sent: ${sub.last_sent_at ? new Date(sub.last_sent_at).toUTCString() : 'Never'}\n\n` +
-        (isGroup(ctx) ? 'Any admin can edit or stop this subscription.\n' : '') +
+        (isGroupChat(ctx) ? 'Any admin can edit or stop this subscription. Set the send time in /settings.\n' : '') +
         `Use /brief stop to unsubscribe.`,
         { parse_mode: 'HTML' }
       );
@@ -210,7 +203,7 @@ module.exports = (bot) => {
       kb.text('\u274C Unsubscribe', 'brief:unsub');
     }
 
-    const adminNote = isGroup(ctx) ? '\n<i>Admin-only: subscribe, edit, unsubscribe</i>' : '';
+    const adminNote = isGroupChat(ctx) ? '\n<i>Admin-only: subscribe, edit, unsubscribe</i>' : '';
 
     await ctx.reply(
       `<b>\u{1F4CB} Daily Brief</b>\n\n` +
@@ -246,8 +239,6 @@ function showFrequencyPicker(ctx) {
 module.exports.showFrequencyPicker = showFrequencyPicker;
 module.exports.applyFilters = applyFilters;
 module.exports.formatBriefMessage = formatBriefMessage;
-module.exports.isAdmin = isAdmin;
-module.exports.isGroup = isGroup;
 module.exports.MCAP_LABELS = MCAP_LABELS;
 module.exports.VOL_LABELS = VOL_LABELS;
 module.exports.RATIO_LABELS = RATIO_LABELS;
@@ -1,4 +1,5 @@
 const alertStore = require('../../alerts/store');
+const { isChatAdmin } = require('../../utils/chatSettings');
 
 module.exports = (bot) => {
   bot.command('cadetect', async (ctx) => {
@@ -8,13 +9,8 @@ module.exports = (bot) => {
     }
 
     // Only admins can toggle this setting
-    try {
-      const member = await ctx.getChatMember(ctx.from.id);
-      if (!['creator', 'administrator'].includes(member.status)) {
-        return ctx.reply('Only group admins can toggle CA auto-detection.');
-      }
-    } catch {
-      return ctx.reply('Could not verify admin status. Please make sure the bot has the right permissions.');
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply('Only group admins can toggle CA auto-detection.');
     }
 
     const chatId = ctx.chat.id;
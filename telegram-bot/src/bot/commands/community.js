@@ -75,16 +75,21 @@ function formatLeaderboard(tab, tokens, total, page) {
     watchlist: '\u2B50 Most Watched Tokens',
     sentiment: '\u{1F4C8} Top Sentiment Tokens',
     calls: '\u{1F4E2} Most Called Tokens (24h)',
+    callers: '\u{1F3C6} Top Callers (30d)',
   };
 
   let text = `<b>${titles[tab]}</b>\n`;
   text += `<i>Page ${page} of ${totalPages}</i>\n\n`;
 
   if (!tokens || tokens.length === 0) {
-    text += 'No tokens found.\n';
+    text += tab === 'callers' ? 'No callers ranked yet.\n' : 'No tokens found.\n';
     return text;
   }
 
+  if (tab === 'callers') {
+    return text + formatCallers(tokens, offset);
+  }
+
   tokens.forEach((token, i) => {
     const rank = offset + i + 1;
     const name = escapeHtml(token.name || 'Unknown');
@@ -117,6 +122,27 @@ function formatLeaderboard(tab, tokens, total, page) {
   return text;
 }
 
+// Caller rows: wallet, win rate, median ROI and best call
+function formatCallers(callers, offset) {
+  let text = '';
+  callers.forEach((caller, i) => {
+    const rank = offset + i + 1;
+    const wallet = caller.wallet || '';
+    const short = `${wallet.slice(0, 4)}...${wallet.slice(-4)}`;
+    const winRate = caller.winRate != null ? `${caller.winRate.toFixed(1)}% wins` : '-- wins';
+    const roi = caller.medianRoiPct;
+    const roiText = roi != null ? `${roi >= 0 ? '+' : ''}${roi.toFixed(1)}% median` : '-- median';
+
+    text += `<b>${rank}.</b> <a href="${config.FRONTEND_URL}/caller.html?wallet=${encodeURIComponent(wallet)}">${escapeHtml(short)}</a> \u2022 ${caller.scoredCalls} calls\n`;
+    text += `    ${winRate} \u2022 ${roiText}`;
+    if (caller.bestCall?.peakMultiple != null) {
+      text += ` \u2022 Best: ${escapeHtml(caller.bestCall.symbol || '???')} ${caller.bestCall.peakMultiple.toFixed(1)}x`;
+    }
+    text += '\n';
+  });
+  return text;
+}
+
 // Build inline keyboard for leaderboard navigation
 function buildKeyboard(tab, page, total) {
   const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
@@ -127,6 +153,7 @@ function buildKeyboard(tab, page, total) {
     { id: 'watchlist', label: '\u2B50 Watched' },
     { id: 'sentiment', label: '\u{1F4C8} Sentiment' },
     { id: 'calls', label: '\u{1F4E2} Called' },
+    { id: 'callers', label: '\u{1F3C6} Callers' },
   ];
 
   tabs.forEach(t => {
@@ -198,7 +225,7 @@ module.exports = (bot) => {
     }
 
     // Validate tab and page
-    const VALID_TABS = new Set(['watchlist', 'sentiment', 'calls']);
+    const VALID_TABS = new Set(['watchlist', 'sentiment', 'calls', 'callers']);
     if (!VALID_TABS.has(tab) || isNaN(page) || page < 1 || page > 1000) {
       return ctx.answerCallbackQuery();
     }
@@ -213,12 +240,14 @@ module.exports = (bot) => {
         result = await tokensApi.leaderboardSentiment({ limit: PAGE_SIZE, offset });
       } else if (tab === 'calls') {
         result = await tokensApi.leaderboardCalls({ limit: PAGE_SIZE, offset });
+      } else if (tab === 'callers') {
+        result = await tokensApi.leaderboardCallers({ limit: PAGE_SIZE, offset });
       } else {
         await ctx.answerCallbackQuery();
         return;
       }
 
-      const tokens = result.tokens || [];
+      const tokens = (tab === 'callers' ? result.callers : result.tokens) || [];
       const total = result.total || 0;
 
       const highlights = await getCachedHighlights();
@@ -13,10 +13,11 @@ module.exports = (bot) => {
 
     if (!isGroup) {
       text +=
-        `<b>Market Cap Alerts</b>\n` +
-        `/alert &lt;CA&gt; above &lt;mcap&gt; - Alert when market cap goes above\n` +
-        `/alert &lt;CA&gt; below &lt;mcap&gt; - Alert when market cap goes below\n` +
-        `/alert &lt;CA&gt; change &lt;percent&gt; - Alert on market cap % change\n` +
+        `<b>Alerts</b>\n` +
+        `/alert &lt;CA&gt; &lt;rule&gt; - Alert on mcap, price, volume, liquidity, holders, submissions or sentiment\n` +
+        `  e.g. <code>mcap &gt; 1m and volume &gt; 250k</code>\n` +
+        `  e.g. <code>liquidity down 30% or sentiment flip cooldown 1h</code>\n` +
+        `/alert - Full rule syntax\n` +
         `/alerts - List your active alerts\n` +
         `/removealert &lt;id&gt; - Remove an alert\n\n`;
     }
@@ -33,11 +34,18 @@ module.exports = (bot) => {
       `<b>OG Finder</b>\n` +
       `/og &lt;query&gt; - Find the oldest PumpFun tokens by name or ticker\n\n` +
       `<b>Community</b>\n` +
-      `/community - Leaderboards &amp; highlights (watchlisted, sentiment, calls)\n\n`;
+      `/community - Leaderboards &amp; highlights (watchlisted, sentiment, calls, top callers)\n\n` +
+      `<b>Screener</b>\n` +
+      `/screen &lt;filters&gt; - Screen tokens, e.g. <code>mcap:100k-5m liq:&gt;50k age:&lt;7d</code>\n` +
+      `/screen &lt;wallet&gt; - Run a wallet's saved screens\n\n`;
 
     if (isGroup) {
       text +=
+        `<b>Group Watchlist</b>\n` +
+        `/watchlist - Summarize the tokens pinned in this group\n` +
+        `/watchlist add &lt;CA&gt; - Pin a token (admins)\n\n` +
         `<b>Group Settings</b> (admin only)\n` +
+        `/settings - CA detection, token cards, brief time, admin-only commands\n` +
         `/cadetect - Toggle automatic CA detection in this group\n\n`;
     }
 
@@ -0,0 +1,179 @@
+const { InlineKeyboard } = require('grammy');
+const tokensApi = require('../../api/tokens');
+const { escapeHtml, formatPrice, formatNumber, formatChange, truncateHtml, TELEGRAM_MSG_LIMIT } = require('../../utils/format');
+const { isValidSolanaAddress } = require('../../utils/solana');
+const config = require('../../config');
+
+const PAGE_SIZE = 10;
+const EXAMPLE_QUERY = 'mcap:100k-5m liq:>50k age:<7d holders:>500 top10:<30 banner:yes bullish:>60';
+
+function screenerUrl(query) {
+  return `${config.FRONTEND_URL}/tokens.html?q=${encodeURIComponent(query)}`;
+}
+
+// Format a page of screen results
+function formatResults(title, result, page) {
+  const tokens = result.tokens || [];
+  const total = result.total || 0;
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const offset = (page - 1) * PAGE_SIZE;
+
+  let text = `<b>${escapeHtml(title)}</b>\n`;
+  text += `<code>${escapeHtml(result.query)}</code>\n`;
+  text += `<i>${total} match${total !== 1 ? 'es' : ''} • Page ${page} of ${totalPages}</i>\n\n`;
+
+  if (tokens.length === 0) {
+    return text + 'No tokens match this screen.\n';
+  }
+
+  tokens.forEach((token, i) => {
+    const rank = offset + i + 1;
+    const name = escapeHtml(token.name || 'Unknown');
+    const symbol = escapeHtml(token.symbol || '???');
+    const mint = encodeURIComponent(token.mint || '');
+
+    const extras = [];
+    if (token.liquidity) extras.push(`Liq: ${formatNumber(token.liquidity)}`);
+    if (token.holders != null) extras.push(`${token.holders.toLocaleString('en-US')} holders`);
+    if (token.bullishPct != null) extras.push(`${token.bullishPct}% bullish`);
+
+    text += `<b>${rank}.</b> <a href="${config.FRONTEND_URL}/token.html?mint=${mint}">${name}</a> (${symbol})${token.hasBanner ? ' \u{1F5BC}' : ''}\n`;
+    text += `    ${formatPrice(token.price)} • MCap: ${formatNumber(token.marketCap)} • ${formatChange(token.priceChange24h)}\n`;
+    if (extras.length > 0) text += `    ${extras.join(' • ')}\n`;
+  });
+
+  return text;
+}
+
+// Pagination keyboard for a saved screen (ad-hoc queries don't fit in callback data)
+function buildSavedKeyboard(id, page, total, query) {
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const kb = new InlineKeyboard();
+
+  if (totalPages > 1) {
+    if (page > 1) kb.text('◀ Prev', `scr:page:${id}:${page - 1}`);
+    kb.text(`${page}/${totalPages}`, 'scr:noop:0:0');
+    if (page < totalPages) kb.text('Next ▶', `scr:page:${id}:${page + 1}`);
+    kb.row();
+  }
+
+  kb.url('Open in Screener', screenerUrl(query));
+  return kb;
+}
+
+// Screener validation errors are user-facing (e.g. "Unknown screener field")
+function errorMessage(error, fallback) {
+  const status = error.response?.status;
+  const apiError = error.response?.data?.error;
+  if ((status === 400 || status === 404) && apiError) return apiError;
+  return fallback;
+}
+
+async function listSavedScreens(ctx, wallet) {
+  const result = await tokensApi.getSavedScreens(wallet);
+  const screens = result.screens || [];
+  const short = `${wallet.slice(0, 4)}...${wallet.slice(-4)}`;
+
+  if (screens.length === 0) {
+    return ctx.reply(
+      `No saved screens for <code>${escapeHtml(short)}</code>.\nSave one at ${config.FRONTEND_URL}/tokens.html`,
+      { parse_mode: 'HTML', link_preview_options: { is_disabled: true } }
+    );
+  }
+
+  let text = `<b>Saved screens for ${escapeHtml(short)}</b>\n\n`;
+  const kb = new InlineKeyboard();
+  screens.forEach(screen => {
+    text += `• <b>${escapeHtml(screen.name)}</b>\n  <code>${escapeHtml(screen.query)}</code>\n`;
+    kb.text(screen.name, `scr:run:${screen.id}:1`).row();
+  });
+
+  return ctx.reply(truncateHtml(text, TELEGRAM_MSG_LIMIT), {
+    parse_mode: 'HTML',
+    reply_markup: kb
+  });
+}
+
+module.exports = (bot) => {
+  // /screen <filters> — run a screen; /screen <wallet> — list that wallet's saved screens
+  bot.command('screen', async (ctx) => {
+    const input = ctx.match?.trim();
+
+    if (!input) {
+      return ctx.reply(
+        `<b>Token Screener</b>\n\n` +
+        `/screen &lt;filters&gt; - Run a screen\n` +
+        `  e.g. <code>/screen ${escapeHtml(EXAMPLE_QUERY)}</code>\n` +
+        `/screen &lt;wallet&gt; - Run a wallet's saved screens\n\n` +
+        `Fields: mcap, liq, volume, change, age, holders, top10, conviction, bullish, sentiment, votes, calls, banner\n` +
+        `Conditions: &gt;x, &lt;x, &gt;=x, &lt;=x or a range a-b. Numbers take k/m/b, ages m/h/d/w.`,
+        { parse_mode: 'HTML' }
+      );
+    }
+
+    if (isValidSolanaAddress(input)) {
+      try {
+        await listSavedScreens(ctx, input);
+      } catch (error) {
+        await ctx.reply(errorMessage(error, 'Failed to load saved screens. Please try again.'));
+      }
+      return;
+    }
+
+    const statusMsg = await ctx.reply('Screening tokens...');
+
+    try {
+      const result = await tokensApi.runScreen({ q: input, limit: PAGE_SIZE, offset: 0 });
+      const text = truncateHtml(formatResults('Screen Results', result, 1), TELEGRAM_MSG_LIMIT);
+      const kb = new InlineKeyboard().url('Open in Screener', screenerUrl(result.query));
+
+      await ctx.api.editMessageText(statusMsg.chat.id, statusMsg.message_id, text, {
+        parse_mode: 'HTML',
+        reply_markup: kb,
+        link_preview_options: { is_disabled: true },
+      });
+    } catch (error) {
+      await ctx.api.editMessageText(
+        statusMsg.chat.id,
+        statusMsg.message_id,
+        errorMessage(error, 'Screen failed. Please try again.')
+      );
+    }
+  });
+
+  // Run a saved screen (posts results) or page through them (edits in place)
+  bot.callbackQuery(/^scr:(run|page|noop):(\d+):(\d+)$/, async (ctx) => {
+    const mode = ctx.match[1];
+    if (mode === 'noop') {
+      return ctx.answerCallbackQuery();
+    }
+
+    const id = parseInt(ctx.match[2]);
+    const page = parseInt(ctx.match[3]);
+    if (isNaN(id) || id < 1 || isNaN(page) || page < 1 || page > 100) {
+      return ctx.answerCallbackQuery();
+    }
+
+    try {
+      const result = await tokensApi.runSavedScreen(id, { limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
+      const title = result.screen?.name || 'Saved Screen';
+      const text = truncateHtml(formatResults(title, result, page), TELEGRAM_MSG_LIMIT);
+      const kb = buildSavedKeyboard(id, page, result.total || 0, result.query);
+      const options = {
+        parse_mode: 'HTML',
+        reply_markup: kb,
+        link_preview_options: { is_disabled: true },
+      };
+
+      if (mode === 'run') {
+        await ctx.reply(text, options);
+      } else {
+        await ctx.editMessageText(text, options);
+      }
+      await ctx.answerCallbackQuery();
+    } catch (error) {
+      if (error.description?.includes('message is not modified')) return ctx.answerCallbackQuery().catch(() => {});
+      await ctx.answerCallbackQuery({ text: errorMessage(error, 'Failed to load. Try again.') }).catch(() => {});
+    }
+  });
+};
@@ -0,0 +1,268 @@
+const { InlineKeyboard } = require('grammy');
+const store = require('../../alerts/store');
+const { CARD_SECTIONS, CARD_SECTION_LABELS } = require('../../utils/format');
+const { isGroupChat, isChatAdmin } = require('../../utils/chatSettings');
+const { replyWithGroupWatchlist } = require('./watchlist');
+const { FREQ_LABELS } = require('./brief');
+
+// Timezones offered for the brief schedule (callback data carries the index)
+const TIMEZONES = [
+  'UTC',
+  'Europe/London',
+  'Europe/Berlin',
+  'Europe/Moscow',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'America/Sao_Paulo',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+];
+
+const onOff = (value) => (value ? 'On' : 'Off');
+const check = (value) => (value ? '✅' : '⬜');
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// ── Menus ────────────────────────────────────────────────────────────
+
+async function mainMenu(chatId) {
+  const [settings, sub] = await Promise.all([store.getChatSettings(chatId), store.getBriefSub(chatId)]);
+
+  const sections = settings.card_sections;
+  const cardsText = sections.length === CARD_SECTIONS.length
+    ? 'all sections'
+    : sections.length === 0 ? 'name and price only' : sections.map(s => CARD_SECTION_LABELS[s]).join(', ');
+
+  let briefText = settings.brief_hour == null ? 'any time' : `from ${formatHour(settings.brief_hour)} ${settings.timezone}`;
+  briefText += sub
+    ? ` (${(FREQ_LABELS[sub.frequency_hrs] || `every ${sub.frequency_hrs}h`).toLowerCase()})`
+    : ' — no subscription, use /brief setup';
+
+  const text =
+    `<b>⚙️ Group Settings</b>\n\n` +
+    `<b>CA detection:</b> ${onOff(settings.ca_detect)}\n` +
+    `<b>Token cards:</b> ${cardsText}\n` +
+    `<b>Daily Brief:</b> ${briefText}\n` +
+    `<b>Commands:</b> ${settings.admin_only ? 'admins only' : 'everyone'}\n` +
+    `<b>Group watchlist:</b> ${settings.watchlist.length} token${settings.watchlist.length === 1 ? '' : 's'}`;
+
+  const kb = new InlineKeyboard()
+    .text(`CA detection: ${onOff(settings.ca_detect)}`, 'gs:ca')
+    .text('Token cards ›', 'gs:cards')
+    .row()
+    .text(`Brief time: ${settings.brief_hour == null ? 'Any' : formatHour(settings.brief_hour)} ›`, 'gs:hours')
+    .text(`Timezone: ${settings.timezone} ›`, 'gs:tzs')
+    .row()
+    .text(`Commands: ${settings.admin_only ? 'Admins only' : 'Everyone'}`, 'gs:admin')
+    .text('Group watchlist ›', 'gs:wl')
+    .row()
+    .text('Done', 'gs:close');
+
+  return { text, kb };
+}
+
+async function cardsMenu(chatId) {
+  const settings = await store.getChatSettings(chatId);
+  const kb = new InlineKeyboard();
+  CARD_SECTIONS.forEach((key, i) => {
+    kb.text(`${check(settings.card_sections.includes(key))} ${CARD_SECTION_LABELS[key]}`, `gs:card:${key}`);
+    if (i % 2 === 1) kb.row();
+  });
+  kb.row().text('‹ Back', 'gs:main');
+
+  return {
+    text: '<b>Token Cards</b>\n\nChoose what token cards show in this group. Name and price are always shown.',
+    kb
+  };
+}
+
+async function hoursMenu(chatId) {
+  const settings = await store.getChatSettings(chatId);
+  const kb = new InlineKeyboard().text(`${check(settings.brief_hour == null)} Any time`, 'gs:hour:any').row();
+  for (let hour = 0; hour < 24; hour++) {
+    kb.text(settings.brief_hour === hour ? `• ${formatHour(hour)}` : formatHour(hour), `gs:hour:${hour}`);
+    if (hour % 6 === 5) kb.row();
+  }
+  kb.text('‹ Back', 'gs:main');
+
+  return {
+    text:
+      `<b>Daily Brief Time</b>\n\n` +
+      `Subscribed briefs are sent on the hours that line up with this time (${settings.timezone}). ` +
+      `For example, every 6h from 09:00 sends at 03:00, 09:00, 15:00 and 21:00.\n\n` +
+      `"Any time" sends as soon as each interval has passed.`,
+    kb
+  };
+}
+
+async function timezonesMenu(chatId) {
+  const settings = await store.getChatSettings(chatId);
+  const kb = new InlineKeyboard();
+  TIMEZONES.forEach((tz, i) => {
+    kb.text(`${settings.timezone === tz ? '• ' : ''}${tz}`, `gs:tz:${i}`);
+    if (i % 2 === 1) kb.row();
+  });
+  kb.row().text('‹ Back', 'gs:main');
+
+  return { text: '<b>Timezone</b>\n\nUsed for the Daily Brief time.', kb };
+}
+
+async function watchlistMenu(chatId) {
+  const settings = await store.getChatSettings(chatId);
+  const kb = new InlineKeyboard();
+  if (settings.watchlist.length > 0) {
+    kb.text('\u{1F4CC} Summarize', 'gs:wl:show').text('Clear', 'gs:wl:clear').row();
+  }
+  kb.text('‹ Back', 'gs:main');
+
+  return {
+    text:
+      `<b>Group Watchlist</b>\n\n` +
+      `${settings.watchlist.length} of ${store.MAX_GROUP_WATCHLIST} tokens pinned.\n\n` +
+      `/watchlist add &lt;CA&gt; - Pin a token\n` +
+      `/watchlist remove &lt;CA&gt; - Unpin a token\n` +
+      `/watchlist - Summarize (anyone can run this)`,
+    kb
+  };
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+async function showMenu(ctx, menu) {
+  const { text, kb } = await menu(ctx.chat.id);
+  try {
+    await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: kb });
+  } catch (error) {
+    if (!error.description?.includes('message is not modified')) throw error;
+  }
+}
+
+// Every settings button is admin-only
+async function requireAdminCb(ctx) {
+  if (await isChatAdmin(ctx)) return true;
+  await ctx.answerCallbackQuery({ text: 'Only group admins can change settings.', show_alert: true });
+  return false;
+}
+
+// ── /settings command ────────────────────────────────────────────────
+module.exports = (bot) => {
+  bot.command('settings', async (ctx) => {
+    if (!isGroupChat(ctx)) {
+      return ctx.reply('Settings are for group chats. Add me to a group and run /settings there.');
+    }
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply('Only group admins can change group settings.');
+    }
+
+    const { text, kb } = await mainMenu(ctx.chat.id);
+    await ctx.reply(text, { parse_mode: 'HTML', reply_markup: kb });
+  });
+
+  bot.callbackQuery(/^gs:/, async (ctx, next) => {
+    if (!isGroupChat(ctx)) return ctx.answerCallbackQuery();
+    if (!(await requireAdminCb(ctx))) return;
+    return next();
+  });
+
+  bot.callbackQuery('gs:main', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await showMenu(ctx, mainMenu);
+  });
+
+  bot.callbackQuery('gs:close', async (ctx) => {
+    await ctx.answerCallbackQuery({ text: 'Settings saved' });
+    await ctx.deleteMessage().catch(() => {});
+  });
+
+  bot.callbackQuery('gs:ca', async (ctx) => {
+    const settings = await store.getChatSettings(ctx.chat.id);
+    await store.updateChatSettings(ctx.chat.id, { ca_detect: !settings.ca_detect });
+    await ctx.answerCallbackQuery({ text: `CA detection ${settings.ca_detect ? 'disabled' : 'enabled'}` });
+    await showMenu(ctx, mainMenu);
+  });
+
+  bot.callbackQuery('gs:admin', async (ctx) => {
+    const settings = await store.getChatSettings(ctx.chat.id);
+    await store.updateChatSettings(ctx.chat.id, { admin_only: !settings.admin_only });
+    await ctx.answerCallbackQuery({ text: settings.admin_only ? 'Commands open to everyone' : 'Commands restricted to admins' });
+    await showMenu(ctx, mainMenu);
+  });
+
+  // ── Token card sections ────────────────────────────────────────────
+  bot.callbackQuery('gs:cards', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await showMenu(ctx, cardsMenu);
+  });
+
+  bot.callbackQuery(/^gs:card:(\w+)$/, async (ctx) => {
+    const key = ctx.match[1];
+    if (!CARD_SECTIONS.includes(key)) {
+      return ctx.answerCallbackQuery({ text: 'Unknown section.' });
+    }
+    const settings = await store.getChatSettings(ctx.chat.id);
+    const current = new Set(settings.card_sections);
+    if (current.has(key)) current.delete(key);
+    else current.add(key);
+
+    // Keep the canonical order
+    await store.updateChatSettings(ctx.chat.id, { card_sections: CARD_SECTIONS.filter(s => current.has(s)) });
+    await ctx.answerCallbackQuery();
+    await showMenu(ctx, cardsMenu);
+  });
+
+  // ── Brief schedule ─────────────────────────────────────────────────
+  bot.callbackQuery('gs:hours', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await showMenu(ctx, hoursMenu);
+  });
+
+  bot.callbackQuery(/^gs:hour:(any|\d+)$/, async (ctx) => {
+    const hour = ctx.match[1] === 'any' ? null : parseInt(ctx.match[1]);
+    if (hour !== null && (isNaN(hour) || hour < 0 || hour > 23)) {
+      return ctx.answerCallbackQuery({ text: 'Invalid hour.' });
+    }
+    await store.updateChatSettings(ctx.chat.id, { brief_hour: hour });
+    await ctx.answerCallbackQuery({ text: hour === null ? 'Brief time: any time' : `Brief time: ${formatHour(hour)}` });
+    await showMenu(ctx, mainMenu);
+  });
+
+  bot.callbackQuery('gs:tzs', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await showMenu(ctx, timezonesMenu);
+  });
+
+  bot.callbackQuery(/^gs:tz:(\d+)$/, async (ctx) => {
+    const timezone = TIMEZONES[parseInt(ctx.match[1])];
+    if (!timezone) {
+      return ctx.answerCallbackQuery({ text: 'Invalid timezone.' });
+    }
+    await store.updateChatSettings(ctx.chat.id, { timezone });
+    await ctx.answerCallbackQuery({ text: `Timezone: ${timezone}` });
+    await showMenu(ctx, mainMenu);
+  });
+
+  // ── Group watchlist ────────────────────────────────────────────────
+  bot.callbackQuery('gs:wl', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await showMenu(ctx, watchlistMenu);
+  });
+
+  bot.callbackQuery('gs:wl:show', async (ctx) => {
+    await ctx.answerCallbackQuery({ text: 'Loading...' });
+    try {
+      await replyWithGroupWatchlist(ctx);
+    } catch (err) {
+      console.error('[Settings] Watchlist summary failed:', err.message);
+      await ctx.reply('Failed to load the group watchlist. Please try again.');
+    }
+  });
+
+  bot.callbackQuery('gs:wl:clear', async (ctx) => {
+    await store.updateChatSettings(ctx.chat.id, { watchlist: [] });
+    await ctx.answerCallbackQuery({ text: 'Group watchlist cleared' });
+    await showMenu(ctx, watchlistMenu);
+  });
+};
@@ -2,7 +2,8 @@ const tokensApi = require('../../api/tokens');
 const { formatTokenMessage } = require('../../utils/format');
 const { sendTokenMessage } = require('../../utils/sendToken');
 const { isValidSolanaAddress } = require('../../utils/solana');
-const { enrichWithPrice } = require('../../utils/enrichToken');
+const { enrichWithPrice, creatorForCard } = require('../../utils/enrichToken');
+const { cardSections } = require('../../utils/chatSettings');
 
 module.exports = (bot) => {
   bot.command('token', async (ctx) => {
@@ -14,10 +15,13 @@ module.exports = (bot) => {
     const statusMsg = await ctx.reply('Looking up token...');
 
     try {
+      // Dev history is optional — a slow or failed lookup never holds the card up for long
+      const sections = await cardSections(ctx);
+      const creatorPromise = creatorForCard(mint, sections);
       let token = await tokensApi.getToken(mint);
       // Ensure fresh market data (price, marketCap) if stale or missing
       token = await enrichWithPrice(token);
-      const message = formatTokenMessage(token);
+      const message = formatTokenMessage(token, { creator: await creatorPromise, sections });
       await sendTokenMessage(ctx, statusMsg, message);
     } catch (error) {
       const errorMsg = error.response?.status === 404
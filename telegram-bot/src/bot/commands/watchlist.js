@@ -0,0 +1,158 @@
+const { InlineKeyboard } = require('grammy');
+const tokensApi = require('../../api/tokens');
+const store = require('../../alerts/store');
+const { escapeHtml, formatPrice, formatNumber, formatChange, truncateHtml, TELEGRAM_MSG_LIMIT } = require('../../utils/format');
+const { isValidSolanaAddress } = require('../../utils/solana');
+const { isGroupChat, isChatAdmin } = require('../../utils/chatSettings');
+const config = require('../../config');
+
+const USAGE =
+  `/watchlist - Summarize the group watchlist\n` +
+  `/watchlist add &lt;CA&gt; - Pin a token (admins)\n` +
+  `/watchlist remove &lt;CA&gt; - Unpin a token (admins)\n` +
+  `/watchlist clear - Unpin everything (admins)`;
+
+// Summarize the pinned tokens in pin order, with lookup buttons for the first few
+async function formatGroupWatchlist(mints) {
+  let text = `<b>\u{1F4CC} Group Watchlist</b>\n`;
+
+  if (mints.length === 0) {
+    text += `\nNo tokens pinned yet.\n\n${USAGE}`;
+    return { text, keyboard: null };
+  }
+
+  const results = await tokensApi.batchGetTokens(mints);
+  const byMint = new Map((results || []).filter(Boolean).map(t => [t.mintAddress || t.address, t]));
+  const tokens = mints.map(mint => byMint.get(mint) || { mintAddress: mint });
+
+  const changes = tokens.map(t => t.priceChange24h).filter(c => c != null);
+  const up = changes.filter(c => c > 0).length;
+  const avg = changes.length > 0 ? changes.reduce((a, b) => a + b, 0) / changes.length : null;
+  text += `<i>${tokens.length} token${tokens.length === 1 ? '' : 's'} • ${up} up, ${changes.length - up} down`;
+  text += avg != null ? ` • avg ${formatChange(avg)}</i>\n\n` : '</i>\n\n';
+
+  const keyboard = new InlineKeyboard();
+  tokens.forEach((t, i) => {
+    const mint = t.mintAddress;
+    const name = escapeHtml(t.name || `${mint.slice(0, 4)}...${mint.slice(-4)}`);
+    const symbol = escapeHtml(t.symbol || '???');
+
+    text += `<b>${i + 1}.</b> <a href="${config.FRONTEND_URL}/token.html?mint=${encodeURIComponent(mint)}">${name}</a> (${symbol})\n`;
+    text += t.price
+      ? `    ${formatPrice(t.price)} ${formatChange(t.priceChange24h)} • MCap ${formatNumber(t.marketCap)}\n`
+      : `    <code>${mint}</code> • no market data\n`;
+
+    if (i < 6) {
+      keyboard.text(`${i + 1}. ${t.symbol || '???'}`, `lookup:${mint}`);
+      if (i % 2 === 1) keyboard.row();
+    }
+  });
+
+  keyboard.row().text('\u{1F504} Refresh', 'gwl:refresh');
+  return { text: truncateHtml(text, TELEGRAM_MSG_LIMIT), keyboard };
+}
+
+async function replyWithGroupWatchlist(ctx) {
+  const settings = await store.getChatSettings(ctx.chat.id);
+  const { text, keyboard } = await formatGroupWatchlist(settings.watchlist);
+  return ctx.reply(text, {
+    parse_mode: 'HTML',
+    reply_markup: keyboard || undefined,
+    link_preview_options: { is_disabled: true },
+  });
+}
+
+module.exports = (bot) => {
+  bot.command('watchlist', async (ctx) => {
+    if (!isGroupChat(ctx)) {
+      return ctx.reply(
+        `The group watchlist is for group chats.\nKeep your own watchlist at ${config.FRONTEND_URL}`,
+        { link_preview_options: { is_disabled: true } }
+      );
+    }
+
+    const [action, arg] = (ctx.match?.trim() || '').split(/\s+/);
+    const sub = (action || '').toLowerCase();
+
+    if (!sub) {
+      try {
+        await replyWithGroupWatchlist(ctx);
+      } catch (err) {
+        console.error('[Watchlist] Summary failed:', err.message);
+        await ctx.reply('Failed to load the group watchlist. Please try again.');
+      }
+      return;
+    }
+
+    if (!['add', 'remove', 'rm', 'clear'].includes(sub)) {
+      return ctx.reply(`<b>Group Watchlist</b>\n\n${USAGE}`, { parse_mode: 'HTML' });
+    }
+
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply('Only group admins can change the group watchlist.');
+    }
+
+    const chatId = ctx.chat.id;
+    const settings = await store.getChatSettings(chatId);
+
+    if (sub === 'clear') {
+      await store.updateChatSettings(chatId, { watchlist: [] });
+      return ctx.reply('Group watchlist cleared.');
+    }
+
+    if (!arg || !isValidSolanaAddress(arg)) {
+      return ctx.reply(`Please provide a valid Solana contract address.\nUsage: /watchlist ${sub} &lt;CA&gt;`, { parse_mode: 'HTML' });
+    }
+
+    if (sub === 'add') {
+      if (settings.watchlist.includes(arg)) {
+        return ctx.reply('That token is already pinned.');
+      }
+      if (settings.watchlist.length >= store.MAX_GROUP_WATCHLIST) {
+        return ctx.reply(`The group watchlist is full (max ${store.MAX_GROUP_WATCHLIST}). Remove a token first.`);
+      }
+
+      let token;
+      try {
+        token = await tokensApi.getToken(arg);
+      } catch (error) {
+        return ctx.reply(error.response?.status === 404
+          ? 'Token not found. Please check the contract address.'
+          : 'Failed to fetch token data. Please try again.');
+      }
+
+      await store.updateChatSettings(chatId, { watchlist: [...settings.watchlist, arg] });
+      return ctx.reply(
+        `Pinned <b>${escapeHtml(token.name || 'Unknown')}</b> (${escapeHtml(token.symbol || '???')}) to the group watchlist.`,
+        { parse_mode: 'HTML' }
+      );
+    }
+
+    if (!settings.watchlist.includes(arg)) {
+      return ctx.reply('That token is not on the group watchlist.');
+    }
+    await store.updateChatSettings(chatId, { watchlist: settings.watchlist.filter(m => m !== arg) });
+    await ctx.reply('Token removed from the group watchlist.');
+  });
+
+  // Refresh a summary in place
+  bot.callbackQuery('gwl:refresh', async (ctx) => {
+    try {
+      const settings = await store.getChatSettings(ctx.chat.id);
+      const { text, keyboard } = await formatGroupWatchlist(settings.watchlist);
+      await ctx.editMessageText(text, {
+        parse_mode: 'HTML',
+        reply_markup: keyboard || undefined,
+        link_preview_options: { is_disabled: true },
+      });
+      await ctx.answerCallbackQuery();
+    } catch (error) {
+      if (error.description?.includes('message is not modified')) {
+        return ctx.answerCallbackQuery({ text: 'Data is already up to date' }).catch(() => {});
+      }
+      await ctx.answerCallbackQuery({ text: 'Refresh failed. Try again.' }).catch(() => {});
+    }
+  });
+};
+
+module.exports.replyWithGroupWatchlist = replyWithGroupWatchlist;
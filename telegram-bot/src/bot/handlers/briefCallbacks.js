@@ -3,8 +3,9 @@ const store = require('../../alerts/store');
 const tokensApi = require('../../api/tokens');
 const {
   MCAP_LABELS, VOL_LABELS, RATIO_LABELS, FREQ_LABELS, HOURS_LABELS,
-  applyFilters, formatBriefMessage, isAdmin, isGroup
+  applyFilters, formatBriefMessage
 } = require('../commands/brief');
+const { isGroupChat, isChatAdmin } = require('../../utils/chatSettings');
 
 // Whitelists for wizard values — reject anything not in these sets
 const VALID_FREQS = new Set([3, 6, 12, 24]);
@@ -23,8 +24,8 @@ function getKey(ctx) {
 
 // Admin gate for group chats — returns false (and shows toast) if not admin
 async function requireAdminCb(ctx) {
-  if (!isGroup(ctx)) return true;
-  if (await isAdmin(ctx)) return true;
+  if (!isGroupChat(ctx)) return true;
+  if (await isChatAdmin(ctx)) return true;
   await ctx.answerCallbackQuery({ text: 'Only group admins can do this.', show_alert: true });
   return false;
 }
@@ -229,7 +230,7 @@ module.exports = (bot) => {
     // Clean up wizard state
     wizardState.delete(key);
 
-    const groupNote = isGroup(ctx) ? '\nAny admin can edit or stop this subscription.' : '';
+    const groupNote = isGroupChat(ctx) ? '\nAny admin can edit or stop this subscription.' : '';
 
     await ctx.editMessageText(
       `<b>\u2705 Daily Brief Subscription Active!</b>\n\n` +
@@ -3,6 +3,7 @@ const { formatTokenMessage } = require('../../utils/format');
 const { sendTokenMessage } = require('../../utils/sendToken');
 const { enrichWithPrice } = require('../../utils/enrichToken');
 const alertStore = require('../../alerts/store');
+const { cardSections } = require('../../utils/chatSettings');
 
 // Match a message that is ONLY a Solana address (32-44 base58 chars)
 const SOLANA_CA_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
@@ -31,7 +32,7 @@ async function handleLookup(ctx) {
   try {
     let token = await tokensApi.getToken(mint);
     token = await enrichWithPrice(token);
-    const message = formatTokenMessage(token);
+    const message = formatTokenMessage(token, { sections: await cardSections(ctx) });
     await sendTokenMessage(ctx, statusMsg, message);
   } catch (error) {
     await ctx.api.editMessageText(
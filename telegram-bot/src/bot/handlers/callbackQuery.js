@@ -1,8 +1,9 @@
 const tokensApi = require('../../api/tokens');
 const { formatTokenMessage, truncateHtml, TELEGRAM_MSG_LIMIT, TELEGRAM_CAPTION_LIMIT } = require('../../utils/format');
 const { downloadImage } = require('../../utils/sendToken');
-const { enrichWithPrice } = require('../../utils/enrichToken');
+const { enrichWithPrice, creatorForCard } = require('../../utils/enrichToken');
 const { isValidSolanaAddress } = require('../../utils/solana');
+const { cardSections } = require('../../utils/chatSettings');
 
 module.exports = (bot) => {
   // ── Lookup callback (from search results, OG finder, PVP) ─────────
@@ -15,9 +16,11 @@ module.exports = (bot) => {
     await ctx.answerCallbackQuery({ text: 'Loading token...' });
 
     try {
+      const sections = await cardSections(ctx);
+      const creatorPromise = creatorForCard(mint, sections);
       let token = await tokensApi.getToken(mint);
       token = await enrichWithPrice(token);
-      const message = formatTokenMessage(token);
+      const message = formatTokenMessage(token, { creator: await creatorPromise, sections });
 
       if (message.bannerUrl) {
         try {
@@ -54,9 +57,11 @@ module.exports = (bot) => {
     await ctx.answerCallbackQuery({ text: 'Refreshing...' });
 
     try {
+      const sections = await cardSections(ctx);
+      const creatorPromise = creatorForCard(mint, sections);
       let token = await tokensApi.getToken(mint);
       token = await enrichWithPrice(token);
-      const message = formatTokenMessage(token);
+      const message = formatTokenMessage(token, { creator: await creatorPromise, sections });
 
       // If the original message was a photo (banner), update caption
       if (ctx.callbackQuery.message?.photo) {
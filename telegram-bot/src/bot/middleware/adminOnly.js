@@ -0,0 +1,20 @@
+const alertStore = require('../../alerts/store');
+const { isGroupChat, isChatAdmin } = require('../../utils/chatSettings');
+
+// Groups can restrict bot commands to admins (/settings). Commands from other
+// members are silently ignored so the chat isn't spammed with refusals.
+module.exports = (bot) => {
+  bot.use(async (ctx, next) => {
+    const text = ctx.message?.text;
+    if (!text || !text.startsWith('/') || !isGroupChat(ctx)) return next();
+
+    let settings;
+    try {
+      settings = await alertStore.getChatSettings(ctx.chat.id);
+    } catch {
+      return next();
+    }
+
+    if (!settings.admin_only || await isChatAdmin(ctx)) return next();
+  });
+};
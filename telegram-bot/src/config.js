@@ -19,6 +19,12 @@ module.exports = {
   ALERT_POLL_INTERVAL_MS: (() => { const v = parseInt(process.env.ALERT_POLL_INTERVAL_MS); return isNaN(v) ? 60000 : v; })(),
   MAX_ALERTS_PER_USER: (() => { const v = parseInt(process.env.MAX_ALERTS_PER_USER); return isNaN(v) ? 10 : v; })(),
 
+  // Price stream (SSE) — alert poller reads streamed ticks instead of polling /price per mint
+  PRICE_STREAM_ENABLED: process.env.PRICE_STREAM_ENABLED !== 'false',
+  // Matches the backend's PRICE_STREAM_SERVICE_KEY: lifts the per-IP stream cap for the bot
+  PRICE_STREAM_KEY: process.env.PRICE_STREAM_KEY || '',
+  PRICE_STREAM_MAX_AGE_MS: (() => { const v = parseInt(process.env.PRICE_STREAM_MAX_AGE_MS); return isNaN(v) ? 90000 : v; })(),
+
   // Rate limiting
   RATE_LIMIT_WINDOW_MS: 60000,
   RATE_LIMIT_MAX_REQUESTS: 20,
@@ -24,6 +24,7 @@ bot.use(session({
 // ── Register middleware (order matters) ──────────────────────────────
 require('./bot/middleware/logger')(bot);
 require('./bot/middleware/rateLimiter')(bot);
+require('./bot/middleware/adminOnly')(bot);
 
 // ── Register command handlers ────────────────────────────────────────
 require('./bot/commands/start')(bot);
@@ -37,8 +38,11 @@ require('./bot/commands/stats')(bot);
 require('./bot/commands/pvp')(bot);
 require('./bot/commands/og')(bot);
 require('./bot/commands/community')(bot);
+require('./bot/commands/screen')(bot);
 require('./bot/commands/cadetect')(bot);
 require('./bot/commands/brief')(bot);
+require('./bot/commands/settings')(bot);
+require('./bot/commands/watchlist')(bot);
 
 // ── Register message handlers (must come AFTER commands) ─────────────
 require('./bot/handlers/caDetector')(bot);
@@ -59,11 +63,12 @@ async function setCommands(bot) {
     { command: 'token', description: 'Look up a token by contract address' },
     { command: 'search', description: 'Search tokens by name or symbol' },
     { command: 'pvp', description: 'Find similar tokens (anti-spoofing)' },
-    { command: 'alert', description: 'Set a market cap alert' },
+    { command: 'alert', description: 'Set a token alert (mcap, volume, sentiment...)' },
     { command: 'alerts', description: 'List your active alerts' },
     { command: 'removealert', description: 'Remove an alert' },
     { command: 'og', description: 'Find the oldest PumpFun tokens by name/ticker' },
     { command: 'community', description: 'Community leaderboards & highlights' },
+    { command: 'screen', description: 'Screen tokens by filters or run saved screens' },
     { command: 'brief', description: 'Daily Brief — graduated PumpFun tokens' },
     { command: 'stats', description: 'Bot statistics' },
     { command: 'help', description: 'Show all commands' },
@@ -76,7 +81,10 @@ async function setCommands(bot) {
     { command: 'pvp', description: 'Find similar tokens (anti-spoofing)' },
     { command: 'og', description: 'Find the oldest PumpFun tokens by name/ticker' },
     { command: 'community', description: 'Community leaderboards & highlights' },
+    { command: 'screen', description: 'Screen tokens by filters or run saved screens' },
     { command: 'brief', description: 'Daily Brief — graduated PumpFun tokens' },
+    { command: 'watchlist', description: 'Summarize the group watchlist' },
+    { command: 'settings', description: 'Group settings (admins)' },
     { command: 'cadetect', description: 'Toggle CA auto-detection in this group' },
     { command: 'help', description: 'Show all commands' },
   ], { scope: { type: 'all_group_chats' } });
@@ -0,0 +1,51 @@
+const alertStore = require('../alerts/store');
+const { CARD_SECTIONS } = require('./format');
+
+// Admin lookups hit the Telegram API — cache them per user and chat
+const adminCache = new Map();
+const ADMIN_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Cleanup stale entries every 10 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of adminCache) {
+    if (now - entry.checkedAt > ADMIN_CACHE_TTL_MS) adminCache.delete(key);
+  }
+}, 10 * 60 * 1000).unref();
+
+function isGroupChat(ctx) {
+  return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+}
+
+// Whether the sender is an admin of the current chat — the one admin check for every group command
+async function isChatAdmin(ctx) {
+  // Anonymous admins post as the group itself
+  if (ctx.message?.sender_chat?.id === ctx.chat.id) return true;
+  if (!ctx.from) return false;
+
+  const key = `${ctx.chat.id}:${ctx.from.id}`;
+  const cached = adminCache.get(key);
+  if (cached && Date.now() - cached.checkedAt < ADMIN_CACHE_TTL_MS) return cached.isAdmin;
+
+  try {
+    const member = await ctx.getChatMember(ctx.from.id);
+    const isAdmin = ['creator', 'administrator'].includes(member.status);
+    adminCache.set(key, { isAdmin, checkedAt: Date.now() });
+    return isAdmin;
+  } catch {
+    return false;
+  }
+}
+
+// Token card sections for this chat: groups use their /settings choice, DMs show everything
+async function cardSections(ctx) {
+  if (!isGroupChat(ctx)) return CARD_SECTIONS;
+  try {
+    const settings = await alertStore.getChatSettings(ctx.chat.id);
+    return settings.card_sections;
+  } catch {
+    return CARD_SECTIONS;
+  }
+}
+
+module.exports = { isGroupChat, isChatAdmin, cardSections };
@@ -1,5 +1,10 @@
 const tokensApi = require('../api/tokens');
 
+// How long a token card waits for dev history. An uncached report can take the
+// API's full 8s; past this the card goes out without it, and the request still
+// completes so the backend has it cached for the next lookup.
+const CREATOR_WAIT_MS = 2000;
+
 /**
  * Enrich token data with fresh price/market data if stale or missing.
  * The batch and single-token endpoints sometimes return cached data with
@@ -38,4 +43,17 @@ async function enrichWithPrice(token) {
   return token;
 }
 
-module.exports = { enrichWithPrice };
+/**
+ * Dev history for a token card, or null when the card hides it, the lookup
+ * fails, or it takes longer than CREATOR_WAIT_MS. Start it before the token
+ * fetch so the two overlap.
+ */
+function creatorForCard(mint, sections) {
+  if (!sections.includes('creator')) return Promise.resolve(null);
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), CREATOR_WAIT_MS); });
+  const lookup = tokensApi.getCreator(mint).catch(() => null);
+  return Promise.race([lookup, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { enrichWithPrice, creatorForCard };
@@ -65,10 +65,39 @@ function truncateHtml(text, limit) {
   return truncated.slice(0, cutPoint) + '\n\n<i>[Message truncated]</i>';
 }
 
-function formatTokenMessage(token) {
+// Optional token card sections, toggled per group with /settings (name and price always show)
+const CARD_SECTION_LABELS = {
+  market: 'Market data',
+  holders: 'Holders',
+  creator: 'Dev history',
+  community: 'Community links',
+  banner: 'Banner image',
+  buttons: 'Link buttons'
+};
+const CARD_SECTIONS = Object.keys(CARD_SECTION_LABELS);
+
+// One-line dev history for the token card, e.g. "Dev: AbCd…WxYz — 5 launches, 4 rugged"
+function formatCreatorLine(creator) {
+  if (!creator?.creator?.wallet) return '';
+  const wallet = creator.creator.wallet;
+  const short = `${wallet.slice(0, 4)}…${wallet.slice(-4)}`;
+  const summary = creator.summary;
+
+  let history = 'no other launches found';
+  if (summary && summary.totalLaunches > 0) {
+    history = `${summary.totalLaunches} other launch${summary.totalLaunches === 1 ? '' : 'es'}, ${summary.rugged} rugged` +
+      (summary.unknown > 0 ? `, ${summary.unknown} unknown` : '');
+  }
+  const warning = summary?.serialRugger ? ' \u26A0\uFE0F <b>Serial rugger</b>' : '';
+
+  return `<b>Dev:</b> <a href="https://solscan.io/account/${encodeURIComponent(wallet)}">${short}</a> — ${history}${warning}\n`;
+}
+
+function formatTokenMessage(token, { creator = null, sections = CARD_SECTIONS } = {}) {
   const mint = token.mintAddress || token.address;
   const name = escapeHtml(token.name || 'Unknown');
   const symbol = escapeHtml(token.symbol || '???');
+  const show = new Set(sections);
 
   // Extract banner URL from approved banner submissions
   let bannerUrl = null;
@@ -105,12 +134,15 @@ function formatTokenMessage(token) {
     `<b>${name}</b> (${symbol})\n` +
     `<code>${mint}</code>\n\n` +
     `<b>Price:</b> ${formatPrice(token.price)} ${formatChange(token.priceChange24h)}\n` +
-    `<b>Market Cap:</b> ${formatNumber(token.marketCap)}\n` +
-    `<b>FDV:</b> ${formatNumber(token.fdv)}\n` +
-    `<b>24h Volume:</b> ${formatNumber(token.volume24h)}\n` +
-    `<b>Liquidity:</b> ${formatNumber(token.liquidity)}\n` +
-    (token.holders ? `<b>Holders:</b> ${Number(token.holders).toLocaleString('en-US')}\n` : '') +
-    communityLinks;
+    (show.has('market')
+      ? `<b>Market Cap:</b> ${formatNumber(token.marketCap)}\n` +
+        `<b>FDV:</b> ${formatNumber(token.fdv)}\n` +
+        `<b>24h Volume:</b> ${formatNumber(token.volume24h)}\n` +
+        `<b>Liquidity:</b> ${formatNumber(token.liquidity)}\n`
+      : '') +
+    (show.has('holders') && token.holders ? `<b>Holders:</b> ${Number(token.holders).toLocaleString('en-US')}\n` : '') +
+    (show.has('creator') ? formatCreatorLine(creator) : '') +
+    (show.has('community') ? communityLinks : '');
 
   const hasApprovedSubmissions = bannerUrl || communityLinks.length > 0;
 
@@ -118,17 +150,21 @@ function formatTokenMessage(token) {
   const keyboard = new InlineKeyboard()
     .text('\u{1F504} Refresh', `refresh:${mint}`)
     .row()
-    .url('View on OpenDEX', `${config.FRONTEND_URL}/token.html?mint=${safeMint}`)
-    .url('Solscan', `https://solscan.io/token/${safeMint}`)
-    .row()
-    .url('Trade on Jupiter', `https://jup.ag/swap/SOL-${safeMint}`)
-    .url('Bubblemaps', `https://app.bubblemaps.io/sol/token/${safeMint}`);
+    .url('View on OpenDEX', `${config.FRONTEND_URL}/token.html?mint=${safeMint}`);
+
+  if (show.has('buttons')) {
+    keyboard
+      .url('Solscan', `https://solscan.io/token/${safeMint}`)
+      .row()
+      .url('Trade on Jupiter', `https://jup.ag/swap/SOL-${safeMint}`)
+      .url('Bubblemaps', `https://app.bubblemaps.io/sol/token/${safeMint}`);
 
-  if (!hasApprovedSubmissions) {
-    keyboard.row().url('Submit Community Info', `${config.FRONTEND_URL}/submit.html?mint=${safeMint}`);
+    if (!hasApprovedSubmissions) {
+      keyboard.row().url('Submit Community Info', `${config.FRONTEND_URL}/submit.html?mint=${safeMint}`);
+    }
   }
 
-  return { text, replyMarkup: keyboard, bannerUrl };
+  return { text, replyMarkup: keyboard, bannerUrl: show.has('banner') ? bannerUrl : null };
 }
 
-module.exports = { escapeHtml, formatPrice, formatNumber, formatChange, formatTokenMessage, truncateHtml, TELEGRAM_MSG_LIMIT, TELEGRAM_CAPTION_LIMIT };
+module.exports = { escapeHtml, formatPrice, formatNumber, formatChange, formatTokenMessage, truncateHtml, TELEGRAM_MSG_LIMIT, TELEGRAM_CAPTION_LIMIT, CARD_SECTIONS, CARD_SECTION_LABELS };